@@ -0,0 +1,37 @@
+# Library build targets for ai-ready: the programmatic API bundle and its type declarations
+
+#####
+# build dist/ai-ready.js
+#####
+
+SDLC_AI_READY_JS:=$(DIST)/ai-ready.js
+SDLC_AI_READY_JS_ENTRY=$(SRC)/lib/index.js
+BUILD_TARGETS+=$(SDLC_AI_READY_JS)
+
+$(SDLC_AI_READY_JS): package.json $(SDLC_MAIN_JS_FILES_SRC)
+	JS_BUILD_TARGET=$(SDLC_AI_READY_JS_ENTRY) \
+	  JS_OUT=$@ \
+	  $(SDLC_ROLLUP) --config $(SDLC_ROLLUP_CONFIG)
+
+#####
+# end dist/ai-ready.js
+#####
+
+#####
+# build dist/types (TypeScript declarations generated from the JSDoc)
+#####
+
+SDLC_TYPES_DIR:=$(DIST)/types
+SDLC_TYPES_INDEX:=$(SDLC_TYPES_DIR)/index.d.ts
+BUILD_TARGETS+=$(SDLC_TYPES_INDEX)
+
+$(SDLC_TYPES_INDEX): package.json $(SDLC_MAIN_JS_FILES_SRC)
+	rm -rf $(SDLC_TYPES_DIR)
+	npx tsc $(SDLC_AI_READY_JS_ENTRY) \
+	  --allowJs --declaration --emitDeclarationOnly \
+	  --module esnext --moduleResolution bundler --target es2022 --resolveJsonModule --skipLibCheck \
+	  --outDir $(SDLC_TYPES_DIR)
+
+#####
+# end dist/types
+#####
@@ -1,7 +1,150 @@
-import { program } from 'commander'
+import { InvalidArgumentError, program } from 'commander'
 
+import { integrationsListCommand, integrationsShowCommand } from '../lib/commands/integrations'
+import { pluginsPruneCommand } from '../lib/commands/plugins-prune'
+import { pluginsDisableCommand, pluginsEnableCommand } from '../lib/commands/plugins-state'
 import { pluginsSyncCommand } from '../lib/commands/plugins-sync'
+import { pluginsVerifyCommand } from '../lib/commands/plugins-verify'
 import { pluginsViewCommand } from '../lib/commands/plugins-view'
+import { settingsBackupsCommand, settingsRestoreCommand } from '../lib/commands/settings-backups'
+import { validateCommand } from '../lib/commands/validate'
+import { AirError } from '../lib/errors'
+import { createReporter } from '../lib/reporter'
+import { COLLISION_POLICIES } from '../lib/types'
+import { OUTPUT_FORMATS } from '../lib/utils/format-output'
+
+/**
+ * Parse a comma-separated list option
+ * @param {string} value - Option value
+ * @returns {string[]} List items
+ */
+const parseList = (value) =>
+  value
+    .split(',')
+    .map((item) => item.trim())
+    .filter((item) => item.length > 0)
+
+/**
+ * Build the transitive scan settings from CLI options; unset options fall back to the package.json configuration
+ * @param {object} options - Parsed commander options
+ * @returns {object|undefined} Transitive scan settings
+ */
+const getTransitiveOptions = ({ transitiveDepth, transitiveAllow }) => {
+  if (transitiveDepth === undefined && transitiveAllow === undefined) {
+    return undefined
+  }
+
+  return {
+    ...(transitiveDepth !== undefined && { depth : transitiveDepth }),
+    ...(transitiveAllow !== undefined && { allow : transitiveAllow }),
+  }
+}
+
+/**
+ * Parse the --transitive-depth option
+ * @param {string} value - Option value
+ * @returns {number} Depth
+ */
+const parseDepth = (value) => {
+  const depth = Number.parseInt(value, 10)
+  if (Number.isNaN(depth) || depth < 1) {
+    throw new InvalidArgumentError('Depth must be a positive integer.')
+  }
+
+  return depth
+}
+
+/**
+ * Parse the --format option
+ * @param {string} value - Option value
+ * @returns {string} Output format
+ */
+const parseFormat = (value) => {
+  if (!OUTPUT_FORMATS.includes(value)) {
+    throw new InvalidArgumentError(`Format must be one of: ${OUTPUT_FORMATS.join(', ')}.`)
+  }
+
+  return value
+}
+
+/**
+ * Parse the --collisions option
+ * @param {string} value - Option value
+ * @returns {string} Collision policy
+ */
+const parseCollisionPolicy = (value) => {
+  const policies = Object.values(COLLISION_POLICIES)
+  if (!policies.includes(value)) {
+    throw new InvalidArgumentError(`Policy must be one of: ${policies.join(', ')}.`)
+  }
+
+  return value
+}
+
+/**
+ * Parse a backup index argument
+ * @param {string} value - Argument value
+ * @returns {number} Backup index
+ */
+const parseBackupIndex = (value) => {
+  const index = Number.parseInt(value, 10)
+  if (Number.isNaN(index) || index < 0) {
+    throw new InvalidArgumentError('Backup number must be a non-negative integer.')
+  }
+
+  return index
+}
+
+/**
+ * Run a command with a reporter and map its outcome to the process exit code. Commands never exit the process
+ * themselves: they return a result, which the JSON reporter prints, or throw. AirErrors carry their own exit code;
+ * anything else exits 1.
+ * @param {'text'|'json'|'silent'} kind - Reporter kind
+ * @param {(reporter: object) => Promise<object>} command - Runs the command with the reporter
+ * @param {(result: object) => boolean} [isFailure] - True if the result should exit 1 (e.g., validation errors)
+ * @returns {Promise<void>}
+ */
+const runCommand = async (kind, command, isFailure = () => false) => {
+  const reporter = createReporter(kind)
+  try {
+    const result = await command(reporter)
+    reporter.result(result)
+    if (isFailure(result)) {
+      process.exitCode = 1
+    }
+  }
+  catch (error) {
+    reporter.error(`Error: ${error.message}`)
+    process.exitCode = error instanceof AirError ? error.exitCode : 1
+  }
+}
+
+/**
+ * Run the sync command with the options shared by "plugins sync" and its "sync" alias
+ * @param {string} [path] - Project path
+ * @param {object} options - Parsed commander options
+ * @returns {Promise<void>}
+ */
+const runSync = (path, options) =>
+  runCommand(
+    options.quiet ? 'silent' : 'text',
+    (reporter) =>
+      pluginsSyncCommand({
+        path,
+        reporter,
+        project     : options.project,
+        prune       : options.prune,
+        dryRun      : options.dryRun,
+        collisions  : options.collisions,
+        lock        : options.lock,
+        frozen      : options.frozen,
+        verify      : options.verify,
+        materialize : options.materialize,
+        noCache     : !options.cache,
+        transitive  : getTransitiveOptions(options),
+      }),
+    (result) => result.dryRun && result.pendingChanges
+  )
 
 const run = () => {
   program.name('air').description('Automatic Claude Code plugin discovery for npm dependencies').version('2.0.0')
@@ -13,16 +156,143 @@ const run = () => {
     .command('view [path]')
     .description('Show plugins discovered in project')
     .option('-a, --all', 'Show all plugins configured in Claude Code')
+    .option('--format <format>', `Output format (${OUTPUT_FORMATS.join(', ')})`, parseFormat, 'text')
+    .option('--json', 'Shorthand for --format json')
+    .option('--no-cache', 'Ignore the scan cache and force a fresh scan')
+    .option('--transitive-depth <n>', 'Scan dependencies of dependencies up to depth n (1 = direct only)', parseDepth)
+    .option('--transitive-allow <patterns>', 'Only scan transitive packages matching these patterns (e.g., @org/*)', parseList)
     .action(async (path, options) => {
-      await pluginsViewCommand({ path, all : options.all })
+      // JSON is printed from the command's result, so the command itself renders as text (which the reporter drops)
+      const json = options.json || options.format === 'json'
+      await runCommand(json ? 'json' : 'text', (reporter) =>
+        pluginsViewCommand({
+          path,
+          reporter,
+          all        : options.all,
+          format     : json ? 'text' : options.format,
+          noCache    : !options.cache,
+          transitive : getTransitiveOptions(options),
+        })
+      )
     })
 
   pluginsCmd
     .command('sync [path]')
     .description('Discover and enable plugins from dependencies')
     .option('-q, --quiet', 'Suppress output (for hooks)')
+    .option('-p, --project', 'Register plugins in the project .claude/settings.json instead of global settings')
+    .option('--prune', 'Also remove marketplaces whose packages were uninstalled')
+    .option('-n, --dry-run', 'Show pending settings changes without writing them; exit 1 if there are any')
+    .option(
+      '--collisions <policy>',
+      `How to resolve packages declaring the same marketplace name (${Object.values(COLLISION_POLICIES).join(', ')}; default: newest)`,
+      parseCollisionPolicy
+    )
+    .option('--lock', 'Record the registered marketplaces and plugins in air-lock.json')
+    .option('--frozen', 'Fail without changing settings if the discovered plugins differ from air-lock.json')
+    .option('--verify', 'Fail without changing settings if enabled plugin files changed without a version change')
+    .option('--materialize', 'Register copies of the marketplaces in the plugins directory instead of node_modules paths')
+    .option('--no-cache', 'Ignore the scan cache and force a fresh scan')
+    .option('--transitive-depth <n>', 'Scan dependencies of dependencies up to depth n (1 = direct only)', parseDepth)
+    .option('--transitive-allow <patterns>', 'Only scan transitive packages matching these patterns (e.g., @org/*)', parseList)
+    .action(runSync)
+
+  pluginsCmd
+    .command('prune [path]')
+    .description('Remove marketplaces and plugins whose packages were uninstalled')
+    .option('-p, --project', 'Prune the project .claude/settings.json instead of global settings')
+    .action(async (path, options) => {
+      await runCommand('text', (reporter) => pluginsPruneCommand({ path, reporter, project : options.project }))
+    })
+
+  pluginsCmd
+    .command('verify')
+    .description('Check enabled plugin files against the hashes recorded when they were synced')
+    .option('--accept', 'Record the current files of plugins that changed without a version change')
+    .action(async (options) => {
+      await runCommand(
+        'text',
+        (reporter) => pluginsVerifyCommand({ accept : options.accept, reporter }),
+        (result) => result.modified.some((pluginKey) => !result.accepted.includes(pluginKey))
+      )
+    })
+
+  pluginsCmd
+    .command('enable <plugin>')
+    .description('Enable a plugin, given as <plugin> or <plugin>@<marketplace>')
+    .option('-p, --project', 'Enable the plugin in the project .claude/settings.json instead of global settings')
+    .option('--path <path>', 'Project path (with --project; default: current directory)')
+    .action(async (plugin, options) => {
+      await runCommand('text', (reporter) =>
+        pluginsEnableCommand(plugin, { path : options.path, project : options.project, reporter })
+      )
+    })
+
+  pluginsCmd
+    .command('disable <plugin>')
+    .description('Disable a plugin, given as <plugin> or <plugin>@<marketplace>')
+    .option('-p, --project', 'Disable the plugin in the project .claude/settings.json instead of global settings')
+    .option('--path <path>', 'Project path (with --project; default: current directory)')
+    .action(async (plugin, options) => {
+      await runCommand('text', (reporter) =>
+        pluginsDisableCommand(plugin, { path : options.path, project : options.project, reporter })
+      )
+    })
+
+  // settings namespace
+  const settingsCmd = program.command('settings').description('Manage Claude Code settings backups')
+
+  settingsCmd
+    .command('backups')
+    .description('List settings backups with a summary of their plugins')
+    .option('-p, --project', 'Use the project .claude/settings.json instead of global settings')
+    .option('--path <path>', 'Project path (with --project; default: current directory)')
+    .action(async (options) => {
+      await runCommand('text', (reporter) =>
+        settingsBackupsCommand({ path : options.path, project : options.project, reporter })
+      )
+    })
+
+  settingsCmd
+    .command('restore')
+    .argument('[n]', 'Backup to restore, as listed by "settings backups" (default: 0, the most recent)', parseBackupIndex)
+    .description('Restore settings from a backup, after previewing the plugin changes')
+    .option('-p, --project', 'Use the project .claude/settings.json instead of global settings')
+    .option('--path <path>', 'Project path (with --project; default: current directory)')
+    .option('-y, --yes', 'Restore without asking for confirmation')
+    .action(async (n, options) => {
+      await runCommand('text', (reporter) =>
+        settingsRestoreCommand(n, { path : options.path, project : options.project, yes : options.yes, reporter })
+      )
+    })
+
+  // integrations namespace
+  const integrationsCmd = program.command('integrations').description('Inspect AIR integrations of dependencies')
+
+  integrationsCmd
+    .command('list [path]')
+    .description('List AIR integrations shipped by project dependencies')
+    .option('--no-cache', 'Ignore the scan cache and force a fresh scan')
     .action(async (path, options) => {
-      await pluginsSyncCommand({ path, quiet : options.quiet })
+      await runCommand('text', (reporter) => integrationsListCommand({ path, reporter, noCache : !options.cache }))
+    })
+
+  integrationsCmd
+    .command('show <integration>')
+    .description('Show an integration, given as <library>/<integration> (e.g., @scope/pkg/MyIntegration)')
+    .option('--path <path>', 'Project path (default: current directory)')
+    .option('--no-cache', 'Ignore the scan cache and force a fresh scan')
+    .action(async (integration, options) => {
+      await runCommand('text', (reporter) =>
+        integrationsShowCommand(integration, { path : options.path, noCache : !options.cache, reporter })
+      )
+    })
+
+  program
+    .command('validate [path]')
+    .description("Validate a package's .claude-plugin/marketplace.json, plugin manifests and referenced files")
+    .action(async (path) => {
+      await runCommand('text', (reporter) => validateCommand({ path, reporter }), (result) => !result.valid)
     })
 
   // Shortcut alias (backward compatibility)
@@ -30,9 +300,22 @@ const run = () => {
     .command('sync [path]')
     .description('Alias for "plugins sync"')
     .option('-q, --quiet', 'Suppress output (for hooks)')
-    .action(async (path, options) => {
-      await pluginsSyncCommand({ path, quiet : options.quiet })
-    })
+    .option('-p, --project', 'Register plugins in the project .claude/settings.json instead of global settings')
+    .option('--prune', 'Also remove marketplaces whose packages were uninstalled')
+    .option('-n, --dry-run', 'Show pending settings changes without writing them; exit 1 if there are any')
+    .option(
+      '--collisions <policy>',
+      `How to resolve packages declaring the same marketplace name (${Object.values(COLLISION_POLICIES).join(', ')}; default: newest)`,
+      parseCollisionPolicy
+    )
+    .option('--lock', 'Record the registered marketplaces and plugins in air-lock.json')
+    .option('--frozen', 'Fail without changing settings if the discovered plugins differ from air-lock.json')
+    .option('--verify', 'Fail without changing settings if enabled plugin files changed without a version change')
+    .option('--materialize', 'Register copies of the marketplaces in the plugins directory instead of node_modules paths')
+    .option('--no-cache', 'Ignore the scan cache and force a fresh scan')
+    .option('--transitive-depth <n>', 'Scan dependencies of dependencies up to depth n (1 = direct only)', parseDepth)
+    .option('--transitive-allow <patterns>', 'Only scan transitive packages matching these patterns (e.g., @org/*)', parseList)
+    .action(runSync)
 
   program.parse()
 }
@@ -0,0 +1,230 @@
+import fs from 'fs/promises'
+import path from 'path'
+
+import { NotFoundError, UsageError } from '../errors'
+import { getIntegrationPluginName } from '../parsers/air-integrations'
+import { createReporter } from '../reporter'
+import { scanDependencies } from '../scanner'
+import { loadProvidersWithCache } from '../storage/cache'
+import { ClaudePluginConfig } from '../storage/claude-config'
+import { getPluginState, readSettings } from '../storage/claude-settings'
+import { INTEGRATION_TYPES } from '../types'
+import { parseLibraryIntegration } from '../utils/parse-library-integration'
+import { formatIntegrationType, formatStatus } from './plugins-view'
+
+/**
+ * @import { AirIntegration, ClaudeSettings, MarketplaceProvider, Reporter } from '../types.js'
+ */
+
+/**
+ * @typedef {object} IntegrationDetails
+ * @property {string} id - '<library>/<integration>'
+ * @property {string} name - Integration name
+ * @property {string} summary - Integration summary
+ * @property {string} packageName - Package shipping the integration
+ * @property {string} version - Package version
+ * @property {string} path - Integration directory
+ * @property {string[]} types - Supported integration types
+ * @property {{type: string, state: string}[]} installStates - Install state per supported type
+ * @property {string[]} [files] - Files of the integration (show only)
+ */
+
+/**
+ * Scan the project's dependencies and keep the providers that ship AIR integrations
+ * @param {string} baseDir - Project directory
+ * @param {object} options - Command options
+ * @param {boolean} [options.noCache] - Ignore the scan cache and force a fresh scan
+ * @param {Reporter} reporter - Output reporter, for the scanner's warnings
+ * @returns {Promise<MarketplaceProvider[]>} Providers with integrations
+ */
+async function scanIntegrationProviders(baseDir, options, reporter) {
+  const providers = await loadProvidersWithCache(scanDependencies, baseDir, {
+    noCache   : options.noCache,
+    onWarning : reporter.warn,
+  })
+
+  return providers.filter((provider) => provider.integrations?.length > 0)
+}
+
+/**
+ * Describe the install state of each type an integration supports. Claude Skills of packages without a
+ * marketplace.json are installed as plugins of the synthesized marketplace; everything else isn't managed by air.
+ * @param {MarketplaceProvider} provider - Provider shipping the integration
+ * @param {AirIntegration} integration - Integration
+ * @param {ClaudeSettings} settings - Settings object
+ * @returns {{type: string, state: string}[]} Install state per supported type
+ */
+function getInstallStates(provider, integration, settings) {
+  return integration.types.map((type) => {
+    if (type !== INTEGRATION_TYPES.CLAUDE_SKILL) {
+      return { type, state : 'not managed by air; add AI_INTEGRATION.md to AGENTS.md or CLAUDE.md' }
+    }
+    if (!provider.synthesizedMarketplace) {
+      return { type, state : `not managed by air (${provider.packageName} declares its own marketplace)` }
+    }
+
+    const pluginName = getIntegrationPluginName(integration)
+    const marketplaceName = provider.marketplaceDeclaration.name
+    if (provider.pluginValidation?.[pluginName]?.valid === false) {
+      return { type, state : `✗ Invalid (won't be enabled) (${pluginName}@${marketplaceName})` }
+    }
+
+    const status = getPluginState(pluginName, marketplaceName, settings)
+
+    return { type, state : `${formatStatus(status)} (${pluginName}@${marketplaceName})` }
+  })
+}
+
+/**
+ * List the files of an integration
+ * @param {string} dir - Integration directory
+ * @param {string} [prefix] - Path of `dir` relative to the integration directory
+ * @returns {Promise<string[]>} Relative file paths (forward slashes), sorted
+ */
+async function listFiles(dir, prefix = '') {
+  const entries = await fs.readdir(dir, { withFileTypes : true })
+  const files = await Promise.all(
+    entries.map((entry) => {
+      const relativePath = `${prefix}${entry.name}`
+
+      return entry.isDirectory() ? listFiles(path.join(dir, entry.name), `${relativePath}/`) : [relativePath]
+    })
+  )
+
+  return files.flat().sort()
+}
+
+/**
+ * Build the details reported for an integration
+ * @param {MarketplaceProvider} provider - Provider shipping the integration
+ * @param {AirIntegration} integration - Integration
+ * @param {ClaudeSettings} settings - Settings object
+ * @returns {IntegrationDetails} Integration details
+ */
+const toDetails = (provider, integration, settings) => ({
+  id            : integration.id,
+  name          : integration.name,
+  summary       : integration.summary,
+  packageName   : provider.packageName,
+  version       : provider.version,
+  path          : integration.path,
+  types         : integration.types,
+  installStates : getInstallStates(provider, integration, settings),
+})
+
+/**
+ * Integrations list command: List the AIR integrations shipped by the project's dependencies
+ * @param {object} options - Command options
+ * @param {string} [options.path] - Project path (default: cwd)
+ * @param {boolean} [options.noCache] - Ignore the scan cache and force a fresh scan
+ * @param {Reporter} [options.reporter] - Output reporter (default: text)
+ * @param {ClaudePluginConfig} [options.config] - Config instance (for testing)
+ * @returns {Promise<{integrations: IntegrationDetails[]}>} Integrations of all dependencies
+ */
+export async function integrationsListCommand(options = {}) {
+  const baseDir = options.path || process.cwd()
+  const config = options.config || ClaudePluginConfig.createDefault()
+  const reporter = options.reporter || createReporter()
+
+  reporter.log(`\nAIR integrations in ${baseDir}\n`)
+
+  const providers = await scanIntegrationProviders(baseDir, options, reporter)
+  if (providers.length === 0) {
+    reporter.log('No AIR integrations found in dependencies.\n')
+
+    return { integrations : [] }
+  }
+
+  const settings = await readSettings(config.settingsPath, { onWarning : reporter.warn })
+  const integrations = providers.flatMap((provider) =>
+    provider.integrations.map((integration) => toDetails(provider, integration, settings))
+  )
+  for (const integration of integrations) {
+    reporter.log(`${integration.id} (${integration.types.map(formatIntegrationType).join(', ')})`)
+    if (integration.summary) {
+      reporter.log(`  ${integration.summary}`)
+    }
+    const skill = integration.installStates.find(({ type }) => type === INTEGRATION_TYPES.CLAUDE_SKILL)
+    if (skill) {
+      reporter.log(`  Claude Skill: ${skill.state}`)
+    }
+  }
+
+  const count = integrations.length
+  reporter.log(
+    `\nSummary: ${count} integration${count === 1 ? '' : 's'} in ${providers.length} package${providers.length === 1 ? '' : 's'}`
+  )
+  reporter.log('  Run `air integrations show <library>/<integration>` for details\n')
+
+  return { integrations }
+}
+
+/**
+ * Integrations show command: Show the metadata, supported types, files and install state of an integration
+ * @param {string} spec - '<library>/<integration>' (e.g., '@scope/pkg/MyIntegration'); a bare library shows all of
+ *   its integrations
+ * @param {object} [options] - Command options
+ * @param {string} [options.path] - Project path (default: cwd)
+ * @param {boolean} [options.noCache] - Ignore the scan cache and force a fresh scan
+ * @param {Reporter} [options.reporter] - Output reporter (default: text)
+ * @param {ClaudePluginConfig} [options.config] - Config instance (for testing)
+ * @returns {Promise<{integrations: IntegrationDetails[]}>} The matching integrations
+ * @throws {UsageError} If the spec isn't a valid library or integration
+ * @throws {NotFoundError} If the library isn't a dependency or has no such integration
+ */
+export async function integrationsShowCommand(spec, options = {}) {
+  const baseDir = options.path || process.cwd()
+  const config = options.config || ClaudePluginConfig.createDefault()
+  const reporter = options.reporter || createReporter()
+
+  const { libraryName, integrationName } = parseLibraryIntegration(spec)
+  if (!libraryName || (libraryName.startsWith('@') && !libraryName.includes('/'))) {
+    throw new UsageError(`Invalid integration '${spec}'; expected <library>/<integration>`)
+  }
+
+  const providers = await scanIntegrationProviders(baseDir, options, reporter)
+  const provider = providers.find((candidate) => candidate.packageName === libraryName)
+  if (!provider) {
+    throw new NotFoundError(`${libraryName} is not a dependency of ${baseDir} or has no AIR integrations`)
+  }
+
+  let matches = provider.integrations
+  if (integrationName) {
+    matches = matches.filter(
+      (integration) => integration.dirName === integrationName || integration.name === integrationName
+    )
+    if (matches.length === 0) {
+      const available = provider.integrations.map((integration) => integration.dirName).join(', ')
+      throw new NotFoundError(`No integration '${integrationName}' in ${libraryName} (available: ${available})`)
+    }
+  }
+
+  const settings = await readSettings(config.settingsPath, { onWarning : reporter.warn })
+  const integrations = await Promise.all(
+    matches.map(async (integration) => ({
+      ...toDetails(provider, integration, settings),
+      files : await listFiles(integration.path),
+    }))
+  )
+  for (const integration of integrations) {
+    reporter.log(`\nIntegration: ${integration.id}\n`)
+    reporter.log(`  Name: ${integration.name}`)
+    if (integration.summary) {
+      reporter.log(`  Summary: ${integration.summary}`)
+    }
+    reporter.log(`  Package: ${integration.packageName} v${integration.version}`)
+    reporter.log(`  Path: ${integration.path}`)
+    reporter.log(`  Types: ${integration.types.map(formatIntegrationType).join(', ')}`)
+    reporter.log('  Files:')
+    for (const file of integration.files) {
+      reporter.log(`    ${file}`)
+    }
+    reporter.log('  Install state:')
+    for (const { type, state } of integration.installStates) {
+      reporter.log(`    ${formatIntegrationType(type)}: ${state}`)
+    }
+  }
+  reporter.log()
+
+  return { integrations }
+}
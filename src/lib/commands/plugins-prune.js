@@ -0,0 +1,146 @@
+import { createReporter } from '../reporter'
+import { scanDependencies } from '../scanner'
+import { ClaudePluginConfig } from '../storage/claude-config'
+import { readSettings, removeMarketplaceReferences, removeMarketplaces } from '../storage/claude-settings'
+import { removeInstalledPlugins } from '../storage/installed-plugins'
+import { removeKnownMarketplaces } from '../storage/known-marketplaces'
+import { getLocalSettingsPath, readLocalMarketplaces, removeLocalMarketplaces } from '../storage/local-settings'
+import { collectStoreGarbage } from '../storage/plugin-store'
+import { findStaleMarketplaces } from '../utils/stale-marketplaces'
+
+/**
+ * @import { Reporter, ScanOptions, StaleMarketplace, WarningHandler } from '../types.js'
+ */
+
+/**
+ * @typedef {object} PruneResult
+ * @property {StaleMarketplace[]} stale - Stale marketplaces, and stale project references (with `project`) to
+ *   marketplaces other projects still use
+ * @property {string[]} plugins - Enabled plugin keys removed with the marketplaces
+ * @property {{name: string, from: string, to: string}[]} moved - Marketplaces re-pointed to another project's install
+ *   because theirs was dropped
+ */
+
+/**
+ * Find and remove stale marketplaces from a settings file
+ * @param {string} settingsPath - Path to the settings file
+ * @param {boolean} project - True if settingsPath is a project .claude/settings.json
+ * @param {object} [options] - Options
+ * @param {boolean} [options.dryRun] - Only find stale marketplaces; don't remove them
+ * @param {string} [options.projectDir] - Project a sync just discovered providers in
+ * @param {ScanOptions} [options.scanOptions] - Scan options the sync used, to rescan `projectDir` with, so
+ *   marketplaces it registered through CLI transitive options aren't pruned
+ * @param {WarningHandler} [options.onWarning] - Receives warnings about malformed files (default: stderr)
+ * @returns {Promise<PruneResult>} Removed marketplaces, references and plugin keys
+ */
+export async function pruneSettings(settingsPath, project, options = {}) {
+  const readOptions = { dryRun : options.dryRun, onWarning : options.onWarning }
+  const marketplaces = project
+    ? await readLocalMarketplaces(settingsPath, readOptions)
+    : (await readSettings(settingsPath, readOptions)).plugins.marketplaces
+
+  const stale = await findStaleMarketplaces(marketplaces, scanDependencies, {
+    scanOptions : options.projectDir === undefined ? {} : { [options.projectDir] : options.scanOptions },
+    onWarning   : options.onWarning,
+  })
+  if (stale.length === 0 || options.dryRun) {
+    return { stale, plugins : [], moved : [] }
+  }
+
+  const names = stale.filter((entry) => entry.project === undefined).map(({ name }) => name)
+  const references = stale.filter((entry) => entry.project !== undefined)
+  const removed = project
+    ? await removeLocalMarketplaces(settingsPath, names, readOptions)
+    : await removeMarketplaces(settingsPath, names, readOptions)
+  const moved = references.length > 0 ? await removeMarketplaceReferences(settingsPath, references, readOptions) : []
+
+  return { stale, plugins : removed.plugins, moved }
+}
+
+/**
+ * Remove pruned marketplaces and their plugins from Claude Code's plugin registries, so Claude Code stops loading them
+ * and their materialized copies can be garbage-collected. Marketplaces that only lost a project reference stay.
+ * @param {ClaudePluginConfig} config - Claude plugin configuration
+ * @param {PruneResult} result - Result from pruneSettings on global settings
+ * @param {object} [options] - Options
+ * @param {WarningHandler} [options.onWarning] - Receives warnings about malformed registries (default: stderr)
+ * @returns {Promise<void>}
+ */
+export async function pruneRegistries(config, { stale }, options = {}) {
+  const names = stale.filter((entry) => entry.project === undefined).map(({ name }) => name)
+  if (names.length > 0) {
+    await removeKnownMarketplaces(config.knownMarketplacesPath, names, options)
+    await removeInstalledPlugins(config.installedPluginsPath, names, options)
+  }
+}
+
+/**
+ * Log a summary of pruned marketplaces
+ * @param {Reporter} reporter - Output reporter
+ * @param {PruneResult} result - Result from pruneSettings
+ * @param {string} settingsPath - Path to the settings file
+ */
+export const logPruneResults = (reporter, { stale, plugins, moved }, settingsPath) => {
+  if (stale.length === 0) {
+    reporter.log('No stale marketplaces found.\n')
+
+    return
+  }
+
+  reporter.log(`Pruned from ${settingsPath}:`)
+  for (const { name, reason, project } of stale) {
+    reporter.log(project === undefined ? `  • ${name} (${reason})` : `  • ${name}: reference from ${project} (${reason})`)
+  }
+  for (const { name, to } of moved) {
+    reporter.log(`  → ${name} now points at ${to}`)
+  }
+
+  const removed = stale.filter(({ project }) => project === undefined).length
+  const references = stale.length - removed
+  reporter.log(
+    `✓ ${removed} marketplace${removed === 1 ? '' : 's'} and ${plugins.length} enabled plugin${plugins.length === 1 ? '' : 's'} removed${references > 0 ? `, ${references} project reference${references === 1 ? '' : 's'} dropped` : ''}\n`
+  )
+}
+
+/**
+ * Log the materialized copies removed from the store
+ * @param {Reporter} reporter - Output reporter
+ * @param {string[]} removed - Names of the removed store entries
+ * @param {string} storeDir - Store directory
+ */
+export const logStoreGarbage = (reporter, removed, storeDir) => {
+  if (removed.length > 0) {
+    reporter.log(`✓ Removed ${removed.length} unused plugin cop${removed.length === 1 ? 'y' : 'ies'} from ${storeDir}\n`)
+  }
+}
+
+/**
+ * Plugins prune command: Remove marketplaces (and their enabled plugins) whose packages were uninstalled, then the
+ * materialized copies nothing references anymore
+ * @param {object} options - Command options
+ * @param {string} [options.path] - Project path (default: cwd)
+ * @param {boolean} [options.project] - Prune the project's .claude/settings.json instead of global settings
+ * @param {Reporter} [options.reporter] - Output reporter (default: text)
+ * @param {ClaudePluginConfig} [options.config] - Config instance (for testing)
+ * @returns {Promise<{settingsPath: string, removedFromStore: string[]} & PruneResult>} Pruned settings file,
+ *   marketplaces, references and plugin keys, and the materialized copies no longer referenced (global settings only)
+ */
+export async function pluginsPruneCommand(options = {}) {
+  const baseDir = options.path || process.cwd()
+  const config = options.config || ClaudePluginConfig.createDefault()
+  const reporter = options.reporter || createReporter()
+  const settingsPath = options.project ? getLocalSettingsPath(baseDir) : config.settingsPath
+
+  const warningOptions = { onWarning : reporter.warn }
+
+  const result = await pruneSettings(settingsPath, !!options.project, warningOptions)
+  if (!options.project) {
+    await pruneRegistries(config, result, warningOptions)
+  }
+  logPruneResults(reporter, result, settingsPath)
+
+  const removedFromStore = options.project ? [] : await collectStoreGarbage(config, warningOptions)
+  logStoreGarbage(reporter, removedFromStore, config.storeDir)
+
+  return { settingsPath, ...result, removedFromStore }
+}
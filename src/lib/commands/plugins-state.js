@@ -0,0 +1,81 @@
+import { createReporter } from '../reporter'
+import { ClaudePluginConfig } from '../storage/claude-config'
+import { getKnownPluginKeys, readSettings, resolvePluginKey, setPluginState } from '../storage/claude-settings'
+import { getLocalSettingsPath, readLocalSettings, setProjectPluginState } from '../storage/local-settings'
+
+/**
+ * @import { Reporter } from '../types.js'
+ */
+
+/**
+ * @typedef {object} PluginStateResult
+ * @property {string} pluginKey - Resolved 'pluginName@marketplaceName'
+ * @property {boolean} enabled - The requested state
+ * @property {boolean} changed - False if the plugin already was in that state
+ * @property {string} settingsPath - Settings file that was updated
+ */
+
+/**
+ * Enable or disable a plugin in global settings, or as a project override with `options.project`
+ * @param {string} pluginSpec - 'pluginName' or 'pluginName@marketplaceName'
+ * @param {boolean} enabled - True to enable, false to disable
+ * @param {object} options - Command options
+ * @param {string} [options.path] - Project path (default: cwd)
+ * @param {boolean} [options.project] - Write an enabledPlugins override to the project's .claude/settings.json
+ * @param {Reporter} [options.reporter] - Output reporter (default: text)
+ * @param {ClaudePluginConfig} [options.config] - Config instance (for testing)
+ * @returns {Promise<PluginStateResult>} Resolved plugin and whether its state changed
+ * @throws {NotFoundError|UsageError} If the spec matches no plugin or several
+ */
+async function setPluginStateCommand(pluginSpec, enabled, options) {
+  const baseDir = options.path || process.cwd()
+  const config = options.config || ClaudePluginConfig.createDefault()
+  const reporter = options.reporter || createReporter()
+  const action = enabled ? 'enabled' : 'disabled'
+
+  const readOptions = { onWarning : reporter.warn }
+  const settings = await readSettings(config.settingsPath, readOptions)
+  let knownKeys = getKnownPluginKeys(settings)
+  let settingsPath = config.settingsPath
+
+  if (options.project) {
+    settingsPath = getLocalSettingsPath(baseDir)
+    const localSettings = await readLocalSettings(settingsPath, readOptions)
+    knownKeys = [...Object.keys(localSettings.enabledPlugins), ...knownKeys]
+  }
+
+  const pluginKey = resolvePluginKey(pluginSpec, knownKeys)
+  const changed = options.project
+    ? await setProjectPluginState(settingsPath, pluginKey, enabled, readOptions)
+    : await setPluginState(settingsPath, pluginKey, enabled, readOptions)
+
+  if (changed) {
+    reporter.log(`✓ ${pluginKey} ${action} in ${settingsPath}`)
+    reporter.log('  Restart Claude Code to apply the change\n')
+  }
+  else {
+    reporter.log(`${pluginKey} is already ${action}.`)
+  }
+
+  return { pluginKey, enabled, changed, settingsPath }
+}
+
+/**
+ * Plugins enable command: Enable a plugin (re-enabling it if the user disabled it)
+ * @param {string} pluginSpec - 'pluginName' or 'pluginName@marketplaceName'
+ * @param {object} [options] - Command options (see setPluginStateCommand)
+ * @returns {Promise<PluginStateResult>} Resolved plugin and whether its state changed
+ */
+export async function pluginsEnableCommand(pluginSpec, options = {}) {
+  return setPluginStateCommand(pluginSpec, true, options)
+}
+
+/**
+ * Plugins disable command: Disable a plugin; `air sync` never re-enables disabled plugins
+ * @param {string} pluginSpec - 'pluginName' or 'pluginName@marketplaceName'
+ * @param {object} [options] - Command options (see setPluginStateCommand)
+ * @returns {Promise<PluginStateResult>} Resolved plugin and whether its state changed
+ */
+export async function pluginsDisableCommand(pluginSpec, options = {}) {
+  return setPluginStateCommand(pluginSpec, false, options)
+}
@@ -1,10 +1,62 @@
-/* eslint-disable no-console, no-process-exit */
+import path from 'path'
+
+import { LockfileMismatchError, NotFoundError, PluginIntegrityError, UsageError } from '../errors'
+import { createReporter } from '../reporter'
 import { scanDependencies } from '../scanner'
+import { loadProvidersWithCache } from '../storage/cache'
 import { ClaudePluginConfig } from '../storage/claude-config'
-import { updateSettings } from '../storage/claude-settings'
+import { hasSettingsChanges, readSettings, updateSettings } from '../storage/claude-settings'
+import { updateInstalledPlugins } from '../storage/installed-plugins'
+import { updateKnownMarketplaces } from '../storage/known-marketplaces'
+import { getLocalSettingsPath, readLocalMarketplaces, updateLocalSettings } from '../storage/local-settings'
+import {
+  buildLockfile,
+  diffLockfiles,
+  getLockfilePath,
+  LOCKFILE_NAME,
+  readLockfile,
+  writeLockfile
+} from '../storage/lockfile'
+import { collectStoreGarbage, materializeProvider } from '../storage/plugin-store'
+import { INTEGRATION_TYPES, INTEGRITY_STATUSES } from '../types'
+import { describeCollision, getCollisionPolicy, resolveMarketplaceCollisions } from '../utils/marketplace-collisions'
+import { checkPluginIntegrity } from '../utils/plugin-integrity'
+import { getInvalidPlugins } from '../utils/plugin-validation'
+import { logPruneResults, logStoreGarbage, pruneRegistries, pruneSettings } from './plugins-prune'
+import { logIntegrityChecks } from './plugins-verify'
+
+/**
+ * @import { PruneResult } from './plugins-prune.js'
+ * @import {
+ *   AirLockfile,
+ *   MarketplaceCollision,
+ *   MarketplaceProvider,
+ *   PluginIntegrityCheck,
+ *   Reporter,
+ *   SettingsDiff,
+ *   StaleMarketplace,
+ *   TransitiveScanOptions
+ * } from '../types.js'
+ */
 
 /**
- * @import { MarketplaceProvider } from '../types.js'
+ * @typedef {object} SyncResult
+ * @property {string} settingsPath - Settings file that was (or, on a dry run, would be) updated
+ * @property {number} marketplaces - Number of marketplaces discovered
+ * @property {number} plugins - Number of plugins they provide
+ * @property {{pluginKey: string, errors: string[]}[]} invalidPlugins - Plugins skipped because they failed validation
+ * @property {MarketplaceCollision[]} collisions - Marketplace names declared by more than one package, and how each
+ *   collision was resolved
+ * @property {{added: string[], updated: string[], shared?: string[], diff: SettingsDiff}} changes - Settings changes;
+ *   `shared` lists the marketplaces left at another project's install of the same package (global settings only)
+ * @property {boolean} dryRun - True if nothing was written
+ * @property {boolean} pendingChanges - True if the settings changed (or, on a dry run, would change)
+ * @property {PruneResult|null} pruned - Marketplaces, references and plugins removed (or, on a dry run, that would be
+ *   removed) with the prune option
+ * @property {string[]} removedFromStore - Unreferenced materialized copies removed from the store
+ * @property {{path: string, changed: boolean}|null} lockfile - The air-lock.json written (or, on a dry run, that would
+ *   be written) with the lock option, or checked with the frozen option
+ * @property {PluginIntegrityCheck[]|null} integrity - Integrity checks of the enabled plugins with the verify option
  */
 
 /**
@@ -18,86 +70,387 @@ const findProviderForPlugin = (providers, pluginName) =>
 
 /**
  * Log information about newly added plugins
+ * @param {Reporter} reporter - Output reporter
  * @param {string[]} addedPlugins - Names of added plugins
  * @param {MarketplaceProvider[]} providers - List of providers
  */
-const logAddedPlugins = (addedPlugins, providers) => {
-  console.log('New plugins discovered:')
+const logAddedPlugins = (reporter, addedPlugins, providers) => {
+  reporter.log('New plugins discovered:')
   for (const pluginName of addedPlugins) {
     const provider = findProviderForPlugin(providers, pluginName)
     if (provider) {
-      console.log(
+      reporter.log(
         `  • ${pluginName} (from ${provider.marketplaceDeclaration.name} in ${provider.packageName} v${provider.version})`
       )
     }
   }
-  console.log()
+  reporter.log()
+}
+
+/**
+ * Log the plugins that won't be enabled because they failed validation
+ * @param {Reporter} reporter - Output reporter
+ * @param {{pluginKey: string, errors: string[]}[]} invalidPlugins - Invalid plugins and their errors
+ */
+const logInvalidPlugins = (reporter, invalidPlugins) => {
+  reporter.log('⚠ Skipping plugins that failed validation:')
+  for (const { pluginKey, errors } of invalidPlugins) {
+    reporter.log(`  • ${pluginKey}`)
+    for (const error of errors) {
+      reporter.log(`      ${error}`)
+    }
+  }
+  reporter.log()
+}
+
+/**
+ * Log the marketplace name collisions and how they were resolved
+ * @param {Reporter} reporter - Output reporter
+ * @param {MarketplaceCollision[]} collisions - Collisions
+ * @param {string} policy - Collision policy
+ */
+const logCollisions = (reporter, collisions, policy) => {
+  reporter.log(`⚠ Marketplace name collisions (policy '${policy}'):`)
+  for (const collision of collisions) {
+    reporter.log(`  • ${describeCollision(collision)}`)
+  }
+  reporter.log()
+}
+
+/**
+ * Log the marketplaces that stay at another project's install of the same package
+ * @param {Reporter} reporter - Output reporter
+ * @param {string[]} shared - Marketplace names
+ */
+const logSharedMarketplaces = (reporter, shared) => {
+  reporter.log("Marketplaces kept at another project's install of the same package:")
+  for (const name of shared) {
+    reporter.log(`  • ${name}`)
+  }
+  reporter.log()
+}
+
+/**
+ * Check the discovered plugins against the project's lockfile
+ * @param {Reporter} reporter - Output reporter
+ * @param {string} baseDir - Project directory
+ * @param {AirLockfile} lockfile - Lockfile built from the discovered marketplaces
+ * @returns {Promise<void>}
+ * @throws {NotFoundError} If the project has no lockfile
+ * @throws {LockfileMismatchError} If the plugins differ from the lockfile
+ */
+async function checkLockfile(reporter, baseDir, lockfile) {
+  const locked = await readLockfile(baseDir)
+  if (locked === null) {
+    throw new NotFoundError(`No ${LOCKFILE_NAME} in ${path.resolve(baseDir)}; run "air sync --lock" to create it`)
+  }
+
+  const differences = diffLockfiles(locked, lockfile)
+  if (differences.length > 0) {
+    throw new LockfileMismatchError(
+      `Discovered plugins differ from ${LOCKFILE_NAME}:\n  ${differences.join('\n  ')}`,
+      differences
+    )
+  }
+  reporter.log(`✓ Plugins match ${LOCKFILE_NAME}\n`)
+}
+
+/**
+ * Check the files of the plugins enabled in global settings against the hashes recorded when they were synced
+ * @param {Reporter} reporter - Output reporter
+ * @param {string} settingsPath - Path to global settings.json
+ * @param {object} [options] - Options
+ * @param {boolean} [options.dryRun] - Don't back up malformed settings
+ * @returns {Promise<PluginIntegrityCheck[]>} Integrity checks
+ * @throws {PluginIntegrityError} If plugin files changed without a package version change
+ */
+async function verifyPlugins(reporter, settingsPath, options = {}) {
+  const checks = await checkPluginIntegrity(await readSettings(settingsPath, options))
+  const modified = checks.filter(({ status }) => status === INTEGRITY_STATUSES.MODIFIED)
+  if (modified.length > 0) {
+    const plugins = modified.map(({ pluginKey, directory }) => `${pluginKey} (${directory})`)
+    throw new PluginIntegrityError(
+      `Plugin files changed without a package version change:\n  ${plugins.join('\n  ')}\n`
+        + 'Reinstall the packages to restore their files, or accept the changes with "air plugins verify --accept"',
+      modified
+    )
+  }
+  logIntegrityChecks(reporter, checks)
+
+  return checks
+}
+
+/**
+ * Log whether the lockfile was written
+ * @param {Reporter} reporter - Output reporter
+ * @param {{path: string, changed: boolean}} lockfile - Lockfile path and whether it changed
+ * @param {boolean} dryRun - True if the lockfile wasn't written
+ */
+const logLockfile = (reporter, { path : lockfilePath, changed }, dryRun) => {
+  if (!changed) {
+    reporter.log(`${LOCKFILE_NAME} is up to date\n`)
+  }
+  else {
+    reporter.log(dryRun ? `Would update ${lockfilePath}\n` : `✓ Updated ${lockfilePath}\n`)
+  }
+}
+
+/**
+ * Log the AIR integrations that only provide generic instructions, which sync doesn't manage
+ * @param {Reporter} reporter - Output reporter
+ * @param {MarketplaceProvider[]} providers - Discovered providers
+ */
+const logGenericIntegrations = (reporter, providers) => {
+  const integrations = providers
+    .flatMap((provider) => provider.integrations || [])
+    .filter(({ types }) => !types.includes(INTEGRATION_TYPES.CLAUDE_SKILL))
+  if (integrations.length === 0) {
+    return
+  }
+
+  reporter.log('AIR integrations without a Claude Skill (not enabled as plugins):')
+  for (const { id, summary } of integrations) {
+    reporter.log(`  • ${id}${summary ? ` - ${summary}` : ''}`)
+  }
+  reporter.log()
 }
 
 /**
  * Log sync results summary
+ * @param {Reporter} reporter - Output reporter
  * @param {object} changes - Changes object from updateSettings
  * @param {string} settingsPath - Path to settings file
  */
-const logSyncResults = (changes, settingsPath) => {
+const logSyncResults = (reporter, changes, settingsPath) => {
   if (changes.added.length > 0 || changes.updated.length > 0) {
-    console.log(`Updated settings: ${settingsPath}`)
-    console.log(
+    reporter.log(`Updated settings: ${settingsPath}`)
+    reporter.log(
       `✓ ${changes.added.length} plugin${changes.added.length === 1 ? '' : 's'} added, ${changes.updated.length} updated\n`
     )
     if (changes.added.length > 0) {
-      console.log('  Restart Claude Code to load new plugins\n')
+      reporter.log('  Restart Claude Code to load new plugins\n')
     }
   }
   else {
-    console.log('All plugins already enabled.\n')
+    reporter.log('All plugins already enabled.\n')
   }
 }
 
+/**
+ * Log the settings changes a dry run found
+ * @param {Reporter} reporter - Output reporter
+ * @param {SettingsDiff} diff - Pending settings changes
+ * @param {StaleMarketplace[]} stale - Marketplaces that would be pruned
+ * @param {string} settingsPath - Path to settings file
+ */
+const logSettingsDiff = (reporter, diff, stale, settingsPath) => {
+  if (!hasSettingsChanges(diff) && stale.length === 0) {
+    reporter.log(`No changes pending for ${settingsPath}\n`)
+
+    return
+  }
+
+  reporter.log(`Pending changes to ${settingsPath}:`)
+
+  const { added, changed, moved, referencesUpdated } = diff.marketplaces
+  if (added.length + changed.length + moved.length + referencesUpdated.length + stale.length > 0) {
+    reporter.log('  Marketplaces:')
+    for (const { name, path } of added) {
+      reporter.log(`    + ${name} (${path})`)
+    }
+    for (const { name } of changed) {
+      reporter.log(`    ~ ${name} (plugins changed)`)
+    }
+    for (const { name, from, to } of moved) {
+      reporter.log(`    ~ ${name} (path ${from} -> ${to})`)
+    }
+    for (const { name, project } of referencesUpdated) {
+      reporter.log(`    ~ ${name} (record reference from ${project})`)
+    }
+    for (const { name, reason, project } of stale) {
+      reporter.log(
+        project === undefined ? `    - ${name} (${reason})` : `    ~ ${name} (drop reference from ${project}: ${reason})`
+      )
+    }
+  }
+
+  if (diff.enabled.length > 0) {
+    reporter.log('  Plugins enabled:')
+    for (const pluginKey of diff.enabled) {
+      reporter.log(`    + ${pluginKey}`)
+    }
+  }
+
+  reporter.log()
+}
+
 /**
  * Plugins sync command: Discover and enable plugins from dependencies
  * @param {object} options - Command options
  * @param {string} [options.path] - Project path (default: cwd)
- * @param {boolean} [options.quiet] - Suppress output (for hooks)
+ * @param {boolean} [options.noCache] - Ignore the scan cache and force a fresh scan
+ * @param {TransitiveScanOptions} [options.transitive] - Transitive discovery settings (override package.json)
+ * @param {boolean} [options.project] - Register plugins in the project's .claude/settings.json instead of global settings
+ * @param {boolean} [options.prune] - Also remove marketplaces whose packages were uninstalled
+ * @param {boolean} [options.dryRun] - Report pending changes without writing settings
+ * @param {string} [options.collisions] - Marketplace name collision policy (see COLLISION_POLICIES; overrides
+ *   package.json, default: newest)
+ * @param {boolean} [options.lock] - Record the registered marketplaces and plugins in the project's air-lock.json
+ * @param {boolean} [options.frozen] - Fail without changing settings if the registered marketplaces and plugins differ
+ *   from air-lock.json
+ * @param {boolean} [options.verify] - Fail without changing settings if the files of plugins enabled in global settings
+ *   changed without a package version change
+ * @param {boolean} [options.materialize] - Copy marketplaces into the store under the plugins directory and register
+ *   the copies, so settings survive node_modules being deleted or reinstalled (global settings only)
+ * @param {Reporter} [options.reporter] - Output reporter (default: text; use the silent reporter in hooks)
  * @param {ClaudePluginConfig} [options.config] - Config instance (for testing)
- * @returns {Promise<void>}
+ * @returns {Promise<SyncResult>} Sync result
+ * @throws {MarketplaceCollisionError} If packages declare the same marketplace name and the policy is 'fail'
+ * @throws {LockfileMismatchError} If the frozen option is set and the plugins differ from air-lock.json
+ * @throws {NotFoundError} If the frozen option is set and the project has no air-lock.json
+ * @throws {PluginIntegrityError} If the verify option is set and enabled plugins were modified
+ * @throws {UsageError} If materialization is requested for project settings, or both lock and frozen are set
  */
 export async function pluginsSyncCommand(options = {}) {
   const baseDir = options.path || process.cwd()
   const config = options.config || ClaudePluginConfig.createDefault()
-  const quiet = options.quiet || false
+  const reporter = options.reporter || createReporter()
+  const settingsPath = options.project ? getLocalSettingsPath(baseDir) : config.settingsPath
+  if (options.materialize && options.project) {
+    throw new UsageError('Materialization only applies to global settings; use either --materialize or --project')
+  }
+  if (options.lock && options.frozen) {
+    throw new UsageError('Use either --lock or --frozen')
+  }
+  const policy = await getCollisionPolicy(baseDir, options.collisions)
 
-  try {
-    if (!quiet) {
-      console.log('Scanning dependencies for Claude Code plugin marketplaces...')
-    }
+  reporter.log('Scanning dependencies for Claude Code plugin marketplaces...')
 
-    const providers = await scanDependencies(baseDir)
-    const totalPlugins = providers.reduce((sum, p) => sum + p.marketplaceDeclaration.plugins.length, 0)
+  const onWarning = reporter.warn
+  const scanOptions = { transitive : options.transitive }
+  const scanned = await loadProvidersWithCache(scanDependencies, baseDir, {
+    noCache : options.noCache,
+    dryRun  : options.dryRun,
+    scanOptions,
+    onWarning,
+  })
+  // Packages that only ship generic AIR integrations have no marketplace to register
+  const discovered = scanned.filter(
+    (provider) => !provider.synthesizedMarketplace || provider.marketplaceDeclaration.plugins.length > 0
+  )
+  const totalPlugins = discovered.reduce((sum, p) => sum + p.marketplaceDeclaration.plugins.length, 0)
 
-    if (!quiet) {
-      console.log(
-        `Found ${providers.length} marketplace${providers.length === 1 ? '' : 's'} with ${totalPlugins} plugin${totalPlugins === 1 ? '' : 's'}\n`
-      )
-    }
+  reporter.log(
+    `Found ${discovered.length} marketplace${discovered.length === 1 ? '' : 's'} with ${totalPlugins} plugin${totalPlugins === 1 ? '' : 's'}\n`
+  )
+  logGenericIntegrations(reporter, scanned)
+
+  const readOptions = { dryRun : options.dryRun, onWarning }
+  const registered = options.project
+    ? await readLocalMarketplaces(settingsPath, readOptions)
+    : (await readSettings(settingsPath, readOptions)).plugins.marketplaces
+  const { providers, collisions } = await resolveMarketplaceCollisions(discovered, registered, policy)
+  if (collisions.length > 0) {
+    logCollisions(reporter, collisions, policy)
+  }
+
+  const invalidPlugins = getInvalidPlugins(providers)
+  if (invalidPlugins.length > 0) {
+    logInvalidPlugins(reporter, invalidPlugins)
+  }
 
-    const changes = await updateSettings(config.settingsPath, providers)
+  let lockfile = null
+  if (options.lock || options.frozen) {
+    // Lock the project's own marketplaces: whatever else global or project settings hold must not change the lockfile
+    const { providers : projectProviders } = await resolveMarketplaceCollisions(discovered, {}, policy)
+    lockfile = await buildLockfile(projectProviders)
+  }
+  if (options.frozen) {
+    await checkLockfile(reporter, baseDir, lockfile)
+  }
+  const integrity = options.verify ? await verifyPlugins(reporter, config.settingsPath, readOptions) : null
+
+  // Materialized providers keep their package path for project tracking but are registered from their copy
+  const registrations = options.materialize
+    ? await Promise.all(
+      providers.map(async (provider) => ({
+        ...provider,
+        materializedPath : await materializeProvider(config.storeDir, provider, { dryRun : options.dryRun }),
+      }))
+    )
+    : providers
+
+  const updateOptions = { dryRun : options.dryRun, projectDir : path.resolve(baseDir), onWarning }
+  const pruneOptions = { projectDir : path.resolve(baseDir), scanOptions, onWarning }
+  const changes = options.project
+    ? await updateLocalSettings(settingsPath, registrations, updateOptions)
+    : await updateSettings(settingsPath, registrations, updateOptions)
+  const result = {
+    settingsPath,
+    marketplaces     : discovered.length,
+    plugins          : totalPlugins,
+    invalidPlugins,
+    collisions,
+    changes,
+    dryRun           : !!options.dryRun,
+    pendingChanges   : hasSettingsChanges(changes.diff),
+    pruned           : null,
+    removedFromStore : [],
+    lockfile         : options.frozen ? { path : getLockfilePath(baseDir), changed : false } : null,
+    integrity,
+  }
+  if (options.lock) {
+    result.lockfile = {
+      path    : getLockfilePath(baseDir),
+      changed : await writeLockfile(baseDir, lockfile, { dryRun : options.dryRun }),
+    }
+    logLockfile(reporter, result.lockfile, !!options.dryRun)
+  }
 
-    if (providers.length === 0) {
-      return
+  if (options.dryRun) {
+    if (options.prune) {
+      result.pruned = await pruneSettings(settingsPath, !!options.project, { ...pruneOptions, dryRun : true })
+      result.pendingChanges ||= result.pruned.stale.length > 0
     }
+    logSettingsDiff(reporter, changes.diff, result.pruned?.stale || [], settingsPath)
+
+    return result
+  }
+
+  // Register the marketplaces and their local plugins where Claude Code looks them up, unless they stay at another
+  // project's install
+  const registeredHere = registrations.filter(
+    (provider) => !changes.shared?.includes(provider.marketplaceDeclaration.name)
+  )
+  if (!options.project && registeredHere.length > 0) {
+    const { skipped } = await updateKnownMarketplaces(config.knownMarketplacesPath, registeredHere, { onWarning })
+    // The plugins of a marketplace registered from another source are Claude Code's to install
+    const installable = registeredHere.filter((provider) => !skipped.includes(provider.marketplaceDeclaration.name))
+    await updateInstalledPlugins(config.installedPluginsPath, installable, { onWarning })
+  }
 
-    if (!quiet) {
-      if (changes.added.length > 0) {
-        logAddedPlugins(changes.added, providers)
-      }
-      logSyncResults(changes, config.settingsPath)
+  if (changes.shared?.length > 0) {
+    logSharedMarketplaces(reporter, changes.shared)
+  }
+  if (providers.length > 0) {
+    if (changes.added.length > 0) {
+      logAddedPlugins(reporter, changes.added, providers)
     }
+    logSyncResults(reporter, changes, settingsPath)
   }
-  catch (error) {
-    if (!quiet) {
-      console.error(`Error: ${error.message}`)
+
+  if (options.prune) {
+    result.pruned = await pruneSettings(settingsPath, !!options.project, pruneOptions)
+    if (!options.project) {
+      await pruneRegistries(config, result.pruned, { onWarning })
     }
-    process.exit(1)
+    logPruneResults(reporter, result.pruned, settingsPath)
   }
+
+  if (!options.project && (options.materialize || options.prune)) {
+    result.removedFromStore = await collectStoreGarbage(config, { onWarning })
+    logStoreGarbage(reporter, result.removedFromStore, config.storeDir)
+  }
+
+  return result
 }
@@ -0,0 +1,94 @@
+import { createReporter } from '../reporter'
+import { ClaudePluginConfig } from '../storage/claude-config'
+import { acceptPluginIntegrity, readSettings } from '../storage/claude-settings'
+import { INTEGRITY_STATUSES } from '../types'
+import { checkPluginIntegrity } from '../utils/plugin-integrity'
+
+/**
+ * @import { PluginIntegrityCheck, Reporter } from '../types.js'
+ */
+
+/**
+ * @typedef {object} VerifyResult
+ * @property {string} settingsPath - Settings file whose plugins were checked
+ * @property {PluginIntegrityCheck[]} plugins - One check per enabled local plugin
+ * @property {string[]} modified - Keys of the plugins whose files changed without a package version change
+ * @property {string[]} accepted - Keys of the modified plugins whose new hash was recorded (accept option)
+ */
+
+/**
+ * Describe the result of an integrity check
+ * @param {PluginIntegrityCheck} check - Integrity check
+ * @returns {string} Description
+ */
+const describeCheck = ({ status, directory }) => {
+  switch (status) {
+    case INTEGRITY_STATUSES.MODIFIED:
+      return `files changed without a package version change (${directory})`
+    case INTEGRITY_STATUSES.UPDATED:
+      return 'package updated; run "air sync" to record its files'
+    case INTEGRITY_STATUSES.MISSING:
+      return `plugin directory not found (${directory})`
+    default:
+      return 'no recorded hash; run "air sync" to record its files'
+  }
+}
+
+/**
+ * Log the plugins whose files don't match their recorded hash
+ * @param {Reporter} reporter - Output reporter
+ * @param {PluginIntegrityCheck[]} checks - Integrity checks
+ */
+export const logIntegrityChecks = (reporter, checks) => {
+  if (checks.length === 0) {
+    reporter.log('No enabled local plugins to verify.\n')
+
+    return
+  }
+
+  const failed = checks.filter(({ status }) => status !== INTEGRITY_STATUSES.OK)
+  for (const check of failed) {
+    const symbol = check.status === INTEGRITY_STATUSES.MODIFIED ? '✗' : '!'
+    reporter.log(`  ${symbol} ${check.pluginKey}: ${describeCheck(check)}`)
+  }
+  if (failed.length > 0) {
+    reporter.log()
+  }
+
+  const unchanged = checks.length - failed.length
+  if (unchanged > 0) {
+    reporter.log(`✓ ${unchanged} plugin${unchanged === 1 ? '' : 's'} unchanged\n`)
+  }
+}
+
+/**
+ * Plugins verify command: Check the files of the enabled plugins against the hashes `air sync` recorded, to detect
+ * plugins changed on disk without a package version change
+ * @param {object} [options] - Command options
+ * @param {boolean} [options.accept] - Record the current hash of the modified plugins
+ * @param {Reporter} [options.reporter] - Output reporter (default: text)
+ * @param {ClaudePluginConfig} [options.config] - Config instance (for testing)
+ * @returns {Promise<VerifyResult>} Integrity checks and the modified plugins
+ */
+export async function pluginsVerifyCommand(options = {}) {
+  const config = options.config || ClaudePluginConfig.createDefault()
+  const reporter = options.reporter || createReporter()
+  const settingsPath = config.settingsPath
+
+  reporter.log(`Verifying enabled plugins in ${settingsPath}...`)
+  const readOptions = { onWarning : reporter.warn }
+  const checks = await checkPluginIntegrity(await readSettings(settingsPath, readOptions))
+  logIntegrityChecks(reporter, checks)
+
+  const modified = checks.filter(({ status }) => status === INTEGRITY_STATUSES.MODIFIED)
+  const accepted =
+    options.accept && modified.length > 0 ? await acceptPluginIntegrity(settingsPath, modified, readOptions) : []
+  if (accepted.length > 0) {
+    reporter.log(`✓ Recorded the current files of ${accepted.join(', ')}\n`)
+  }
+  else if (modified.length > 0) {
+    reporter.log('Reinstall the packages to restore their files, or accept the changes with "air plugins verify --accept"\n')
+  }
+
+  return { settingsPath, plugins : checks, modified : modified.map(({ pluginKey }) => pluginKey), accepted }
+}
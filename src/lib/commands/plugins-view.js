@@ -1,11 +1,13 @@
-/* eslint-disable no-console, no-process-exit */
+import { createReporter } from '../reporter'
 import { scanDependencies } from '../scanner'
+import { loadProvidersWithCache } from '../storage/cache'
 import { ClaudePluginConfig } from '../storage/claude-config'
 import { getPluginStates, readSettings } from '../storage/claude-settings'
-import { PLUGIN_STATUSES } from '../types'
+import { INTEGRATION_TYPES, PLUGIN_STATUSES } from '../types'
+import { formatOutput } from '../utils/format-output'
 
 /**
- * @import { MarketplaceProvider } from '../types.js'
+ * @import { ClaudeSettings, MarketplaceProvider, Reporter, TransitiveScanOptions } from '../types.js'
  */
 
 /**
@@ -13,47 +15,61 @@ import { PLUGIN_STATUSES } from '../types'
  * @param {object} options - Command options
  * @param {string} [options.path] - Project path (default: cwd)
  * @param {boolean} [options.all] - Show all plugins in settings
+ * @param {'text'|'yaml'|'table'} [options.format] - Output format (default: text); use the JSON reporter for JSON
+ * @param {boolean} [options.noCache] - Ignore the scan cache and force a fresh scan
+ * @param {TransitiveScanOptions} [options.transitive] - Transitive discovery settings (override package.json)
+ * @param {Reporter} [options.reporter] - Output reporter (default: text)
  * @param {ClaudePluginConfig} [options.config] - Config instance (for testing)
- * @returns {Promise<void>}
+ * @returns {Promise<object>} Plugin report (see buildProjectReport and buildAllReport)
  */
 export async function pluginsViewCommand(options = {}) {
   const baseDir = options.path || process.cwd()
   const config = options.config || ClaudePluginConfig.createDefault()
+  const reporter = options.reporter || createReporter()
 
-  try {
-    if (options.all) {
-      await viewAllPlugins(config.settingsPath)
-    }
-    else {
-      await viewProjectPlugins(baseDir, config.settingsPath)
-    }
-  }
-  catch (error) {
-    console.error(`Error: ${error.message}`)
-    process.exit(1)
-  }
+  return options.all
+    ? viewAllPlugins(config.settingsPath, options, reporter)
+    : viewProjectPlugins(baseDir, config.settingsPath, options, reporter)
 }
 
 /**
  * View plugins for specific project
  * @param {string} baseDir - Project directory
  * @param {string} settingsPath - Path to settings.json
- * @returns {Promise<void>}
+ * @param {object} options - Command options
+ * @param {'text'|'yaml'|'table'} [options.format] - Output format (default: text)
+ * @param {boolean} [options.noCache] - Ignore the scan cache and force a fresh scan
+ * @param {TransitiveScanOptions} [options.transitive] - Transitive discovery settings (override package.json)
+ * @param {Reporter} reporter - Output reporter
+ * @returns {Promise<object>} Project plugin report
  */
-async function viewProjectPlugins(baseDir, settingsPath) {
-  console.log(`\nDiscovered Claude Code Plugins in ${baseDir}\n`)
+async function viewProjectPlugins(baseDir, settingsPath, options, reporter) {
+  const format = options.format || 'text'
+  if (format === 'text') {
+    reporter.log(`\nDiscovered Claude Code Plugins in ${baseDir}\n`)
+  }
 
   // Scan dependencies
-  const providers = await scanDependencies(baseDir)
+  const providers = await loadProvidersWithCache(scanDependencies, baseDir, {
+    noCache     : options.noCache,
+    scanOptions : { transitive : options.transitive },
+    onWarning   : reporter.warn,
+  })
+  const settings = await readSettings(settingsPath, { onWarning : reporter.warn })
+  const report = buildProjectReport(baseDir, providers, settings)
+
+  if (format !== 'text') {
+    reporter.log(formatOutput(report, format, { rows : report.plugins, columns : PROJECT_COLUMNS }))
+
+    return report
+  }
 
   if (providers.length === 0) {
-    console.log('No Claude Code plugin marketplaces found in dependencies.\n')
+    reporter.log('No Claude Code plugin marketplaces found in dependencies.\n')
 
-    return
+    return report
   }
 
-  // Get settings and plugin states
-  const settings = await readSettings(settingsPath)
   const states = getPluginStates(providers, settings)
 
   // Display marketplaces and plugins
@@ -63,50 +79,191 @@ async function viewProjectPlugins(baseDir, settingsPath) {
 
   for (const provider of providers) {
     const marketplace = provider.marketplaceDeclaration
-    console.log(`Marketplace: ${marketplace.name} (from ${provider.packageName} v${provider.version})`)
+    const requiredBy = provider.requiredBy ? `, required by ${provider.requiredBy.join(', ')}` : ''
+    const via = provider.workspaces ? ` via ${provider.workspaces.join(', ')}` : ''
+    const origin = provider.synthesizedMarketplace ? 'AIR integrations in ' : ''
+    reporter.log(
+      `Marketplace: ${marketplace.name} (from ${origin}${provider.packageName} v${provider.version}${requiredBy}${via})`
+    )
 
     for (const plugin of marketplace.plugins) {
       const state = states.find((s) => s.name === plugin.name && s.marketplace === marketplace.name)
 
-      console.log(`  Plugin: ${plugin.name}`)
-      console.log(`    Status: ${formatStatus(state?.status || PLUGIN_STATUSES.NOT_INSTALLED)}`)
-      console.log(`    Source: ${typeof plugin.source === 'string' ? plugin.source : JSON.stringify(plugin.source)}`)
+      reporter.log(`  Plugin: ${plugin.name}`)
+      reporter.log(`    Status: ${formatStatus(state?.status || PLUGIN_STATUSES.NOT_INSTALLED)}`)
+      reporter.log(`    Source: ${typeof plugin.source === 'string' ? plugin.source : JSON.stringify(plugin.source)}`)
       if (plugin.description) {
-        console.log(`    Description: ${plugin.description}`)
+        reporter.log(`    Description: ${plugin.description}`)
+      }
+      const validation = provider.pluginValidation?.[plugin.name]
+      if (validation?.valid === false) {
+        reporter.log("    Errors (won't be enabled):")
+        for (const { message } of validation.errors) {
+          reporter.log(`      ✗ ${message}`)
+        }
       }
 
       if (state?.status === PLUGIN_STATUSES.ENABLED) enabledCount++
       else if (state?.status === PLUGIN_STATUSES.DISABLED) disabledCount++
       else notInstalledCount++
     }
-    console.log()
+
+    for (const integration of provider.integrations || []) {
+      reporter.log(`  Integration: ${integration.name} (${integration.types.map(formatIntegrationType).join(', ')})`)
+      if (integration.summary) {
+        reporter.log(`    Summary: ${integration.summary}`)
+      }
+    }
+    reporter.log()
   }
 
   // Summary
-  console.log(`Summary: ${enabledCount} enabled, ${disabledCount} disabled, ${notInstalledCount} available`)
+  reporter.log(`Summary: ${enabledCount} enabled, ${disabledCount} disabled, ${notInstalledCount} available`)
 
   // Restart warning if there are new plugins
   if (notInstalledCount > 0) {
-    console.log('\n  Run `air sync` to enable new plugins, then restart Claude Code\n')
+    reporter.log('\n  Run `air sync` to enable new plugins, then restart Claude Code\n')
+  }
+
+  return report
+}
+
+/**
+ * Table columns for the project view
+ */
+const PROJECT_COLUMNS = [
+  { header : 'PLUGIN', key : 'name' },
+  { header : 'MARKETPLACE', key : 'marketplace' },
+  { header : 'STATUS', key : 'status' },
+  { header : 'VERSION', key : 'version' },
+  { header : 'PACKAGE', key : 'packageName' },
+]
+
+/**
+ * Table columns for the all-plugins view
+ */
+const ALL_COLUMNS = [
+  { header : 'PLUGIN', key : 'key' },
+  { header : 'STATUS', key : 'status' },
+  { header : 'SOURCE', key : 'source' },
+]
+
+/**
+ * Build the structured project view: plugin states with the package that provides them, AIR integrations, and status
+ * counts
+ * @param {string} baseDir - Project directory
+ * @param {MarketplaceProvider[]} providers - Discovered marketplace providers
+ * @param {ClaudeSettings} settings - Settings object
+ * @returns {object} Project plugin report
+ */
+function buildProjectReport(baseDir, providers, settings) {
+  const plugins = providers.flatMap((provider) =>
+    getPluginStates([provider], settings).map((state) => ({
+      ...state,
+      packageName    : provider.packageName,
+      packageVersion : provider.version,
+      packagePath    : provider.path,
+      ...(provider.workspaces && { workspaces : provider.workspaces }),
+      ...(provider.requiredBy && { requiredBy : provider.requiredBy }),
+      ...(provider.pluginValidation?.[state.name]?.valid === false && {
+        errors : provider.pluginValidation[state.name].errors.map(({ message }) => message),
+      }),
+    })))
+  const integrations = providers.flatMap((provider) =>
+    (provider.integrations || []).map(({ id, name, summary, types }) => ({
+      id,
+      name,
+      summary,
+      types,
+      packageName    : provider.packageName,
+      packageVersion : provider.version,
+    })))
+  const countStatus = (status) => plugins.filter((plugin) => plugin.status === status).length
+
+  return {
+    project : baseDir,
+    plugins,
+    integrations,
+    summary : {
+      marketplaces : providers.length,
+      integrations : integrations.length,
+      enabled      : countStatus(PLUGIN_STATUSES.ENABLED),
+      disabled     : countStatus(PLUGIN_STATUSES.DISABLED),
+      available    : countStatus(PLUGIN_STATUSES.NOT_INSTALLED),
+    },
+  }
+}
+
+/**
+ * Get the source of a configured plugin from its marketplace entry
+ * @param {ClaudeSettings} settings - Settings object
+ * @param {string} pluginName - Plugin name
+ * @param {string} marketplaceName - Marketplace name
+ * @returns {string|null} Plugin source, or null if the marketplace isn't registered
+ */
+function getConfiguredSource(settings, pluginName, marketplaceName) {
+  const marketplace = settings.plugins.marketplaces[marketplaceName]
+  if (!marketplace) {
+    return null
+  }
+
+  return marketplace.plugins?.[pluginName]?.source || marketplace.source.path
+}
+
+/**
+ * Build the structured all-plugins view: every configured plugin with its source and status, and status counts
+ * @param {ClaudeSettings} settings - Settings object
+ * @returns {object} All-plugins report
+ */
+function buildAllReport(settings) {
+  const plugins = [...new Set([...settings.plugins.enabled, ...settings.plugins.disabled])].map((key) => {
+    const [name, marketplace] = key.split('@')
+
+    return {
+      key,
+      name,
+      marketplace : marketplace || null,
+      source      : getConfiguredSource(settings, name, marketplace),
+      status      : settings.plugins.enabled.includes(key) ? PLUGIN_STATUSES.ENABLED : PLUGIN_STATUSES.DISABLED,
+    }
+  })
+
+  return {
+    plugins,
+    summary : {
+      enabled  : plugins.filter((plugin) => plugin.status === PLUGIN_STATUSES.ENABLED).length,
+      disabled : plugins.filter((plugin) => plugin.status === PLUGIN_STATUSES.DISABLED).length,
+    },
   }
 }
 
 /**
  * View all plugins in settings (not just current project)
  * @param {string} settingsPath - Path to settings.json
- * @returns {Promise<void>}
+ * @param {object} options - Command options
+ * @param {'text'|'yaml'|'table'} [options.format] - Output format (default: text)
+ * @param {Reporter} reporter - Output reporter
+ * @returns {Promise<object>} All-plugins report
  */
-async function viewAllPlugins(settingsPath) {
-  console.log('\nAll Claude Code Plugins\n')
+async function viewAllPlugins(settingsPath, options, reporter) {
+  const format = options.format || 'text'
+  const settings = await readSettings(settingsPath, { onWarning : reporter.warn })
+  const report = buildAllReport(settings)
 
-  const settings = await readSettings(settingsPath)
+  if (format !== 'text') {
+    reporter.log(formatOutput(report, format, { rows : report.plugins, columns : ALL_COLUMNS }))
+
+    return report
+  }
+
+  reporter.log('\nAll Claude Code Plugins\n')
 
   const allPlugins = new Set([...settings.plugins.enabled, ...settings.plugins.disabled])
 
   if (allPlugins.size === 0) {
-    console.log('No plugins configured.\n')
+    reporter.log('No plugins configured.\n')
 
-    return
+    return report
   }
 
   let enabledCount = 0
@@ -120,24 +277,21 @@ async function viewAllPlugins(settingsPath) {
     const [pluginName, marketplaceName] = pluginKey.split('@')
 
     // Find source from marketplaces
-    let source = '(not found)'
-    const marketplace = settings.plugins.marketplaces[marketplaceName]
-    if (marketplace) {
-      const pluginMeta = marketplace.plugins[pluginName]
-      source = pluginMeta?.source || marketplace.source.path
-    }
+    const source = getConfiguredSource(settings, pluginName, marketplaceName) || '(not found)'
 
-    console.log(`Plugin: ${pluginKey}`)
-    console.log(`  Marketplace: ${marketplaceName || '(unknown)'}`)
-    console.log(`  Source: ${source}`)
-    console.log(`  Status: ${formatStatus(status)}`)
-    console.log()
+    reporter.log(`Plugin: ${pluginKey}`)
+    reporter.log(`  Marketplace: ${marketplaceName || '(unknown)'}`)
+    reporter.log(`  Source: ${source}`)
+    reporter.log(`  Status: ${formatStatus(status)}`)
+    reporter.log()
 
     if (isEnabled) enabledCount++
     else disabledCount++
   }
 
-  console.log(`Summary: ${enabledCount} enabled, ${disabledCount} disabled\n`)
+  reporter.log(`Summary: ${enabledCount} enabled, ${disabledCount} disabled\n`)
+
+  return report
 }
 
 /**
@@ -145,7 +299,7 @@ async function viewAllPlugins(settingsPath) {
  * @param {string} status - Plugin status
  * @returns {string} Formatted status string
  */
-function formatStatus(status) {
+export function formatStatus(status) {
   switch (status) {
     case PLUGIN_STATUSES.ENABLED:
       return '✓ Enabled'
@@ -157,3 +311,19 @@ function formatStatus(status) {
       return status
   }
 }
+
+/**
+ * Format an AIR integration type for display
+ * @param {string} type - Integration type (see INTEGRATION_TYPES)
+ * @returns {string} Human-readable type
+ */
+export function formatIntegrationType(type) {
+  switch (type) {
+    case INTEGRATION_TYPES.GENERIC:
+      return 'generic'
+    case INTEGRATION_TYPES.CLAUDE_SKILL:
+      return 'Claude Skill'
+    default:
+      return type
+  }
+}
@@ -0,0 +1,187 @@
+import fs from 'fs/promises'
+import readline from 'readline'
+
+import { AirError, NotFoundError, UsageError } from '../errors'
+import { createReporter } from '../reporter'
+import { getBackupPath, listBackups, restoreBackup } from '../storage/backup'
+import { ClaudePluginConfig } from '../storage/claude-config'
+import { getLocalSettingsPath } from '../storage/local-settings'
+import { parseJsonc } from '../utils/jsonc'
+import { diffPluginSettings, summarizePluginSettings } from '../utils/plugin-settings-summary'
+
+/**
+ * @import { Reporter } from '../types.js'
+ */
+
+/**
+ * @typedef {object} BackupSummary
+ * @property {number} index - Backup number (0 is the most recent)
+ * @property {string} path - Backup file path
+ * @property {Date} modifiedAt - When the backup was written
+ * @property {ReturnType<typeof summarizePluginSettings>|null} plugins - Plugin sections of the backup, or null if it
+ *   is malformed
+ */
+
+/**
+ * Get the settings file the command operates on
+ * @param {object} options - Command options
+ * @param {string} [options.path] - Project path (default: cwd)
+ * @param {boolean} [options.project] - Use the project's .claude/settings.json instead of global settings
+ * @param {ClaudePluginConfig} [options.config] - Config instance (for testing)
+ * @returns {string} Settings path
+ */
+const getTargetSettingsPath = (options) =>
+  options.project
+    ? getLocalSettingsPath(options.path || process.cwd())
+    : (options.config || ClaudePluginConfig.createDefault()).settingsPath
+
+/**
+ * Read and parse a settings file
+ * @param {string} filePath - Path to the settings file
+ * @returns {Promise<object|null>} Parsed settings, `{}` if the file doesn't exist, or null if it is malformed
+ */
+async function readSettingsFile(filePath) {
+  try {
+    return parseJsonc(await fs.readFile(filePath, 'utf8'))
+  }
+  catch (error) {
+    if (error.code === 'ENOENT') {
+      return {}
+    }
+    if (error instanceof SyntaxError) {
+      return null
+    }
+    throw error
+  }
+}
+
+/**
+ * Log a plugin settings diff
+ * @param {Reporter} reporter - Output reporter
+ * @param {ReturnType<typeof diffPluginSettings>} diff - Plugin settings diff
+ */
+const logPluginDiff = (reporter, diff) => {
+  const sections = Object.entries(diff).filter(([, { added, removed }]) => added.length + removed.length > 0)
+  if (sections.length === 0) {
+    reporter.log('  No plugin-related differences\n')
+
+    return
+  }
+
+  for (const [section, { added, removed }] of sections) {
+    reporter.log(`  ${section[0].toUpperCase()}${section.slice(1)}:`)
+    for (const entry of added) {
+      reporter.log(`    + ${entry}`)
+    }
+    for (const entry of removed) {
+      reporter.log(`    - ${entry}`)
+    }
+  }
+  reporter.log()
+}
+
+/**
+ * Ask the user to confirm on the terminal
+ * @param {string} question - Yes/no question
+ * @returns {Promise<boolean>} True if the user answered yes
+ */
+async function confirm(question) {
+  const rl = readline.createInterface({ input : process.stdin, output : process.stdout })
+  const answer = await new Promise((resolve) => rl.question(`${question} [y/N] `, resolve))
+  rl.close()
+
+  return /^y(es)?$/i.test(answer.trim())
+}
+
+/**
+ * Settings backups command: List the rotated backups of the settings file with a summary of their plugin sections
+ * @param {object} options - Command options
+ * @param {string} [options.path] - Project path (default: cwd)
+ * @param {boolean} [options.project] - List backups of the project's .claude/settings.json instead of global settings
+ * @param {Reporter} [options.reporter] - Output reporter (default: text)
+ * @param {ClaudePluginConfig} [options.config] - Config instance (for testing)
+ * @returns {Promise<{settingsPath: string, backups: BackupSummary[]}>} Backups, most recent first
+ */
+export async function settingsBackupsCommand(options = {}) {
+  const settingsPath = getTargetSettingsPath(options)
+  const reporter = options.reporter || createReporter()
+
+  const backups = await Promise.all(
+    (await listBackups(settingsPath)).map(async (backup) => {
+      const settings = await readSettingsFile(backup.path)
+
+      return { ...backup, plugins : settings === null ? null : summarizePluginSettings(settings) }
+    })
+  )
+  if (backups.length === 0) {
+    reporter.log(`No backups of ${settingsPath}\n`)
+
+    return { settingsPath, backups }
+  }
+
+  reporter.log(`\nBackups of ${settingsPath}\n`)
+  for (const backup of backups) {
+    let summary = 'malformed JSON'
+    if (backup.plugins !== null) {
+      const { marketplaces, enabled, disabled } = backup.plugins
+      summary = `${marketplaces.length} marketplaces, ${enabled.length} enabled, ${disabled.length} disabled`
+    }
+
+    reporter.log(`  [${backup.index}] ${backup.modifiedAt.toISOString()}  ${summary}`)
+  }
+  reporter.log('\n  Restore one with `air settings restore <n>`\n')
+
+  return { settingsPath, backups }
+}
+
+/**
+ * Settings restore command: Preview and restore a backup of the settings file. The current file is backed up first.
+ * @param {number} [index] - Backup to restore (default: 0, the most recent)
+ * @param {object} [options] - Command options
+ * @param {string} [options.path] - Project path (default: cwd)
+ * @param {boolean} [options.project] - Restore the project's .claude/settings.json instead of global settings
+ * @param {boolean} [options.yes] - Restore without asking for confirmation
+ * @param {Reporter} [options.reporter] - Output reporter (default: text)
+ * @param {ClaudePluginConfig} [options.config] - Config instance (for testing)
+ * @returns {Promise<{settingsPath: string, index: number, restored: boolean}>} Whether the backup was restored (false
+ *   if the user cancelled)
+ * @throws {NotFoundError} If there is no such backup
+ * @throws {UsageError} If confirmation is needed but stdin isn't a terminal
+ * @throws {AirError} If the backup is malformed
+ */
+export async function settingsRestoreCommand(index = 0, options = {}) {
+  const settingsPath = getTargetSettingsPath(options)
+  const reporter = options.reporter || createReporter()
+
+  const backups = await listBackups(settingsPath)
+  if (!backups.some((backup) => backup.index === index)) {
+    const available = backups.map((backup) => backup.index).join(', ') || 'none'
+    throw new NotFoundError(`No backup ${index} of ${settingsPath} (available: ${available})`)
+  }
+
+  const backupSettings = await readSettingsFile(getBackupPath(settingsPath, index))
+  if (backupSettings === null) {
+    throw new AirError(`Backup ${index} is not valid JSON; refusing to restore it`)
+  }
+  const currentSettings = (await readSettingsFile(settingsPath)) || {}
+
+  reporter.log(`\nRestoring backup ${index} of ${settingsPath} would change:\n`)
+  logPluginDiff(reporter, diffPluginSettings(currentSettings, backupSettings))
+
+  if (!options.yes) {
+    if (!process.stdin.isTTY) {
+      throw new UsageError('Not running interactively; pass --yes to restore without confirmation')
+    }
+    if (!(await confirm('Restore this backup?'))) {
+      reporter.log('Restore cancelled.\n')
+
+      return { settingsPath, index, restored : false }
+    }
+  }
+
+  await restoreBackup(settingsPath, index)
+  reporter.log(`✓ Restored ${settingsPath} from backup ${index} (previous settings saved as backup 0)`)
+  reporter.log('  Restart Claude Code to apply the change\n')
+
+  return { settingsPath, index, restored : true }
+}
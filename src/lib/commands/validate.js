@@ -0,0 +1,118 @@
+import fs from 'fs/promises'
+import path from 'path'
+
+import { createReporter } from '../reporter'
+import { validateMarketplaceSchema } from '../schemas/marketplace-validator'
+import { validateProviderPlugins } from '../utils/plugin-validation'
+
+/**
+ * @import { Reporter } from '../types.js'
+ */
+
+/**
+ * @typedef {object} PackageValidation
+ * @property {string} marketplacePath - Path to the package's .claude-plugin/marketplace.json
+ * @property {string|null} marketplaceName - Marketplace name, if it could be read
+ * @property {{field: string, message: string}[]} errors - marketplace.json errors
+ * @property {{name: string, checked: boolean, errors: {field: string, message: string}[]}[]} plugins - Per-plugin
+ *   results; remote plugins aren't checked
+ * @property {boolean} valid - True if there are no errors at all
+ */
+
+/**
+ * Validate a plugin-providing package the way discovery will see it: the marketplace.json schema, each strict plugin's
+ * .claude-plugin/plugin.json, and the command, agent, hook and MCP server files plugins reference
+ * @param {string} packageDir - Package directory
+ * @returns {Promise<PackageValidation>} Validation results
+ */
+export async function validatePackage(packageDir) {
+  const marketplacePath = path.join(packageDir, '.claude-plugin', 'marketplace.json')
+  const result = { marketplacePath, marketplaceName : null, errors : [], plugins : [], valid : false }
+
+  let declaration
+  try {
+    declaration = JSON.parse(await fs.readFile(marketplacePath, 'utf8'))
+  }
+  catch (error) {
+    if (error.code === 'ENOENT') {
+      result.errors.push({ field : '(root)', message : 'File not found' })
+
+      return result
+    }
+    if (error instanceof SyntaxError) {
+      result.errors.push({ field : '(root)', message : `Malformed JSON: ${error.message}` })
+
+      return result
+    }
+    throw error
+  }
+
+  result.marketplaceName = typeof declaration?.name === 'string' ? declaration.name : null
+  const schemaResult = validateMarketplaceSchema(declaration)
+  if (!schemaResult.valid) {
+    result.errors = schemaResult.errors.map(({ field, message }) => ({ field, message }))
+
+    return result
+  }
+
+  const provider = { path : await fs.realpath(packageDir), marketplaceDeclaration : declaration }
+  const pluginValidation = await validateProviderPlugins(provider)
+  result.plugins = declaration.plugins.map((plugin) => ({
+    name    : plugin.name,
+    checked : typeof plugin.source === 'string',
+    errors  : pluginValidation[plugin.name]?.errors || [],
+  }))
+  result.valid = result.plugins.every(({ errors }) => errors.length === 0)
+
+  return result
+}
+
+/**
+ * Log a list of field-level errors
+ * @param {Reporter} reporter - Output reporter
+ * @param {{field: string, message: string}[]} errors - Errors to log
+ */
+const logErrors = (reporter, errors) => {
+  for (const { field, message } of errors) {
+    reporter.log(`    ✗ ${field}: ${message}`)
+  }
+}
+
+/**
+ * Validate command: Check a package's marketplace.json, plugin manifests and referenced files before publishing
+ * @param {object} [options] - Command options
+ * @param {string} [options.path] - Package path (default: cwd)
+ * @param {Reporter} [options.reporter] - Output reporter (default: text)
+ * @returns {Promise<PackageValidation>} Validation results; the CLI exits 1 unless `valid`
+ */
+export async function validateCommand(options = {}) {
+  const packageDir = path.resolve(options.path || process.cwd())
+  const reporter = options.reporter || createReporter()
+
+  const result = await validatePackage(packageDir)
+
+  reporter.log(`\nValidating ${result.marketplacePath}\n`)
+
+  const marketplaceLabel = result.marketplaceName || 'marketplace.json'
+  reporter.log(`  ${result.errors.length === 0 ? '✓' : '✗'} Marketplace ${marketplaceLabel}`)
+  logErrors(reporter, result.errors)
+
+  for (const plugin of result.plugins) {
+    if (!plugin.checked) {
+      reporter.log(`  • Plugin ${plugin.name} (remote source; not checked)`)
+      continue
+    }
+    reporter.log(`  ${plugin.errors.length === 0 ? '✓' : '✗'} Plugin ${plugin.name}`)
+    logErrors(reporter, plugin.errors)
+  }
+
+  const errorCount = result.errors.length + result.plugins.reduce((sum, { errors }) => sum + errors.length, 0)
+  if (errorCount > 0) {
+    reporter.log(`\n✗ Validation failed with ${errorCount} error${errorCount === 1 ? '' : 's'}\n`)
+  }
+  else {
+    reporter.log('\n✓ Package is valid\n')
+  }
+
+  return result
+}
@@ -0,0 +1,78 @@
+/**
+ * @import { MarketplaceCollision, PluginIntegrityCheck } from './types.js'
+ */
+
+/**
+ * Base class for errors that are reported to the user as-is: the CLI prints the message (without a stack trace) and
+ * exits with `exitCode`. Any other error is unexpected and also exits 1.
+ */
+export class AirError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {object} [options] - Error options
+   * @param {number} [options.exitCode] - Process exit code (default: 1)
+   * @param {Error} [options.cause] - Underlying error
+   */
+  constructor(message, options = {}) {
+    super(message, options.cause ? { cause : options.cause } : undefined)
+    this.name = new.target.name
+    this.exitCode = options.exitCode ?? 1
+  }
+}
+
+/**
+ * An argument or option is invalid, ambiguous or can't be used in the current context
+ */
+export class UsageError extends AirError {}
+
+/**
+ * A plugin, integration, package or backup the user asked for doesn't exist
+ */
+export class NotFoundError extends AirError {}
+
+/**
+ * A file lock couldn't be acquired in time
+ */
+export class LockTimeoutError extends AirError {}
+
+/**
+ * Packages declare the same marketplace name and the collision policy is 'fail'
+ */
+export class MarketplaceCollisionError extends AirError {
+  /**
+   * @param {string} message - Error message
+   * @param {MarketplaceCollision[]} collisions - The collisions found
+   */
+  constructor(message, collisions) {
+    super(message)
+    this.collisions = collisions
+  }
+}
+
+/**
+ * The discovered plugins differ from the ones recorded in air-lock.json (`air sync --frozen`)
+ */
+export class LockfileMismatchError extends AirError {
+  /**
+   * @param {string} message - Error message
+   * @param {string[]} differences - Descriptions of each difference
+   */
+  constructor(message, differences) {
+    super(message)
+    this.differences = differences
+  }
+}
+
+/**
+ * Enabled plugins' files changed without a package version change (`air sync --verify`)
+ */
+export class PluginIntegrityError extends AirError {
+  /**
+   * @param {string} message - Error message
+   * @param {PluginIntegrityCheck[]} plugins - Checks of the modified plugins
+   */
+  constructor(message, plugins) {
+    super(message)
+    this.plugins = plugins
+  }
+}
@@ -0,0 +1,55 @@
+/**
+ * Public programmatic API. Everything exported here is stable across minor versions; modules under src/lib that aren't
+ * re-exported are internal. None of these functions print results or exit the process: they return structured results
+ * and throw on error. Warnings, such as malformed files that can be recovered from, go to the `onWarning` handler in the
+ * options of the functions that may raise them (a `WarningHandler` taking the message); without one, they are printed
+ * to stderr.
+ */
+
+// Discovery
+export { CONFIG_FIELD, scanDependencies } from './scanner'
+export { loadProvidersWithCache } from './storage/cache'
+export { parseAirIntegrations } from './parsers/air-integrations'
+export { resolveMarketplaceCollisions } from './utils/marketplace-collisions'
+
+// Settings and registries
+export { ClaudePluginConfig } from './storage/claude-config'
+export {
+  acceptPluginIntegrity,
+  getPluginState,
+  getPluginStates,
+  readSettings,
+  setPluginState,
+  updateSettings
+} from './storage/claude-settings'
+export {
+  getLocalSettingsPath,
+  readLocalMarketplaces,
+  readLocalSettings,
+  updateLocalSettings
+} from './storage/local-settings'
+export { readKnownMarketplaces, removeKnownMarketplaces, updateKnownMarketplaces } from './storage/known-marketplaces'
+export { readInstalledPlugins, removeInstalledPlugins, updateInstalledPlugins } from './storage/installed-plugins'
+export { pruneSettings } from './commands/plugins-prune'
+export { buildLockfile, diffLockfiles, readLockfile } from './storage/lockfile'
+export { checkPluginIntegrity } from './utils/plugin-integrity'
+
+// Validation
+export { parseMarketplaceJson, validateMarketplaceJson } from './parsers/marketplace-json'
+export { validatePluginJson } from './parsers/plugin-json'
+export { getInvalidPlugins, validateProviderPlugins } from './utils/plugin-validation'
+export { validatePackage } from './commands/validate'
+
+// Errors thrown by the functions above that are meant to be shown to users
+export {
+  AirError,
+  LockfileMismatchError,
+  LockTimeoutError,
+  MarketplaceCollisionError,
+  NotFoundError,
+  PluginIntegrityError,
+  UsageError
+} from './errors'
+
+// Constants, type guards and (in the generated declarations) the JSDoc typedefs
+export * from './types'
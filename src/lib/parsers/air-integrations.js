@@ -0,0 +1,148 @@
+import fs from 'fs/promises'
+import path from 'path'
+
+import { INTEGRATION_TYPES } from '../types'
+import { parseFrontmatter } from '../utils/frontmatter'
+
+/**
+ * @import { AirIntegration, MarketplaceDeclaration } from '../types.js'
+ */
+
+/**
+ * Location of AIR integrations, relative to the package directory
+ */
+export const INTEGRATIONS_DIR = 'ai-ready/integrations'
+
+/**
+ * File marking a generic integration, relative to the integration directory
+ */
+export const GENERIC_INTEGRATION_FILE = 'AI_INTEGRATION.md'
+
+/**
+ * Directory holding an integration's Claude Skill, relative to the integration directory
+ */
+export const CLAUDE_SKILL_DIR = 'claude-skill'
+
+/**
+ * Read the frontmatter of an integration's metadata file
+ * @param {string} filePath - Path to AI_INTEGRATION.md or SKILL.md
+ * @returns {Promise<object|null>} Frontmatter (`{}` if the file has none), or null if the file doesn't exist
+ */
+async function readMetadata(filePath) {
+  try {
+    return parseFrontmatter(await fs.readFile(filePath, 'utf8')) || {}
+  }
+  catch (error) {
+    if (error.code === 'ENOENT' || error.code === 'ENOTDIR') {
+      return null
+    }
+    throw error
+  }
+}
+
+/**
+ * Convert a name to kebab-case (e.g., 'DualTypeIntegration' -> 'dual-type-integration', '@org/lib' -> 'org-lib')
+ * @param {string} name - Name to convert
+ * @returns {string} Kebab-case name
+ */
+export const toKebabCase = (name) =>
+  name
+    .replace(/([a-z0-9])([A-Z])/g, '$1-$2')
+    .replace(/[^a-zA-Z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .toLowerCase()
+
+/**
+ * Get the name of the plugin synthesized for an integration's Claude Skill
+ * @param {AirIntegration} integration - Integration
+ * @returns {string} Plugin name (the kebab-cased integration directory name)
+ */
+export const getIntegrationPluginName = (integration) => toKebabCase(integration.dirName)
+
+/**
+ * Discover the AIR integrations of a package: each directory under ai-ready/integrations with an AI_INTEGRATION.md
+ * (generic integration) and/or a claude-skill/SKILL.md (Claude Skill). Name and summary come from the frontmatter,
+ * preferring AI_INTEGRATION.md over SKILL.md. Directories with neither file are ignored.
+ * @param {string} packagePath - Absolute path to the package directory
+ * @param {string} packageName - Package name, used to build integration ids
+ * @returns {Promise<AirIntegration[]>} Integrations sorted by directory name (empty if the package has none)
+ */
+export async function parseAirIntegrations(packagePath, packageName) {
+  const integrationsPath = path.join(packagePath, INTEGRATIONS_DIR)
+
+  let entries
+  try {
+    entries = await fs.readdir(integrationsPath, { withFileTypes : true })
+  }
+  catch (error) {
+    if (error.code === 'ENOENT' || error.code === 'ENOTDIR') {
+      return []
+    }
+    throw error
+  }
+
+  const dirNames = entries
+    .filter((entry) => entry.isDirectory())
+    .map((entry) => entry.name)
+    .sort()
+
+  const integrations = await Promise.all(
+    dirNames.map(async (dirName) => {
+      const integrationPath = path.join(integrationsPath, dirName)
+      const [generic, skill] = await Promise.all([
+        readMetadata(path.join(integrationPath, GENERIC_INTEGRATION_FILE)),
+        readMetadata(path.join(integrationPath, CLAUDE_SKILL_DIR, 'SKILL.md')),
+      ])
+
+      const types = []
+      if (generic !== null) types.push(INTEGRATION_TYPES.GENERIC)
+      if (skill !== null) types.push(INTEGRATION_TYPES.CLAUDE_SKILL)
+      if (types.length === 0) {
+        return null
+      }
+
+      const metadata = { ...skill, ...generic }
+
+      return {
+        id      : `${packageName}/${dirName}`,
+        dirName,
+        name    : typeof metadata.name === 'string' && metadata.name ? metadata.name : dirName,
+        summary : typeof metadata.summary === 'string' ? metadata.summary : '',
+        path    : integrationPath,
+        types,
+      }
+    })
+  )
+
+  return integrations.filter((integration) => integration !== null)
+}
+
+/**
+ * Synthesize a marketplace declaration for a package that ships AIR integrations but no marketplace.json. Each
+ * integration with a Claude Skill becomes a non-strict plugin rooted at its integration directory.
+ * @param {object} pkg - Package details
+ * @param {string} pkg.packageName - Package name
+ * @param {string} pkg.version - Package version
+ * @param {string|{name?: string}} [pkg.author] - package.json author
+ * @param {AirIntegration[]} integrations - The package's integrations
+ * @returns {MarketplaceDeclaration} Marketplace declaration named after the package
+ */
+export function synthesizeMarketplace({ packageName, version, author }, integrations) {
+  const ownerName = typeof author === 'string' ? author.replace(/\s*[<(].*$/, '') : author?.name
+
+  return {
+    name     : toKebabCase(packageName),
+    owner    : { name : ownerName || packageName },
+    metadata : { description : `AIR integrations from ${packageName}`, version },
+    plugins  : integrations
+      .filter((integration) => integration.types.includes(INTEGRATION_TYPES.CLAUDE_SKILL))
+      .map((integration) => ({
+        name   : getIntegrationPluginName(integration),
+        source : `./${INTEGRATIONS_DIR}/${integration.dirName}`,
+        ...(integration.summary && { description : integration.summary }),
+        version,
+        strict : false,
+        skills : [`./${CLAUDE_SKILL_DIR}`],
+      })),
+  }
+}
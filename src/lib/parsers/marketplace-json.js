@@ -1,17 +1,22 @@
 import fs from 'fs/promises'
 
+import { warnToConsole } from '../reporter'
 import { formatValidationSummary, validateMarketplaceSchema } from '../schemas/marketplace-validator'
 
 /**
  * @typedef {import('../schemas/marketplace-validator').ValidationResult} ValidationResult
+ * @typedef {import('../types.js').WarningHandler} WarningHandler
  */
 
 /**
  * Parse and validate a marketplace.json file
  * @param {string} filePath - Absolute path to marketplace.json
+ * @param {object} [options] - Options
+ * @param {WarningHandler} [options.onWarning] - Receives warnings about invalid or malformed files (default: stderr)
  * @returns {Promise<object|null>} Parsed declaration or null if invalid
  */
-export async function parseMarketplaceJson(filePath) {
+export async function parseMarketplaceJson(filePath, options = {}) {
+  const { onWarning = warnToConsole } = options
   try {
     const content = await fs.readFile(filePath, 'utf8')
     const data = JSON.parse(content)
@@ -21,8 +26,7 @@ export async function parseMarketplaceJson(filePath) {
       return data
     }
 
-    // eslint-disable-next-line no-console
-    console.warn(`Invalid marketplace.json at ${filePath}:\n${formatValidationSummary(result.errors)}`)
+    onWarning(`Invalid marketplace.json at ${filePath}:\n${formatValidationSummary(result.errors)}`)
 
     return null
   }
@@ -32,8 +36,7 @@ export async function parseMarketplaceJson(filePath) {
     }
 
     if (error instanceof SyntaxError) {
-      // eslint-disable-next-line no-console
-      console.warn(`Malformed JSON in ${filePath}: ${error.message}`)
+      onWarning(`Malformed JSON in ${filePath}: ${error.message}`)
 
       return null
     }
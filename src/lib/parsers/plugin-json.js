@@ -0,0 +1,49 @@
+import fs from 'fs/promises'
+import path from 'path'
+
+import { validatePluginManifestSchema } from '../schemas/marketplace-validator'
+
+/**
+ * @typedef {import('../schemas/marketplace-validator').ValidationResult} ValidationResult
+ */
+
+/**
+ * Location of a plugin's manifest, relative to the plugin directory
+ */
+export const PLUGIN_MANIFEST_PATH = path.join('.claude-plugin', 'plugin.json')
+
+/**
+ * Load and validate a plugin's .claude-plugin/plugin.json
+ * @param {string} pluginDir - Absolute path to the plugin directory
+ * @returns {Promise<ValidationResult & {manifest: object|null}>} Validation result and the parsed manifest (null if
+ *   missing or malformed); a missing or malformed manifest is reported as an error
+ */
+export async function validatePluginJson(pluginDir) {
+  const manifestPath = path.join(pluginDir, PLUGIN_MANIFEST_PATH)
+
+  let data
+  try {
+    data = JSON.parse(await fs.readFile(manifestPath, 'utf8'))
+  }
+  catch (error) {
+    if (error.code === 'ENOENT') {
+      return {
+        valid    : false,
+        errors   : [{ field : '(root)', message : `Missing ${PLUGIN_MANIFEST_PATH}` }],
+        manifest : null,
+      }
+    }
+
+    if (error instanceof SyntaxError) {
+      return {
+        valid    : false,
+        errors   : [{ field : '(root)', message : `Malformed JSON in ${PLUGIN_MANIFEST_PATH}: ${error.message}` }],
+        manifest : null,
+      }
+    }
+
+    throw error
+  }
+
+  return { ...validatePluginManifestSchema(data), manifest : data }
+}
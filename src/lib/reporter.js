@@ -0,0 +1,48 @@
+/* eslint-disable no-console */
+
+/**
+ * @import { Reporter } from './types.js'
+ */
+
+/**
+ * Available reporters: 'text' prints human-readable output, 'json' prints only the command's result as JSON, and
+ * 'silent' prints nothing (for hooks)
+ */
+export const REPORTER_KINDS = ['text', 'json', 'silent']
+
+const noop = () => {}
+
+/**
+ * Print a warning to stderr: the text reporter's `warn`, and the warning handler of library functions called without
+ * one
+ * @param {string} message - Warning
+ */
+export const warnToConsole = (message) => console.warn(message)
+
+/**
+ * Create a reporter, the only channel through which commands produce output
+ * @param {'text'|'json'|'silent'} [kind] - Reporter kind (default: text)
+ * @returns {Reporter} Reporter
+ */
+export function createReporter(kind = 'text') {
+  switch (kind) {
+    case 'text':
+      return {
+        log    : (message = '') => console.log(message),
+        warn   : warnToConsole,
+        error  : (message) => console.error(message),
+        result : noop,
+      }
+    case 'json':
+      return {
+        log    : noop,
+        warn   : (message) => console.error(message),
+        error  : (message) => console.error(message),
+        result : (data) => console.log(JSON.stringify(data, null, 2)),
+      }
+    case 'silent':
+      return { log : noop, warn : noop, error : noop, result : noop }
+    default:
+      throw new Error(`Unknown reporter '${kind}'; expected one of: ${REPORTER_KINDS.join(', ')}`)
+  }
+}
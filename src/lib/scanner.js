@@ -1,20 +1,34 @@
 import fs from 'fs/promises'
 import path from 'path'
 
+import { parseAirIntegrations, synthesizeMarketplace } from './parsers/air-integrations'
 import { parseMarketplaceJson } from './parsers/marketplace-json'
+import { warnToConsole } from './reporter'
+import { validateProviderPlugins } from './utils/plugin-validation'
+import { resolvePackagePath } from './utils/resolve-package'
+import { findWorkspaces } from './utils/workspaces'
 
 /**
- * @import { MarketplaceProvider } from './types.js'
+ * @import { MarketplaceProvider, ScanOptions, WarningHandler } from './types.js'
  */
 
 /**
- * Scan direct dependencies for packages with .claude-plugin/marketplace.json
- * Only scans packages listed in dependencies and devDependencies in package.json
+ * Name of the package.json field holding ai-ready project configuration
+ */
+export const CONFIG_FIELD = 'ai-ready'
+
+/**
+ * Scan direct dependencies for packages with .claude-plugin/marketplace.json or AIR integrations (ai-ready/integrations)
+ * Only scans packages listed in dependencies and devDependencies in package.json. If the project declares workspaces
+ * (npm/yarn `workspaces` or `pnpm-workspace.yaml`), the direct dependencies of every workspace package are scanned too.
+ * Transitive dependencies are only scanned when opted into through `options.transitive` or the `transitive` setting
+ * of the package.json "ai-ready" field.
  * @param {string} baseDir - Project root directory
+ * @param {ScanOptions} [options] - Scan options
  * @returns {Promise<MarketplaceProvider[]>} Discovered marketplace providers
  */
-export async function scanDependencies(baseDir = process.cwd()) {
-  const nodeModulesPath = path.resolve(baseDir, 'node_modules')
+export async function scanDependencies(baseDir = process.cwd(), options = {}) {
+  const { onWarning = warnToConsole } = options
   const packageJsonPath = path.resolve(baseDir, 'package.json')
 
   // Read package.json to get dependency list
@@ -30,71 +44,240 @@ export async function scanDependencies(baseDir = process.cwd()) {
     throw error // Malformed package.json should be reported
   }
 
-  // Get list of direct dependencies
-  const dependencies = {
-    ...packageJson.dependencies,
-    ...packageJson.devDependencies,
-  }
-  const dependencyNames = Object.keys(dependencies)
+  const rootDir = path.resolve(baseDir)
+  const workspaces = await findWorkspaces(rootDir, packageJson, { onWarning })
+  const packages = [
+    { name : packageJson.name || path.basename(rootDir), dir : rootDir, packageJson },
+    ...workspaces,
+  ]
 
-  if (dependencyNames.length === 0) {
-    return [] // No dependencies
-  }
+  // Resolve every (package, dependency) pair; the same dependency may resolve to different installs (nested vs.
+  // hoisted), and the same install may be pulled in by several workspaces
+  const resolutions = await Promise.all(
+    packages.flatMap((pkg) =>
+      getDependencyNames(pkg.packageJson).map(async (dependencyName) => ({
+        workspace   : pkg.name,
+        packagePath : await resolvePackagePath(dependencyName, { fromDir : pkg.dir, rootDir, onWarning }),
+      })))
+  )
 
-  // Check if node_modules exists
-  try {
-    await fs.access(nodeModulesPath)
-  }
-  catch {
-    return [] // No node_modules directory
+  /** @type {Map<string, {workspaces: Set<string>, requiredBy: Set<string>}>} */
+  const discovered = new Map()
+  for (const { workspace, packagePath } of resolutions) {
+    if (packagePath === null) {
+      continue // Not installed
+    }
+    if (!discovered.has(packagePath)) {
+      discovered.set(packagePath, { workspaces : new Set(), requiredBy : new Set() })
+    }
+    discovered.get(packagePath).workspaces.add(workspace)
   }
 
-  // Scan only listed dependencies
-  const packagePaths = dependencyNames.map((name) => path.join(nodeModulesPath, name))
+  const transitive = getTransitiveOptions(packageJson, options)
+  if (transitive !== null) {
+    await discoverTransitive(discovered, transitive, rootDir, onWarning)
+  }
 
   // Scan packages in parallel
-  const results = await Promise.all(packagePaths.map((pkg) => scanPackage(pkg)))
+  const packagePaths = [...discovered.keys()]
+  const results = await Promise.all(packagePaths.map((pkg) => scanPackage(pkg, onWarning)))
 
-  // Filter out null results (packages without marketplaces)
-  return results.filter((provider) => provider !== null)
+  // Filter out null results (packages without marketplaces or integrations)
+  return results
+    .map((provider, i) => {
+      if (provider === null) {
+        return null
+      }
+
+      const { workspaces : pulledInBy, requiredBy } = discovered.get(packagePaths[i])
+      if (workspaces.length > 0) {
+        provider.workspaces = [...pulledInBy]
+      }
+      if (requiredBy.size > 0) {
+        provider.requiredBy = [...requiredBy]
+      }
+
+      return provider
+    })
+    .filter((provider) => provider !== null)
 }
 
 /**
- * Scan a single package for marketplace declaration
- * @param {string} packagePath - Absolute path to package
- * @returns {Promise<MarketplaceProvider|null>} Provider or null if no marketplace
+ * Determine the effective transitive scan settings. Explicit options take precedence over the package.json
+ * "ai-ready" field. An allowlist without a depth walks the allowed packages to any depth.
+ * @param {object} packageJson - Parsed root package.json
+ * @param {ScanOptions} options - Scan options
+ * @returns {{depth: number, allow: string[]}|null} Transitive settings, or null if only direct dependencies are scanned
  */
-async function scanPackage(packagePath) {
-  const marketplacePath = path.join(packagePath, '.claude-plugin', 'marketplace.json')
+function getTransitiveOptions(packageJson, options) {
+  const config = { ...packageJson[CONFIG_FIELD]?.transitive, ...options.transitive }
+  const allow = config.allow?.length > 0 ? config.allow : []
+  const depth = config.depth ?? (allow.length > 0 ? Infinity : 1)
 
-  // Try to parse marketplace.json
-  const declaration = await parseMarketplaceJson(marketplacePath)
-  if (!declaration) {
+  if (depth <= 1) {
     return null
   }
 
-  // Read package.json for version
-  const packageJsonPath = path.join(packagePath, 'package.json')
-  let packageName = path.basename(packagePath)
-  let version = 'unknown'
+  return { depth, allow }
+}
+
+/**
+ * Check a package name against an allowlist of patterns like '@our-org/*' or 'exact-name'
+ * @param {string} packageName - Package name
+ * @param {string[]} patterns - Allowlist patterns; an empty list allows everything
+ * @returns {boolean} True if the package may be scanned
+ */
+function isAllowed(packageName, patterns) {
+  if (patterns.length === 0) {
+    return true
+  }
+
+  return patterns.some((pattern) => {
+    const expression = pattern.replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/\\\*/g, '.*')
+
+    return new RegExp(`^${expression}$`).test(packageName)
+  })
+}
+
+/**
+ * Walk the dependency tree below the already discovered direct dependencies, breadth first, adding each newly
+ * reached package to `discovered`. Packages reached via multiple paths are recorded once, with every package that
+ * required them.
+ * @param {Map<string, {workspaces: Set<string>, requiredBy: Set<string>}>} discovered - Discovered packages by path
+ * @param {{depth: number, allow: string[]}} transitive - Transitive scan settings
+ * @param {string} rootDir - Project root directory
+ * @param {WarningHandler} onWarning - Receives warnings about packages that can't be resolved
+ * @returns {Promise<void>}
+ */
+async function discoverTransitive(discovered, transitive, rootDir, onWarning) {
+  const directPaths = new Set(discovered.keys())
+  let frontier = [...directPaths]
+
+  for (let level = 2; level <= transitive.depth && frontier.length > 0; level++) {
+    // eslint-disable-next-line no-await-in-loop
+    const edges = await Promise.all(
+      frontier.map(async (parentPath) => {
+        const parentPackageJson = await readPackageJson(parentPath)
+        if (parentPackageJson === null) {
+          return []
+        }
+
+        const names = Object.keys({
+          ...parentPackageJson.dependencies,
+          ...parentPackageJson.optionalDependencies,
+        }).filter((name) => isAllowed(name, transitive.allow))
+
+        return Promise.all(
+          names.map(async (name) => ({
+            parentPath,
+            parentName  : parentPackageJson.name || path.basename(parentPath),
+            packagePath : await resolvePackagePath(name, { fromDir : parentPath, rootDir, onWarning }),
+          }))
+        )
+      })
+    )
+
+    const next = []
+    for (const { parentPath, parentName, packagePath } of edges.flat()) {
+      if (packagePath === null) {
+        continue
+      }
+
+      if (directPaths.has(packagePath)) {
+        continue // Already scanned as a direct dependency
+      }
+      if (!discovered.has(packagePath)) {
+        discovered.set(packagePath, { workspaces : new Set(), requiredBy : new Set() })
+        next.push(packagePath)
+      }
 
+      const entry = discovered.get(packagePath)
+      entry.requiredBy.add(parentName)
+      for (const workspace of discovered.get(parentPath).workspaces) {
+        entry.workspaces.add(workspace)
+      }
+    }
+
+    frontier = next
+  }
+}
+
+/**
+ * Read a package's package.json
+ * @param {string} packagePath - Absolute path to package directory
+ * @returns {Promise<object|null>} Parsed package.json or null if missing/unreadable
+ */
+async function readPackageJson(packagePath) {
   try {
-    const packageJson = JSON.parse(await fs.readFile(packageJsonPath, 'utf8'))
-    packageName = packageJson.name || packageName
-    version = packageJson.version || version
+    return JSON.parse(await fs.readFile(path.join(packagePath, 'package.json'), 'utf8'))
   }
   catch {
-    // eslint-disable-next-line no-console
-    console.warn(`Could not read package.json for ${packagePath}`)
+    return null
+  }
+}
+
+/**
+ * Get the names of a package's direct dependencies
+ * @param {object} packageJson - Parsed package.json
+ * @returns {string[]} Names from dependencies and devDependencies
+ */
+export function getDependencyNames(packageJson) {
+  return Object.keys({
+    ...packageJson.dependencies,
+    ...packageJson.devDependencies,
+  })
+}
+
+/**
+ * Scan a single package for a marketplace declaration and AIR integrations. Packages that only ship AIR integrations
+ * get a marketplace synthesized from them.
+ * @param {string} packagePath - Absolute path to package
+ * @param {WarningHandler} onWarning - Receives warnings about files that can't be read
+ * @returns {Promise<MarketplaceProvider|null>} Provider or null if the package has neither
+ */
+async function scanPackage(packagePath, onWarning) {
+  const marketplacePath = path.join(packagePath, '.claude-plugin', 'marketplace.json')
+
+  const [declaration, packageJson] = await Promise.all([
+    parseMarketplaceJson(marketplacePath, { onWarning }),
+    readPackageJson(packagePath),
+  ])
+  const packageName = packageJson?.name || path.basename(packagePath)
+  const version = packageJson?.version || 'unknown'
+
+  const integrations = await parseAirIntegrations(packagePath, packageName)
+  if (!declaration && integrations.length === 0) {
+    return null
+  }
+
+  if (packageJson === null) {
+    onWarning(`Could not read package.json for ${packagePath}`)
   }
 
   // Resolve symlinks to get canonical path
   const canonicalPath = await fs.realpath(packagePath)
 
-  return {
+  const marketplaceDeclaration =
+    declaration || synthesizeMarketplace({ packageName, version, author : packageJson?.author }, integrations)
+
+  const provider = {
     packageName,
     version,
-    path                   : canonicalPath,
-    marketplaceDeclaration : declaration,
+    path : canonicalPath,
+    marketplaceDeclaration,
+  }
+  if (integrations.length > 0) {
+    provider.integrations = integrations
+  }
+  if (!declaration) {
+    provider.synthesizedMarketplace = true
+  }
+
+  // Check plugin manifests and referenced files; record the results so invalid plugins aren't enabled
+  const pluginValidation = await validateProviderPlugins(provider)
+  if (Object.keys(pluginValidation).length > 0) {
+    provider.pluginValidation = pluginValidation
   }
+
+  return provider
 }
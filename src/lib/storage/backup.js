@@ -0,0 +1,98 @@
+import fs from 'fs/promises'
+
+import { withFileLock, writeFileAtomic } from './file-lock'
+
+/**
+ * Maximum number of rotated backups kept alongside a settings file
+ */
+export const MAX_BACKUPS = 5
+
+/**
+ * Get the path of a rotated backup
+ * @param {string} filePath - Path to the backed up file
+ * @param {number} index - Backup index; 0 is the most recent (`.bak`), 1 the one before (`.bak.1`), etc.
+ * @returns {string} Backup path
+ */
+export function getBackupPath(filePath, index) {
+  return index === 0 ? `${filePath}.bak` : `${filePath}.bak.${index}`
+}
+
+/**
+ * Create backup of a settings file
+ * @param {string} filePath - Path to the file to back up
+ * @returns {Promise<void>}
+ */
+export async function createBackup(filePath) {
+  try {
+    await fs.access(filePath)
+
+    // Rotate existing backups (.bak -> .bak.1, .bak.1 -> .bak.2, etc.)
+    for (let i = MAX_BACKUPS - 1; i >= 0; i--) {
+      const from = getBackupPath(filePath, i)
+      const to = getBackupPath(filePath, i + 1)
+
+      try {
+        // eslint-disable-next-line no-await-in-loop
+        await fs.access(from)
+        if (i === MAX_BACKUPS - 1) {
+          // eslint-disable-next-line no-await-in-loop
+          await fs.unlink(from) // Delete oldest backup
+        }
+        else {
+          // eslint-disable-next-line no-await-in-loop
+          await fs.rename(from, to)
+        }
+      }
+      catch {
+        // Backup doesn't exist, skip
+      }
+    }
+
+    // Create new backup
+    await fs.copyFile(filePath, `${filePath}.bak`)
+  }
+  catch (error) {
+    if (error.code !== 'ENOENT') {
+      throw error
+    }
+  }
+}
+
+/**
+ * List the existing backups of a file, most recent first
+ * @param {string} filePath - Path to the backed up file
+ * @returns {Promise<{index: number, path: string, modifiedAt: Date}[]>} Backups
+ */
+export async function listBackups(filePath) {
+  const backups = await Promise.all(
+    Array.from({ length : MAX_BACKUPS }, async (_, index) => {
+      const backupPath = getBackupPath(filePath, index)
+      try {
+        const stats = await fs.stat(backupPath)
+
+        return { index, path : backupPath, modifiedAt : stats.mtime }
+      }
+      catch {
+        return null
+      }
+    })
+  )
+
+  return backups.filter((backup) => backup !== null)
+}
+
+/**
+ * Restore a file from one of its backups. The current file is backed up first, so the restore can itself be undone.
+ * @param {string} filePath - Path to the file to restore
+ * @param {number} index - Index of the backup to restore (see getBackupPath)
+ * @returns {Promise<void>}
+ */
+export async function restoreBackup(filePath, index) {
+  await withFileLock(filePath, async () => {
+    // Read before rotating; creating the new backup shifts the indexes
+    const content = await fs.readFile(getBackupPath(filePath, index), 'utf8')
+
+    await createBackup(filePath)
+    await writeFileAtomic(filePath, content)
+  })
+}
@@ -0,0 +1,209 @@
+import fs from 'fs/promises'
+import path from 'path'
+
+/**
+ * @import { MarketplaceProvider, ScanCache, ScanOptions, WarningHandler } from '../types.js'
+ */
+
+/**
+ * Name of the cache file written to the project root
+ */
+export const CACHE_FILE_NAME = '.air-plugin-cache.json'
+
+/**
+ * Cache format version; bump when the cache structure changes so old caches are ignored
+ */
+const CACHE_VERSION = 1
+
+/**
+ * Lockfiles whose modification invalidates the cache
+ */
+const LOCKFILE_NAMES = ['package-lock.json', 'npm-shrinkwrap.json', 'yarn.lock', 'pnpm-lock.yaml']
+
+/**
+ * Get the path to the scan cache for a project
+ * @param {string} baseDir - Project root directory
+ * @returns {string} Absolute path to .air-plugin-cache.json
+ */
+export function getCachePath(baseDir) {
+  return path.resolve(baseDir, CACHE_FILE_NAME)
+}
+
+/**
+ * Get the modification time of a file
+ * @param {string} filePath - Path to file
+ * @returns {Promise<number|null>} mtime in ms, or null if the file doesn't exist
+ */
+async function getMTime(filePath) {
+  try {
+    const stats = await fs.stat(filePath)
+
+    return stats.mtimeMs
+  }
+  catch {
+    return null
+  }
+}
+
+/**
+ * Read the version from a package's package.json
+ * @param {string} packagePath - Absolute path to package directory
+ * @returns {Promise<string|null>} Package version, or null if it can't be read
+ */
+async function readPackageVersion(packagePath) {
+  try {
+    const packageJson = JSON.parse(await fs.readFile(path.join(packagePath, 'package.json'), 'utf8'))
+
+    return packageJson.version || 'unknown'
+  }
+  catch {
+    return null
+  }
+}
+
+/**
+ * Collect the project file mtimes the cache is keyed on
+ * @param {string} baseDir - Project root directory
+ * @returns {Promise<{packageJsonMTime: number|null, lockfileMTimes: Record<string, number|null>, nodeModulesMTime: number|null}>}
+ *   Current mtimes
+ */
+async function getProjectMTimes(baseDir) {
+  const [packageJsonMTime, nodeModulesMTime, ...lockMTimes] = await Promise.all([
+    getMTime(path.join(baseDir, 'package.json')),
+    getMTime(path.join(baseDir, 'node_modules')),
+    ...LOCKFILE_NAMES.map((name) => getMTime(path.join(baseDir, name))),
+  ])
+
+  const lockfileMTimes = {}
+  LOCKFILE_NAMES.forEach((name, i) => {
+    lockfileMTimes[name] = lockMTimes[i]
+  })
+
+  return { packageJsonMTime, lockfileMTimes, nodeModulesMTime }
+}
+
+/**
+ * Read the scan cache
+ * @param {string} baseDir - Project root directory
+ * @returns {Promise<ScanCache|null>} Cache contents, or null if missing, malformed, or from another cache version
+ */
+export async function readCache(baseDir) {
+  try {
+    const cache = JSON.parse(await fs.readFile(getCachePath(baseDir), 'utf8'))
+
+    if (cache.version !== CACHE_VERSION || !Array.isArray(cache.providers)) {
+      return null
+    }
+
+    return cache
+  }
+  catch {
+    return null
+  }
+}
+
+/**
+ * Check whether a cache is still valid for the current state of the project. The cache is invalidated when
+ * `package.json`, any lockfile, or the top-level `node_modules` directory change, when the version of any cached
+ * provider package changes, or when the cache was produced with different scan options.
+ * @param {ScanCache} cache - Cache to check
+ * @param {string} baseDir - Project root directory
+ * @param {ScanOptions} scanOptions - Scan options for the current load
+ * @returns {Promise<boolean>} True if the cached providers can be used
+ */
+async function isCacheValid(cache, baseDir, scanOptions) {
+  if (JSON.stringify(cache.scanOptions ?? {}) !== JSON.stringify(scanOptions)) {
+    return false
+  }
+
+  const mtimes = await getProjectMTimes(baseDir)
+
+  if (mtimes.packageJsonMTime !== cache.packageJsonMTime || mtimes.nodeModulesMTime !== cache.nodeModulesMTime) {
+    return false
+  }
+
+  for (const name of LOCKFILE_NAMES) {
+    if (mtimes.lockfileMTimes[name] !== (cache.lockfileMTimes?.[name] ?? null)) {
+      return false
+    }
+  }
+
+  const packagePaths = Object.keys(cache.packageVersions || {})
+  const versions = await Promise.all(packagePaths.map((packagePath) => readPackageVersion(packagePath)))
+
+  return packagePaths.every((packagePath, i) => versions[i] === cache.packageVersions[packagePath])
+}
+
+/**
+ * Write the scan cache
+ * @param {string} baseDir - Project root directory
+ * @param {MarketplaceProvider[]} providers - Scan results to cache
+ * @param {ScanOptions} scanOptions - Scan options the results were produced with
+ * @returns {Promise<void>}
+ */
+async function writeCache(baseDir, providers, scanOptions) {
+  const mtimes = await getProjectMTimes(baseDir)
+  if (mtimes.packageJsonMTime === null) {
+    return // not a package directory; don't litter it with a cache file
+  }
+
+  const packageVersions = {}
+  for (const provider of providers) {
+    packageVersions[provider.path] = provider.version
+  }
+
+  /** @type {ScanCache} */
+  const cache = {
+    version   : CACHE_VERSION,
+    scannedAt : new Date().toISOString(),
+    ...mtimes,
+    scanOptions,
+    packageVersions,
+    providers,
+  }
+
+  try {
+    await fs.writeFile(getCachePath(baseDir), JSON.stringify(cache, null, 2), 'utf8')
+  }
+  catch {
+    // The cache is an optimization; an unwritable project directory just means we scan next time too
+  }
+}
+
+/**
+ * Load marketplace providers from the cache, or scan and refresh the cache if it is missing or stale
+ * @param {function(string, ScanOptions): Promise<MarketplaceProvider[]>} scanFn - Scanner used on a cache miss
+ * @param {string} baseDir - Project root directory
+ * @param {object} [options] - Options
+ * @param {boolean} [options.noCache] - Ignore any existing cache and force a fresh scan
+ * @param {ScanOptions} [options.scanOptions] - Options passed to the scanner; a cache from other options is stale
+ * @param {boolean} [options.dryRun] - Don't write the cache after a scan
+ * @param {WarningHandler} [options.onWarning] - Receives the scanner's warnings (default: stderr)
+ * @returns {Promise<MarketplaceProvider[]>} Discovered marketplace providers
+ */
+export async function loadProvidersWithCache(scanFn, baseDir, options = {}) {
+  const { scanOptions = {} } = options
+
+  if (!options.noCache) {
+    const cache = await readCache(baseDir)
+    if (cache && (await isCacheValid(cache, baseDir, scanOptions))) {
+      return cache.providers
+    }
+  }
+
+  const providers = await scanFn(baseDir, { ...scanOptions, onWarning : options.onWarning })
+  if (!options.dryRun) {
+    await writeCache(baseDir, providers, scanOptions)
+  }
+
+  return providers
+}
+
+/**
+ * Remove the scan cache, forcing the next load to rescan
+ * @param {string} baseDir - Project root directory
+ * @returns {Promise<void>}
+ */
+export async function invalidateCache(baseDir) {
+  await fs.rm(getCachePath(baseDir), { force : true })
+}
@@ -31,6 +31,14 @@ export class ClaudePluginConfig {
     return path.join(this.pluginsDir, 'installed_plugins.json')
   }
 
+  /**
+   * Gets the directory of the materialization store, where `air sync --materialize` copies marketplaces
+   * @returns {string} Absolute path to the store directory
+   */
+  get storeDir() {
+    return path.join(this.pluginsDir, 'air-store')
+  }
+
   /**
    * Gets the path to settings.json
    * @returns {string} Absolute path to settings.json
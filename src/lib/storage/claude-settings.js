@@ -1,21 +1,45 @@
 import fs from 'fs/promises'
 import path from 'path'
 
+import { NotFoundError, UsageError } from '../errors'
+import { warnToConsole } from '../reporter'
 import { PLUGIN_STATUSES } from '../types'
+import { parseJsonc, serializeJsonc } from '../utils/jsonc'
+import { compareVersions } from '../utils/marketplace-collisions'
+import { getMarketplaceRoot } from '../utils/plugin-directory'
+import { getPluginIntegrity } from '../utils/plugin-integrity'
+import { isPluginValid } from '../utils/plugin-validation'
+import { getMarketplaceDirectory, getOwningProject } from '../utils/stale-marketplaces'
+import { createBackup } from './backup'
+import { withFileLock, writeFileAtomic } from './file-lock'
 
 /**
- * @import { MarketplaceProvider, PluginState, ClaudeSettings, PluginEntry } from '../types.js'
+ * @import {
+ *   ClaudeMarketplaceEntry,
+ *   ClaudeSettings,
+ *   MarketplaceProvider,
+ *   MarketplaceReference,
+ *   PluginEntry,
+ *   PluginIntegrityCheck,
+ *   PluginState,
+ *   SettingsDiff,
+ *   WarningHandler
+ * } from '../types.js'
  */
 
 /**
- * Read Claude Code settings.json
+ * Read Claude Code settings.json. Comments and trailing commas (JSONC) are accepted.
  * @param {string} settingsPath - Path to settings.json
+ * @param {object} [options] - Options
+ * @param {boolean} [options.dryRun] - Don't back up a malformed file
+ * @param {WarningHandler} [options.onWarning] - Receives a warning if the file is malformed (default: stderr)
  * @returns {Promise<ClaudeSettings>} Settings object
  */
-export async function readSettings(settingsPath) {
+export async function readSettings(settingsPath, options = {}) {
+  const { onWarning = warnToConsole } = options
   try {
     const content = await fs.readFile(settingsPath, 'utf8')
-    const settings = JSON.parse(content)
+    const settings = parseJsonc(content)
 
     // Ensure plugins section exists with correct structure
     if (!settings.plugins) {
@@ -45,9 +69,10 @@ export async function readSettings(settingsPath) {
     }
 
     if (error instanceof SyntaxError) {
-      // eslint-disable-next-line no-console
-      console.warn('Malformed settings.json, creating backup and using defaults')
-      await createBackup(settingsPath)
+      onWarning(`Malformed settings.json, ${options.dryRun ? '' : 'creating backup and '}using defaults`)
+      if (!options.dryRun) {
+        await createBackup(settingsPath)
+      }
 
       return {
         plugins : {
@@ -63,13 +88,13 @@ export async function readSettings(settingsPath) {
 }
 
 /**
- * Check if settings file exists
- * @param {string} settingsPath - Path to settings.json
- * @returns {Promise<boolean>} True if file exists, false otherwise
+ * Check if a file or directory exists
+ * @param {string} filePath - Path to check
+ * @returns {Promise<boolean>} True if it exists, false otherwise
  */
-async function checkSettingsExists(settingsPath) {
+async function pathExists(filePath) {
   try {
-    await fs.access(settingsPath)
+    await fs.access(filePath)
 
     return true
   }
@@ -103,9 +128,11 @@ function getPluginSourceString(plugin) {
 /**
  * Build marketplace entry for Claude settings from provider
  * @param {MarketplaceProvider} provider - Marketplace provider
+ * @param {Record<string, {integrity: string, packageVersion: string}>} [integrity] - Integrity records of the local
+ *   plugins, by plugin name
  * @returns {object} Marketplace entry for settings
  */
-function buildMarketplaceEntry(provider) {
+function buildMarketplaceEntry(provider, integrity = {}) {
   const marketplace = provider.marketplaceDeclaration
   const plugins = {}
 
@@ -113,13 +140,14 @@ function buildMarketplaceEntry(provider) {
     plugins[plugin.name] = {
       version : plugin.version || 'unknown',
       source  : getPluginSourceString(plugin),
+      ...integrity[plugin.name],
     }
   }
 
   return {
     source : {
       type : 'directory',
-      path : provider.path,
+      path : getMarketplaceRoot(provider),
     },
     plugins,
   }
@@ -156,7 +184,12 @@ function shouldUpdateMarketplace(existingEntry, newEntry) {
       return true
     }
 
-    if (existing.version !== updated.version || existing.source !== updated.source) {
+    if (
+      existing.version !== updated.version
+      || existing.source !== updated.source
+      || existing.integrity !== updated.integrity
+      || existing.packageVersion !== updated.packageVersion
+    ) {
       return true
     }
   }
@@ -165,15 +198,87 @@ function shouldUpdateMarketplace(existingEntry, newEntry) {
 }
 
 /**
- * Update settings with discovered marketplace providers (non-destructive merge)
+ * Get the directory a marketplace registered from a project reference points at
+ * @param {MarketplaceReference} reference - Project reference
+ * @returns {string} The install's materialized copy, if any, else the install
+ */
+const getReferenceRoot = (reference) => reference.materializedPath ?? reference.path
+
+/**
+ * Check whether two project reference maps are the same
+ * @param {Record<string, MarketplaceReference>} [a] - References by project directory
+ * @param {Record<string, MarketplaceReference>} [b] - References by project directory
+ * @returns {boolean} True if both list the same installs
+ */
+function isSameReferences(a = {}, b = {}) {
+  const projects = Object.keys(b)
+
+  return (
+    Object.keys(a).length === projects.length
+    && projects.every(
+      (project) =>
+        a[project]?.path === b[project].path
+        && a[project].version === b[project].version
+        && a[project].materializedPath === b[project].materializedPath
+    )
+  )
+}
+
+/**
+ * Check whether a shared marketplace should stay at another project's install instead of moving to the provider's.
+ * It stays while that install still exists and is at least as new, so syncing several projects that depend on the same
+ * package doesn't re-point the entry back and forth.
+ * @param {ClaudeMarketplaceEntry} existingEntry - Current marketplace entry
+ * @param {Record<string, MarketplaceReference>} projects - References, including the provider's
+ * @param {MarketplaceProvider} provider - Provider being synced
+ * @returns {Promise<boolean>} True if the entry should keep its current source
+ */
+async function shouldKeepSharedSource(existingEntry, projects, provider) {
+  const currentPath = getMarketplaceDirectory(existingEntry)
+  if (currentPath === null || currentPath === getMarketplaceRoot(provider)) {
+    return false
+  }
+
+  const current = Object.values(projects).find((reference) => getReferenceRoot(reference) === currentPath)
+
+  return current !== undefined && compareVersions(current.version, provider.version) >= 0 && pathExists(currentPath)
+}
+
+/**
+ * Create an empty settings diff
+ * @returns {SettingsDiff} Diff with no changes
+ */
+export const createSettingsDiff = () => ({
+  marketplaces : { added : [], changed : [], moved : [], referencesUpdated : [] },
+  enabled      : [],
+})
+
+/**
+ * Check whether a settings diff has any changes
+ * @param {SettingsDiff} diff - Settings diff
+ * @returns {boolean} True if applying the diff would change the settings
+ */
+export const hasSettingsChanges = (diff) =>
+  diff.marketplaces.added.length > 0
+  || diff.marketplaces.changed.length > 0
+  || diff.marketplaces.moved.length > 0
+  || diff.marketplaces.referencesUpdated.length > 0
+  || diff.enabled.length > 0
+
+/**
+ * Merge discovered marketplace providers into settings; see updateSettings
  * @param {string} settingsPath - Path to settings.json
  * @param {MarketplaceProvider[]} providers - Discovered marketplace providers
- * @returns {Promise<{added: string[], updated: string[]}>} Change summary
+ * @param {object} [options] - Options
+ * @param {boolean} [options.dryRun] - Compute the changes without writing the settings file
+ * @param {WarningHandler} [options.onWarning] - Receives a warning if the file is malformed (default: stderr)
+ * @param {string} [options.projectDir] - Project the providers were discovered in
+ * @returns {Promise<{added: string[], updated: string[], shared: string[], diff: SettingsDiff}>} Change summary
  */
-export async function updateSettings(settingsPath, providers) {
-  const settings = await readSettings(settingsPath)
-  const changes = { added : [], updated : [] }
-  const settingsFileExists = await checkSettingsExists(settingsPath)
+async function mergeProviders(settingsPath, providers, options = {}) {
+  const settings = await readSettings(settingsPath, options)
+  const changes = { added : [], updated : [], shared : [], diff : createSettingsDiff() }
+  const settingsFileExists = await pathExists(settingsPath)
   let marketplacesUpdated = false
 
   for (const provider of providers) {
@@ -181,12 +286,57 @@ export async function updateSettings(settingsPath, providers) {
     const marketplaceName = marketplace.name
 
     const existingEntry = settings.plugins.marketplaces[marketplaceName]
-    const newEntry = buildMarketplaceEntry(provider)
+    // eslint-disable-next-line no-await-in-loop
+    let newEntry = buildMarketplaceEntry(provider, await getPluginIntegrity(provider, existingEntry))
+
+    const projectDir = options.projectDir ?? getOwningProject(provider.path)
+    let referencesUpdated = false
+    if (projectDir !== null) {
+      const projects = {
+        ...existingEntry?.projects,
+        [projectDir] : {
+          path    : provider.path,
+          version : provider.version,
+          ...(provider.materializedPath && { materializedPath : provider.materializedPath }),
+        },
+      }
+      // eslint-disable-next-line no-await-in-loop
+      if (existingEntry && (await shouldKeepSharedSource(existingEntry, projects, provider))) {
+        newEntry = { ...existingEntry, projects }
+        changes.shared.push(marketplaceName)
+      }
+      else {
+        newEntry.projects = projects
+      }
+
+      if (!isSameReferences(existingEntry?.projects, projects)) {
+        settings.plugins.marketplaces[marketplaceName] = newEntry
+        marketplacesUpdated = true
+        referencesUpdated = true
+      }
+    }
 
     if (shouldUpdateMarketplace(existingEntry, newEntry)) {
+      if (!existingEntry) {
+        changes.diff.marketplaces.added.push({ name : marketplaceName, path : newEntry.source.path })
+      }
+      else if (existingEntry.source.path !== newEntry.source.path) {
+        changes.diff.marketplaces.moved.push({
+          name : marketplaceName,
+          from : existingEntry.source.path,
+          to   : newEntry.source.path,
+        })
+      }
+      else {
+        changes.diff.marketplaces.changed.push({ name : marketplaceName, path : newEntry.source.path })
+      }
+
       settings.plugins.marketplaces[marketplaceName] = newEntry
       marketplacesUpdated = true
     }
+    else if (referencesUpdated) {
+      changes.diff.marketplaces.referencesUpdated.push({ name : marketplaceName, project : projectDir })
+    }
 
     // Process each plugin in the marketplace
     for (const plugin of marketplace.plugins) {
@@ -196,10 +346,15 @@ export async function updateSettings(settingsPath, providers) {
         continue
       }
 
+      if (!isPluginValid(provider, plugin.name)) {
+        continue // missing or invalid plugin.json
+      }
+
       const isEnabled = settings.plugins.enabled.includes(pluginKey)
       if (!isEnabled) {
         settings.plugins.enabled.push(pluginKey)
         changes.added.push(plugin.name)
+        changes.diff.enabled.push(pluginKey)
       }
       else {
         changes.updated.push(plugin.name)
@@ -207,7 +362,9 @@ export async function updateSettings(settingsPath, providers) {
     }
   }
 
-  if (changes.added.length > 0 || changes.updated.length > 0 || marketplacesUpdated || !settingsFileExists) {
+  const shouldWrite =
+    changes.added.length > 0 || changes.updated.length > 0 || marketplacesUpdated || !settingsFileExists
+  if (shouldWrite && !options.dryRun) {
     await writeSettings(settingsPath, settings)
   }
 
@@ -215,64 +372,67 @@ export async function updateSettings(settingsPath, providers) {
 }
 
 /**
- * Write settings to file with backup
+ * Update settings with discovered marketplace providers (non-destructive merge). The read/merge/write runs under a
+ * lock on the settings file, so concurrent syncs don't drop each other's changes.
+ *
+ * Each marketplace entry records the projects that depend on it under `projects`. When another project already
+ * registered the same package, the entry keeps pointing at that install unless the provider's version is newer; the
+ * provider's project is only added as a reference and the marketplace is listed in `shared`.
+ *
+ * Local plugins record a hash of their files (`integrity`) and the package version it was taken at. The hash is only
+ * replaced when the package or plugin version changes, so `checkPluginIntegrity` can flag files changed without one.
  * @param {string} settingsPath - Path to settings.json
- * @param {ClaudeSettings} settings - Settings object
- * @returns {Promise<void>}
+ * @param {MarketplaceProvider[]} providers - Discovered marketplace providers
+ * @param {object} [options] - Options
+ * @param {boolean} [options.dryRun] - Compute the changes without writing the settings file
+ * @param {WarningHandler} [options.onWarning] - Receives a warning if the file is malformed (default: stderr)
+ * @param {string} [options.projectDir] - Project the providers were discovered in (default: the directory containing
+ *   each provider's node_modules; providers outside node_modules aren't tracked)
+ * @returns {Promise<{added: string[], updated: string[], shared: string[], diff: SettingsDiff}>} Change summary
  */
-async function writeSettings(settingsPath, settings) {
-  // Create backup before writing
-  await createBackup(settingsPath)
+export async function updateSettings(settingsPath, providers, options = {}) {
+  const update = () => mergeProviders(settingsPath, providers, options)
 
-  // Ensure directory exists
-  await fs.mkdir(path.dirname(settingsPath), { recursive : true })
-
-  // Write settings
-  await fs.writeFile(settingsPath, JSON.stringify(settings, null, 2), 'utf8')
+  return options.dryRun ? update() : withFileLock(settingsPath, update)
 }
 
 /**
- * Create backup of settings file
- * @param {string} settingsPath - Path to settings.json
- * @returns {Promise<void>}
+ * Read the current content of a settings file
+ * @param {string} filePath - Path to the settings file
+ * @returns {Promise<string|null>} File content, or null if it doesn't exist
  */
-async function createBackup(settingsPath) {
+export async function readSettingsText(filePath) {
   try {
-    await fs.access(settingsPath)
-
-    // Rotate existing backups (.bak -> .bak.1, .bak.1 -> .bak.2, etc.)
-    const maxBackups = 5
-    for (let i = maxBackups - 1; i >= 0; i--) {
-      const from = i === 0 ? `${settingsPath}.bak` : `${settingsPath}.bak.${i}`
-      const to = `${settingsPath}.bak.${i + 1}`
-
-      try {
-        // eslint-disable-next-line no-await-in-loop
-        await fs.access(from)
-        if (i === maxBackups - 1) {
-          // eslint-disable-next-line no-await-in-loop
-          await fs.unlink(from) // Delete oldest backup
-        }
-        else {
-          // eslint-disable-next-line no-await-in-loop
-          await fs.rename(from, to)
-        }
-      }
-      catch {
-        // Backup doesn't exist, skip
-      }
-    }
-
-    // Create new backup
-    await fs.copyFile(settingsPath, `${settingsPath}.bak`)
+    return await fs.readFile(filePath, 'utf8')
   }
   catch (error) {
-    if (error.code !== 'ENOENT') {
-      throw error
+    if (error.code === 'ENOENT') {
+      return null
     }
+    throw error
   }
 }
 
+/**
+ * Write settings to file with backup. Only the `plugins` section of an existing file is rewritten; formatting,
+ * comments and other keys are preserved.
+ * @param {string} settingsPath - Path to settings.json
+ * @param {ClaudeSettings} settings - Settings object
+ * @returns {Promise<void>}
+ */
+async function writeSettings(settingsPath, settings) {
+  const previous = await readSettingsText(settingsPath)
+
+  // Create backup before writing
+  await createBackup(settingsPath)
+
+  // Ensure directory exists
+  await fs.mkdir(path.dirname(settingsPath), { recursive : true })
+
+  // Write settings; atomically, so concurrent readers never see a partial file
+  await writeFileAtomic(settingsPath, serializeJsonc(previous, settings, ['plugins']))
+}
+
 /**
  * Get plugin state from settings
  * @param {string} pluginName - Plugin name
@@ -321,3 +481,195 @@ export function getPluginStates(providers, settings) {
 
   return states
 }
+
+/**
+ * List the plugin keys ('pluginName@marketplaceName') known to global settings: every plugin of every registered
+ * marketplace, plus any key in the enabled or disabled lists
+ * @param {ClaudeSettings} settings - Settings object
+ * @returns {string[]} Known plugin keys
+ */
+export function getKnownPluginKeys(settings) {
+  const keys = new Set([...settings.plugins.enabled, ...settings.plugins.disabled])
+
+  for (const [marketplaceName, entry] of Object.entries(settings.plugins.marketplaces)) {
+    for (const pluginName of Object.keys(entry.plugins || {})) {
+      keys.add(`${pluginName}@${marketplaceName}`)
+    }
+  }
+
+  return [...keys]
+}
+
+/**
+ * Resolve a plugin spec to a plugin key. A spec with a marketplace ('pluginName@marketplaceName') must be a known key;
+ * a bare plugin name must match exactly one known plugin.
+ * @param {string} pluginSpec - 'pluginName' or 'pluginName@marketplaceName'
+ * @param {string[]} knownKeys - Known plugin keys to match specs against
+ * @returns {string} Plugin key
+ * @throws {NotFoundError|UsageError} If the spec matches no known plugin, or a bare name matches plugins in several
+ *   marketplaces
+ */
+export function resolvePluginKey(pluginSpec, knownKeys) {
+  if (pluginSpec.includes('@')) {
+    if (!knownKeys.includes(pluginSpec)) {
+      throw new NotFoundError(`Unknown plugin '${pluginSpec}'`)
+    }
+
+    return pluginSpec
+  }
+
+  const matches = [...new Set(knownKeys)].filter((key) => key.slice(0, key.lastIndexOf('@')) === pluginSpec)
+
+  if (matches.length === 0) {
+    throw new NotFoundError(`Unknown plugin '${pluginSpec}'; specify it as <plugin>@<marketplace>`)
+  }
+  if (matches.length > 1) {
+    throw new UsageError(`Plugin '${pluginSpec}' is ambiguous; specify one of: ${matches.join(', ')}`)
+  }
+
+  return matches[0]
+}
+
+/**
+ * Enable or disable a plugin in global settings by moving its key between the enabled and disabled lists
+ * @param {string} settingsPath - Path to settings.json
+ * @param {string} pluginKey - Plugin key ('pluginName@marketplaceName')
+ * @param {boolean} enabled - True to enable, false to disable
+ * @param {object} [options] - Options
+ * @param {WarningHandler} [options.onWarning] - Receives a warning if the file is malformed (default: stderr)
+ * @returns {Promise<boolean>} True if the settings changed, false if the plugin was already in the requested state
+ */
+export async function setPluginState(settingsPath, pluginKey, enabled, options = {}) {
+  return withFileLock(settingsPath, async () => {
+    const settings = await readSettings(settingsPath, options)
+    const [addTo, removeFrom] = enabled
+      ? [settings.plugins.enabled, settings.plugins.disabled]
+      : [settings.plugins.disabled, settings.plugins.enabled]
+
+    if (addTo.includes(pluginKey) && !removeFrom.includes(pluginKey)) {
+      return false
+    }
+
+    if (!addTo.includes(pluginKey)) {
+      addTo.push(pluginKey)
+    }
+    const index = removeFrom.indexOf(pluginKey)
+    if (index !== -1) {
+      removeFrom.splice(index, 1)
+    }
+
+    await writeSettings(settingsPath, settings)
+
+    return true
+  })
+}
+
+/**
+ * Remove marketplaces from global settings, along with their enabled plugin keys. Disabled keys are kept so the
+ * user's choice survives a reinstall.
+ * @param {string} settingsPath - Path to settings.json
+ * @param {string[]} marketplaceNames - Names of the marketplaces to remove
+ * @param {object} [options] - Options
+ * @param {WarningHandler} [options.onWarning] - Receives a warning if the file is malformed (default: stderr)
+ * @returns {Promise<{marketplaces: string[], plugins: string[]}>} Removed marketplace names and plugin keys
+ */
+export async function removeMarketplaces(settingsPath, marketplaceNames, options = {}) {
+  return withFileLock(settingsPath, async () => {
+    const settings = await readSettings(settingsPath, options)
+    const removed = { marketplaces : [], plugins : [] }
+    const isRemovedKey = (key) => marketplaceNames.includes(key.slice(key.lastIndexOf('@') + 1))
+
+    for (const name of marketplaceNames) {
+      if (settings.plugins.marketplaces[name] !== undefined) {
+        delete settings.plugins.marketplaces[name]
+        removed.marketplaces.push(name)
+      }
+    }
+
+    removed.plugins = settings.plugins.enabled.filter(isRemovedKey)
+    settings.plugins.enabled = settings.plugins.enabled.filter((key) => !isRemovedKey(key))
+
+    if (removed.marketplaces.length > 0 || removed.plugins.length > 0) {
+      await writeSettings(settingsPath, settings)
+    }
+
+    return removed
+  })
+}
+
+/**
+ * Drop project references from marketplaces that other projects still depend on. A marketplace whose source was a
+ * dropped install is re-pointed to the newest remaining one; its plugin list is refreshed by the next sync from that
+ * project.
+ * @param {string} settingsPath - Path to settings.json
+ * @param {{name: string, project: string}[]} references - Marketplace names and the projects to drop
+ * @param {object} [options] - Options
+ * @param {WarningHandler} [options.onWarning] - Receives a warning if the file is malformed (default: stderr)
+ * @returns {Promise<{name: string, from: string, to: string}[]>} Marketplaces whose source moved
+ */
+export async function removeMarketplaceReferences(settingsPath, references, options = {}) {
+  return withFileLock(settingsPath, async () => {
+    const settings = await readSettings(settingsPath, options)
+    const moved = []
+    let removed = false
+
+    for (const { name, project } of references) {
+      const projects = settings.plugins.marketplaces[name]?.projects
+      if (projects?.[project] !== undefined) {
+        delete projects[project]
+        removed = true
+      }
+    }
+
+    for (const name of new Set(references.map((reference) => reference.name))) {
+      const entry = settings.plugins.marketplaces[name]
+      const remaining = Object.values(entry?.projects || {})
+      if (remaining.length === 0 || remaining.some((reference) => getReferenceRoot(reference) === entry.source.path)) {
+        continue
+      }
+
+      const newest = remaining.reduce((best, reference) =>
+        compareVersions(reference.version, best.version) > 0 ? reference : best)
+      moved.push({ name, from : entry.source.path, to : getReferenceRoot(newest) })
+      entry.source.path = getReferenceRoot(newest)
+    }
+
+    if (removed) {
+      await writeSettings(settingsPath, settings)
+    }
+
+    return moved
+  })
+}
+
+/**
+ * Record the current hash of plugins whose files changed, accepting the changes
+ * @param {string} settingsPath - Path to settings.json
+ * @param {PluginIntegrityCheck[]} checks - Checks from checkPluginIntegrity with the hash of the files on disk
+ * @param {object} [options] - Options
+ * @param {WarningHandler} [options.onWarning] - Receives a warning if the file is malformed (default: stderr)
+ * @returns {Promise<string[]>} Keys of the plugins whose hash was updated
+ */
+export async function acceptPluginIntegrity(settingsPath, checks, options = {}) {
+  return withFileLock(settingsPath, async () => {
+    const settings = await readSettings(settingsPath, options)
+    const accepted = []
+
+    for (const { pluginKey, actual } of checks) {
+      const separator = pluginKey.lastIndexOf('@')
+      const pluginName = pluginKey.slice(0, separator)
+      const marketplaceName = pluginKey.slice(separator + 1)
+      const metadata = settings.plugins.marketplaces[marketplaceName]?.plugins?.[pluginName]
+      if (metadata?.integrity !== undefined && actual !== undefined && metadata.integrity !== actual) {
+        metadata.integrity = actual
+        accepted.push(pluginKey)
+      }
+    }
+
+    if (accepted.length > 0) {
+      await writeSettings(settingsPath, settings)
+    }
+
+    return accepted
+  })
+}
@@ -0,0 +1,255 @@
+import crypto from 'crypto'
+import fs from 'fs/promises'
+import path from 'path'
+
+import { LockTimeoutError } from '../errors'
+
+/**
+ * Default lock options
+ */
+export const LOCK_DEFAULTS = {
+  staleMs   : 30000, // a lock held this long is assumed abandoned
+  retryMs   : 50, // delay between attempts to acquire a held lock
+  timeoutMs : 10000, // give up after waiting this long
+}
+
+/**
+ * Get the path of the lock file guarding a file
+ * @param {string} filePath - Path to the guarded file
+ * @returns {string} Lock file path
+ */
+export function getLockPath(filePath) {
+  return `${filePath}.lock`
+}
+
+/**
+ * Check whether a process is still running
+ * @param {number} pid - Process id
+ * @returns {boolean} False if the process is known not to exist
+ */
+function isProcessAlive(pid) {
+  try {
+    process.kill(pid, 0)
+
+    return true
+  }
+  catch (error) {
+    return error.code !== 'ESRCH' // EPERM means it exists but belongs to another user
+  }
+}
+
+/**
+ * @typedef {object} LockState
+ * @property {number} [pid] - Process that created the lock
+ * @property {string} [token] - Unique token of the acquisition that created the lock
+ * @property {number} ino - Inode of the lock file
+ * @property {number} mtimeMs - Modification time of the lock file
+ */
+
+/**
+ * Create a token identifying one acquisition of a lock
+ * @returns {string} Process id and random suffix
+ */
+const createToken = () => `${process.pid}-${crypto.randomBytes(8).toString('hex')}`
+
+/**
+ * Read the state of a lock file
+ * @param {string} lockPath - Lock file path
+ * @returns {Promise<LockState|null>} Lock state, or null if there is no lock
+ */
+async function readLock(lockPath) {
+  try {
+    const [content, stats] = await Promise.all([fs.readFile(lockPath, 'utf8'), fs.stat(lockPath)])
+    let owner = {}
+    try {
+      owner = JSON.parse(content)
+    }
+    catch {
+      // A lock mid-write has empty or partial content; only its age can make it stale
+    }
+
+    return { pid : owner.pid, token : owner.token, ino : stats.ino, mtimeMs : stats.mtimeMs }
+  }
+  catch (error) {
+    if (error.code === 'ENOENT') {
+      return null
+    }
+    throw error
+  }
+}
+
+/**
+ * Check whether two lock states describe the same lock file, as opposed to a lock re-created at the same path
+ * @param {LockState} a - Lock state
+ * @param {LockState} b - Lock state
+ * @returns {boolean} True if both are the same acquisition
+ */
+const isSameLock = (a, b) => a.token === b.token && a.ino === b.ino && a.mtimeMs === b.mtimeMs
+
+/**
+ * Check whether a lock was abandoned: its owner is no longer running, or it is older than `staleMs`
+ * @param {LockState} lock - Lock state
+ * @param {number} staleMs - Age after which a lock is stale
+ * @returns {boolean} True if the lock can be broken
+ */
+const isLockStale = (lock, staleMs) =>
+  Date.now() - lock.mtimeMs > staleMs || (Number.isInteger(lock.pid) && !isProcessAlive(lock.pid))
+
+/**
+ * Remove a lock, but only if it is still the expected one. The lock is first renamed to a unique name, which only one
+ * process can do, and then checked; if another process re-created the lock in the meantime, the renamed lock is put
+ * back. Removing the shared path directly could delete a lock another process just acquired.
+ * @param {string} lockPath - Lock file path
+ * @param {LockState} expected - State of the lock to remove
+ * @returns {Promise<void>}
+ */
+async function removeLock(lockPath, expected) {
+  const removedPath = `${lockPath}.${createToken()}.removed`
+  try {
+    await fs.rename(lockPath, removedPath)
+  }
+  catch (error) {
+    if (error.code === 'ENOENT') {
+      return // already removed
+    }
+    throw error
+  }
+
+  try {
+    const removed = await readLock(removedPath)
+    if (removed !== null && !isSameLock(removed, expected)) {
+      // Another waiter broke the expected lock first, and this is the lock it acquired: restore it unless the path was
+      // taken again already (link, unlike rename, never replaces an existing file)
+      await fs.link(removedPath, lockPath).catch((error) => {
+        if (error.code !== 'EEXIST') {
+          throw error
+        }
+      })
+    }
+  }
+  finally {
+    await fs.rm(removedPath, { force : true })
+  }
+}
+
+/**
+ * Try once to create the lock file
+ * @param {string} lockPath - Lock file path
+ * @returns {Promise<LockState|null>} State of the acquired lock, or null if the lock is held
+ */
+async function tryAcquire(lockPath) {
+  const token = createToken()
+  try {
+    const handle = await fs.open(lockPath, 'wx')
+    try {
+      await handle.writeFile(JSON.stringify({ pid : process.pid, token, createdAt : new Date().toISOString() }), 'utf8')
+      const stats = await handle.stat()
+
+      return { pid : process.pid, token, ino : stats.ino, mtimeMs : stats.mtimeMs }
+    }
+    finally {
+      await handle.close()
+    }
+  }
+  catch (error) {
+    if (error.code === 'EEXIST') {
+      return null
+    }
+    throw error
+  }
+}
+
+/**
+ * Run a function while holding an advisory lock on a file. The lock is a `<file>.lock` file created exclusively and
+ * holding a token unique to this acquisition; other processes wait (retrying every `retryMs`) until it is released,
+ * break it if it is stale, and give up after `timeoutMs`. A lock is only removed, whether released or broken, after
+ * checking it is still the same lock.
+ * @template T
+ * @param {string} filePath - Path to the guarded file
+ * @param {function(): Promise<T>} fn - Function to run while holding the lock
+ * @param {object} [options] - Lock options (see LOCK_DEFAULTS)
+ * @param {number} [options.staleMs] - Age after which a held lock is considered abandoned
+ * @param {number} [options.retryMs] - Delay between acquisition attempts
+ * @param {number} [options.timeoutMs] - Maximum time to wait for the lock
+ * @returns {Promise<T>} Result of fn
+ * @throws {LockTimeoutError} If the lock can't be acquired within timeoutMs
+ */
+export async function withFileLock(filePath, fn, options = {}) {
+  const { staleMs, retryMs, timeoutMs } = { ...LOCK_DEFAULTS, ...options }
+  const lockPath = getLockPath(filePath)
+  const deadline = Date.now() + timeoutMs
+
+  await fs.mkdir(path.dirname(lockPath), { recursive : true })
+
+  let lock
+  // eslint-disable-next-line no-await-in-loop
+  while ((lock = await tryAcquire(lockPath)) === null) {
+    // eslint-disable-next-line no-await-in-loop
+    const held = await readLock(lockPath)
+    if (held === null) {
+      continue // released in the meantime
+    }
+    if (isLockStale(held, staleMs)) {
+      // eslint-disable-next-line no-await-in-loop
+      await removeLock(lockPath, held)
+      continue
+    }
+
+    if (Date.now() >= deadline) {
+      throw new LockTimeoutError(
+        `Timed out waiting for lock on ${filePath} (remove ${lockPath} if no other air process is running)`
+      )
+    }
+    // eslint-disable-next-line no-await-in-loop
+    await new Promise((resolve) => setTimeout(resolve, retryMs))
+  }
+
+  try {
+    return await fn()
+  }
+  finally {
+    // If the lock was broken as stale, it now belongs to another process and is left alone
+    await removeLock(lockPath, lock)
+  }
+}
+
+/**
+ * Write a file atomically: write a temporary file next to it, then rename it into place, so readers never see a
+ * partially written file. A symlinked file (e.g., settings.json kept in a dotfiles repository) is written through to
+ * its target, so the link is preserved. The temporary file gets the permissions of the file it replaces, and a file
+ * that isn't writable is not replaced.
+ * @param {string} filePath - Path to write
+ * @param {string} content - File content
+ * @returns {Promise<void>}
+ * @throws {Error} EACCES if the existing file isn't writable
+ */
+export async function writeFileAtomic(filePath, content) {
+  const targetPath = await fs.realpath(filePath).catch((error) => {
+    if (error.code === 'ENOENT') {
+      return filePath
+    }
+    throw error
+  })
+  const stats = await fs.stat(targetPath).catch((error) => {
+    if (error.code === 'ENOENT') {
+      return null
+    }
+    throw error
+  })
+  if (stats !== null) {
+    await fs.access(targetPath, fs.constants.W_OK)
+  }
+  const tempPath = `${targetPath}.${process.pid}.${Math.random().toString(36).slice(2)}.tmp`
+
+  try {
+    await fs.writeFile(tempPath, content, 'utf8')
+    if (stats !== null) {
+      await fs.chmod(tempPath, stats.mode & 0o7777) // the mode given to writeFile would be masked by the umask
+    }
+    await fs.rename(tempPath, targetPath)
+  }
+  catch (error) {
+    await fs.rm(tempPath, { force : true })
+    throw error
+  }
+}
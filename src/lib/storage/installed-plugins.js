@@ -0,0 +1,167 @@
+import fs from 'fs/promises'
+import path from 'path'
+
+import { warnToConsole } from '../reporter'
+import { getPluginDirectory } from '../utils/plugin-directory'
+import { isPluginValid } from '../utils/plugin-validation'
+import { createBackup } from './backup'
+import { withFileLock, writeFileAtomic } from './file-lock'
+
+/**
+ * @import { InstalledPlugins, MarketplaceProvider, WarningHandler } from '../types.js'
+ */
+
+/**
+ * Version of the installed_plugins.json format
+ */
+export const INSTALLED_PLUGINS_VERSION = 1
+
+/**
+ * Create the default (empty) registry
+ * @returns {InstalledPlugins} Empty registry
+ */
+const createDefaultInstalledPlugins = () => ({ version : INSTALLED_PLUGINS_VERSION, plugins : {} })
+
+/**
+ * Read Claude Code's installed plugin registry (plugins/installed_plugins.json)
+ * @param {string} registryPath - Path to installed_plugins.json
+ * @param {object} [options] - Options
+ * @param {WarningHandler} [options.onWarning] - Receives a warning if the file is malformed (default: stderr)
+ * @returns {Promise<InstalledPlugins>} Installed plugin registry
+ */
+export async function readInstalledPlugins(registryPath, options = {}) {
+  const { onWarning = warnToConsole } = options
+  try {
+    const content = await fs.readFile(registryPath, 'utf8')
+    const registry = JSON.parse(content)
+
+    registry.version = registry.version || INSTALLED_PLUGINS_VERSION
+    registry.plugins = registry.plugins || {}
+
+    return registry
+  }
+  catch (error) {
+    if (error.code === 'ENOENT') {
+      return createDefaultInstalledPlugins()
+    }
+
+    if (error instanceof SyntaxError) {
+      onWarning(`Malformed ${registryPath}, creating backup and using defaults`)
+      await createBackup(registryPath)
+
+      return createDefaultInstalledPlugins()
+    }
+
+    throw error
+  }
+}
+
+/**
+ * Merge the plugins of discovered marketplace providers into the registry; see updateInstalledPlugins
+ * @param {string} registryPath - Path to installed_plugins.json
+ * @param {MarketplaceProvider[]} providers - Discovered marketplace providers
+ * @param {object} [options] - Options
+ * @param {boolean} [options.dryRun] - Compute the changes without writing the registry
+ * @param {WarningHandler} [options.onWarning] - Receives a warning if the file is malformed (default: stderr)
+ * @returns {Promise<{added: string[], updated: string[]}>} Keys of the plugins added and updated
+ */
+async function mergeInstalledPlugins(registryPath, providers, options = {}) {
+  const registry = await readInstalledPlugins(registryPath, options)
+  const changes = { added : [], updated : [] }
+  const now = new Date().toISOString()
+
+  for (const provider of providers) {
+    const marketplaceName = provider.marketplaceDeclaration.name
+
+    for (const plugin of provider.marketplaceDeclaration.plugins) {
+      const installPath = getPluginDirectory(provider, plugin)
+      if (installPath === null) {
+        continue // remote plugins are installed by Claude Code itself
+      }
+      if (!isPluginValid(provider, plugin.name)) {
+        continue
+      }
+
+      const pluginKey = `${plugin.name}@${marketplaceName}`
+      const existing = registry.plugins[pluginKey]
+      const version = plugin.version || 'unknown'
+
+      if (existing?.installPath === installPath && existing.version === version) {
+        continue
+      }
+
+      registry.plugins[pluginKey] = {
+        ...existing,
+        version,
+        installedAt : existing?.installedAt || now,
+        lastUpdated : now,
+        installPath,
+        isLocal     : true,
+      }
+      changes[existing ? 'updated' : 'added'].push(pluginKey)
+    }
+  }
+
+  if (changes.added.length + changes.updated.length > 0 && !options.dryRun) {
+    await writeInstalledPlugins(registryPath, registry)
+  }
+
+  return changes
+}
+
+/**
+ * Register the local plugins of discovered marketplace providers in Claude Code's installed plugin registry
+ * (non-destructive merge: other plugins and unknown fields are left alone). Plugins from remote sources and plugins
+ * whose manifest failed validation are skipped. The read/merge/write runs under a lock on the registry file.
+ * @param {string} registryPath - Path to installed_plugins.json
+ * @param {MarketplaceProvider[]} providers - Discovered marketplace providers
+ * @param {object} [options] - Options
+ * @param {boolean} [options.dryRun] - Compute the changes without writing the registry
+ * @param {WarningHandler} [options.onWarning] - Receives a warning if the file is malformed (default: stderr)
+ * @returns {Promise<{added: string[], updated: string[]}>} Keys of the plugins added and updated
+ */
+export async function updateInstalledPlugins(registryPath, providers, options = {}) {
+  const update = () => mergeInstalledPlugins(registryPath, providers, options)
+
+  return options.dryRun ? update() : withFileLock(registryPath, update)
+}
+
+/**
+ * Remove the plugins of marketplaces from Claude Code's installed plugin registry, e.g. after the marketplaces were
+ * pruned from settings. The read/remove/write runs under a lock on the registry file.
+ * @param {string} registryPath - Path to installed_plugins.json
+ * @param {string[]} marketplaceNames - Names of the marketplaces whose plugins to remove
+ * @param {object} [options] - Options
+ * @param {WarningHandler} [options.onWarning] - Receives a warning if the file is malformed (default: stderr)
+ * @returns {Promise<string[]>} Keys of the plugins removed
+ */
+export async function removeInstalledPlugins(registryPath, marketplaceNames, options = {}) {
+  return withFileLock(registryPath, async () => {
+    const registry = await readInstalledPlugins(registryPath, options)
+    const removed = Object.keys(registry.plugins).filter((pluginKey) =>
+      marketplaceNames.includes(pluginKey.slice(pluginKey.lastIndexOf('@') + 1)))
+
+    for (const pluginKey of removed) {
+      delete registry.plugins[pluginKey]
+    }
+    if (removed.length > 0) {
+      await writeInstalledPlugins(registryPath, registry)
+    }
+
+    return removed
+  })
+}
+
+/**
+ * Write the registry to file with backup
+ * @param {string} registryPath - Path to installed_plugins.json
+ * @param {InstalledPlugins} registry - Installed plugin registry
+ * @returns {Promise<void>}
+ */
+async function writeInstalledPlugins(registryPath, registry) {
+  await createBackup(registryPath)
+
+  await fs.mkdir(path.dirname(registryPath), { recursive : true })
+
+  await writeFileAtomic(registryPath, JSON.stringify(registry, null, 2))
+}
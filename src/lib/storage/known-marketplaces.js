@@ -0,0 +1,149 @@
+import fs from 'fs/promises'
+import path from 'path'
+
+import { warnToConsole } from '../reporter'
+import { getMarketplaceRoot } from '../utils/plugin-directory'
+import { createBackup } from './backup'
+import { withFileLock, writeFileAtomic } from './file-lock'
+
+/**
+ * @import { KnownMarketplaceEntry, MarketplaceProvider, WarningHandler } from '../types.js'
+ */
+
+/**
+ * Read Claude Code's marketplace registry (plugins/known_marketplaces.json)
+ * @param {string} registryPath - Path to known_marketplaces.json
+ * @param {object} [options] - Options
+ * @param {WarningHandler} [options.onWarning] - Receives a warning if the file is malformed (default: stderr)
+ * @returns {Promise<Record<string, KnownMarketplaceEntry>>} Registered marketplaces by name
+ */
+export async function readKnownMarketplaces(registryPath, options = {}) {
+  const { onWarning = warnToConsole } = options
+  try {
+    const content = await fs.readFile(registryPath, 'utf8')
+
+    return JSON.parse(content)
+  }
+  catch (error) {
+    if (error.code === 'ENOENT') {
+      return {}
+    }
+
+    if (error instanceof SyntaxError) {
+      onWarning(`Malformed ${registryPath}, creating backup and using defaults`)
+      await createBackup(registryPath)
+
+      return {}
+    }
+
+    throw error
+  }
+}
+
+/**
+ * Merge discovered marketplace providers into the registry; see updateKnownMarketplaces
+ * @param {string} registryPath - Path to known_marketplaces.json
+ * @param {MarketplaceProvider[]} providers - Discovered marketplace providers
+ * @param {object} [options] - Options
+ * @param {boolean} [options.dryRun] - Compute the changes without writing the registry
+ * @param {WarningHandler} [options.onWarning] - Receives warnings about a malformed file and skipped marketplaces
+ *   (default: stderr)
+ * @returns {Promise<{added: string[], updated: string[], skipped: string[]}>} Names of the marketplaces added,
+ *   updated and skipped
+ */
+async function mergeKnownMarketplaces(registryPath, providers, options = {}) {
+  const { onWarning = warnToConsole } = options
+  const registry = await readKnownMarketplaces(registryPath, options)
+  const changes = { added : [], updated : [], skipped : [] }
+  const now = new Date().toISOString()
+
+  for (const provider of providers) {
+    const name = provider.marketplaceDeclaration.name
+    const existing = registry[name]
+    const root = getMarketplaceRoot(provider)
+
+    if (existing !== undefined && existing.source?.source !== 'directory') {
+      onWarning(`Marketplace ${name} is already registered from a ${existing.source?.source} source, leaving it alone`)
+      changes.skipped.push(name)
+      continue
+    }
+
+    const isCurrent =
+      existing?.source?.source === 'directory' && existing.source.path === root && existing.installLocation === root
+    if (isCurrent) {
+      continue
+    }
+
+    registry[name] = {
+      source          : { source : 'directory', path : root },
+      installLocation : root,
+      lastUpdated     : now,
+    }
+    changes[existing ? 'updated' : 'added'].push(name)
+  }
+
+  if (changes.added.length + changes.updated.length > 0 && !options.dryRun) {
+    await writeKnownMarketplaces(registryPath, registry)
+  }
+
+  return changes
+}
+
+/**
+ * Register discovered marketplace providers in Claude Code's marketplace registry (non-destructive merge: entries for
+ * other marketplaces are left alone, and so are entries of the same name with another source type, such as a github
+ * marketplace the user added through Claude Code). The read/merge/write runs under a lock on the registry file.
+ * @param {string} registryPath - Path to known_marketplaces.json
+ * @param {MarketplaceProvider[]} providers - Discovered marketplace providers
+ * @param {object} [options] - Options
+ * @param {boolean} [options.dryRun] - Compute the changes without writing the registry
+ * @param {WarningHandler} [options.onWarning] - Receives warnings about a malformed file and skipped marketplaces
+ *   (default: stderr)
+ * @returns {Promise<{added: string[], updated: string[], skipped: string[]}>} Names of the marketplaces added,
+ *   updated and skipped
+ */
+export async function updateKnownMarketplaces(registryPath, providers, options = {}) {
+  const update = () => mergeKnownMarketplaces(registryPath, providers, options)
+
+  return options.dryRun ? update() : withFileLock(registryPath, update)
+}
+
+/**
+ * Remove marketplaces from Claude Code's marketplace registry, e.g. after they were pruned from settings. Only
+ * directory entries are removed; an entry of the same name with another source type is the user's. The
+ * read/remove/write runs under a lock on the registry file.
+ * @param {string} registryPath - Path to known_marketplaces.json
+ * @param {string[]} marketplaceNames - Names of the marketplaces to remove
+ * @param {object} [options] - Options
+ * @param {WarningHandler} [options.onWarning] - Receives a warning if the file is malformed (default: stderr)
+ * @returns {Promise<string[]>} Names of the marketplaces removed
+ */
+export async function removeKnownMarketplaces(registryPath, marketplaceNames, options = {}) {
+  return withFileLock(registryPath, async () => {
+    const registry = await readKnownMarketplaces(registryPath, options)
+    const removed = marketplaceNames.filter((name) => registry[name]?.source?.source === 'directory')
+
+    for (const name of removed) {
+      delete registry[name]
+    }
+    if (removed.length > 0) {
+      await writeKnownMarketplaces(registryPath, registry)
+    }
+
+    return removed
+  })
+}
+
+/**
+ * Write the registry to file with backup
+ * @param {string} registryPath - Path to known_marketplaces.json
+ * @param {Record<string, KnownMarketplaceEntry>} registry - Registered marketplaces by name
+ * @returns {Promise<void>}
+ */
+async function writeKnownMarketplaces(registryPath, registry) {
+  await createBackup(registryPath)
+
+  await fs.mkdir(path.dirname(registryPath), { recursive : true })
+
+  await writeFileAtomic(registryPath, JSON.stringify(registry, null, 2))
+}
@@ -0,0 +1,302 @@
+import fs from 'fs/promises'
+import path from 'path'
+
+import { warnToConsole } from '../reporter'
+import { parseJsonc, serializeJsonc } from '../utils/jsonc'
+import { isPluginValid } from '../utils/plugin-validation'
+import { getMarketplaceDirectory } from '../utils/stale-marketplaces'
+import { createBackup } from './backup'
+import { createSettingsDiff, readSettingsText } from './claude-settings'
+import { withFileLock, writeFileAtomic } from './file-lock'
+
+/**
+ * @import {
+ *   LocalMarketplaceEntry,
+ *   LocalSettings,
+ *   MarketplaceProvider,
+ *   SettingsDiff,
+ *   WarningHandler
+ * } from '../types.js'
+ */
+
+/**
+ * Get the path to the project-local settings file
+ * @param {string} baseDir - Project root directory
+ * @returns {string} Absolute path to .claude/settings.json in the project
+ */
+export function getLocalSettingsPath(baseDir) {
+  return path.resolve(baseDir, '.claude', 'settings.json')
+}
+
+/**
+ * Create the default (empty) local settings structure
+ * @returns {LocalSettings} Default local settings
+ */
+const createDefaultLocalSettings = () => ({
+  extraKnownMarketplaces : {},
+  enabledPlugins         : {},
+})
+
+/**
+ * Read project-local Claude Code settings (.claude/settings.json in the project root). Comments and trailing commas
+ * (JSONC) are accepted.
+ * @param {string} localSettingsPath - Path to the project's .claude/settings.json
+ * @param {object} [options] - Options
+ * @param {boolean} [options.dryRun] - Don't back up a malformed file
+ * @param {WarningHandler} [options.onWarning] - Receives a warning if the file is malformed (default: stderr)
+ * @returns {Promise<LocalSettings>} Local settings object
+ */
+export async function readLocalSettings(localSettingsPath, options = {}) {
+  const { onWarning = warnToConsole } = options
+  try {
+    const content = await fs.readFile(localSettingsPath, 'utf8')
+    const settings = parseJsonc(content)
+
+    // Ensure the sections we manage exist
+    settings.extraKnownMarketplaces = settings.extraKnownMarketplaces || {}
+    settings.enabledPlugins = settings.enabledPlugins || {}
+
+    return settings
+  }
+  catch (error) {
+    if (error.code === 'ENOENT') {
+      return createDefaultLocalSettings()
+    }
+
+    if (error instanceof SyntaxError) {
+      onWarning(`Malformed ${localSettingsPath}, ${options.dryRun ? '' : 'creating backup and '}using defaults`)
+      if (!options.dryRun) {
+        await createBackup(localSettingsPath)
+      }
+
+      return createDefaultLocalSettings()
+    }
+
+    throw error
+  }
+}
+
+/**
+ * Get the project root a local settings file belongs to
+ * @param {string} localSettingsPath - Path to the project's .claude/settings.json
+ * @returns {string} Project root directory
+ */
+const getProjectDir = (localSettingsPath) => path.dirname(path.dirname(path.resolve(localSettingsPath)))
+
+/**
+ * Build an extraKnownMarketplaces entry for a provider. The project's settings are shared through version control, so
+ * the path is written relative to the project root ('./node_modules/<package>'), which holds in every checkout.
+ * @param {MarketplaceProvider} provider - Marketplace provider
+ * @param {string} projectDir - Project root directory
+ * @returns {LocalMarketplaceEntry} Marketplace entry for local settings
+ */
+function buildLocalMarketplaceEntry(provider, projectDir) {
+  const relativePath = path.relative(projectDir, provider.path).split(path.sep).join('/')
+
+  return {
+    source : {
+      source : 'directory',
+      path   : relativePath.startsWith('../') ? relativePath : `./${relativePath}`,
+    },
+  }
+}
+
+/**
+ * Read the project's marketplaces with their directory paths, which are written relative to the project root, resolved
+ * to absolute paths. Entries with another source type are returned as they are.
+ * @param {string} localSettingsPath - Path to the project's .claude/settings.json
+ * @param {object} [options] - Options (see readLocalSettings)
+ * @param {boolean} [options.dryRun] - Don't back up a malformed file
+ * @param {WarningHandler} [options.onWarning] - Receives a warning if the file is malformed (default: stderr)
+ * @returns {Promise<Record<string, LocalMarketplaceEntry>>} Marketplace entries by name
+ */
+export async function readLocalMarketplaces(localSettingsPath, options = {}) {
+  const { extraKnownMarketplaces } = await readLocalSettings(localSettingsPath, options)
+  const projectDir = getProjectDir(localSettingsPath)
+
+  return Object.fromEntries(
+    Object.entries(extraKnownMarketplaces).map(([name, entry]) => {
+      const directory = getMarketplaceDirectory(entry)
+      const source = directory === null ? entry.source : { ...entry.source, path : path.resolve(projectDir, directory) }
+
+      return [name, { ...entry, source }]
+    })
+  )
+}
+
+/**
+ * Check if an extraKnownMarketplaces entry needs updating. Only directory entries pointing somewhere else are
+ * updated; entries the user configured with another source type (github, git, etc.) are left alone.
+ * @param {object} existingEntry - Current marketplace entry in local settings
+ * @param {object} newEntry - New marketplace entry
+ * @returns {boolean} True if marketplace needs updating
+ */
+function shouldUpdateLocalMarketplace(existingEntry, newEntry) {
+  if (!existingEntry) {
+    return true
+  }
+
+  return existingEntry.source?.source === 'directory' && existingEntry.source.path !== newEntry.source.path
+}
+
+/**
+ * Merge discovered marketplace providers into project-local settings; see updateLocalSettings
+ * @param {string} localSettingsPath - Path to the project's .claude/settings.json
+ * @param {MarketplaceProvider[]} providers - Discovered marketplace providers
+ * @param {object} [options] - Options
+ * @param {boolean} [options.dryRun] - Compute the changes without writing the settings file
+ * @param {WarningHandler} [options.onWarning] - Receives a warning if the file is malformed (default: stderr)
+ * @returns {Promise<{added: string[], updated: string[], diff: SettingsDiff}>} Change summary
+ */
+async function mergeLocalProviders(localSettingsPath, providers, options = {}) {
+  const settings = await readLocalSettings(localSettingsPath, options)
+  const changes = { added : [], updated : [], diff : createSettingsDiff() }
+  // Provider paths are real paths, so the relative paths are computed from the project's real path
+  const projectDir = await fs.realpath(getProjectDir(localSettingsPath))
+  let marketplacesUpdated = false
+
+  for (const provider of providers) {
+    const marketplace = provider.marketplaceDeclaration
+    const marketplaceName = marketplace.name
+
+    const existingEntry = settings.extraKnownMarketplaces[marketplaceName]
+    const newEntry = buildLocalMarketplaceEntry(provider, projectDir)
+
+    if (shouldUpdateLocalMarketplace(existingEntry, newEntry)) {
+      if (existingEntry) {
+        changes.diff.marketplaces.moved.push({
+          name : marketplaceName,
+          from : existingEntry.source.path,
+          to   : newEntry.source.path,
+        })
+      }
+      else {
+        changes.diff.marketplaces.added.push({ name : marketplaceName, path : newEntry.source.path })
+      }
+
+      settings.extraKnownMarketplaces[marketplaceName] = { ...existingEntry, ...newEntry }
+      marketplacesUpdated = true
+    }
+
+    for (const plugin of marketplace.plugins) {
+      const pluginKey = `${plugin.name}@${marketplaceName}`
+      const projectState = settings.enabledPlugins[pluginKey]
+
+      if (projectState === false || !isPluginValid(provider, plugin.name)) {
+        continue // respect project-level disable; never enable plugins with an invalid manifest
+      }
+
+      if (projectState === undefined) {
+        settings.enabledPlugins[pluginKey] = true
+        changes.added.push(plugin.name)
+        changes.diff.enabled.push(pluginKey)
+      }
+      else {
+        changes.updated.push(plugin.name)
+      }
+    }
+  }
+
+  if ((changes.added.length > 0 || marketplacesUpdated) && !options.dryRun) {
+    await writeLocalSettings(localSettingsPath, settings)
+  }
+
+  return changes
+}
+
+/**
+ * Update project-local settings with discovered marketplace providers (non-destructive merge). Marketplaces are
+ * registered under `extraKnownMarketplaces` and their plugins are enabled under `enabledPlugins` unless the project
+ * already has an explicit entry (`true` or `false`) for them. Runs under a lock on the settings file.
+ * @param {string} localSettingsPath - Path to the project's .claude/settings.json
+ * @param {MarketplaceProvider[]} providers - Discovered marketplace providers
+ * @param {object} [options] - Options
+ * @param {boolean} [options.dryRun] - Compute the changes without writing the settings file
+ * @param {WarningHandler} [options.onWarning] - Receives a warning if the file is malformed (default: stderr)
+ * @returns {Promise<{added: string[], updated: string[], diff: SettingsDiff}>} Change summary
+ */
+export async function updateLocalSettings(localSettingsPath, providers, options = {}) {
+  const update = () => mergeLocalProviders(localSettingsPath, providers, options)
+
+  return options.dryRun ? update() : withFileLock(localSettingsPath, update)
+}
+
+/**
+ * Write local settings to file with backup. Only the `extraKnownMarketplaces` and `enabledPlugins` sections of an
+ * existing file are rewritten; formatting, comments and other keys are preserved.
+ * @param {string} localSettingsPath - Path to the project's .claude/settings.json
+ * @param {LocalSettings} settings - Local settings object
+ * @returns {Promise<void>}
+ */
+async function writeLocalSettings(localSettingsPath, settings) {
+  const previous = await readSettingsText(localSettingsPath)
+
+  await createBackup(localSettingsPath)
+
+  await fs.mkdir(path.dirname(localSettingsPath), { recursive : true })
+
+  await writeFileAtomic(
+    localSettingsPath,
+    serializeJsonc(previous, settings, ['extraKnownMarketplaces', 'enabledPlugins'])
+  )
+}
+
+/**
+ * Set a project-level `enabledPlugins` override for a plugin
+ * @param {string} localSettingsPath - Path to the project's .claude/settings.json
+ * @param {string} pluginKey - Plugin key ('pluginName@marketplaceName')
+ * @param {boolean} enabled - True to enable, false to disable
+ * @param {object} [options] - Options
+ * @param {WarningHandler} [options.onWarning] - Receives a warning if the file is malformed (default: stderr)
+ * @returns {Promise<boolean>} True if the settings changed, false if the override was already set
+ */
+export async function setProjectPluginState(localSettingsPath, pluginKey, enabled, options = {}) {
+  return withFileLock(localSettingsPath, async () => {
+    const settings = await readLocalSettings(localSettingsPath, options)
+
+    if (settings.enabledPlugins[pluginKey] === enabled) {
+      return false
+    }
+
+    settings.enabledPlugins[pluginKey] = enabled
+    await writeLocalSettings(localSettingsPath, settings)
+
+    return true
+  })
+}
+
+/**
+ * Remove marketplaces from project settings, along with their `true` enabledPlugins entries. Explicit `false`
+ * overrides are kept so the project's choice survives a reinstall.
+ * @param {string} localSettingsPath - Path to the project's .claude/settings.json
+ * @param {string[]} marketplaceNames - Names of the marketplaces to remove
+ * @param {object} [options] - Options
+ * @param {WarningHandler} [options.onWarning] - Receives a warning if the file is malformed (default: stderr)
+ * @returns {Promise<{marketplaces: string[], plugins: string[]}>} Removed marketplace names and plugin keys
+ */
+export async function removeLocalMarketplaces(localSettingsPath, marketplaceNames, options = {}) {
+  return withFileLock(localSettingsPath, async () => {
+    const settings = await readLocalSettings(localSettingsPath, options)
+    const removed = { marketplaces : [], plugins : [] }
+
+    for (const name of marketplaceNames) {
+      if (settings.extraKnownMarketplaces[name] !== undefined) {
+        delete settings.extraKnownMarketplaces[name]
+        removed.marketplaces.push(name)
+      }
+    }
+
+    for (const [key, enabled] of Object.entries(settings.enabledPlugins)) {
+      if (enabled === true && marketplaceNames.includes(key.slice(key.lastIndexOf('@') + 1))) {
+        delete settings.enabledPlugins[key]
+        removed.plugins.push(key)
+      }
+    }
+
+    if (removed.marketplaces.length > 0 || removed.plugins.length > 0) {
+      await writeLocalSettings(localSettingsPath, settings)
+    }
+
+    return removed
+  })
+}
@@ -0,0 +1,159 @@
+import fs from 'fs/promises'
+import path from 'path'
+
+import { AirError } from '../errors'
+import { toIntegrity } from '../utils/file-hash'
+import { writeFileAtomic } from './file-lock'
+import { hashProvider } from './plugin-store'
+
+/**
+ * @import { AirLockfile, LockedMarketplace, MarketplaceProvider } from '../types.js'
+ */
+
+/**
+ * Name of the plugin lockfile in the project root
+ */
+export const LOCKFILE_NAME = 'air-lock.json'
+
+/**
+ * Version of the air-lock.json format
+ */
+export const LOCKFILE_VERSION = 1
+
+/**
+ * Get the path of a project's lockfile
+ * @param {string} baseDir - Project directory
+ * @returns {string} Absolute path to air-lock.json
+ */
+export const getLockfilePath = (baseDir) => path.resolve(baseDir, LOCKFILE_NAME)
+
+/**
+ * Build a lockfile from the marketplace providers a sync registers. Marketplaces and plugins are sorted by name so the
+ * file only changes when the plugin set does.
+ * @param {MarketplaceProvider[]} providers - Marketplace providers
+ * @returns {Promise<AirLockfile>} Lockfile
+ */
+export async function buildLockfile(providers) {
+  const sorted = [...providers].sort((a, b) =>
+    a.marketplaceDeclaration.name.localeCompare(b.marketplaceDeclaration.name))
+  const marketplaces = {}
+
+  for (const provider of sorted) {
+    const plugins = {}
+    for (const plugin of [...provider.marketplaceDeclaration.plugins].sort((a, b) => a.name.localeCompare(b.name))) {
+      plugins[plugin.name] = { version : plugin.version || 'unknown' }
+    }
+
+    // eslint-disable-next-line no-await-in-loop
+    const integrity = toIntegrity(await hashProvider(provider))
+    marketplaces[provider.marketplaceDeclaration.name] = {
+      package   : provider.packageName,
+      version   : provider.version,
+      integrity,
+      plugins,
+    }
+  }
+
+  return { lockfileVersion : LOCKFILE_VERSION, marketplaces }
+}
+
+/**
+ * Read a project's lockfile
+ * @param {string} baseDir - Project directory
+ * @returns {Promise<AirLockfile|null>} Lockfile, or null if the project has none
+ * @throws {AirError} If the lockfile isn't valid JSON
+ */
+export async function readLockfile(baseDir) {
+  try {
+    return JSON.parse(await fs.readFile(getLockfilePath(baseDir), 'utf8'))
+  }
+  catch (error) {
+    if (error.code === 'ENOENT') {
+      return null
+    }
+    if (error instanceof SyntaxError) {
+      throw new AirError(`Malformed ${getLockfilePath(baseDir)}: ${error.message}`, { cause : error })
+    }
+    throw error
+  }
+}
+
+/**
+ * Write a project's lockfile, unless it is already up to date
+ * @param {string} baseDir - Project directory
+ * @param {AirLockfile} lockfile - Lockfile
+ * @param {object} [options] - Options
+ * @param {boolean} [options.dryRun] - Only check whether the file would change
+ * @returns {Promise<boolean>} True if the file changed (or, on a dry run, would change)
+ */
+export async function writeLockfile(baseDir, lockfile, options = {}) {
+  const content = `${JSON.stringify(lockfile, null, 2)}\n`
+  const lockfilePath = getLockfilePath(baseDir)
+  try {
+    if ((await fs.readFile(lockfilePath, 'utf8')) === content) {
+      return false
+    }
+  }
+  catch (error) {
+    if (error.code !== 'ENOENT') {
+      throw error
+    }
+  }
+
+  if (!options.dryRun) {
+    await writeFileAtomic(lockfilePath, content)
+  }
+
+  return true
+}
+
+/**
+ * Describe how a locked marketplace differs from the discovered one
+ * @param {string} name - Marketplace name
+ * @param {LockedMarketplace} locked - Marketplace recorded in the lockfile
+ * @param {LockedMarketplace} found - Marketplace discovered now
+ * @returns {string[]} Differences
+ */
+function diffMarketplace(name, locked, found) {
+  if (locked.package !== found.package || locked.version !== found.version) {
+    return [`${name}: locked ${locked.package}@${locked.version}, found ${found.package}@${found.version}`]
+  }
+
+  const lockedPlugins = Object.entries(locked.plugins || {})
+    .map(([plugin, { version }]) => `${plugin}@${version}`)
+    .sort()
+  const foundPlugins = Object.entries(found.plugins)
+    .map(([plugin, { version }]) => `${plugin}@${version}`)
+    .sort()
+  if (lockedPlugins.join() !== foundPlugins.join()) {
+    return [`${name}: locked plugins ${lockedPlugins.join(', ') || 'none'}, found ${foundPlugins.join(', ') || 'none'}`]
+  }
+
+  if (locked.integrity !== found.integrity) {
+    return [`${name}: content of ${found.package}@${found.version} doesn't match the locked integrity`]
+  }
+
+  return []
+}
+
+/**
+ * Compare a lockfile with the lockfile built from the discovered marketplaces
+ * @param {AirLockfile} locked - Lockfile on disk
+ * @param {AirLockfile} found - Lockfile built from the discovered marketplaces
+ * @returns {string[]} Descriptions of each difference; empty if the plugin sets match
+ */
+export function diffLockfiles(locked, found) {
+  const lockedMarketplaces = locked.marketplaces || {}
+  const names = [...new Set([...Object.keys(lockedMarketplaces), ...Object.keys(found.marketplaces)])].sort()
+
+  return names.flatMap((name) => {
+    if (!lockedMarketplaces[name]) {
+      return [`${name}: not in ${LOCKFILE_NAME}`]
+    }
+    if (!found.marketplaces[name]) {
+      return [`${name}: in ${LOCKFILE_NAME} but not discovered`]
+    }
+
+    return diffMarketplace(name, lockedMarketplaces[name], found.marketplaces[name])
+  })
+}
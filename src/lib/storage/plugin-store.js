@@ -0,0 +1,201 @@
+import fs from 'fs/promises'
+import path from 'path'
+
+import { toKebabCase } from '../parsers/air-integrations'
+import { hashFiles, listFiles } from '../utils/file-hash'
+import { getPluginDirectory } from '../utils/plugin-directory'
+import { readSettings } from './claude-settings'
+import { readInstalledPlugins } from './installed-plugins'
+import { readKnownMarketplaces } from './known-marketplaces'
+
+/**
+ * @import { ClaudePluginConfig } from './claude-config.js'
+ * @import { MarketplaceProvider, WarningHandler } from '../types.js'
+ */
+
+/**
+ * Minimum age of an unreferenced store entry before it is garbage-collected, so a copy another sync has just
+ * materialized survives until that sync registers it
+ */
+export const STORE_GC_MIN_AGE_MS = 10 * 60 * 1000
+
+/**
+ * Check whether a path exists
+ * @param {string} filePath - Path to check
+ * @returns {Promise<boolean>} True if the path exists
+ */
+async function pathExists(filePath) {
+  try {
+    await fs.access(filePath)
+
+    return true
+  }
+  catch {
+    return false
+  }
+}
+
+/**
+ * List the parts of a provider package that are materialized: its package.json, its .claude-plugin directory and the
+ * directory of each local plugin, relative to the package. Paths inside another listed directory are left out.
+ * @param {MarketplaceProvider} provider - Marketplace provider
+ * @returns {string[]} Relative paths ('' for the whole package)
+ */
+function getMaterializedPaths(provider) {
+  const paths = ['package.json', '.claude-plugin']
+  for (const plugin of provider.marketplaceDeclaration.plugins) {
+    const pluginDirectory = getPluginDirectory(provider, plugin)
+    const relativePath = pluginDirectory === null ? null : path.relative(provider.path, pluginDirectory)
+    if (relativePath !== null && !relativePath.startsWith('..') && !path.isAbsolute(relativePath)) {
+      paths.push(relativePath)
+    }
+  }
+
+  const isInside = (child, parent) => parent === '' || child.startsWith(`${parent}${path.sep}`)
+
+  return [...new Set(paths)].filter(
+    (candidate) => !paths.some((other) => other !== candidate && isInside(candidate, other))
+  )
+}
+
+/**
+ * List and hash the files of a provider package that are materialized
+ * @param {MarketplaceProvider} provider - Marketplace provider
+ * @returns {Promise<{files: string[], hash: string}>} File paths relative to the package, and their hex SHA-256 digest
+ */
+async function getProviderContent(provider) {
+  const roots = []
+  for (const relativePath of getMaterializedPaths(provider)) {
+    // eslint-disable-next-line no-await-in-loop
+    if (await pathExists(path.join(provider.path, relativePath))) {
+      roots.push(relativePath)
+    }
+  }
+  const files = (await Promise.all(roots.map((relativePath) => listFiles(provider.path, relativePath)))).flat()
+
+  return { files, hash : await hashFiles(provider.path, files) }
+}
+
+/**
+ * Hash a provider's marketplace and plugin files (the files `materializeProvider` copies)
+ * @param {MarketplaceProvider} provider - Marketplace provider
+ * @returns {Promise<string>} Hex SHA-256 digest
+ */
+export const hashProvider = async (provider) => (await getProviderContent(provider)).hash
+
+/**
+ * Copy a provider's marketplace and plugin files into the store. Store entries are named after the package, its
+ * version and a hash of the copied content, so an unchanged package is only copied once and different contents never
+ * overwrite each other. The copy is made in a temporary directory and renamed into place.
+ * @param {string} storeDir - Store directory
+ * @param {MarketplaceProvider} provider - Marketplace provider
+ * @param {object} [options] - Options
+ * @param {boolean} [options.dryRun] - Only compute the store path; don't copy anything
+ * @returns {Promise<string>} Absolute path of the provider's copy in the store
+ */
+export async function materializeProvider(storeDir, provider, options = {}) {
+  const { files, hash } = await getProviderContent(provider)
+  const target = path.join(storeDir, `${toKebabCase(provider.packageName)}@${provider.version}-${hash.slice(0, 12)}`)
+
+  if (options.dryRun || (await pathExists(target))) {
+    return target
+  }
+
+  const tempDir = path.join(storeDir, `.tmp-${path.basename(target)}-${process.pid}-${Date.now()}`)
+  try {
+    for (const file of files) {
+      // eslint-disable-next-line no-await-in-loop
+      await fs.mkdir(path.dirname(path.join(tempDir, file)), { recursive : true })
+      // eslint-disable-next-line no-await-in-loop
+      await fs.copyFile(path.join(provider.path, file), path.join(tempDir, file))
+    }
+    await fs.rename(tempDir, target)
+  }
+  catch (error) {
+    await fs.rm(tempDir, { recursive : true, force : true })
+    // Another sync materialized the same content first
+    if (!['EEXIST', 'ENOTEMPTY'].includes(error.code)) {
+      throw error
+    }
+  }
+
+  return target
+}
+
+/**
+ * Collect the paths that global settings and Claude Code's plugin registries point at. Registry entries of
+ * marketplaces in settings are left out: settings is the source of truth for those, and their registry entries may
+ * still point at a copy a prune has just dropped.
+ * @param {ClaudePluginConfig} config - Claude plugin configuration
+ * @param {WarningHandler} [onWarning] - Receives warnings about malformed files
+ * @returns {Promise<string[]>} Referenced paths
+ */
+async function getReferencedPaths(config, onWarning) {
+  const settings = await readSettings(config.settingsPath, { onWarning })
+  const knownMarketplaces = await readKnownMarketplaces(config.knownMarketplacesPath, { onWarning })
+  const installedPlugins = await readInstalledPlugins(config.installedPluginsPath, { onWarning })
+  const isUnmanaged = (marketplaceName) => settings.plugins.marketplaces[marketplaceName] === undefined
+
+  return [
+    ...Object.values(settings.plugins.marketplaces).flatMap((entry) => [
+      entry.source?.path,
+      ...Object.values(entry.projects || {}).map((reference) => reference.materializedPath),
+    ]),
+    ...Object.entries(knownMarketplaces)
+      .filter(([name]) => isUnmanaged(name))
+      .flatMap(([, entry]) => [entry.source?.path, entry.installLocation]),
+    ...Object.entries(installedPlugins.plugins)
+      .filter(([pluginKey]) => isUnmanaged(pluginKey.slice(pluginKey.lastIndexOf('@') + 1)))
+      .map(([, entry]) => entry.installPath),
+  ].filter((referencedPath) => typeof referencedPath === 'string')
+}
+
+/**
+ * Remove store entries that neither global settings nor Claude Code's plugin registries reference, and the temporary
+ * directories of interrupted copies. Entries younger than `minAge` are kept, so copies still in progress survive.
+ * @param {ClaudePluginConfig} config - Claude plugin configuration
+ * @param {object} [options] - Options
+ * @param {number} [options.minAge] - Minimum age in milliseconds of the entries to remove (default: 10 minutes)
+ * @param {WarningHandler} [options.onWarning] - Receives warnings about malformed settings or registries (default:
+ *   stderr)
+ * @returns {Promise<string[]>} Names of the removed store entries
+ */
+export async function collectStoreGarbage(config, options = {}) {
+  const minAge = options.minAge ?? STORE_GC_MIN_AGE_MS
+  let entries
+  try {
+    entries = await fs.readdir(config.storeDir)
+  }
+  catch (error) {
+    if (error.code === 'ENOENT') {
+      return []
+    }
+    throw error
+  }
+
+  const referencedPaths = await getReferencedPaths(config, options.onWarning)
+  const isReferenced = (entryPath) =>
+    referencedPaths.some(
+      (referencedPath) => referencedPath === entryPath || referencedPath.startsWith(`${entryPath}${path.sep}`)
+    )
+
+  const removed = []
+  for (const entry of entries.filter((name) => !name.startsWith('.') || name.startsWith('.tmp-'))) {
+    const entryPath = path.join(config.storeDir, entry)
+    if (isReferenced(entryPath)) {
+      continue
+    }
+
+    // eslint-disable-next-line no-await-in-loop
+    const { mtimeMs } = await fs.stat(entryPath)
+    if (Date.now() - mtimeMs < minAge) {
+      continue
+    }
+
+    // eslint-disable-next-line no-await-in-loop
+    await fs.rm(entryPath, { recursive : true, force : true })
+    removed.push(entry)
+  }
+
+  return removed
+}
@@ -4,6 +4,51 @@
  * @property {string} version - Package version from package.json
  * @property {string} path - Absolute path to package directory
  * @property {MarketplaceDeclaration} marketplaceDeclaration - Parsed marketplace.json
+ * @property {string[]} [workspaces] - Names of the workspace packages depending on this package (workspace projects only)
+ * @property {string[]} [requiredBy] - Names of the packages depending on this package (transitive dependencies only)
+ * @property {Record<string, PluginValidation>} [pluginValidation] - Validation results of local plugins (manifest and
+ *   referenced files), keyed by plugin name
+ * @property {AirIntegration[]} [integrations] - AIR integrations found under the package's ai-ready/integrations
+ * @property {boolean} [synthesizedMarketplace] - True if the package has no marketplace.json and the declaration was
+ *   synthesized from its AIR integrations
+ * @property {string} [materializedPath] - Copy of the package's marketplace and plugins in the materialization store,
+ *   registered instead of `path`
+ */
+
+/**
+ * @typedef {object} AirIntegration
+ * @property {string} id - Integration identifier in the form `<package>/<integration directory>`
+ * @property {string} dirName - Integration directory name
+ * @property {string} name - Integration name from the frontmatter (defaults to the directory name)
+ * @property {string} summary - One-line summary from the frontmatter (empty if none)
+ * @property {string} path - Absolute path to the integration directory
+ * @property {string[]} types - Supported implementation types (see INTEGRATION_TYPES)
+ */
+
+/**
+ * @typedef {object} PluginValidation
+ * @property {boolean} valid - Whether the plugin's .claude-plugin/plugin.json (for strict plugins) and the commands,
+ *   agents, hooks and MCP server files it references are valid
+ * @property {{field: string, message: string}[]} errors - Validation errors (empty if valid)
+ */
+
+/**
+ * @typedef {object} TransitiveScanOptions
+ * @property {number} [depth] - Maximum dependency depth to scan; 1 scans direct dependencies only
+ * @property {string[]} [allow] - Package name patterns (e.g., '@our-org/*') transitive dependencies must match
+ */
+
+/**
+ * @typedef {object} ScanOptions
+ * @property {TransitiveScanOptions} [transitive] - Transitive dependency discovery settings
+ * @property {WarningHandler} [onWarning] - Receives warnings about packages that can't be read (not cached)
+ */
+
+/**
+ * @typedef {object} WorkspacePackage
+ * @property {string} name - Workspace package name (or its path relative to the project root if unnamed)
+ * @property {string} dir - Absolute path to the workspace directory
+ * @property {object} packageJson - Parsed workspace package.json
  */
 
 /**
@@ -111,6 +156,15 @@
  * @typedef {object} ClaudeMarketplaceEntry
  * @property {MarketplaceSource} source - Marketplace source
  * @property {Record<string, PluginMetadata>} plugins - Plugin metadata by name
+ * @property {Record<string, MarketplaceReference>} [projects] - Projects that depend on the marketplace's package, by
+ *   project directory; `source` points at one of their installs
+ */
+
+/**
+ * @typedef {object} MarketplaceReference
+ * @property {string} path - Package directory installed in the project
+ * @property {string} version - Installed package version
+ * @property {string} [materializedPath] - Copy of the install in the materialization store, if it was materialized
  */
 
 /**
@@ -123,6 +177,135 @@
  * @typedef {object} PluginMetadata
  * @property {string} version - Plugin version
  * @property {string} source - Plugin source (relative path or source object)
+ * @property {string} [integrity] - Hash of the plugin's files when it was synced ('sha256-<base64>'; local plugins only)
+ * @property {string} [packageVersion] - Package version the integrity was recorded at
+ */
+
+/**
+ * @typedef {object} PluginIntegrityCheck
+ * @property {string} pluginKey - 'pluginName@marketplaceName'
+ * @property {string} status - Check result (see INTEGRITY_STATUSES)
+ * @property {string|null} directory - Plugin directory that was hashed
+ * @property {string} [recorded] - Integrity recorded at sync time
+ * @property {string} [actual] - Integrity of the files on disk
+ */
+
+/**
+ * @typedef {object} LocalSettings
+ * @property {Record<string, LocalMarketplaceEntry>} extraKnownMarketplaces - Project marketplaces by name
+ * @property {Record<string, boolean>} enabledPlugins - Project overrides keyed by 'pluginName@marketplaceName'
+ */
+
+/**
+ * @typedef {object} LocalMarketplaceEntry
+ * @property {LocalMarketplaceSource} source - Marketplace source
+ */
+
+/**
+ * @typedef {object} LocalMarketplaceSource
+ * @property {'directory'|'github'|'git'} source - Source type
+ * @property {string} [path] - Directory path (for 'directory'); relative to the project root in project settings
+ * @property {string} [repo] - GitHub repository in owner/repo format (for 'github')
+ * @property {string} [url] - Git URL (for 'git')
+ */
+
+/**
+ * @typedef {object} KnownMarketplaceEntry
+ * @property {LocalMarketplaceSource} source - Marketplace source
+ * @property {string} installLocation - Absolute path to the marketplace directory
+ * @property {string} lastUpdated - ISO timestamp of the last change to the entry
+ */
+
+/**
+ * @typedef {object} InstalledPlugins
+ * @property {number} version - Registry format version
+ * @property {Record<string, InstalledPluginEntry>} plugins - Installed plugins keyed by 'pluginName@marketplaceName'
+ */
+
+/**
+ * @typedef {object} InstalledPluginEntry
+ * @property {string} version - Plugin version
+ * @property {string} installedAt - ISO timestamp of the first installation
+ * @property {string} lastUpdated - ISO timestamp of the last change to the entry
+ * @property {string} installPath - Absolute path to the plugin directory
+ * @property {boolean} isLocal - True for plugins installed from a local directory
+ */
+
+/**
+ * @typedef {object} SettingsDiff
+ * @property {object} marketplaces - Marketplace changes
+ * @property {{name: string, path: string}[]} marketplaces.added - Newly registered marketplaces
+ * @property {{name: string, path: string}[]} marketplaces.changed - Marketplaces whose plugin list or versions changed
+ * @property {{name: string, from: string, to: string}[]} marketplaces.moved - Marketplaces whose directory changed
+ * @property {{name: string, project: string}[]} marketplaces.referencesUpdated - Marketplaces that are otherwise
+ *   unchanged but whose reference from the project was added or now points at another install
+ * @property {string[]} enabled - Plugin keys ('pluginName@marketplaceName') newly enabled
+ */
+
+/**
+ * @typedef {object} StaleMarketplace
+ * @property {string} name - Marketplace name
+ * @property {string} path - Directory the marketplace entry points at
+ * @property {string} reason - Why the marketplace is considered stale
+ * @property {string} [project] - Project whose reference is stale; set when other projects still reference the
+ *   marketplace, so only that reference is dropped
+ */
+
+/**
+ * @typedef {object} MarketplaceClaimant
+ * @property {string} packageName - Package declaring the marketplace
+ * @property {string} version - Package version
+ * @property {string} path - Package directory
+ */
+
+/**
+ * @typedef {object} MarketplaceCollision
+ * @property {string} name - Contested marketplace name
+ * @property {MarketplaceClaimant} existing - The package already holding the name (registered in settings, or found
+ *   earlier in the scan)
+ * @property {MarketplaceClaimant} incoming - The package that also declares it
+ * @property {'kept-existing'|'replaced'|'namespaced'|'failed'} resolution - How the collision was resolved
+ * @property {string} [registeredAs] - Name the incoming marketplace was registered under ('namespaced' only)
+ */
+
+/**
+ * @typedef {object} AirLockfile
+ * @property {number} lockfileVersion - Lockfile format version
+ * @property {Record<string, LockedMarketplace>} marketplaces - Locked marketplaces by registered name
+ */
+
+/**
+ * @typedef {object} LockedMarketplace
+ * @property {string} package - Package providing the marketplace
+ * @property {string} version - Package version
+ * @property {string} integrity - Hash of the marketplace and plugin files ('sha256-<base64>')
+ * @property {Record<string, {version: string}>} plugins - Plugins by name
+ */
+
+/**
+ * @typedef {object} ScanCache
+ * @property {number} version - Cache format version
+ * @property {string} scannedAt - ISO timestamp of the scan
+ * @property {ScanOptions} [scanOptions] - Scan options the providers were discovered with
+ * @property {number|null} packageJsonMTime - mtime (ms) of the project package.json
+ * @property {Record<string, number|null>} lockfileMTimes - mtime (ms) of each known lockfile, null if absent
+ * @property {number|null} nodeModulesMTime - mtime (ms) of the project node_modules directory
+ * @property {Record<string, string>} packageVersions - Provider package versions keyed by package path
+ * @property {MarketplaceProvider[]} providers - Cached scan results
+ */
+
+/**
+ * Receives the warnings of library functions, e.g. about malformed files they fall back from (typically a reporter's
+ * `warn`)
+ * @typedef {function(string): void} WarningHandler
+ */
+
+/**
+ * @typedef {object} Reporter
+ * @property {function(string=): void} log - Print human-readable output
+ * @property {function(string): void} warn - Print a warning
+ * @property {function(string): void} error - Print an error
+ * @property {function(any): void} result - Print a command's structured result (JSON reporter only)
  */
 
 /**
@@ -134,6 +317,38 @@ export const PLUGIN_STATUSES = {
   NOT_INSTALLED : 'not-installed',
 }
 
+/**
+ * AIR integration implementation types
+ */
+export const INTEGRATION_TYPES = {
+  GENERIC      : 'genericIntegration',
+  CLAUDE_SKILL : 'claudeSkill',
+}
+
+/**
+ * How to resolve two packages (or two installs of one package in different projects) declaring the same marketplace
+ * name: register the newcomer under a name prefixed with its package name, keep the first registration, keep the
+ * newest package version, or fail
+ */
+export const COLLISION_POLICIES = {
+  NAMESPACE : 'namespace',
+  FIRST     : 'first',
+  NEWEST    : 'newest',
+  FAIL      : 'fail',
+}
+
+/**
+ * Results of checking an enabled plugin's files against the hash recorded when it was synced. `updated` means the
+ * files changed along with the package version, which the next sync records; `modified` means they changed without one.
+ */
+export const INTEGRITY_STATUSES = {
+  OK         : 'ok',
+  MODIFIED   : 'modified',
+  UPDATED    : 'updated',
+  MISSING    : 'missing',
+  UNRECORDED : 'unrecorded',
+}
+
 /**
  * Validates a MarketplaceProvider object
  * @param {MarketplaceProvider} provider - The MarketplaceProvider to validate
@@ -0,0 +1,59 @@
+import crypto from 'crypto'
+import fs from 'fs/promises'
+import path from 'path'
+
+/**
+ * List the files under a path of a package, skipping node_modules
+ * @param {string} root - Package directory
+ * @param {string} relativePath - Path to list, relative to the package ('' for the whole package)
+ * @returns {Promise<string[]>} Relative file paths
+ */
+export async function listFiles(root, relativePath) {
+  const stats = await fs.stat(path.join(root, relativePath))
+  if (!stats.isDirectory()) {
+    return [relativePath]
+  }
+
+  const entries = await fs.readdir(path.join(root, relativePath))
+  const files = await Promise.all(
+    entries
+      .filter((entry) => entry !== 'node_modules')
+      .map((entry) => listFiles(root, path.join(relativePath, entry)))
+  )
+
+  return files.flat()
+}
+
+/**
+ * Hash files of a package: their relative paths and contents
+ * @param {string} root - Package directory
+ * @param {string[]} files - Relative file paths
+ * @returns {Promise<string>} Hex SHA-256 digest
+ */
+export async function hashFiles(root, files) {
+  const hash = crypto.createHash('sha256')
+  for (const file of [...files].sort()) {
+    hash.update(file.split(path.sep).join('/'))
+    hash.update('\0')
+    // eslint-disable-next-line no-await-in-loop
+    hash.update(await fs.readFile(path.join(root, file)))
+    hash.update('\0')
+  }
+
+  return hash.digest('hex')
+}
+
+/**
+ * Format a hex SHA-256 digest as an integrity string, as used in package-lock.json
+ * @param {string} hash - Hex SHA-256 digest
+ * @returns {string} 'sha256-<base64>'
+ */
+export const toIntegrity = (hash) => `sha256-${Buffer.from(hash, 'hex').toString('base64')}`
+
+/**
+ * Hash every file under a directory, skipping node_modules
+ * @param {string} directory - Directory to hash
+ * @returns {Promise<string>} Integrity string ('sha256-<base64>')
+ */
+export const hashDirectory = async (directory) =>
+  toIntegrity(await hashFiles(directory, await listFiles(directory, '')))
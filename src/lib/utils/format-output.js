@@ -0,0 +1,56 @@
+import { dump as dumpYaml } from 'js-yaml'
+
+/**
+ * Supported output formats; 'text' is each command's own human-readable output
+ */
+export const OUTPUT_FORMATS = ['text', 'json', 'yaml', 'table']
+
+/**
+ * @typedef {object} TableColumn
+ * @property {string} header - Column header
+ * @property {string} key - Row property to display
+ */
+
+/**
+ * Render rows as a plain-text table with padded columns
+ * @param {object[]} rows - Table rows
+ * @param {TableColumn[]} columns - Columns to display
+ * @returns {string} Rendered table
+ */
+function formatTable(rows, columns) {
+  const cells = rows.map((row) => columns.map(({ key }) => String(row[key] ?? '')))
+  const widths = columns.map(({ header }, i) => Math.max(header.length, ...cells.map((rowCells) => rowCells[i].length)))
+  const formatLine = (values) =>
+    values
+      .map((value, i) => value.padEnd(widths[i]))
+      .join('  ')
+      .trimEnd()
+
+  return [
+    formatLine(columns.map(({ header }) => header)),
+    formatLine(widths.map((width) => '-'.repeat(width))),
+    ...cells.map(formatLine),
+  ].join('\n')
+}
+
+/**
+ * Format structured command output
+ * @param {object} data - Data to output
+ * @param {'json'|'yaml'|'table'} format - Output format
+ * @param {object} table - How to render the data as a table
+ * @param {object[]} table.rows - Table rows
+ * @param {TableColumn[]} table.columns - Columns to display
+ * @returns {string} Formatted output
+ */
+export function formatOutput(data, format, table) {
+  switch (format) {
+    case 'json':
+      return JSON.stringify(data, null, 2)
+    case 'yaml':
+      return dumpYaml(data).trimEnd()
+    case 'table':
+      return formatTable(table.rows, table.columns)
+    default:
+      throw new Error(`Unknown output format '${format}'; expected one of: ${OUTPUT_FORMATS.join(', ')}`)
+  }
+}
@@ -0,0 +1,22 @@
+import { load as loadYaml } from 'js-yaml'
+
+/**
+ * Parse the YAML frontmatter block (`---` ... `---`) at the start of a markdown document
+ * @param {string} content - Markdown content
+ * @returns {object|null} Parsed frontmatter, or null if the document has none or it isn't a YAML mapping
+ */
+export function parseFrontmatter(content) {
+  const match = /^---\r?\n([\s\S]*?)\r?\n---(?:\r?\n|$)/.exec(content)
+  if (!match) {
+    return null
+  }
+
+  try {
+    const data = loadYaml(match[1])
+
+    return data !== null && typeof data === 'object' && !Array.isArray(data) ? data : null
+  }
+  catch {
+    return null
+  }
+}
@@ -0,0 +1,246 @@
+/**
+ * Skip whitespace and comments
+ * @param {string} text - JSONC text
+ * @param {number} i - Start index
+ * @returns {number} Index of the next significant character (or text.length)
+ */
+function skipTrivia(text, i) {
+  while (i < text.length) {
+    if (/\s/.test(text[i])) {
+      i++
+    }
+    else if (text.startsWith('//', i)) {
+      const end = text.indexOf('\n', i)
+      i = end === -1 ? text.length : end + 1
+    }
+    else if (text.startsWith('/*', i)) {
+      const end = text.indexOf('*/', i + 2)
+      if (end === -1) {
+        throw new SyntaxError('Unterminated comment')
+      }
+      i = end + 2
+    }
+    else {
+      break
+    }
+  }
+
+  return i
+}
+
+/**
+ * Skip a string literal
+ * @param {string} text - JSONC text
+ * @param {number} i - Index of the opening quote
+ * @returns {number} Index just past the closing quote
+ */
+function skipString(text, i) {
+  for (let j = i + 1; j < text.length; j++) {
+    if (text[j] === '\\') {
+      j++
+    }
+    else if (text[j] === '"') {
+      return j + 1
+    }
+  }
+
+  throw new SyntaxError('Unterminated string')
+}
+
+/**
+ * Skip a value (object, array, string or literal)
+ * @param {string} text - JSONC text
+ * @param {number} i - Index of the value's first character
+ * @returns {number} Index just past the value
+ */
+function skipValue(text, i) {
+  if (text[i] === '"') {
+    return skipString(text, i)
+  }
+
+  if (text[i] === '{' || text[i] === '[') {
+    let depth = 0
+    let j = i
+    while (j < text.length) {
+      j = skipTrivia(text, j)
+      const char = text[j]
+      if (char === '"') {
+        j = skipString(text, j)
+        continue
+      }
+      if (char === '{' || char === '[') {
+        depth++
+      }
+      else if (char === '}' || char === ']') {
+        depth--
+        if (depth === 0) {
+          return j + 1
+        }
+      }
+      j++
+    }
+
+    throw new SyntaxError('Unterminated object or array')
+  }
+
+  const match = /^[^\s,\]}/]+/.exec(text.slice(i))
+  if (!match) {
+    throw new SyntaxError(`Unexpected character '${text[i]}' at position ${i}`)
+  }
+
+  return i + match[0].length
+}
+
+/**
+ * Locate the top-level properties of a JSONC object
+ * @param {string} text - JSONC text
+ * @returns {{open: number, close: number, properties: {key: string, keyStart: number, valueStart: number,
+ *   valueEnd: number}[]}} Position of the root braces and of each property
+ */
+function scanTopLevel(text) {
+  const open = skipTrivia(text, 0)
+  if (text[open] !== '{') {
+    throw new SyntaxError('Expected a JSON object')
+  }
+
+  const properties = []
+  let i = skipTrivia(text, open + 1)
+  while (text[i] !== '}') {
+    if (text[i] !== '"') {
+      throw new SyntaxError(`Expected property name at position ${i}`)
+    }
+    const keyStart = i
+    const keyEnd = skipString(text, i)
+    const colon = skipTrivia(text, keyEnd)
+    if (text[colon] !== ':') {
+      throw new SyntaxError(`Expected ':' at position ${colon}`)
+    }
+    const valueStart = skipTrivia(text, colon + 1)
+    const valueEnd = skipValue(text, valueStart)
+    properties.push({ key : JSON.parse(text.slice(keyStart, keyEnd)), keyStart, valueStart, valueEnd })
+
+    i = skipTrivia(text, valueEnd)
+    if (text[i] === ',') {
+      i = skipTrivia(text, i + 1)
+    }
+    else if (text[i] !== '}') {
+      throw new SyntaxError(`Expected ',' or '}' at position ${i}`)
+    }
+  }
+
+  return { open, close : i, properties }
+}
+
+/**
+ * Parse JSONC text: JSON that may contain `//` and `/* *\/` comments and trailing commas
+ * @param {string} text - JSONC text
+ * @returns {any} Parsed value
+ * @throws {SyntaxError} If the text is malformed
+ */
+export function parseJsonc(text) {
+  let json = ''
+  let i = 0
+  while (i < text.length) {
+    const next = skipTrivia(text, i)
+    json += next > i ? ' ' : ''
+    i = next
+    if (i >= text.length) {
+      break
+    }
+
+    if (text[i] === '"') {
+      const end = skipString(text, i)
+      json += text.slice(i, end)
+      i = end
+    }
+    else if (text[i] === ',' && /^[}\]]/.test(text.slice(skipTrivia(text, i + 1)))) {
+      i++ // drop trailing comma
+    }
+    else {
+      json += text[i]
+      i++
+    }
+  }
+
+  return JSON.parse(json)
+}
+
+/**
+ * Get the leading whitespace of the line containing a position
+ * @param {string} text - Text
+ * @param {number} position - Position in the text
+ * @returns {string} Line indentation
+ */
+const getLineIndent = (text, position) => /^[ \t]*/.exec(text.slice(text.lastIndexOf('\n', position - 1) + 1))[0]
+
+/**
+ * Set top-level properties of a JSONC document, editing only the text of the properties whose values changed.
+ * Indentation style, line endings, key order, other properties and comments outside the changed values are kept
+ * byte-for-byte. New properties are appended at the end of the root object.
+ * @param {string} text - Original JSONC text
+ * @param {Record<string, any>} updates - New values by top-level key
+ * @returns {string} Updated text
+ * @throws {SyntaxError} If the original text is malformed
+ */
+export function setTopLevelProperties(text, updates) {
+  const original = parseJsonc(text)
+  const eol = text.includes('\r\n') ? '\r\n' : '\n'
+  const indentUnit = /^([ \t]+)\S/m.exec(text)?.[1] || '  '
+  const serialize = (value, indent) =>
+    JSON.stringify(value, null, indentUnit).replace(/\n/g, `${eol}${indent}`)
+
+  let result = text
+  const changedKeys = Object.keys(updates).filter(
+    (key) => JSON.stringify(original[key]) !== JSON.stringify(updates[key])
+  )
+
+  // Replace existing properties from last to first so earlier positions stay valid
+  const { properties } = scanTopLevel(text)
+  const existing = properties.filter(({ key }) => changedKeys.includes(key)).sort((a, b) => b.valueStart - a.valueStart)
+  for (const { key, keyStart, valueStart, valueEnd } of existing) {
+    const value = serialize(updates[key], getLineIndent(text, keyStart))
+    result = result.slice(0, valueStart) + value + result.slice(valueEnd)
+  }
+
+  // Append new properties
+  const added = changedKeys.filter((key) => !properties.some((property) => property.key === key))
+  if (added.length > 0) {
+    const { open, close, properties : current } = scanTopLevel(result)
+    const entries = added.map((key) => `${indentUnit}${JSON.stringify(key)}: ${serialize(updates[key], indentUnit)}`)
+
+    if (current.length > 0) {
+      const { valueEnd } = current[current.length - 1]
+      result = `${result.slice(0, valueEnd)},${eol}${entries.join(`,${eol}`)}${result.slice(valueEnd)}`
+    }
+    else {
+      const inner = result.slice(open + 1, close)
+      const rest = inner.trim() === '' ? eol : inner
+      result = `${result.slice(0, open + 1)}${eol}${entries.join(`,${eol}`)}${rest}${result.slice(close)}`
+    }
+  }
+
+  return result
+}
+
+/**
+ * Serialize a settings object over the previous content of its file. When the previous content is valid JSONC, only
+ * the managed top-level keys are patched (see setTopLevelProperties); otherwise the object is written out in full.
+ * @param {string|null} previous - Previous file content, or null if there was none
+ * @param {object} data - Object to serialize
+ * @param {string[]} keys - Top-level keys the caller manages
+ * @returns {string} New file content
+ */
+export function serializeJsonc(previous, data, keys) {
+  if (previous !== null) {
+    try {
+      return setTopLevelProperties(previous, Object.fromEntries(keys.map((key) => [key, data[key]])))
+    }
+    catch (error) {
+      if (!(error instanceof SyntaxError)) {
+        throw error
+      }
+    }
+  }
+
+  return JSON.stringify(data, null, 2)
+}
@@ -0,0 +1,225 @@
+import fs from 'fs/promises'
+import path from 'path'
+
+import { MarketplaceCollisionError, UsageError } from '../errors'
+import { toKebabCase } from '../parsers/air-integrations'
+import { CONFIG_FIELD } from '../scanner'
+import { COLLISION_POLICIES } from '../types'
+import { getMarketplaceDirectory } from './stale-marketplaces'
+
+/**
+ * @import { MarketplaceClaimant, MarketplaceCollision, MarketplaceProvider } from '../types.js'
+ */
+
+/**
+ * Read a package's package.json
+ * @param {string} packagePath - Package directory
+ * @returns {Promise<object|null>} Parsed package.json, or null if it is missing or unreadable
+ */
+async function readPackageJson(packagePath) {
+  try {
+    return JSON.parse(await fs.readFile(path.join(packagePath, 'package.json'), 'utf8'))
+  }
+  catch {
+    return null
+  }
+}
+
+/**
+ * Determine the collision policy for a project: the explicit policy, else the `collisions` setting of the package.json
+ * "ai-ready" field, else 'newest'
+ * @param {string} baseDir - Project directory
+ * @param {string} [policy] - Explicit policy (e.g., from the command line)
+ * @returns {Promise<string>} Collision policy (see COLLISION_POLICIES)
+ * @throws {UsageError} If the policy is unknown
+ */
+export async function getCollisionPolicy(baseDir, policy) {
+  const effective = policy ?? (await readPackageJson(baseDir))?.[CONFIG_FIELD]?.collisions ?? COLLISION_POLICIES.NEWEST
+  if (!Object.values(COLLISION_POLICIES).includes(effective)) {
+    throw new UsageError(
+      `Invalid collision policy '${effective}'; expected one of: ${Object.values(COLLISION_POLICIES).join(', ')}`
+    )
+  }
+
+  return effective
+}
+
+/**
+ * Parse a version into its numeric parts and prerelease tag
+ * @param {string} version - Version string (e.g., '1.2.0', 'v2.0.0-beta.1')
+ * @returns {{numbers: number[], prerelease: string|null}|null} Parsed version, or null if it isn't a version
+ */
+const parseVersion = (version) => {
+  const match = /^v?(\d+)(?:\.(\d+))?(?:\.(\d+))?(?:-([0-9A-Za-z.-]+))?/.exec(version || '')
+
+  return match
+    ? { numbers : [match[1], match[2], match[3]].map((part) => Number(part ?? 0)), prerelease : match[4] ?? null }
+    : null
+}
+
+/**
+ * Compare two package versions with semver precedence. Anything that isn't a version sorts below every version.
+ * @param {string} a - Version
+ * @param {string} b - Version
+ * @returns {number} Negative if a < b, 0 if they are equal, positive if a > b
+ */
+export function compareVersions(a, b) {
+  const left = parseVersion(a)
+  const right = parseVersion(b)
+  if (left === null || right === null) {
+    return (left === null ? 0 : 1) - (right === null ? 0 : 1)
+  }
+
+  const index = left.numbers.findIndex((number, i) => number !== right.numbers[i])
+  if (index !== -1) {
+    return left.numbers[index] - right.numbers[index]
+  }
+  if (left.prerelease === right.prerelease) {
+    return 0
+  }
+  if (left.prerelease === null || right.prerelease === null) {
+    return left.prerelease === null ? 1 : -1
+  }
+
+  return left.prerelease.localeCompare(right.prerelease, 'en', { numeric : true })
+}
+
+/**
+ * Describe a package claiming a marketplace name
+ * @param {MarketplaceClaimant} claimant - Claimant
+ * @returns {string} '<package> v<version> (<path>)'
+ */
+const formatClaimant = ({ packageName, version, path : packagePath }) => `${packageName} v${version} (${packagePath})`
+
+/**
+ * Describe a marketplace name collision and how it was resolved
+ * @param {MarketplaceCollision} collision - Collision
+ * @returns {string} One-line description
+ */
+export function describeCollision({ name, existing, incoming, resolution, registeredAs }) {
+  switch (resolution) {
+    case 'replaced':
+      return `${name}: replaced ${formatClaimant(existing)} with newer ${formatClaimant(incoming)}`
+    case 'namespaced':
+      return `${name}: registered ${formatClaimant(incoming)} as ${registeredAs}`
+    case 'failed':
+      return `${name}: declared by ${formatClaimant(existing)} and ${formatClaimant(incoming)}`
+    default:
+      return `${name}: kept ${formatClaimant(existing)}; skipped ${formatClaimant(incoming)}`
+  }
+}
+
+/**
+ * Get the name a marketplace is registered under with the 'namespace' policy
+ * @param {MarketplaceProvider} provider - Provider
+ * @returns {string} '<kebab-cased package name>--<marketplace name>'
+ */
+const getNamespacedName = (provider) => `${toKebabCase(provider.packageName)}--${provider.marketplaceDeclaration.name}`
+
+/**
+ * Check whether a provider collides with the current holder of a marketplace name. Installs at the same path never
+ * collide, and neither does a registration of the same package: settings track every project that depends on it (see
+ * updateSettings).
+ * @param {{claimant: MarketplaceClaimant, provider: MarketplaceProvider|null}} claim - Current holder; `provider` is
+ *   null for registrations read from settings
+ * @param {MarketplaceProvider} provider - Provider declaring the name
+ * @returns {boolean} True if the provider collides with the holder
+ */
+const isCollision = ({ claimant, provider : holder }, provider) =>
+  claimant.path !== provider.path && !(holder === null && claimant.packageName === provider.packageName)
+
+/**
+ * Resolve marketplace name collisions among discovered providers and against the marketplaces already registered in
+ * settings. A registered marketplace only holds its name while its directory still exists, so uninstalled packages
+ * never block a newcomer. Providers are processed in scan order, and the registered (or earliest discovered) package
+ * keeps the name unless the policy says otherwise (with the default 'newest' policy, a higher version takes it over).
+ * @param {MarketplaceProvider[]} providers - Discovered marketplace providers
+ * @param {Record<string, object>} marketplaces - Registered marketplace entries by name (global or project settings)
+ * @param {string} [policy] - Collision policy (see COLLISION_POLICIES; default: newest)
+ * @returns {Promise<{providers: MarketplaceProvider[], collisions: MarketplaceCollision[]}>} Providers to register,
+ *   with namespaced marketplaces renamed, and the collisions found
+ * @throws {MarketplaceCollisionError} If there are collisions and the policy is 'fail'
+ */
+export async function resolveMarketplaceCollisions(providers, marketplaces, policy = COLLISION_POLICIES.NEWEST) {
+  /** @type {Map<string, {claimant: MarketplaceClaimant, provider: MarketplaceProvider|null}>} */
+  const claims = new Map()
+  const names = new Set(
+    providers.flatMap((provider) => [provider.marketplaceDeclaration.name, getNamespacedName(provider)])
+  )
+  await Promise.all(
+    [...names].map(async (name) => {
+      const directory = getMarketplaceDirectory(marketplaces[name])
+      const packageJson = directory === null ? null : await readPackageJson(directory)
+      if (packageJson !== null) {
+        claims.set(name, {
+          claimant : { packageName : packageJson.name, version : packageJson.version ?? 'unknown', path : directory },
+          provider : null,
+        })
+      }
+    })
+  )
+
+  let resolved = []
+  const collisions = []
+  /**
+   * Register a provider under a name
+   * @param {string} name - Marketplace name
+   * @param {MarketplaceProvider} provider - Provider (renamed if namespaced)
+   */
+  const claim = (name, provider) => {
+    claims.set(name, {
+      claimant : { packageName : provider.packageName, version : provider.version, path : provider.path },
+      provider,
+    })
+    resolved.push(provider)
+  }
+
+  for (const provider of providers) {
+    const name = provider.marketplaceDeclaration.name
+    const holder = claims.get(name)
+    if (holder === undefined || !isCollision(holder, provider)) {
+      claim(name, provider)
+      continue
+    }
+
+    const collision = {
+      name,
+      existing   : holder.claimant,
+      incoming   : { packageName : provider.packageName, version : provider.version, path : provider.path },
+      resolution : 'kept-existing',
+    }
+    collisions.push(collision)
+
+    if (policy === COLLISION_POLICIES.FAIL) {
+      collision.resolution = 'failed'
+    }
+    else if (policy === COLLISION_POLICIES.NEWEST && compareVersions(provider.version, holder.claimant.version) > 0) {
+      collision.resolution = 'replaced'
+      resolved = resolved.filter((candidate) => candidate !== holder.provider)
+      claim(name, provider)
+    }
+    else if (policy === COLLISION_POLICIES.NAMESPACE && provider.packageName !== holder.claimant.packageName) {
+      const namespacedName = getNamespacedName(provider)
+      const namespacedHolder = claims.get(namespacedName)
+      if (namespacedHolder === undefined || !isCollision(namespacedHolder, provider)) {
+        collision.resolution = 'namespaced'
+        collision.registeredAs = namespacedName
+        claim(namespacedName, {
+          ...provider,
+          marketplaceDeclaration : { ...provider.marketplaceDeclaration, name : namespacedName },
+        })
+      }
+    }
+  }
+
+  if (policy === COLLISION_POLICIES.FAIL && collisions.length > 0) {
+    throw new MarketplaceCollisionError(
+      `Marketplace name collision${collisions.length === 1 ? '' : 's'} (policy 'fail'):\n${collisions
+        .map((collision) => `  • ${describeCollision(collision)}`)
+        .join('\n')}`,
+      collisions
+    )
+  }
+
+  return { providers : resolved, collisions }
+}
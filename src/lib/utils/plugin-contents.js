@@ -0,0 +1,164 @@
+import fs from 'fs/promises'
+import path from 'path'
+
+import { parseFrontmatter } from './frontmatter'
+
+/**
+ * How each kind of referenced path is checked
+ */
+const REFERENCE_CHECKS = {
+  commands   : { label : 'Command', type : 'markdown', requiredFields : [] },
+  agents     : { label : 'Agent', type : 'markdown', requiredFields : ['name', 'description'] },
+  hooks      : { label : 'Hooks', type : 'json', section : 'hooks', sectionRequired : true },
+  mcpServers : { label : 'MCP servers', type : 'json', section : 'mcpServers', sectionRequired : false },
+}
+
+/**
+ * Get the paths a plugin field references. Inline configuration (objects) references nothing.
+ * @param {string|string[]|object|undefined} value - Field value from the plugin entry or manifest
+ * @returns {string[]} Referenced paths
+ */
+function getReferencedPaths(value) {
+  if (typeof value === 'string') {
+    return [value]
+  }
+
+  return Array.isArray(value) ? value.filter((item) => typeof item === 'string') : []
+}
+
+/**
+ * List the markdown files in a directory and its subdirectories
+ * @param {string} dir - Directory
+ * @returns {Promise<string[]>} Absolute paths of the markdown files
+ */
+async function listMarkdownFiles(dir) {
+  const entries = await fs.readdir(dir, { recursive : true })
+
+  return entries.filter((entry) => entry.endsWith('.md')).map((entry) => path.join(dir, entry))
+}
+
+/**
+ * Check a markdown command or agent file
+ * @param {string} filePath - Absolute file path
+ * @param {string} displayPath - Path to show in errors
+ * @param {{label: string, requiredFields: string[]}} check - What to check
+ * @returns {Promise<string[]>} Error messages
+ */
+async function checkMarkdownFile(filePath, displayPath, { label, requiredFields }) {
+  if (!filePath.endsWith('.md')) {
+    return [`${label} file ${displayPath} is not a markdown (.md) file`]
+  }
+
+  const frontmatter = parseFrontmatter(await fs.readFile(filePath, 'utf8'))
+  if (frontmatter === null) {
+    return [`${label} file ${displayPath} has no frontmatter`]
+  }
+
+  return requiredFields
+    .filter((field) => frontmatter[field] === undefined)
+    .map((field) => `${label} file ${displayPath} frontmatter is missing '${field}'`)
+}
+
+/**
+ * Check a hooks or MCP servers JSON file
+ * @param {string} filePath - Absolute file path
+ * @param {string} displayPath - Path to show in errors
+ * @param {{label: string, section: string, sectionRequired: boolean}} check - What to check; the file's object must
+ *   have an object under `section` when `sectionRequired` (hooks.json), or may have one (.mcp.json)
+ * @returns {Promise<string[]>} Error messages
+ */
+async function checkJsonFile(filePath, displayPath, { label, section, sectionRequired }) {
+  let data
+  try {
+    data = JSON.parse(await fs.readFile(filePath, 'utf8'))
+  }
+  catch (error) {
+    if (error instanceof SyntaxError) {
+      return [`${label} file ${displayPath} is not valid JSON: ${error.message}`]
+    }
+    throw error
+  }
+
+  const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value)
+  if (!isObject(data)) {
+    return [`${label} file ${displayPath} must contain a JSON object`]
+  }
+  if (sectionRequired && !(section in data)) {
+    return [`${label} file ${displayPath} is missing '${section}'`]
+  }
+  if (section in data && !isObject(data[section])) {
+    return [`${label} file ${displayPath} '${section}' must be an object`]
+  }
+
+  return []
+}
+
+/**
+ * Check one referenced path
+ * @param {string} pluginDir - Absolute plugin directory
+ * @param {string} packageDir - Absolute package directory; references may not leave it
+ * @param {string} reference - Referenced path, relative to the plugin directory
+ * @param {object} check - Entry of REFERENCE_CHECKS
+ * @returns {Promise<string[]>} Error messages
+ */
+async function checkReference(pluginDir, packageDir, reference, check) {
+  const resolved = path.resolve(pluginDir, reference)
+  if (resolved !== packageDir && !resolved.startsWith(packageDir + path.sep)) {
+    return [`${check.label} path ${reference} points outside the package`]
+  }
+
+  let stats
+  try {
+    stats = await fs.stat(resolved)
+  }
+  catch (error) {
+    if (error.code === 'ENOENT') {
+      return [`${check.label} path ${reference} does not exist`]
+    }
+    throw error
+  }
+
+  if (check.type === 'json') {
+    return stats.isFile() ? checkJsonFile(resolved, reference, check) : [`${check.label} path ${reference} is not a file`]
+  }
+
+  if (!stats.isDirectory()) {
+    return checkMarkdownFile(resolved, reference, check)
+  }
+
+  const files = await listMarkdownFiles(resolved)
+  if (files.length === 0) {
+    return [`${check.label} directory ${reference} contains no markdown files`]
+  }
+  const errors = await Promise.all(
+    files.map((file) => checkMarkdownFile(file, path.join(reference, path.relative(resolved, file)), check))
+  )
+
+  return errors.flat()
+}
+
+/**
+ * Check that the commands, agents, hooks and MCP server files a plugin references exist inside its package and have
+ * the expected shape: markdown commands with frontmatter, markdown agents with `name` and `description` frontmatter,
+ * and parseable hooks and MCP servers JSON objects.
+ * @param {string} pluginDir - Absolute plugin directory
+ * @param {string} packageDir - Absolute path of the package providing the plugin
+ * @param {object[]} declarations - Objects that may declare `commands`, `agents`, `hooks` and `mcpServers` (the
+ *   marketplace plugin entry and the plugin manifest); paths declared by several are checked once
+ * @returns {Promise<{field: string, message: string}[]>} Validation errors (empty if every reference checks out)
+ */
+export async function validatePluginContents(pluginDir, packageDir, declarations) {
+  const references = Object.keys(REFERENCE_CHECKS).flatMap((field) => [
+    ...new Set(declarations.flatMap((declaration) => getReferencedPaths(declaration?.[field]))),
+  ].map((reference) => ({ field, reference })))
+
+  const results = await Promise.all(
+    references.map(async ({ field, reference }) =>
+      (await checkReference(pluginDir, packageDir, reference, REFERENCE_CHECKS[field])).map((message) => ({
+        field,
+        message,
+      })))
+  )
+
+  return results.flat()
+}
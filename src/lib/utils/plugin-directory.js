@@ -0,0 +1,30 @@
+import path from 'path'
+
+/**
+ * @import { MarketplaceProvider, PluginEntry } from '../types.js'
+ */
+
+/**
+ * Get the directory a provider's marketplace is registered from: its copy in the materialization store, if it has
+ * one, else the package itself
+ * @param {MarketplaceProvider} provider - Marketplace provider
+ * @returns {string} Absolute directory
+ */
+export const getMarketplaceRoot = (provider) => provider.materializedPath ?? provider.path
+
+/**
+ * Get the local directory of a plugin. Relative sources are resolved against the marketplace's `metadata.pluginRoot`
+ * (if any) within the provider package, or within its materialized copy.
+ * @param {MarketplaceProvider} provider - Marketplace provider
+ * @param {PluginEntry} plugin - Plugin entry from the marketplace declaration
+ * @returns {string|null} Absolute plugin directory, or null if the plugin comes from a remote source
+ */
+export function getPluginDirectory(provider, plugin) {
+  if (typeof plugin.source !== 'string') {
+    return null
+  }
+
+  const pluginRoot = provider.marketplaceDeclaration.metadata?.pluginRoot || '.'
+
+  return path.resolve(getMarketplaceRoot(provider), pluginRoot, plugin.source)
+}
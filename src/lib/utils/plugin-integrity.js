@@ -0,0 +1,145 @@
+import fs from 'fs/promises'
+import path from 'path'
+
+import { INTEGRITY_STATUSES } from '../types'
+import { hashDirectory } from './file-hash'
+import { getPluginDirectory } from './plugin-directory'
+import { getMarketplaceDirectory } from './stale-marketplaces'
+
+/**
+ * @import { ClaudeMarketplaceEntry, ClaudeSettings, MarketplaceProvider, PluginIntegrityCheck } from '../types.js'
+ */
+
+/**
+ * Hash a plugin directory
+ * @param {string} directory - Plugin directory
+ * @returns {Promise<string|null>} Integrity string, or null if the directory doesn't exist
+ */
+async function hashPluginDirectory(directory) {
+  try {
+    return await hashDirectory(directory)
+  }
+  catch (error) {
+    if (error.code === 'ENOENT') {
+      return null
+    }
+    throw error
+  }
+}
+
+/**
+ * Read a JSON file, if it exists and parses
+ * @param {string} filePath - Path to the file
+ * @returns {Promise<object|null>} Parsed content, or null
+ */
+async function readJsonFile(filePath) {
+  try {
+    return JSON.parse(await fs.readFile(filePath, 'utf8'))
+  }
+  catch {
+    return null
+  }
+}
+
+/**
+ * Get the integrity records of a provider's local plugins for its settings entry. A plugin whose package and plugin
+ * versions are unchanged keeps the integrity recorded in `existingEntry`, so files that changed without a version
+ * change are never recorded as the expected content.
+ * @param {MarketplaceProvider} provider - Marketplace provider
+ * @param {ClaudeMarketplaceEntry} [existingEntry] - Current marketplace entry in settings
+ * @returns {Promise<Record<string, {integrity: string, packageVersion: string}>>} Integrity records by plugin name
+ */
+export async function getPluginIntegrity(provider, existingEntry) {
+  // Hash the install: a dry run doesn't create the materialized copy, whose plugin files are the same
+  const install = { ...provider, materializedPath : undefined }
+  const records = {}
+
+  for (const plugin of provider.marketplaceDeclaration.plugins) {
+    const existing = existingEntry?.plugins?.[plugin.name]
+    if (
+      existing?.integrity
+      && existing.packageVersion === provider.version
+      && existing.version === (plugin.version || 'unknown')
+    ) {
+      records[plugin.name] = { integrity : existing.integrity, packageVersion : existing.packageVersion }
+      continue
+    }
+
+    const directory = getPluginDirectory(install, plugin)
+    // eslint-disable-next-line no-await-in-loop
+    const integrity = directory === null ? null : await hashPluginDirectory(directory)
+    if (integrity !== null) {
+      records[plugin.name] = { integrity, packageVersion : provider.version }
+    }
+  }
+
+  return records
+}
+
+/**
+ * Check whether a plugin source from settings is a local path. Source objects are stored as `github:` specs, URLs or
+ * JSON (see getPluginSourceString).
+ * @param {string} source - Plugin source from a settings entry
+ * @returns {boolean} True if the plugin is loaded from a directory of the marketplace
+ */
+const isLocalSource = (source) => typeof source === 'string' && !/^(?:github:|[a-z][\w+.-]*:\/\/|\{)/i.test(source)
+
+/**
+ * Check the files of a marketplace's enabled local plugins against their recorded integrity
+ * @param {string} marketplaceName - Marketplace name
+ * @param {ClaudeMarketplaceEntry} entry - Marketplace entry from settings
+ * @param {string[]} enabledKeys - Enabled plugin keys
+ * @returns {Promise<PluginIntegrityCheck[]>} One check per enabled local plugin
+ */
+async function checkMarketplace(marketplaceName, entry, enabledKeys) {
+  const root = getMarketplaceDirectory(entry)
+  const plugins = Object.entries(entry.plugins || {}).filter(
+    ([pluginName, metadata]) =>
+      enabledKeys.includes(`${pluginName}@${marketplaceName}`) && isLocalSource(metadata.source)
+  )
+  if (root === null || plugins.length === 0) {
+    return []
+  }
+
+  const marketplaceDeclaration = (await readJsonFile(path.join(root, '.claude-plugin', 'marketplace.json'))) || {}
+  const packageVersion = (await readJsonFile(path.join(root, 'package.json')))?.version
+  const marketplace = { path : root, marketplaceDeclaration }
+
+  return Promise.all(
+    plugins.map(async ([pluginName, metadata]) => {
+      const pluginKey = `${pluginName}@${marketplaceName}`
+      const directory = getPluginDirectory(marketplace, { name : pluginName, source : metadata.source })
+      if (!metadata.integrity) {
+        return { pluginKey, status : INTEGRITY_STATUSES.UNRECORDED, directory }
+      }
+
+      const actual = await hashPluginDirectory(directory)
+      const check = { pluginKey, directory, recorded : metadata.integrity }
+      if (actual === null) {
+        return { ...check, status : INTEGRITY_STATUSES.MISSING }
+      }
+      if (actual === metadata.integrity) {
+        return { ...check, status : INTEGRITY_STATUSES.OK, actual }
+      }
+      const versionChanged = packageVersion !== undefined && packageVersion !== metadata.packageVersion
+
+      return { ...check, status : versionChanged ? INTEGRITY_STATUSES.UPDATED : INTEGRITY_STATUSES.MODIFIED, actual }
+    })
+  )
+}
+
+/**
+ * Check the files of every enabled local plugin against the integrity recorded when it was synced. Plugins can
+ * register hooks and MCP servers that run code, so files that changed without a package version change are reported
+ * as `modified`.
+ * @param {ClaudeSettings} settings - Claude settings
+ * @returns {Promise<PluginIntegrityCheck[]>} Checks sorted by plugin key
+ */
+export async function checkPluginIntegrity(settings) {
+  const checks = await Promise.all(
+    Object.entries(settings.plugins.marketplaces).map(([marketplaceName, entry]) =>
+      checkMarketplace(marketplaceName, entry, settings.plugins.enabled))
+  )
+
+  return checks.flat().sort((a, b) => a.pluginKey.localeCompare(b.pluginKey))
+}
@@ -0,0 +1,52 @@
+/**
+ * @typedef {object} PluginSettingsSummary
+ * @property {string[]} marketplaces - Registered marketplace names
+ * @property {string[]} enabled - Enabled plugin keys
+ * @property {string[]} disabled - Disabled plugin keys
+ */
+
+/**
+ * Summarize the plugin-related sections of a settings object. Handles both global settings (`plugins`) and project
+ * settings (`extraKnownMarketplaces` / `enabledPlugins`).
+ * @param {object} settings - Parsed settings file
+ * @returns {PluginSettingsSummary} Plugin summary
+ */
+export function summarizePluginSettings(settings) {
+  if (settings?.plugins) {
+    return {
+      marketplaces : Object.keys(settings.plugins.marketplaces || {}),
+      enabled      : settings.plugins.enabled || [],
+      disabled     : settings.plugins.disabled || [],
+    }
+  }
+
+  const enabledPlugins = Object.entries(settings?.enabledPlugins || {})
+
+  return {
+    marketplaces : Object.keys(settings?.extraKnownMarketplaces || {}),
+    enabled      : enabledPlugins.filter(([, enabled]) => enabled === true).map(([key]) => key),
+    disabled     : enabledPlugins.filter(([, enabled]) => enabled === false).map(([key]) => key),
+  }
+}
+
+/**
+ * Compare the plugin sections of two settings objects
+ * @param {object} from - Current settings
+ * @param {object} to - Settings being compared against (e.g., a backup about to be restored)
+ * @returns {Record<keyof PluginSettingsSummary, {added: string[], removed: string[]}>} Entries added and removed, by
+ *   section
+ */
+export function diffPluginSettings(from, to) {
+  const fromSummary = summarizePluginSettings(from)
+  const toSummary = summarizePluginSettings(to)
+  const diff = {}
+
+  for (const section of ['marketplaces', 'enabled', 'disabled']) {
+    diff[section] = {
+      added   : toSummary[section].filter((entry) => !fromSummary[section].includes(entry)),
+      removed : fromSummary[section].filter((entry) => !toSummary[section].includes(entry)),
+    }
+  }
+
+  return diff
+}
@@ -0,0 +1,70 @@
+import { validatePluginJson } from '../parsers/plugin-json'
+import { validatePluginContents } from './plugin-contents'
+import { getPluginDirectory } from './plugin-directory'
+
+/**
+ * @import { MarketplaceProvider, PluginEntry, PluginValidation } from '../types.js'
+ */
+
+/**
+ * Validate a local plugin: strict plugins (`strict` defaults to true) need a valid .claude-plugin/plugin.json, and the
+ * commands, agents, hooks and MCP server files referenced by the plugin entry or manifest must check out
+ * @param {MarketplaceProvider} provider - Marketplace provider
+ * @param {PluginEntry} plugin - Plugin entry
+ * @returns {Promise<PluginValidation|null>} Validation result, or null if there was nothing to validate
+ */
+async function validatePlugin(provider, plugin) {
+  const pluginDir = getPluginDirectory(provider, plugin)
+  if (pluginDir === null) {
+    return null // remote plugins can't be inspected
+  }
+
+  const strict = plugin.strict !== false
+  const { errors, manifest } = strict ? await validatePluginJson(pluginDir) : { errors : [], manifest : null }
+  const contentErrors = await validatePluginContents(pluginDir, provider.path, [plugin, manifest])
+  if (!strict && contentErrors.length === 0) {
+    return null
+  }
+
+  const allErrors = [...errors, ...contentErrors].map(({ field, message }) => ({ field, message }))
+
+  return { valid : allErrors.length === 0, errors : allErrors }
+}
+
+/**
+ * Validate a provider's local plugins; see validatePlugin. Plugins from remote sources, and non-strict plugins
+ * without problems, get no entry.
+ * @param {MarketplaceProvider} provider - Marketplace provider
+ * @returns {Promise<Record<string, PluginValidation>>} Validation results keyed by plugin name
+ */
+export async function validateProviderPlugins(provider) {
+  const { plugins } = provider.marketplaceDeclaration
+  const results = await Promise.all(plugins.map((plugin) => validatePlugin(provider, plugin)))
+
+  return Object.fromEntries(
+    plugins.map((plugin, i) => [plugin.name, results[i]]).filter(([, result]) => result !== null)
+  )
+}
+
+/**
+ * Check whether a plugin passed validation. Plugins that weren't validated count as valid.
+ * @param {MarketplaceProvider} provider - Marketplace provider
+ * @param {string} pluginName - Plugin name
+ * @returns {boolean} False if the plugin's manifest or referenced files failed validation
+ */
+export const isPluginValid = (provider, pluginName) => provider.pluginValidation?.[pluginName]?.valid !== false
+
+/**
+ * List the plugins of the given providers that failed validation
+ * @param {MarketplaceProvider[]} providers - Marketplace providers
+ * @returns {{pluginKey: string, errors: string[]}[]} Invalid plugins ('pluginName@marketplaceName') and their errors
+ */
+export function getInvalidPlugins(providers) {
+  return providers.flatMap((provider) =>
+    Object.entries(provider.pluginValidation || {})
+      .filter(([, { valid }]) => !valid)
+      .map(([pluginName, { errors }]) => ({
+        pluginKey : `${pluginName}@${provider.marketplaceDeclaration.name}`,
+        errors    : errors.map(({ message }) => message),
+      })))
+}
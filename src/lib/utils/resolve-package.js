@@ -0,0 +1,160 @@
+import { existsSync } from 'fs'
+import fs from 'fs/promises'
+import { createRequire } from 'module'
+import path from 'path'
+
+import { warnToConsole } from '../reporter'
+
+/**
+ * @import { WarningHandler } from '../types.js'
+ */
+
+/**
+ * @typedef {object} ResolutionContext
+ * @property {string} fromDir - Directory of the package declaring the dependency
+ * @property {string} rootDir - Project root directory
+ * @property {WarningHandler} [onWarning] - Receives warnings, e.g. about a Yarn PnP API that fails to load (default:
+ *   stderr)
+ */
+
+/**
+ * @typedef {object} ResolutionStrategy
+ * @property {string} name - Strategy identifier
+ * @property {function(string, ResolutionContext): (string|null|Promise<string|null>)} resolve - Returns the package
+ *   directory, or null if the strategy can't locate the package
+ */
+
+/**
+ * Loaded Yarn PnP APIs keyed by project root (null when the project doesn't use PnP)
+ * @type {Map<string, object|null>}
+ */
+const pnpApis = new Map()
+
+/**
+ * Load the Yarn Plug'n'Play API for a project, if it has a `.pnp.cjs` file. The API's `setup()` is called so that
+ * files inside zip archives in the Yarn cache can be read with the regular `fs` functions.
+ * @param {string} rootDir - Project root directory
+ * @param {WarningHandler} onWarning - Receives a warning if the API fails to load
+ * @returns {object|null} PnP API or null
+ */
+function loadPnpApi(rootDir, onWarning) {
+  if (pnpApis.has(rootDir)) {
+    return pnpApis.get(rootDir)
+  }
+
+  let pnpApi = null
+  const pnpPath = path.join(rootDir, '.pnp.cjs')
+  if (existsSync(pnpPath)) {
+    try {
+      pnpApi = createRequire(pnpPath)(pnpPath)
+      pnpApi.setup?.()
+    }
+    catch (error) {
+      onWarning(`Could not load Yarn PnP API from ${pnpPath}: ${error.message}`)
+      pnpApi = null
+    }
+  }
+  pnpApis.set(rootDir, pnpApi)
+
+  return pnpApi
+}
+
+/**
+ * Resolve through Yarn Plug'n'Play, for projects installed without node_modules
+ * @type {ResolutionStrategy}
+ */
+const pnpStrategy = {
+  name : 'pnp',
+  resolve(packageName, { fromDir, rootDir, onWarning = warnToConsole }) {
+    const pnpApi = loadPnpApi(rootDir, onWarning)
+    if (!pnpApi) {
+      return null
+    }
+
+    try {
+      // Unqualified resolution of a bare package name yields the package's directory
+      return pnpApi.resolveToUnqualified(packageName, `${fromDir}${path.sep}`)
+    }
+    catch {
+      return null
+    }
+  },
+}
+
+/**
+ * Resolve with Node's own algorithm, which also follows pnpm's isolated (symlinked) layout
+ * @type {ResolutionStrategy}
+ */
+const nodeStrategy = {
+  name : 'node',
+  resolve(packageName, { fromDir }) {
+    try {
+      const requireFrom = createRequire(path.join(fromDir, 'package.json'))
+
+      return path.dirname(requireFrom.resolve(`${packageName}/package.json`))
+    }
+    catch {
+      // Not installed, or the package's "exports" don't expose package.json
+      return null
+    }
+  },
+}
+
+/**
+ * Look for `node_modules/<name>` in the requiring package's directory and each parent, stopping at the project root
+ * @type {ResolutionStrategy}
+ */
+const directStrategy = {
+  name : 'direct',
+  async resolve(packageName, { fromDir, rootDir }) {
+    let dir = fromDir
+    for (;;) {
+      const candidate = path.join(dir, 'node_modules', packageName)
+      try {
+        // eslint-disable-next-line no-await-in-loop
+        await fs.access(candidate)
+
+        return candidate
+      }
+      catch {
+        // Not installed here, keep looking
+      }
+
+      if (dir === rootDir || path.dirname(dir) === dir) {
+        return null
+      }
+      dir = path.dirname(dir)
+    }
+  },
+}
+
+/**
+ * Resolution strategies, in the order they are tried
+ * @type {ResolutionStrategy[]}
+ */
+export const RESOLUTION_STRATEGIES = [pnpStrategy, nodeStrategy, directStrategy]
+
+/**
+ * Resolve the installed location of a dependency, trying each resolution strategy in turn
+ * @param {string} packageName - Dependency name (supports scoped: @org/pkg)
+ * @param {ResolutionContext} context - Where the dependency is being resolved from
+ * @param {ResolutionStrategy[]} [strategies] - Strategies to try (default: RESOLUTION_STRATEGIES)
+ * @returns {Promise<string|null>} Canonical (symlink-resolved) package path, or null if not installed
+ */
+export async function resolvePackagePath(packageName, context, strategies = RESOLUTION_STRATEGIES) {
+  for (const strategy of strategies) {
+    // eslint-disable-next-line no-await-in-loop
+    const packagePath = await strategy.resolve(packageName, context)
+    if (packagePath !== null) {
+      try {
+        // eslint-disable-next-line no-await-in-loop
+        return await fs.realpath(packagePath)
+      }
+      catch {
+        // Stale resolution (e.g., a dangling symlink); fall through to the next strategy
+      }
+    }
+  }
+
+  return null
+}
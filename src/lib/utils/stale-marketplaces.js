@@ -0,0 +1,220 @@
+import fs from 'fs/promises'
+import path from 'path'
+
+import { getDependencyNames, scanDependencies } from '../scanner'
+import { findWorkspaces } from './workspaces'
+
+/**
+ * @import {
+ *   MarketplaceProvider,
+ *   MarketplaceReference,
+ *   ScanOptions,
+ *   StaleMarketplace,
+ *   WarningHandler
+ * } from '../types.js'
+ */
+
+/**
+ * Get the directory a marketplace entry points at. Handles both global settings entries (`source.type`) and
+ * project settings entries (`source.source`).
+ * @param {object} entry - Marketplace entry from settings
+ * @returns {string|null} Directory path, or null if the marketplace isn't a directory source
+ */
+export function getMarketplaceDirectory(entry) {
+  const source = entry?.source
+  const type = source?.type ?? source?.source
+
+  return type === 'directory' && typeof source.path === 'string' ? source.path : null
+}
+
+/**
+ * Get the project a package was installed into: the directory containing the first `node_modules` segment of its path
+ * @param {string} packagePath - Absolute package path
+ * @returns {string|null} Project directory, or null if the path isn't inside a node_modules directory
+ */
+export function getOwningProject(packagePath) {
+  const segments = packagePath.split(path.sep)
+  const index = segments.indexOf('node_modules')
+
+  return index > 0 ? segments.slice(0, index).join(path.sep) || path.sep : null
+}
+
+/**
+ * Get the name of a package from its install path: the path segments below the last `node_modules` directory
+ * @param {string} packagePath - Absolute package path
+ * @returns {string} Package name
+ */
+function getInstalledPackageName(packagePath) {
+  const segments = packagePath.split(path.sep)
+  const nameSegments = segments.slice(segments.lastIndexOf('node_modules') + 1)
+
+  return nameSegments[0].startsWith('@') ? nameSegments.slice(0, 2).join('/') : nameSegments[0]
+}
+
+/**
+ * Check whether a path exists
+ * @param {string} filePath - Path to check
+ * @returns {Promise<boolean>} True if the path exists
+ */
+async function pathExists(filePath) {
+  try {
+    await fs.access(filePath)
+
+    return true
+  }
+  catch {
+    return false
+  }
+}
+
+/**
+ * Find registered marketplaces whose packages were uninstalled. A directory marketplace is stale when its directory no
+ * longer exists, or when the project it was installed into no longer depends on it (directly, through a workspace, or
+ * through the project's configured transitive discovery). Marketplaces with other source types are never stale.
+ * Marketplaces that track the projects depending on them (`projects`) are checked per project: the marketplace is only
+ * stale once every reference is, and until then each stale reference is reported on its own with its `project`.
+ * @param {Record<string, object>} marketplaces - Marketplace entries by name
+ * @param {function(string, ScanOptions=): Promise<MarketplaceProvider[]>} [scanFn] - Scanner used to list a project's
+ *   providers
+ * @param {object} [options] - Options
+ * @param {Record<string, ScanOptions>} [options.scanOptions] - Scan options to rescan projects with, by project
+ *   directory (e.g., the transitive options of the sync that registered them); other projects are scanned with their
+ *   package.json configuration
+ * @param {WarningHandler} [options.onWarning] - Receives the scanner's warnings (default: stderr)
+ * @returns {Promise<StaleMarketplace[]>} Stale marketplaces and project references
+ */
+export async function findStaleMarketplaces(marketplaces, scanFn = scanDependencies, options = {}) {
+  /** @type {Map<string, Promise<Set<string>|null>>} */
+  const projectScans = new Map()
+  /** @type {Map<string, Promise<Set<string>|null>>} */
+  const declaredNames = new Map()
+
+  /**
+   * Scan a project once, collecting its provider paths
+   * @param {string} projectDir - Project directory
+   * @returns {Promise<Set<string>|null>} Provider paths, or null if the project has no package.json anymore
+   */
+  const getProviderPaths = (projectDir) => {
+    if (!projectScans.has(projectDir)) {
+      projectScans.set(
+        projectDir,
+        (async () => {
+          if (!(await pathExists(path.join(projectDir, 'package.json')))) {
+            return null
+          }
+          const scanOptions = { ...options.scanOptions?.[projectDir], onWarning : options.onWarning }
+          const providers = await scanFn(projectDir, scanOptions)
+
+          return new Set(providers.map((provider) => provider.path))
+        })()
+      )
+    }
+
+    return projectScans.get(projectDir)
+  }
+
+  /**
+   * Check whether an installed package is still in use
+   * @param {string} directory - Package directory
+   * @param {string|null} projectDir - Project the package was installed into
+   * @returns {Promise<string|null>} Why the install is stale, or null if it is in use (or can't be checked)
+   */
+  const checkInstall = async (directory, projectDir) => {
+    if (!(await pathExists(directory))) {
+      return 'directory no longer exists'
+    }
+    if (projectDir === null) {
+      return null // not installed into a project we can check (e.g., a local checkout)
+    }
+
+    const providerPaths = await getProviderPaths(projectDir)
+    const realPath = await fs.realpath(directory)
+
+    return providerPaths === null || !providerPaths.has(realPath) ? `no longer a dependency of ${projectDir}` : null
+  }
+
+  /**
+   * List the packages a project and its workspaces declare as direct dependencies, once per project
+   * @param {string} projectDir - Project directory
+   * @returns {Promise<Set<string>|null>} Package names, or null if the project has no readable package.json anymore
+   */
+  const getDeclaredNames = (projectDir) => {
+    if (!declaredNames.has(projectDir)) {
+      declaredNames.set(
+        projectDir,
+        (async () => {
+          let packageJson
+          try {
+            packageJson = JSON.parse(await fs.readFile(path.join(projectDir, 'package.json'), 'utf8'))
+          }
+          catch {
+            return null
+          }
+          const workspaces = await findWorkspaces(projectDir, packageJson, { onWarning : options.onWarning })
+
+          const packageJsons = [packageJson, ...workspaces.map((workspace) => workspace.packageJson)]
+
+          return new Set(packageJsons.flatMap((pkg) => getDependencyNames(pkg)))
+        })()
+      )
+    }
+
+    return declaredNames.get(projectDir)
+  }
+
+  /**
+   * Check whether a project reference is still in use. A materialized reference doesn't need its install: the project
+   * uses it as long as it declares the package, so removing node_modules (e.g., for a clean reinstall) doesn't make it
+   * stale. Packages it only pulls in transitively can only be checked while they are installed.
+   * @param {MarketplaceReference} reference - Project reference
+   * @param {string} projectDir - Project directory
+   * @returns {Promise<string|null>} Why the reference is stale, or null if it is in use
+   */
+  const checkReference = async (reference, projectDir) => {
+    if (reference.materializedPath === undefined) {
+      return checkInstall(reference.path, projectDir)
+    }
+    if (!(await pathExists(reference.materializedPath))) {
+      return 'directory no longer exists'
+    }
+    if ((await getDeclaredNames(projectDir))?.has(getInstalledPackageName(reference.path))) {
+      return null
+    }
+
+    if (!(await pathExists(reference.path))) {
+      return `no longer a dependency of ${projectDir}`
+    }
+
+    return checkInstall(reference.path, projectDir)
+  }
+
+  const results = await Promise.all(
+    Object.entries(marketplaces).map(async ([name, entry]) => {
+      const directory = getMarketplaceDirectory(entry)
+      if (directory === null) {
+        return []
+      }
+
+      const references = Object.entries(entry.projects || {})
+      if (references.length === 0) {
+        const reason = await checkInstall(directory, getOwningProject(directory))
+
+        return reason === null ? [] : [{ name, path : directory, reason }]
+      }
+
+      const reasons = await Promise.all(references.map(([project, reference]) => checkReference(reference, project)))
+      const stale = references
+        .map(([project, { path : install }], index) => ({ name, path : install, reason : reasons[index], project }))
+        .filter(({ reason }) => reason !== null)
+      if (stale.length < references.length) {
+        return stale
+      }
+
+      const { reason } = stale.find((reference) => reference.path === directory) || stale[0]
+
+      return [{ name, path : directory, reason }]
+    })
+  )
+
+  return results.flat()
+}
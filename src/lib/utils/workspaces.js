@@ -0,0 +1,170 @@
+import fs from 'fs/promises'
+import path from 'path'
+
+import { load as loadYaml } from 'js-yaml'
+
+import { warnToConsole } from '../reporter'
+
+/**
+ * @import { WarningHandler, WorkspacePackage } from '../types.js'
+ */
+
+/**
+ * Directories never searched when expanding workspace globs
+ */
+const IGNORED_DIRS = ['node_modules', '.git']
+
+/**
+ * Get the workspace glob patterns declared by a project. Supports npm/yarn `workspaces` (array or `{ packages }`
+ * object form) in package.json and pnpm's `pnpm-workspace.yaml`.
+ * @param {string} baseDir - Project root directory
+ * @param {object} packageJson - Parsed root package.json
+ * @returns {Promise<string[]>} Workspace patterns (empty if the project has no workspaces)
+ */
+export async function getWorkspacePatterns(baseDir, packageJson) {
+  const { workspaces } = packageJson
+  if (Array.isArray(workspaces)) {
+    return workspaces
+  }
+  if (Array.isArray(workspaces?.packages)) {
+    return workspaces.packages
+  }
+
+  try {
+    const content = await fs.readFile(path.join(baseDir, 'pnpm-workspace.yaml'), 'utf8')
+    const pnpmWorkspace = loadYaml(content)
+
+    return Array.isArray(pnpmWorkspace?.packages) ? pnpmWorkspace.packages : []
+  }
+  catch (error) {
+    if (error.code === 'ENOENT') {
+      return []
+    }
+    throw error // malformed pnpm-workspace.yaml should be reported
+  }
+}
+
+/**
+ * Convert a single glob path segment ('*', 'pkg-*', etc.) to a regular expression
+ * @param {string} segment - Glob segment
+ * @returns {RegExp} Matching expression
+ */
+function segmentToRegExp(segment) {
+  const escaped = segment.replace(/[.+^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '[^/]*').replace(/\?/g, '[^/]')
+
+  return new RegExp(`^${escaped}$`)
+}
+
+/**
+ * List the subdirectories of a directory, skipping dot-directories and node_modules
+ * @param {string} dir - Directory to list
+ * @returns {Promise<string[]>} Subdirectory names
+ */
+async function listSubdirectories(dir) {
+  try {
+    const entries = await fs.readdir(dir, { withFileTypes : true })
+
+    return entries
+      .filter((entry) => entry.isDirectory() && !entry.name.startsWith('.') && !IGNORED_DIRS.includes(entry.name))
+      .map((entry) => entry.name)
+  }
+  catch {
+    return []
+  }
+}
+
+/**
+ * Expand a workspace glob pattern into matching directories. Supports '*' and '?' within a path segment and '**' as a
+ * whole segment.
+ * @param {string} dir - Directory to match from
+ * @param {string[]} segments - Remaining pattern segments
+ * @returns {Promise<string[]>} Matching absolute directory paths
+ */
+async function expandSegments(dir, segments) {
+  if (segments.length === 0) {
+    return [dir]
+  }
+
+  const [segment, ...rest] = segments
+
+  if (segment === '**') {
+    const subdirs = await listSubdirectories(dir)
+    const [here, ...deeper] = await Promise.all([
+      expandSegments(dir, rest),
+      ...subdirs.map((subdir) => expandSegments(path.join(dir, subdir), segments)),
+    ])
+
+    return [...here, ...deeper.flat()]
+  }
+
+  if (!/[*?]/.test(segment)) {
+    return expandSegments(path.join(dir, segment), rest)
+  }
+
+  const matcher = segmentToRegExp(segment)
+  const subdirs = (await listSubdirectories(dir)).filter((subdir) => matcher.test(subdir))
+  const results = await Promise.all(subdirs.map((subdir) => expandSegments(path.join(dir, subdir), rest)))
+
+  return results.flat()
+}
+
+/**
+ * Split a workspace pattern into path segments
+ * @param {string} pattern - Workspace pattern (e.g., './packages/*')
+ * @returns {string[]} Pattern segments
+ */
+const toSegments = (pattern) =>
+  pattern
+    .replace(/^\.\//, '')
+    .split('/')
+    .filter((segment) => segment.length > 0 && segment !== '.')
+
+/**
+ * Find the workspace packages of a project (not including the root package itself)
+ * @param {string} baseDir - Project root directory
+ * @param {object} packageJson - Parsed root package.json
+ * @param {object} [options] - Options
+ * @param {WarningHandler} [options.onWarning] - Receives warnings about malformed workspace package.json files
+ *   (default: stderr)
+ * @returns {Promise<WorkspacePackage[]>} Workspace packages, in directory order
+ */
+export async function findWorkspaces(baseDir, packageJson, options = {}) {
+  const { onWarning = warnToConsole } = options
+  const patterns = await getWorkspacePatterns(baseDir, packageJson)
+  if (patterns.length === 0) {
+    return []
+  }
+
+  const includes = patterns.filter((pattern) => !pattern.startsWith('!'))
+  const excludes = patterns.filter((pattern) => pattern.startsWith('!')).map((pattern) => pattern.slice(1))
+
+  const [included, excluded] = await Promise.all([
+    Promise.all(includes.map((pattern) => expandSegments(baseDir, toSegments(pattern)))),
+    Promise.all(excludes.map((pattern) => expandSegments(baseDir, toSegments(pattern)))),
+  ])
+  const excludedDirs = new Set(excluded.flat())
+  const dirs = [...new Set(included.flat())].filter((dir) => dir !== baseDir && !excludedDirs.has(dir)).sort()
+
+  const workspaces = await Promise.all(
+    dirs.map(async (dir) => {
+      try {
+        const workspacePackageJson = JSON.parse(await fs.readFile(path.join(dir, 'package.json'), 'utf8'))
+
+        return {
+          name        : workspacePackageJson.name || path.relative(baseDir, dir),
+          dir,
+          packageJson : workspacePackageJson,
+        }
+      }
+      catch (error) {
+        if (error instanceof SyntaxError) {
+          onWarning(`Malformed package.json in workspace ${dir}, skipping`)
+        }
+
+        return null // not a package directory
+      }
+    })
+  )
+
+  return workspaces.filter((workspace) => workspace !== null)
+}
@@ -159,13 +159,16 @@ export async function createTestPackage(baseDir, packageName, pluginConfig) {
 
   // Create plugin directory with plugin.json
   const pluginSourcePath = path.join(packagePath, pluginConfig.source || './')
-  await fs.mkdir(pluginSourcePath, { recursive : true })
+  await fs.mkdir(path.join(pluginSourcePath, '.claude-plugin'), { recursive : true })
   const pluginManifest = {
     name        : pluginConfig.name,
     version     : pluginConfig.version || '1.0.0',
     description : pluginConfig.description || 'Test plugin',
   }
-  await fs.writeFile(path.join(pluginSourcePath, 'plugin.json'), JSON.stringify(pluginManifest, null, 2))
+  await fs.writeFile(
+    path.join(pluginSourcePath, '.claude-plugin', 'plugin.json'),
+    JSON.stringify(pluginManifest, null, 2)
+  )
 
   return packagePath
 }
@@ -7,7 +7,7 @@ import fs from 'fs/promises'
 import os from 'os'
 import path from 'path'
 
-import { readJsonFile, runCLI, setupTestProject } from './test-helpers'
+import { createTestPackage, readJsonFile, runCLI, setupTestProject } from './test-helpers'
 
 describe('Integration: Concurrent Sync', () => {
   let testDir
@@ -93,6 +93,37 @@ describe('Integration: Concurrent Sync', () => {
       expect(enabledSet.size).toBe(settings.plugins.enabled.length)
     })
 
+    it('should not lose entries when projects sync into shared settings concurrently', async () => {
+      const sharedHome = path.join(testDir, 'shared-lossless-home')
+      await fs.mkdir(sharedHome, { recursive : true })
+
+      const projectDirs = await Promise.all(
+        Array.from({ length : 5 }, async (_, i) => {
+          const projectDir = path.join(testDir, `lossless-proj-${i}`)
+          await fs.mkdir(projectDir, { recursive : true })
+          await fs.writeFile(
+            path.join(projectDir, 'package.json'),
+            JSON.stringify({ name : `lossless-proj-${i}`, version : '1.0.0', dependencies : { [`plugin-${i}`] : '1.0.0' } })
+          )
+          await createTestPackage(projectDir, `plugin-${i}`, { name : `plugin-${i}`, version : '1.0.0', source : './' })
+
+          return projectDir
+        })
+      )
+
+      const results = await Promise.all(
+        projectDirs.map((projectDir) => runCLI(['sync'], projectDir, { env : { HOME : sharedHome } }))
+      )
+
+      expect(results.map((r) => r.exitCode)).toEqual([0, 0, 0, 0, 0])
+
+      // Every project's marketplace and plugin survived the concurrent read-modify-write cycles
+      const settings = await readJsonFile(path.join(sharedHome, '.claude/settings.json'))
+      expect(Object.keys(settings.plugins.marketplaces)).toHaveLength(5)
+      expect(settings.plugins.enabled).toHaveLength(5)
+      await expect(fs.access(path.join(sharedHome, '.claude/settings.json.lock'))).rejects.toThrow()
+    })
+
     it('should handle rapid successive syncs', async () => {
       const projectDir = path.join(testDir, 'rapid-sync')
       await fs.mkdir(projectDir, { recursive : true })
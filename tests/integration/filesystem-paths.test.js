@@ -7,7 +7,7 @@ const fs = require('fs/promises')
 const os = require('os')
 const path = require('path')
 
-const { createTestPackage, readJsonFile, runCLI } = require('./test-helpers')
+const { createTestPackage, readJsonFile, runCLI, writePluginManifest } = require('./test-helpers')
 
 describe('Integration: Filesystem Paths', () => {
   let testDir
@@ -135,18 +135,11 @@ describe('Integration: Filesystem Paths', () => {
       const skillPath = path.join(packagePath, 'skills/my skill')
       await fs.mkdir(skillPath, { recursive : true })
       await fs.writeFile(path.join(skillPath, 'SKILL.md'), '# spaced-skill-plugin')
-      await fs.writeFile(
-        path.join(skillPath, 'plugin.json'),
-        JSON.stringify(
-          {
-            name        : 'spaced-skill-plugin',
-            version     : '1.0.0',
-            description : 'Plugin with spaces in skill path',
-          },
-          null,
-          2
-        )
-      )
+      await writePluginManifest(skillPath, {
+        name        : 'spaced-skill-plugin',
+        version     : '1.0.0',
+        description : 'Plugin with spaces in skill path',
+      })
 
       const result = await runCLI(['sync'], projectDir, { env : { HOME : projectDir } })
 
@@ -343,18 +336,11 @@ describe('Integration: Filesystem Paths', () => {
       const skillPath = path.join(actualPluginDir, '.claude-plugin/skill')
       await fs.mkdir(skillPath, { recursive : true })
       await fs.writeFile(path.join(skillPath, 'SKILL.md'), '# linked-plugin')
-      await fs.writeFile(
-        path.join(skillPath, 'plugin.json'),
-        JSON.stringify(
-          {
-            name        : 'linked-plugin',
-            version     : '1.0.0',
-            description : 'Linked plugin',
-          },
-          null,
-          2
-        )
-      )
+      await writePluginManifest(skillPath, {
+        name        : 'linked-plugin',
+        version     : '1.0.0',
+        description : 'Linked plugin',
+      })
 
       // Create symlink to actual plugin
       const linkPath = path.join(nodeModules, 'linked-plugin')
@@ -499,18 +485,11 @@ describe('Integration: Filesystem Paths', () => {
       const skillPath = path.join(packagePath, deepSkillPath)
       await fs.mkdir(skillPath, { recursive : true })
       await fs.writeFile(path.join(skillPath, 'SKILL.md'), '# nested-skill-plugin')
-      await fs.writeFile(
-        path.join(skillPath, 'plugin.json'),
-        JSON.stringify(
-          {
-            name        : 'nested-skill-plugin',
-            version     : '1.0.0',
-            description : 'Plugin with deep skill path',
-          },
-          null,
-          2
-        )
-      )
+      await writePluginManifest(skillPath, {
+        name        : 'nested-skill-plugin',
+        version     : '1.0.0',
+        description : 'Plugin with deep skill path',
+      })
 
       const result = await runCLI(['sync'], projectDir, { env : { HOME : projectDir } })
 
@@ -7,7 +7,7 @@ import fs from 'fs/promises'
 import os from 'os'
 import path from 'path'
 
-import { readJsonFile, runCLI } from './test-helpers'
+import { readJsonFile, runCLI, writePluginManifest } from './test-helpers'
 
 describe('Integration: Multiple Plugins', () => {
   let testDir
@@ -73,6 +73,7 @@ describe('Integration: Multiple Plugins', () => {
       const skillPath = path.join(packagePath, '.claude-plugin/skill-main')
       await fs.mkdir(skillPath, { recursive : true })
       await fs.writeFile(path.join(skillPath, 'SKILL.md'), '# plugin-suite-main\n\nMain plugin from suite')
+      await writePluginManifest(skillPath, { name : 'plugin-suite-main' })
 
       // Run sync
       const result = await runCLI(['sync'], projectDir, { env : { HOME : projectDir } })
@@ -131,6 +132,7 @@ describe('Integration: Multiple Plugins', () => {
       const skillPath = path.join(packagePath, 'plugins/main')
       await fs.mkdir(skillPath, { recursive : true })
       await fs.writeFile(path.join(skillPath, 'SKILL.md'), '# organized-plugin\n\nOrganized plugin')
+      await writePluginManifest(skillPath, { name : 'organized-plugin' })
 
       const result = await runCLI(['sync'], projectDir, { env : { HOME : projectDir } })
       expect(result.exitCode).toBe(0)
@@ -194,6 +196,7 @@ describe('Integration: Multiple Plugins', () => {
       const skillPathA = path.join(packageAPath, '.claude-plugin/skill')
       await fs.mkdir(skillPathA, { recursive : true })
       await fs.writeFile(path.join(skillPathA, 'SKILL.md'), '# helper-plugin A')
+      await writePluginManifest(skillPathA, { name : 'helper-plugin' })
 
       // Create package-b with HelperPlugin (same name)
       const packageBPath = path.join(projectDir, 'node_modules/package-b')
@@ -230,6 +233,7 @@ describe('Integration: Multiple Plugins', () => {
       const skillPathB = path.join(packageBPath, '.claude-plugin/skill')
       await fs.mkdir(skillPathB, { recursive : true })
       await fs.writeFile(path.join(skillPathB, 'SKILL.md'), '# helper-plugin B')
+      await writePluginManifest(skillPathB, { name : 'helper-plugin' })
 
       const result = await runCLI(['sync'], projectDir, { env : { HOME : projectDir } })
       expect(result.exitCode).toBe(0)
@@ -306,6 +310,7 @@ describe('Integration: Multiple Plugins', () => {
           const skillPath = path.join(packagePath, '.claude-plugin/skill')
           await fs.mkdir(skillPath, { recursive : true })
           await fs.writeFile(path.join(skillPath, 'SKILL.md'), `# ${pluginName}`)
+          await writePluginManifest(skillPath, { name : pluginName })
         })
       )
 
@@ -382,6 +387,7 @@ describe('Integration: Multiple Plugins', () => {
           const skillPath = path.join(packagePath, '.claude-plugin/skill')
           await fs.mkdir(skillPath, { recursive : true })
           await fs.writeFile(path.join(skillPath, 'SKILL.md'), `# ${pluginName}`)
+          await writePluginManifest(skillPath, { name : pluginName })
         })
       )
 
@@ -208,13 +208,11 @@ async function createTestPackage(baseDir, packageName, pluginConfig) {
   await Promise.all(
     plugins.map(async (plugin) => {
       const pluginSourcePath = path.join(packagePath, plugin.source || './')
-      await fs.mkdir(pluginSourcePath, { recursive : true })
-      const pluginManifest = {
+      await writePluginManifest(pluginSourcePath, {
         name        : plugin.name,
         version     : plugin.version || '1.0.0',
         description : plugin.description || 'Test plugin',
-      }
-      await fs.writeFile(path.join(pluginSourcePath, 'plugin.json'), JSON.stringify(pluginManifest, null, 2))
+      })
 
       // Create SKILL.md for skill-type plugins
       const skillMdContent = `# ${plugin.name}\n\n${plugin.description || 'Test plugin'}\n`
@@ -225,6 +223,17 @@ async function createTestPackage(baseDir, packageName, pluginConfig) {
   return packagePath
 }
 
+/**
+ * Write a plugin's .claude-plugin/plugin.json manifest
+ * @param {string} pluginPath - Plugin directory
+ * @param {object} manifest - Manifest content (at least `name`)
+ * @returns {Promise<void>}
+ */
+async function writePluginManifest(pluginPath, manifest) {
+  await fs.mkdir(path.join(pluginPath, '.claude-plugin'), { recursive : true })
+  await fs.writeFile(path.join(pluginPath, '.claude-plugin', 'plugin.json'), JSON.stringify(manifest, null, 2))
+}
+
 /**
  * Read JSON file
  * @param {string} filePath - File path
@@ -410,6 +419,7 @@ module.exports = {
   setupTestProject,
   createPackageJson,
   createTestPackage,
+  writePluginManifest,
   readJsonFile,
   readFile,
   fileExists,
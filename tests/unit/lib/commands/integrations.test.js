@@ -0,0 +1,152 @@
+import fs from 'fs/promises'
+import os from 'os'
+import path from 'path'
+
+import { integrationsListCommand, integrationsShowCommand } from '_lib/commands/integrations'
+import { NotFoundError, UsageError } from '_lib/errors'
+import { ClaudePluginConfig } from '_lib/storage/claude-config'
+import { setPluginState } from '_lib/storage/claude-settings'
+
+import { createAirPackage, createPackageJson, createTestPackage } from '../test-lib'
+
+describe('integrations commands', () => {
+  let fixtureDir
+  let airFixturePath
+
+  beforeAll(async () => {
+    fixtureDir = await fs.mkdtemp(path.join(os.tmpdir(), 'air-integrations-fixture-'))
+    airFixturePath = await createAirPackage(fixtureDir)
+  })
+
+  afterAll(async () => {
+    await fs.rm(fixtureDir, { recursive : true, force : true })
+  })
+
+  let tempDir
+  let config
+  let logs
+
+  const installAirPackage = async (name) => {
+    const packagePath = path.join(tempDir, 'node_modules', ...name.split('/'))
+    await fs.cp(airFixturePath, packagePath, { recursive : true })
+    await fs.writeFile(path.join(packagePath, 'package.json'), JSON.stringify({ name, version : '1.0.0' }), 'utf8')
+
+    return packagePath
+  }
+
+  beforeEach(async () => {
+    tempDir = await fs.realpath(await fs.mkdtemp(path.join(os.tmpdir(), 'air-integrations-test-')))
+    config = ClaudePluginConfig.createForTest(tempDir)
+    logs = []
+    jest.spyOn(console, 'log').mockImplementation((...args) => logs.push(args.join(' ')))
+  })
+
+  afterEach(async () => {
+    jest.restoreAllMocks()
+    await fs.rm(tempDir, { recursive : true, force : true })
+  })
+
+  describe('integrationsListCommand', () => {
+    it('should list the integrations of dependencies with their types and skill state', async () => {
+      await installAirPackage('test-air-package')
+      await createPackageJson(tempDir, ['test-air-package'])
+
+      const { integrations } = await integrationsListCommand({ path : tempDir, config })
+
+      expect(integrations.map((integration) => integration.id)).toEqual([
+        'test-air-package/DualTypeIntegration',
+        'test-air-package/GenericOnly',
+        'test-air-package/SkillOnly',
+      ])
+      const output = logs.join('\n')
+      expect(output).toContain('test-air-package/DualTypeIntegration (generic, Claude Skill)')
+      expect(output).toContain('test-air-package/GenericOnly (generic)')
+      expect(output).toContain('Claude Skill: • Not installed (skill-only@test-air-package)')
+      expect(output).toContain('Summary: 3 integrations in 1 package')
+    })
+
+    it('should report when no dependency ships integrations', async () => {
+      await createTestPackage(tempDir, 'test-lib', { name : 'test-plugin' })
+      await createPackageJson(tempDir, ['test-lib'])
+
+      await integrationsListCommand({ path : tempDir, config })
+
+      expect(logs.join('\n')).toContain('No AIR integrations found in dependencies.')
+    })
+  })
+
+  describe('integrationsShowCommand', () => {
+    it('should show metadata, types, files and install state of a scoped integration', async () => {
+      const packagePath = await installAirPackage('@scope/air-lib')
+      await createPackageJson(tempDir, ['@scope/air-lib'])
+      await setPluginState(config.settingsPath, 'dual-type-integration@scope-air-lib', true)
+
+      const { integrations } = await integrationsShowCommand('@scope/air-lib/DualTypeIntegration', {
+        path : tempDir,
+        config,
+      })
+
+      const output = logs.join('\n')
+      expect(output).toContain('Integration: @scope/air-lib/DualTypeIntegration')
+      expect(output).toContain('Summary: Generic integration component of dual-type test integration')
+      expect(output).toContain('Package: @scope/air-lib v1.0.0')
+      expect(output).toContain(`Path: ${path.join(packagePath, 'ai-ready', 'integrations', 'DualTypeIntegration')}`)
+      expect(output).toContain('Types: generic, Claude Skill')
+      expect(output).toMatch(/Files:\n\s+AI_INTEGRATION\.md\n\s+claude-skill\/SKILL\.md/)
+      expect(output).toContain('generic: not managed by air')
+      expect(output).toContain('Claude Skill: ✓ Enabled (dual-type-integration@scope-air-lib)')
+      expect(integrations).toHaveLength(1)
+      expect(integrations[0].files).toEqual(['AI_INTEGRATION.md', 'claude-skill/SKILL.md'])
+    })
+
+    it('should show every integration of a bare library', async () => {
+      await installAirPackage('test-air-package')
+      await createPackageJson(tempDir, ['test-air-package'])
+
+      await integrationsShowCommand('test-air-package', { path : tempDir, config })
+
+      const output = logs.join('\n')
+      expect(output).toContain('Integration: test-air-package/DualTypeIntegration')
+      expect(output).toContain('Integration: test-air-package/GenericOnly')
+      expect(output).toContain('Integration: test-air-package/SkillOnly')
+    })
+
+    it('should say that skills of packages with their own marketplace are not managed', async () => {
+      const packagePath = await createTestPackage(tempDir, 'dual-lib', { name : 'declared-plugin' })
+      await fs.cp(path.join(airFixturePath, 'ai-ready'), path.join(packagePath, 'ai-ready'), { recursive : true })
+      await createPackageJson(tempDir, ['dual-lib'])
+
+      await integrationsShowCommand('dual-lib/SkillOnly', { path : tempDir, config })
+
+      expect(logs.join('\n')).toContain('Claude Skill: not managed by air (dual-lib declares its own marketplace)')
+    })
+
+    it('should fail for unknown integrations with the available ones', async () => {
+      await installAirPackage('test-air-package')
+      await createPackageJson(tempDir, ['test-air-package'])
+
+      const promise = integrationsShowCommand('test-air-package/Missing', { path : tempDir, config })
+
+      await expect(promise).rejects.toThrow(NotFoundError)
+      await expect(promise).rejects.toThrow(
+        "No integration 'Missing' in test-air-package (available: DualTypeIntegration, GenericOnly, SkillOnly)"
+      )
+    })
+
+    it('should fail for packages that are not dependencies', async () => {
+      await createPackageJson(tempDir, [])
+
+      await expect(integrationsShowCommand('@scope/other/Thing', { path : tempDir, config })).rejects.toMatchObject({
+        name    : 'NotFoundError',
+        message : `@scope/other is not a dependency of ${tempDir} or has no AIR integrations`,
+      })
+    })
+
+    it('should reject a bare scope', async () => {
+      const promise = integrationsShowCommand('@scope', { path : tempDir, config })
+
+      await expect(promise).rejects.toThrow(UsageError)
+      await expect(promise).rejects.toThrow("Invalid integration '@scope'; expected <library>/<integration>")
+    })
+  })
+})
@@ -0,0 +1,120 @@
+import fs from 'fs/promises'
+import os from 'os'
+import path from 'path'
+
+import { pluginsPruneCommand } from '_lib/commands/plugins-prune'
+import { pluginsSyncCommand } from '_lib/commands/plugins-sync'
+import { createReporter } from '_lib/reporter'
+import { ClaudePluginConfig } from '_lib/storage/claude-config'
+import { readSettings } from '_lib/storage/claude-settings'
+import { readInstalledPlugins } from '_lib/storage/installed-plugins'
+import { readKnownMarketplaces } from '_lib/storage/known-marketplaces'
+import { getLocalSettingsPath, readLocalSettings } from '_lib/storage/local-settings'
+
+import { createPackageJson, createTestPackage } from '../test-lib'
+
+describe('plugins prune command', () => {
+  let tempDir
+  let config
+  let logs
+  let logSpy
+
+  beforeEach(async () => {
+    tempDir = await fs.realpath(await fs.mkdtemp(path.join(os.tmpdir(), 'air-prune-test-')))
+    config = ClaudePluginConfig.createForTest(tempDir)
+
+    await createTestPackage(tempDir, 'kept-lib', { name : 'kept-plugin', version : '1.0.0' })
+    await createTestPackage(tempDir, 'removed-lib', { name : 'removed-plugin', version : '1.0.0' })
+    await createPackageJson(tempDir, ['kept-lib', 'removed-lib'])
+
+    logs = []
+    logSpy = jest.spyOn(console, 'log').mockImplementation((...args) => logs.push(args.join(' ')))
+  })
+
+  afterEach(async () => {
+    logSpy.mockRestore()
+    await fs.rm(tempDir, { recursive : true, force : true })
+  })
+
+  // Drops removed-lib from package.json, leaving it installed
+  const uninstallDependency = async () => {
+    const packageJsonPath = path.join(tempDir, 'package.json')
+    const packageJson = JSON.parse(await fs.readFile(packageJsonPath, 'utf8'))
+    delete packageJson.dependencies['removed-lib']
+    await fs.writeFile(packageJsonPath, JSON.stringify(packageJson), 'utf8')
+  }
+
+  it('should remove marketplaces no longer depended on from global settings', async () => {
+    await pluginsSyncCommand({ path : tempDir, reporter : createReporter('silent'), config })
+    await uninstallDependency()
+
+    const result = await pluginsPruneCommand({ path : tempDir, config })
+
+    expect(result.stale.map(({ name }) => name)).toEqual(['removed-lib-marketplace'])
+    const settings = await readSettings(config.settingsPath)
+    expect(Object.keys(settings.plugins.marketplaces)).toEqual(['kept-lib-marketplace'])
+    expect(settings.plugins.enabled).toEqual(['kept-plugin@kept-lib-marketplace'])
+    expect(logs.join('\n')).toContain(`removed-lib-marketplace (no longer a dependency of ${tempDir})`)
+  })
+
+  it('should remove pruned marketplaces and their plugins from the plugin registries', async () => {
+    await pluginsSyncCommand({ path : tempDir, reporter : createReporter('silent'), config })
+    await uninstallDependency()
+
+    await pluginsPruneCommand({ path : tempDir, config })
+
+    expect(Object.keys(await readKnownMarketplaces(config.knownMarketplacesPath))).toEqual(['kept-lib-marketplace'])
+    const { plugins } = await readInstalledPlugins(config.installedPluginsPath)
+    expect(Object.keys(plugins)).toEqual(['kept-plugin@kept-lib-marketplace'])
+  })
+
+  it('should delete the materialized copy of a pruned marketplace from the store', async () => {
+    await pluginsSyncCommand({ path : tempDir, reporter : createReporter('silent'), materialize : true, config })
+    await uninstallDependency()
+    const entries = await fs.readdir(config.storeDir)
+    const anHourAgo = new Date(Date.now() - 60 * 60 * 1000)
+    await Promise.all(entries.map((entry) => fs.utimes(path.join(config.storeDir, entry), anHourAgo, anHourAgo)))
+
+    const result = await pluginsPruneCommand({ path : tempDir, config })
+
+    expect(result.removedFromStore).toEqual([expect.stringMatching(/^removed-lib@1\.0\.0-/)])
+    expect(await fs.readdir(config.storeDir)).toEqual([expect.stringMatching(/^kept-lib@1\.0\.0-/)])
+  })
+
+  it('should only drop the reference of a project when another still depends on the package', async () => {
+    const otherProject = path.join(tempDir, 'other')
+    const otherPath = await createTestPackage(otherProject, 'removed-lib', { name : 'removed-plugin', version : '1.0.0' })
+    await createPackageJson(otherProject, ['removed-lib'])
+    await pluginsSyncCommand({ path : tempDir, reporter : createReporter('silent'), config })
+    await pluginsSyncCommand({ path : otherProject, reporter : createReporter('silent'), config })
+    await uninstallDependency()
+
+    const result = await pluginsPruneCommand({ path : tempDir, config })
+
+    expect(result.stale).toEqual([expect.objectContaining({ name : 'removed-lib-marketplace', project : tempDir })])
+    const entry = (await readSettings(config.settingsPath)).plugins.marketplaces['removed-lib-marketplace']
+    expect(entry.source.path).toBe(otherPath)
+    expect(Object.keys(entry.projects)).toEqual([otherProject])
+    expect((await readSettings(config.settingsPath)).plugins.enabled).toContain('removed-plugin@removed-lib-marketplace')
+    expect(logs.join('\n')).toContain(`→ removed-lib-marketplace now points at ${otherPath}`)
+  })
+
+  it('should prune project settings with the project option', async () => {
+    await pluginsSyncCommand({ path : tempDir, reporter : createReporter('silent'), project : true, config })
+    await uninstallDependency()
+
+    await pluginsPruneCommand({ path : tempDir, project : true, config })
+
+    const localSettings = await readLocalSettings(getLocalSettingsPath(tempDir))
+    expect(Object.keys(localSettings.extraKnownMarketplaces)).toEqual(['kept-lib-marketplace'])
+    expect(localSettings.enabledPlugins).toEqual({ 'kept-plugin@kept-lib-marketplace' : true })
+  })
+
+  it('should report when there is nothing to prune', async () => {
+    await pluginsSyncCommand({ path : tempDir, reporter : createReporter('silent'), config })
+
+    await pluginsPruneCommand({ path : tempDir, config })
+
+    expect(logs.join('\n')).toContain('No stale marketplaces found.')
+  })
+})
@@ -0,0 +1,84 @@
+import fs from 'fs/promises'
+import os from 'os'
+import path from 'path'
+
+import { pluginsDisableCommand, pluginsEnableCommand } from '_lib/commands/plugins-state'
+import { NotFoundError } from '_lib/errors'
+import { ClaudePluginConfig } from '_lib/storage/claude-config'
+import { readSettings } from '_lib/storage/claude-settings'
+import { getLocalSettingsPath, readLocalSettings } from '_lib/storage/local-settings'
+
+describe('plugins enable/disable commands', () => {
+  let tempDir
+  let settingsPath
+  let config
+  let logSpy
+
+  beforeEach(async () => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'air-state-test-'))
+    config = ClaudePluginConfig.createForTest(tempDir)
+    settingsPath = config.settingsPath
+    await fs.mkdir(path.dirname(settingsPath), { recursive : true })
+    await fs.writeFile(
+      settingsPath,
+      JSON.stringify({
+        plugins : {
+          enabled      : ['test-plugin@test-marketplace'],
+          disabled     : [],
+          marketplaces : {
+            'test-marketplace' : { source : { type : 'directory', path : '/x' }, plugins : { 'test-plugin' : {} } },
+          },
+        },
+      }),
+      'utf8'
+    )
+    logSpy = jest.spyOn(console, 'log').mockImplementation()
+  })
+
+  afterEach(async () => {
+    logSpy.mockRestore()
+    await fs.rm(tempDir, { recursive : true, force : true })
+  })
+
+  it('should disable and re-enable a plugin by bare name', async () => {
+    await pluginsDisableCommand('test-plugin', { config })
+
+    let settings = await readSettings(settingsPath)
+    expect(settings.plugins.enabled).toEqual([])
+    expect(settings.plugins.disabled).toEqual(['test-plugin@test-marketplace'])
+
+    await pluginsEnableCommand('test-plugin@test-marketplace', { config })
+
+    settings = await readSettings(settingsPath)
+    expect(settings.plugins.enabled).toEqual(['test-plugin@test-marketplace'])
+    expect(settings.plugins.disabled).toEqual([])
+  })
+
+  it('should write project overrides with the project option', async () => {
+    const projectDir = path.join(tempDir, 'project')
+
+    await pluginsDisableCommand('test-plugin', { path : projectDir, project : true, config })
+
+    const localSettings = await readLocalSettings(getLocalSettingsPath(projectDir))
+    expect(localSettings.enabledPlugins).toEqual({ 'test-plugin@test-marketplace' : false })
+
+    // global settings are left untouched
+    const settings = await readSettings(settingsPath)
+    expect(settings.plugins.enabled).toEqual(['test-plugin@test-marketplace'])
+  })
+
+  it('should throw a NotFoundError for an unknown plugin', async () => {
+    const promise = pluginsEnableCommand('no-such-plugin', { config })
+
+    await expect(promise).rejects.toThrow(NotFoundError)
+    await expect(promise).rejects.toThrow("Unknown plugin 'no-such-plugin'")
+  })
+
+  it('should throw a NotFoundError for an unknown plugin@marketplace', async () => {
+    const promise = pluginsEnableCommand('test-plugin@mispelled', { config })
+
+    await expect(promise).rejects.toThrow(NotFoundError)
+    await expect(promise).rejects.toThrow("Unknown plugin 'test-plugin@mispelled'")
+    expect((await readSettings(settingsPath)).plugins.enabled).toEqual(['test-plugin@test-marketplace'])
+  })
+})
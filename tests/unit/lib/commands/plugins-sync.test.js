@@ -3,12 +3,36 @@ import os from 'os'
 import path from 'path'
 
 import { pluginsSyncCommand } from '_lib/commands/plugins-sync'
+import {
+  LockfileMismatchError,
+  MarketplaceCollisionError,
+  NotFoundError,
+  PluginIntegrityError,
+  UsageError
+} from '_lib/errors'
+import { createReporter } from '_lib/reporter'
 import { ClaudePluginConfig } from '_lib/storage/claude-config'
 import { readSettings } from '_lib/storage/claude-settings'
+import { readInstalledPlugins } from '_lib/storage/installed-plugins'
+import { readKnownMarketplaces } from '_lib/storage/known-marketplaces'
+import { getLocalSettingsPath, readLocalSettings } from '_lib/storage/local-settings'
 
-import { createPackageJson, createTestPackage } from '../test-lib'
+import { createAirPackage, createPackageJson, createTestPackage } from '../test-lib'
 
 describe('plugins sync command', () => {
+  let fixtureDir
+  let airFixturePath
+
+  beforeAll(async () => {
+    fixtureDir = await fs.mkdtemp(path.join(os.tmpdir(), 'air-sync-fixture-'))
+    airFixturePath = await createAirPackage(fixtureDir)
+  })
+
+  afterAll(async () => {
+    await fs.rm(fixtureDir, { recursive : true, force : true })
+  })
+
+  const silent = createReporter('silent')
   let tempDir
   let claudeDir
   let settingsPath
@@ -34,7 +58,7 @@ describe('plugins sync command', () => {
       await createPackageJson(tempDir, ['test-lib'])
 
       const config = ClaudePluginConfig.createForTest(tempDir)
-      await pluginsSyncCommand({ path : tempDir, quiet : true, config })
+      await pluginsSyncCommand({ path : tempDir, reporter : silent, config })
 
       const settings = await readSettings(settingsPath)
       expect(settings.plugins.enabled).toContain('test-plugin@test-lib-marketplace')
@@ -42,6 +66,134 @@ describe('plugins sync command', () => {
       expect(settings.plugins.marketplaces['test-lib-marketplace'].plugins['test-plugin'].version).toBe('1.0.0')
     })
 
+    it("should register marketplaces and local plugins in Claude Code's registries", async () => {
+      const packagePath = await createTestPackage(tempDir, 'test-lib', { name : 'test-plugin', version : '1.2.0' })
+      await createPackageJson(tempDir, ['test-lib'])
+
+      const config = ClaudePluginConfig.createForTest(tempDir)
+      await pluginsSyncCommand({ path : tempDir, reporter : silent, config })
+
+      const realPackagePath = await fs.realpath(packagePath)
+      const knownMarketplaces = await readKnownMarketplaces(config.knownMarketplacesPath)
+      expect(knownMarketplaces['test-lib-marketplace']).toMatchObject({
+        source          : { source : 'directory', path : realPackagePath },
+        installLocation : realPackagePath,
+      })
+
+      const installedPlugins = await readInstalledPlugins(config.installedPluginsPath)
+      expect(installedPlugins.plugins['test-plugin@test-lib-marketplace']).toMatchObject({
+        version     : '1.2.0',
+        installPath : path.join(realPackagePath, 'plugin'),
+        isLocal     : true,
+      })
+    })
+
+    it('should not replace a registry entry the user added from another source', async () => {
+      await createTestPackage(tempDir, 'test-lib', { name : 'test-plugin', version : '1.2.0' })
+      await createPackageJson(tempDir, ['test-lib'])
+      const config = ClaudePluginConfig.createForTest(tempDir)
+      const userEntry = {
+        source          : { source : 'github', repo : 'acme/test-lib-plugins' },
+        installLocation : path.join(tempDir, 'marketplaces', 'test-lib-marketplace'),
+        lastUpdated     : '2025-01-01T00:00:00.000Z',
+      }
+      await fs.mkdir(path.dirname(config.knownMarketplacesPath), { recursive : true })
+      await fs.writeFile(config.knownMarketplacesPath, JSON.stringify({ 'test-lib-marketplace' : userEntry }), 'utf8')
+      const warnings = []
+      const reporter = { ...silent, warn : (message) => warnings.push(message) }
+
+      await pluginsSyncCommand({ path : tempDir, reporter, config })
+
+      expect((await readKnownMarketplaces(config.knownMarketplacesPath))['test-lib-marketplace']).toEqual(userEntry)
+      expect((await readInstalledPlugins(config.installedPluginsPath)).plugins).toEqual({})
+      expect(warnings).toContain(
+        'Marketplace test-lib-marketplace is already registered from a github source, leaving it alone'
+      )
+    })
+
+    it('should report and skip plugins with a missing manifest', async () => {
+      const packagePath = await createTestPackage(tempDir, 'test-lib', { name : 'test-plugin' })
+      await fs.rm(path.join(packagePath, 'plugin', '.claude-plugin'), { recursive : true })
+      await createPackageJson(tempDir, ['test-lib'])
+      const logSpy = jest.spyOn(console, 'log').mockImplementation()
+
+      const config = ClaudePluginConfig.createForTest(tempDir)
+      await pluginsSyncCommand({ path : tempDir, config })
+
+      const output = logSpy.mock.calls.map((call) => call.join(' ')).join('\n')
+      logSpy.mockRestore()
+      expect(output).toMatch(/test-plugin@test-lib-marketplace\s+Missing \.claude-plugin[/\\]plugin\.json/)
+      const settings = await readSettings(settingsPath)
+      expect(settings.plugins.enabled).toEqual([])
+      expect(settings.plugins.marketplaces['test-lib-marketplace']).toBeDefined()
+    })
+
+    it('should enable the Claude Skills of AIR-only packages and list their generic integrations', async () => {
+      await fs.cp(airFixturePath, path.join(tempDir, 'node_modules', 'test-air-package'), { recursive : true })
+      await createPackageJson(tempDir, ['test-air-package'])
+      const logSpy = jest.spyOn(console, 'log').mockImplementation()
+
+      const config = ClaudePluginConfig.createForTest(tempDir)
+      await pluginsSyncCommand({ path : tempDir, config })
+
+      const output = logSpy.mock.calls.map((call) => call.join(' ')).join('\n')
+      logSpy.mockRestore()
+      expect(output).toContain('Found 1 marketplace with 2 plugins')
+      expect(output).toContain(
+        '• test-air-package/GenericOnly - Generic instructions without Claude Skill component'
+      )
+      const settings = await readSettings(settingsPath)
+      expect(settings.plugins.enabled).toEqual([
+        'dual-type-integration@test-air-package',
+        'skill-only@test-air-package',
+      ])
+      expect(settings.plugins.marketplaces['test-air-package'].plugins['skill-only'].source).toBe(
+        './ai-ready/integrations/SkillOnly'
+      )
+    })
+
+    it('should not register a marketplace for packages with only generic AIR integrations', async () => {
+      const packagePath = path.join(tempDir, 'node_modules', 'generic-lib')
+      await fs.cp(
+        path.join(airFixturePath, 'ai-ready', 'integrations', 'GenericOnly'),
+        path.join(packagePath, 'ai-ready', 'integrations', 'GenericOnly'),
+        { recursive : true }
+      )
+      await fs.writeFile(path.join(packagePath, 'package.json'), JSON.stringify({ name : 'generic-lib' }), 'utf8')
+      await createPackageJson(tempDir, ['generic-lib'])
+
+      const config = ClaudePluginConfig.createForTest(tempDir)
+      await pluginsSyncCommand({ path : tempDir, reporter : silent, config })
+
+      const settings = await readSettings(settingsPath)
+      expect(settings.plugins.marketplaces).toEqual({})
+    })
+
+    it('should register plugins in project settings with the project option', async () => {
+      const projectDir = path.join(tempDir, 'project')
+      await createTestPackage(projectDir, 'test-lib', {
+        name        : 'test-plugin',
+        version     : '1.0.0',
+        description : 'Test plugin',
+      })
+      await createPackageJson(projectDir, ['test-lib'])
+
+      const config = ClaudePluginConfig.createForTest(tempDir)
+      await pluginsSyncCommand({ path : projectDir, reporter : silent, project : true, config })
+
+      const localSettings = await readLocalSettings(getLocalSettingsPath(projectDir))
+      expect(localSettings.enabledPlugins['test-plugin@test-lib-marketplace']).toBe(true)
+      expect(localSettings.extraKnownMarketplaces['test-lib-marketplace'].source).toEqual({
+        source : 'directory',
+        path   : './node_modules/test-lib',
+      })
+
+      // global settings are left untouched
+      const settings = await readSettings(settingsPath)
+      expect(settings.plugins.enabled).toEqual([])
+      await expect(fs.access(config.knownMarketplacesPath)).rejects.toThrow()
+    })
+
     it('should respect disabled plugins', async () => {
       // Pre-populate settings with disabled plugin
       await fs.writeFile(
@@ -64,7 +216,7 @@ describe('plugins sync command', () => {
       await createPackageJson(tempDir, ['test-lib'])
 
       const config = ClaudePluginConfig.createForTest(tempDir)
-      await pluginsSyncCommand({ path : tempDir, quiet : true, config })
+      await pluginsSyncCommand({ path : tempDir, reporter : silent, config })
 
       const settings = await readSettings(settingsPath)
       expect(settings.plugins.enabled).not.toContain('test-plugin@test-lib-marketplace')
@@ -73,7 +225,7 @@ describe('plugins sync command', () => {
 
     it('should handle no plugins found', async () => {
       const config = ClaudePluginConfig.createForTest(tempDir)
-      await pluginsSyncCommand({ path : tempDir, quiet : true, config })
+      await pluginsSyncCommand({ path : tempDir, reporter : silent, config })
 
       // Should not crash, just do nothing
       // Settings file might not exist if no plugins found
@@ -102,7 +254,7 @@ describe('plugins sync command', () => {
       await createPackageJson(tempDir, ['lib-1', 'lib-2'])
 
       const config = ClaudePluginConfig.createForTest(tempDir)
-      await pluginsSyncCommand({ path : tempDir, quiet : true, config })
+      await pluginsSyncCommand({ path : tempDir, reporter : silent, config })
 
       const settings = await readSettings(settingsPath)
       expect(settings.plugins.enabled).toContain('plugin-1@lib-1-marketplace')
@@ -121,7 +273,7 @@ describe('plugins sync command', () => {
       await createPackageJson(tempDir, ['test-lib'])
 
       const config = ClaudePluginConfig.createForTest(tempDir)
-      await pluginsSyncCommand({ path : tempDir, quiet : true, config })
+      await pluginsSyncCommand({ path : tempDir, reporter : silent, config })
 
       let settings = await readSettings(settingsPath)
       expect(settings.plugins.marketplaces['test-lib-marketplace'].plugins['test-plugin'].version).toBe('1.0.0')
@@ -134,13 +286,13 @@ describe('plugins sync command', () => {
       })
 
       // Sync again with noCache to force rescan
-      await pluginsSyncCommand({ path : tempDir, quiet : true, noCache : true, config })
+      await pluginsSyncCommand({ path : tempDir, reporter : silent, noCache : true, config })
 
       settings = await readSettings(settingsPath)
       expect(settings.plugins.marketplaces['test-lib-marketplace'].plugins['test-plugin'].version).toBe('2.0.0')
     })
 
-    it('should not output when quiet flag is set', async () => {
+    it('should not output with the silent reporter', async () => {
       await createTestPackage(tempDir, 'test-lib', {
         name        : 'test-plugin',
         version     : '1.0.0',
@@ -155,7 +307,7 @@ describe('plugins sync command', () => {
       console.log = (...args) => logs.push(args.join(' '))
 
       const config = ClaudePluginConfig.createForTest(tempDir)
-      await pluginsSyncCommand({ path : tempDir, quiet : true, config })
+      await pluginsSyncCommand({ path : tempDir, reporter : silent, config })
 
       // eslint-disable-next-line no-console
       console.log = originalLog
@@ -163,7 +315,7 @@ describe('plugins sync command', () => {
       expect(logs.length).toBe(0)
     })
 
-    it('should output when quiet flag is not set', async () => {
+    it('should output with the default text reporter', async () => {
       await createTestPackage(tempDir, 'test-lib', {
         name        : 'test-plugin',
         version     : '1.0.0',
@@ -178,7 +330,7 @@ describe('plugins sync command', () => {
       console.log = (...args) => logs.push(args.join(' '))
 
       const config = ClaudePluginConfig.createForTest(tempDir)
-      await pluginsSyncCommand({ path : tempDir, quiet : false, config })
+      await pluginsSyncCommand({ path : tempDir, config })
 
       // eslint-disable-next-line no-console
       console.log = originalLog
@@ -202,13 +354,381 @@ describe('plugins sync command', () => {
       const config = ClaudePluginConfig.createForTest(tempDir)
 
       // First sync creates cache
-      await pluginsSyncCommand({ path : tempDir, quiet : true, config })
+      await pluginsSyncCommand({ path : tempDir, reporter : silent, config })
 
       // Second sync with noCache should still work
-      await pluginsSyncCommand({ path : tempDir, quiet : true, noCache : true, config })
+      await pluginsSyncCommand({ path : tempDir, reporter : silent, noCache : true, config })
 
       const settings = await readSettings(settingsPath)
       expect(settings.plugins.enabled).toContain('test-plugin@test-lib-marketplace')
     })
+
+    it('should report warnings through the reporter', async () => {
+      await createTestPackage(tempDir, 'test-lib', { name : 'test-plugin', version : '1.0.0' })
+      await createPackageJson(tempDir, ['test-lib'])
+      await fs.writeFile(settingsPath, '{ invalid', 'utf8')
+      const warnSpy = jest.spyOn(console, 'warn')
+      const warnings = []
+      const reporter = { ...silent, warn : (message) => warnings.push(message) }
+
+      await pluginsSyncCommand({ path : tempDir, reporter, config : ClaudePluginConfig.createForTest(tempDir) })
+
+      expect(warnings).toContain('Malformed settings.json, creating backup and using defaults')
+      expect(warnSpy).not.toHaveBeenCalled()
+      warnSpy.mockRestore()
+    })
+
+    it('should remove marketplaces of uninstalled packages with the prune option', async () => {
+      await createTestPackage(tempDir, 'test-lib', { name : 'test-plugin', version : '1.0.0' })
+      await createPackageJson(tempDir, ['test-lib'])
+      const config = ClaudePluginConfig.createForTest(tempDir)
+      await pluginsSyncCommand({ path : tempDir, reporter : silent, config })
+
+      await fs.rm(path.join(tempDir, 'node_modules', 'test-lib'), { recursive : true })
+      await pluginsSyncCommand({ path : tempDir, reporter : silent, prune : true, config })
+
+      const settings = await readSettings(settingsPath)
+      expect(settings.plugins.marketplaces).toEqual({})
+      expect(settings.plugins.enabled).toEqual([])
+      expect(await readKnownMarketplaces(config.knownMarketplacesPath)).toEqual({})
+      expect((await readInstalledPlugins(config.installedPluginsPath)).plugins).toEqual({})
+    })
+
+    it('should not prune marketplaces registered through the transitive options of the same sync', async () => {
+      // project -> framework -> test-lib
+      const frameworkPath = path.join(tempDir, 'node_modules', 'framework')
+      await fs.mkdir(frameworkPath, { recursive : true })
+      await fs.writeFile(path.join(frameworkPath, 'package.json'), JSON.stringify({ name : 'framework' }), 'utf8')
+      await createPackageJson(frameworkPath, ['test-lib'])
+      await createTestPackage(tempDir, 'test-lib', { name : 'test-plugin', version : '1.0.0' })
+      await createPackageJson(tempDir, ['framework'])
+      const config = ClaudePluginConfig.createForTest(tempDir)
+      const options = { path : tempDir, reporter : silent, prune : true, transitive : { depth : 2 }, config }
+
+      const result = await pluginsSyncCommand(options)
+      const dryRun = await pluginsSyncCommand({ ...options, dryRun : true })
+
+      expect(result.pruned.stale).toEqual([])
+      expect(dryRun.pendingChanges).toBe(false)
+      const settings = await readSettings(settingsPath)
+      expect(settings.plugins.marketplaces['test-lib-marketplace']).toBeDefined()
+      expect(settings.plugins.enabled).toEqual(['test-plugin@test-lib-marketplace'])
+    })
+
+    it('should keep a marketplace shared with another project at its install', async () => {
+      const otherProject = path.join(tempDir, 'other')
+      for (const projectDir of [tempDir, otherProject]) {
+        // eslint-disable-next-line no-await-in-loop
+        await createTestPackage(projectDir, 'test-lib', { name : 'test-plugin', version : '1.0.0' })
+        // eslint-disable-next-line no-await-in-loop
+        await createPackageJson(projectDir, ['test-lib'])
+      }
+      const config = ClaudePluginConfig.createForTest(tempDir)
+      const installPath = path.join(tempDir, 'node_modules', 'test-lib')
+      await pluginsSyncCommand({ path : tempDir, reporter : silent, config })
+
+      const result = await pluginsSyncCommand({ path : otherProject, reporter : silent, config })
+
+      expect(result.collisions).toEqual([])
+      expect(result.changes.shared).toEqual(['test-lib-marketplace'])
+      expect(result.pendingChanges).toBe(true)
+      const entry = (await readSettings(settingsPath)).plugins.marketplaces['test-lib-marketplace']
+      expect(entry.source.path).toBe(installPath)
+      expect(Object.keys(entry.projects)).toEqual([tempDir, otherProject])
+      const knownMarketplaces = await readKnownMarketplaces(config.knownMarketplacesPath)
+      expect(knownMarketplaces['test-lib-marketplace'].installLocation).toBe(installPath)
+    })
+
+    describe('marketplace name collisions', () => {
+      const declareTools = (pluginName) => ({
+        name    : 'tools',
+        owner   : { name : 'Test Owner' },
+        plugins : [{ name : pluginName, source : './plugin', version : '1.0.0' }],
+      })
+
+      it('should keep the first package and report the collision with the first policy', async () => {
+        await createTestPackage(tempDir, 'lib-a', declareTools('plugin-a'))
+        await createTestPackage(tempDir, 'lib-b', declareTools('plugin-b'))
+        await createPackageJson(tempDir, ['lib-a', 'lib-b'])
+        const config = ClaudePluginConfig.createForTest(tempDir)
+
+        const result = await pluginsSyncCommand({ path : tempDir, reporter : silent, collisions : 'first', config })
+
+        expect(result.collisions).toEqual([expect.objectContaining({ name : 'tools', resolution : 'kept-existing' })])
+        const settings = await readSettings(settingsPath)
+        expect(settings.plugins.marketplaces.tools.source.path).toBe(path.join(tempDir, 'node_modules', 'lib-a'))
+        expect(settings.plugins.enabled).toEqual(['plugin-a@tools'])
+      })
+
+      it('should register colliding packages under namespaced names with the namespace policy', async () => {
+        await createTestPackage(tempDir, 'lib-a', declareTools('plugin-a'))
+        await createTestPackage(tempDir, 'lib-b', declareTools('plugin-b'))
+        await createPackageJson(tempDir, ['lib-a', 'lib-b'])
+        const config = ClaudePluginConfig.createForTest(tempDir)
+
+        await pluginsSyncCommand({ path : tempDir, reporter : silent, collisions : 'namespace', config })
+
+        const settings = await readSettings(settingsPath)
+        expect(Object.keys(settings.plugins.marketplaces)).toEqual(['tools', 'lib-b--tools'])
+        expect(settings.plugins.enabled).toEqual(['plugin-a@tools', 'plugin-b@lib-b--tools'])
+      })
+
+      it('should fail without writing settings with the fail policy', async () => {
+        await createTestPackage(tempDir, 'lib-a', declareTools('plugin-a'))
+        await createTestPackage(tempDir, 'lib-b', declareTools('plugin-b'))
+        await createPackageJson(tempDir, ['lib-a', 'lib-b'])
+        const config = ClaudePluginConfig.createForTest(tempDir)
+
+        await expect(
+          pluginsSyncCommand({ path : tempDir, reporter : silent, collisions : 'fail', config })
+        ).rejects.toThrow(MarketplaceCollisionError)
+        await expect(fs.access(settingsPath)).rejects.toThrow()
+      })
+    })
+
+    describe('materialization', () => {
+      beforeEach(async () => {
+        await createTestPackage(tempDir, 'test-lib', { name : 'test-plugin', version : '1.0.0' })
+        await createPackageJson(tempDir, ['test-lib'])
+      })
+
+      it('should register a copy in the store that survives removing node_modules', async () => {
+        const config = ClaudePluginConfig.createForTest(tempDir)
+
+        await pluginsSyncCommand({ path : tempDir, reporter : silent, materialize : true, config })
+        await fs.rm(path.join(tempDir, 'node_modules'), { recursive : true })
+
+        const entry = (await readSettings(settingsPath)).plugins.marketplaces['test-lib-marketplace']
+        expect(path.dirname(entry.source.path)).toBe(config.storeDir)
+        expect(entry.projects[tempDir]).toEqual({
+          path             : path.join(tempDir, 'node_modules', 'test-lib'),
+          version          : '1.0.0',
+          materializedPath : entry.source.path,
+        })
+        const knownMarketplaces = await readKnownMarketplaces(config.knownMarketplacesPath)
+        expect(knownMarketplaces['test-lib-marketplace'].installLocation).toBe(entry.source.path)
+        const installedPlugins = await readInstalledPlugins(config.installedPluginsPath)
+        const { installPath } = installedPlugins.plugins['test-plugin@test-lib-marketplace']
+        expect(installPath).toBe(path.join(entry.source.path, 'plugin'))
+        await expect(fs.readFile(path.join(installPath, 'SKILL.md'), 'utf8')).resolves.toContain('test-plugin')
+      })
+
+      it('should reject materializing into project settings', async () => {
+        const config = ClaudePluginConfig.createForTest(tempDir)
+
+        await expect(
+          pluginsSyncCommand({ path : tempDir, reporter : silent, materialize : true, project : true, config })
+        ).rejects.toThrow(UsageError)
+      })
+    })
+
+    describe('lockfile', () => {
+      const lockfilePath = () => path.join(tempDir, 'air-lock.json')
+      let config
+
+      beforeEach(async () => {
+        config = ClaudePluginConfig.createForTest(tempDir)
+        await createTestPackage(tempDir, 'test-lib', { name : 'test-plugin', version : '1.0.0' })
+        await createPackageJson(tempDir, ['test-lib'])
+      })
+
+      it('should record the synced marketplaces in air-lock.json with the lock option', async () => {
+        const result = await pluginsSyncCommand({ path : tempDir, reporter : silent, lock : true, config })
+
+        expect(result.lockfile).toEqual({ path : lockfilePath(), changed : true })
+        const lockfile = JSON.parse(await fs.readFile(lockfilePath(), 'utf8'))
+        expect(lockfile.marketplaces['test-lib-marketplace']).toMatchObject({
+          package : 'test-lib',
+          version : '1.0.0',
+          plugins : { 'test-plugin' : { version : '1.0.0' } },
+        })
+
+        const again = await pluginsSyncCommand({ path : tempDir, reporter : silent, lock : true, config })
+        expect(again.lockfile.changed).toBe(false)
+      })
+
+      it('should not write air-lock.json on a dry run', async () => {
+        const result = await pluginsSyncCommand({
+          path     : tempDir,
+          reporter : silent,
+          lock     : true,
+          dryRun   : true,
+          config,
+        })
+
+        expect(result.lockfile.changed).toBe(true)
+        await expect(fs.access(lockfilePath())).rejects.toThrow()
+      })
+
+      it('should sync with the frozen option when the plugins match air-lock.json', async () => {
+        await pluginsSyncCommand({ path : tempDir, reporter : silent, lock : true, config })
+        await fs.rm(settingsPath)
+
+        const result = await pluginsSyncCommand({ path : tempDir, reporter : silent, frozen : true, config })
+
+        expect(result.lockfile).toEqual({ path : lockfilePath(), changed : false })
+        expect((await readSettings(settingsPath)).plugins.enabled).toContain('test-plugin@test-lib-marketplace')
+      })
+
+      it('should fail with the frozen option without changing settings when the plugins differ', async () => {
+        await pluginsSyncCommand({ path : tempDir, reporter : silent, lock : true, config })
+        await fs.rm(settingsPath)
+        await createTestPackage(tempDir, 'test-lib', { name : 'test-plugin', version : '1.1.0' })
+
+        const sync = pluginsSyncCommand({ path : tempDir, reporter : silent, frozen : true, config })
+
+        await expect(sync).rejects.toThrow(LockfileMismatchError)
+        await expect(sync).rejects.toMatchObject({
+          differences : ['test-lib-marketplace: locked test-lib@1.0.0, found test-lib@1.1.0'],
+        })
+        await expect(fs.access(settingsPath)).rejects.toThrow()
+      })
+
+      it("should lock the project's own marketplaces when global settings hold a colliding name", async () => {
+        const forkPath = path.join(tempDir, 'fork')
+        await fs.mkdir(forkPath)
+        const forkPackageJson = { name : 'fork', version : '9.0.0' }
+        await fs.writeFile(path.join(forkPath, 'package.json'), JSON.stringify(forkPackageJson), 'utf8')
+        const fork = { source : { type : 'directory', path : forkPath }, plugins : {} }
+        const settings = { plugins : { enabled : [], disabled : [], marketplaces : { 'test-lib-marketplace' : fork } } }
+        await fs.writeFile(settingsPath, JSON.stringify(settings), 'utf8')
+
+        const result = await pluginsSyncCommand({ path : tempDir, reporter : silent, lock : true, config })
+
+        expect(result.collisions).toEqual([expect.objectContaining({ resolution : 'kept-existing' })])
+        const lockfile = JSON.parse(await fs.readFile(lockfilePath(), 'utf8'))
+        expect(lockfile.marketplaces['test-lib-marketplace']).toMatchObject({ package : 'test-lib', version : '1.0.0' })
+        await expect(
+          pluginsSyncCommand({ path : tempDir, reporter : silent, frozen : true, config })
+        ).resolves.toMatchObject({ lockfile : { changed : false } })
+      })
+
+      it('should fail with the frozen option when the project has no air-lock.json', async () => {
+        await expect(
+          pluginsSyncCommand({ path : tempDir, reporter : silent, frozen : true, config })
+        ).rejects.toThrow(NotFoundError)
+      })
+
+      it('should reject the lock and frozen options together', async () => {
+        await expect(
+          pluginsSyncCommand({ path : tempDir, reporter : silent, lock : true, frozen : true, config })
+        ).rejects.toThrow(UsageError)
+      })
+    })
+
+    describe('integrity verification', () => {
+      let config
+      let packagePath
+
+      beforeEach(async () => {
+        config = ClaudePluginConfig.createForTest(tempDir)
+        packagePath = await createTestPackage(tempDir, 'test-lib', { name : 'test-plugin', version : '1.0.0' })
+        await createPackageJson(tempDir, ['test-lib'])
+        await pluginsSyncCommand({ path : tempDir, reporter : silent, config })
+      })
+
+      it('should check the enabled plugins with the verify option', async () => {
+        const result = await pluginsSyncCommand({ path : tempDir, reporter : silent, verify : true, config })
+
+        expect(result.integrity).toEqual([
+          expect.objectContaining({ pluginKey : 'test-plugin@test-lib-marketplace', status : 'ok' }),
+        ])
+      })
+
+      it('should fail without changing settings when plugin files changed without a version change', async () => {
+        await fs.writeFile(path.join(packagePath, 'plugin', 'SKILL.md'), '# injected', 'utf8')
+        await createTestPackage(tempDir, 'other-lib', { name : 'other-plugin', version : '1.0.0' })
+        await createPackageJson(tempDir, ['other-lib'])
+
+        const sync = pluginsSyncCommand({ path : tempDir, reporter : silent, verify : true, noCache : true, config })
+
+        await expect(sync).rejects.toThrow(PluginIntegrityError)
+        await expect(sync).rejects.toMatchObject({
+          plugins : [expect.objectContaining({ pluginKey : 'test-plugin@test-lib-marketplace' })],
+        })
+        const settings = await readSettings(settingsPath)
+        expect(settings.plugins.marketplaces['other-lib-marketplace']).toBeUndefined()
+      })
+
+      it('should record new plugin files when the package version changes', async () => {
+        const { integrity } = (await readSettings(settingsPath)).plugins.marketplaces['test-lib-marketplace'].plugins[
+          'test-plugin'
+        ]
+        await createTestPackage(tempDir, 'test-lib', { name : 'test-plugin', version : '1.1.0', description : 'New' })
+
+        const result = await pluginsSyncCommand({ path : tempDir, reporter : silent, noCache : true, config })
+
+        const plugin = (await readSettings(settingsPath)).plugins.marketplaces['test-lib-marketplace'].plugins[
+          'test-plugin'
+        ]
+        expect(plugin).toMatchObject({ version : '1.1.0', packageVersion : '1.1.0' })
+        expect(plugin.integrity).not.toBe(integrity)
+        expect(result.integrity).toBeNull()
+      })
+    })
+
+    describe('dry run', () => {
+      let logs
+
+      beforeEach(async () => {
+        await createTestPackage(tempDir, 'test-lib', { name : 'test-plugin', version : '1.0.0' })
+        await createPackageJson(tempDir, ['test-lib'])
+        logs = []
+        jest.spyOn(console, 'log').mockImplementation((...args) => logs.push(args.join(' ')))
+      })
+
+      afterEach(() => {
+        jest.restoreAllMocks()
+      })
+
+      it('should print and return pending changes without writing settings', async () => {
+        const config = ClaudePluginConfig.createForTest(tempDir)
+        const result = await pluginsSyncCommand({ path : tempDir, dryRun : true, config })
+
+        expect(result).toMatchObject({ dryRun : true, pendingChanges : true, settingsPath })
+        expect(result.changes.added).toEqual(['test-plugin'])
+        await expect(fs.access(settingsPath)).rejects.toThrow()
+        const output = logs.join('\n')
+        expect(output).toContain(`Pending changes to ${settingsPath}`)
+        expect(output).toContain('+ test-lib-marketplace')
+        expect(output).toContain('+ test-plugin@test-lib-marketplace')
+      })
+
+      it('should not write the scan cache or back up malformed settings', async () => {
+        const config = ClaudePluginConfig.createForTest(tempDir)
+        await fs.writeFile(settingsPath, '{ invalid', 'utf8')
+        jest.spyOn(console, 'warn').mockImplementation()
+
+        await pluginsSyncCommand({ path : tempDir, dryRun : true, prune : true, verify : true, config })
+
+        expect((await fs.readdir(claudeDir)).sort()).toEqual(['settings.json'])
+        await expect(fs.access(path.join(tempDir, '.air-plugin-cache.json'))).rejects.toThrow()
+      })
+
+      it('should report no pending changes when settings are up to date', async () => {
+        const config = ClaudePluginConfig.createForTest(tempDir)
+        await pluginsSyncCommand({ path : tempDir, reporter : silent, config })
+
+        const result = await pluginsSyncCommand({ path : tempDir, dryRun : true, config })
+
+        expect(result.pendingChanges).toBe(false)
+        expect(logs.join('\n')).toContain('No changes pending')
+      })
+
+      it('should report a project that adds itself to a marketplace another project registered', async () => {
+        const config = ClaudePluginConfig.createForTest(tempDir)
+        const otherProject = path.join(tempDir, 'other-project')
+        await createTestPackage(otherProject, 'test-lib', { name : 'test-plugin', version : '1.0.0' })
+        await createPackageJson(otherProject, ['test-lib'])
+        await pluginsSyncCommand({ path : tempDir, reporter : silent, config })
+        const before = await fs.readFile(settingsPath, 'utf8')
+
+        const result = await pluginsSyncCommand({ path : otherProject, dryRun : true, config })
+
+        expect(result.pendingChanges).toBe(true)
+        expect(logs.join('\n')).toContain(`~ test-lib-marketplace (record reference from ${otherProject})`)
+        expect(await fs.readFile(settingsPath, 'utf8')).toBe(before)
+      })
+    })
   })
 })
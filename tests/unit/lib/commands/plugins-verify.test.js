@@ -0,0 +1,73 @@
+import fs from 'fs/promises'
+import os from 'os'
+import path from 'path'
+
+import { pluginsSyncCommand } from '_lib/commands/plugins-sync'
+import { pluginsVerifyCommand } from '_lib/commands/plugins-verify'
+import { createReporter } from '_lib/reporter'
+import { ClaudePluginConfig } from '_lib/storage/claude-config'
+import { readSettings } from '_lib/storage/claude-settings'
+import { INTEGRITY_STATUSES } from '_lib/types'
+
+import { createPackageJson, createTestPackage } from '../test-lib'
+
+describe('plugins verify command', () => {
+  const silent = createReporter('silent')
+  let tempDir
+  let config
+  let packagePath
+
+  beforeEach(async () => {
+    tempDir = await fs.realpath(await fs.mkdtemp(path.join(os.tmpdir(), 'air-verify-test-')))
+    config = ClaudePluginConfig.createForTest(tempDir)
+
+    packagePath = await createTestPackage(tempDir, 'test-lib', { name : 'test-plugin', version : '1.0.0' })
+    await createPackageJson(tempDir, ['test-lib'])
+    await pluginsSyncCommand({ path : tempDir, reporter : silent, config })
+  })
+
+  afterEach(async () => {
+    await fs.rm(tempDir, { recursive : true, force : true })
+  })
+
+  const tamper = () => fs.writeFile(path.join(packagePath, 'plugin', 'SKILL.md'), '# injected', 'utf8')
+
+  it('should record the hash of plugin files when sync enables them', async () => {
+    const settings = await readSettings(config.settingsPath)
+
+    expect(settings.plugins.marketplaces['test-lib-marketplace'].plugins['test-plugin']).toMatchObject({
+      integrity      : expect.stringMatching(/^sha256-/),
+      packageVersion : '1.0.0',
+    })
+  })
+
+  it('should report enabled plugins whose files are unchanged', async () => {
+    const result = await pluginsVerifyCommand({ reporter : silent, config })
+
+    expect(result.plugins.map(({ status }) => status)).toEqual([INTEGRITY_STATUSES.OK])
+    expect(result.modified).toEqual([])
+  })
+
+  it('should flag plugins modified on disk, even after another sync', async () => {
+    await tamper()
+    await pluginsSyncCommand({ path : tempDir, reporter : silent, config })
+    const logSpy = jest.spyOn(console, 'log').mockImplementation()
+
+    const result = await pluginsVerifyCommand({ config })
+
+    const output = logSpy.mock.calls.map((call) => call.join(' ')).join('\n')
+    logSpy.mockRestore()
+    expect(result.modified).toEqual(['test-plugin@test-lib-marketplace'])
+    expect(result.accepted).toEqual([])
+    expect(output).toContain('✗ test-plugin@test-lib-marketplace: files changed without a package version change')
+  })
+
+  it('should record the current files of modified plugins with the accept option', async () => {
+    await tamper()
+
+    const result = await pluginsVerifyCommand({ reporter : silent, accept : true, config })
+
+    expect(result.accepted).toEqual(['test-plugin@test-lib-marketplace'])
+    expect((await pluginsVerifyCommand({ reporter : silent, config })).modified).toEqual([])
+  })
+})
@@ -3,12 +3,25 @@ import os from 'os'
 import path from 'path'
 
 import { pluginsViewCommand } from '_lib/commands/plugins-view'
+import { createReporter } from '_lib/reporter'
 import { ClaudePluginConfig } from '_lib/storage/claude-config'
 import { updateSettings } from '_lib/storage/claude-settings'
 
-import { createPackageJson, createTestPackage } from '../test-lib'
+import { createAirPackage, createPackageJson, createTestPackage } from '../test-lib'
 
 describe('plugins view command', () => {
+  let fixtureDir
+  let airFixturePath
+
+  beforeAll(async () => {
+    fixtureDir = await fs.mkdtemp(path.join(os.tmpdir(), 'air-view-fixture-'))
+    airFixturePath = await createAirPackage(fixtureDir)
+  })
+
+  afterAll(async () => {
+    await fs.rm(fixtureDir, { recursive : true, force : true })
+  })
+
   let tempDir
   let claudeDir
   let settingsPath
@@ -215,6 +228,54 @@ describe('plugins view command', () => {
 
       expect(output).toContain('Run `air sync` to enable new plugins, then restart Claude Code')
     })
+
+    it('should show validation errors of broken plugins', async () => {
+      await createTestPackage(tempDir, 'broken-lib', {
+        name    : 'broken-lib-marketplace',
+        owner   : { name : 'Test Owner' },
+        plugins : [{ name : 'broken-plugin', source : './plugin', commands : './commands/missing.md' }],
+      })
+      await createPackageJson(tempDir, ['broken-lib'])
+
+      const logs = []
+      // eslint-disable-next-line no-console
+      const originalLog = console.log
+      // eslint-disable-next-line no-console
+      console.log = (...args) => logs.push(args.join(' '))
+
+      const config = ClaudePluginConfig.createForTest(tempDir)
+      await pluginsViewCommand({ path : tempDir, config })
+
+      // eslint-disable-next-line no-console
+      console.log = originalLog
+
+      const output = logs.join('\n')
+
+      expect(output).toContain("Errors (won't be enabled):")
+      expect(output).toContain('✗ Command path ./commands/missing.md does not exist')
+    })
+
+    it('should show AIR integrations and their synthesized marketplace', async () => {
+      await fs.cp(airFixturePath, path.join(tempDir, 'node_modules', 'test-air-package'), { recursive : true })
+      await createPackageJson(tempDir, ['test-air-package'])
+
+      const logs = []
+      jest.spyOn(console, 'log').mockImplementation((...args) => logs.push(args.join(' ')))
+
+      const config = ClaudePluginConfig.createForTest(tempDir)
+      await pluginsViewCommand({ path : tempDir, config })
+
+      jest.restoreAllMocks()
+
+      const output = logs.join('\n')
+
+      expect(output).toContain('Marketplace: test-air-package (from AIR integrations in test-air-package v1.0.0)')
+      expect(output).toContain('Plugin: skill-only')
+      expect(output).toContain('Integration: DualTypeIntegration (generic, Claude Skill)')
+      expect(output).toContain('Integration: GenericOnly (generic)')
+      expect(output).toContain('Summary: Generic instructions without Claude Skill component')
+      expect(output).toContain('Summary: 0 enabled, 0 disabled, 2 available')
+    })
   })
 
   describe('viewAllPlugins', () => {
@@ -342,21 +403,116 @@ describe('plugins view command', () => {
     })
   })
 
-  describe('error handling', () => {
-    it('should handle cache read errors gracefully', async () => {
-      const errorSpy = jest.spyOn(console, 'error').mockImplementation()
-      const exitSpy = jest.spyOn(process, 'exit').mockImplementation()
+  describe('structured output', () => {
+    let logs
 
-      // Create invalid package.json to trigger error
-      await fs.writeFile(path.join(tempDir, 'package.json'), '{invalid json}', 'utf8')
+    beforeEach(async () => {
+      await createTestPackage(tempDir, 'test-lib', {
+        name        : 'test-plugin',
+        version     : '1.0.0',
+        description : 'Test plugin',
+      })
+      await createPackageJson(tempDir, ['test-lib'])
+      logs = []
+      jest.spyOn(console, 'log').mockImplementation((...args) => logs.push(args.join(' ')))
+    })
 
+    afterEach(() => {
+      jest.restoreAllMocks()
+    })
+
+    it('should emit plugin states with provider details as JSON', async () => {
       const config = ClaudePluginConfig.createForTest(tempDir)
-      await pluginsViewCommand({ path : tempDir, config })
+      await pluginsViewCommand({ path : tempDir, format : 'json', config })
+
+      expect(logs).toHaveLength(1)
+      const report = JSON.parse(logs[0])
+      expect(report.project).toBe(tempDir)
+      expect(report.plugins).toEqual([
+        expect.objectContaining({
+          name           : 'test-plugin',
+          status         : 'not-installed',
+          marketplace    : 'test-lib-marketplace',
+          packageName    : 'test-lib',
+          packageVersion : '1.0.0',
+        }),
+      ])
+      expect(report.integrations).toEqual([])
+      expect(report.summary).toEqual({ marketplaces : 1, integrations : 0, enabled : 0, disabled : 0, available : 1 })
+    })
+
+    it('should return the report and print nothing with the JSON reporter', async () => {
+      const config = ClaudePluginConfig.createForTest(tempDir)
+      const expected = await pluginsViewCommand({ path : tempDir, format : 'json', config })
+      logs.length = 0
+
+      const report = await pluginsViewCommand({ path : tempDir, config, reporter : createReporter('json') })
+
+      expect(logs).toEqual([])
+      expect(report).toEqual(expected)
+    })
+
+    it('should include AIR integrations in the JSON report', async () => {
+      await fs.cp(airFixturePath, path.join(tempDir, 'node_modules', 'test-air-package'), { recursive : true })
+      await createPackageJson(tempDir, ['test-air-package'])
+
+      const config = ClaudePluginConfig.createForTest(tempDir)
+      await pluginsViewCommand({ path : tempDir, format : 'json', config })
+
+      const report = JSON.parse(logs[0])
+      expect(report.integrations).toContainEqual({
+        id             : 'test-air-package/GenericOnly',
+        name           : 'GenericOnly',
+        summary        : 'Generic instructions without Claude Skill component',
+        types          : ['genericIntegration'],
+        packageName    : 'test-air-package',
+        packageVersion : '1.0.0',
+      })
+      expect(report.summary.integrations).toBe(3)
+    })
+
+    it('should emit all configured plugins as YAML', async () => {
+      const config = ClaudePluginConfig.createForTest(tempDir)
+      await updateSettings(settingsPath, [
+        {
+          packageName            : 'test-lib',
+          version                : '1.0.0',
+          path                   : '/path/to/test-lib',
+          marketplaceDeclaration : {
+            name    : 'test-marketplace',
+            owner   : { name : 'Test' },
+            plugins : [{ name : 'test-plugin', source : './plugin' }],
+          },
+        },
+      ])
+
+      await pluginsViewCommand({ all : true, format : 'yaml', config })
 
-      expect(exitSpy).toHaveBeenCalledWith(1)
+      const output = logs.join('\n')
+      expect(output).toContain('key: test-plugin@test-marketplace')
+      expect(output).toContain('status: enabled')
+      expect(output).toMatch(/summary:\n {2}enabled: 1\n {2}disabled: 0/)
+    })
 
-      errorSpy.mockRestore()
-      exitSpy.mockRestore()
+    it('should emit a table', async () => {
+      const config = ClaudePluginConfig.createForTest(tempDir)
+      await pluginsViewCommand({ path : tempDir, format : 'table', config })
+
+      const [header, , row] = logs[0].split('\n')
+      expect(header.split(/\s+/)).toEqual(['PLUGIN', 'MARKETPLACE', 'STATUS', 'VERSION', 'PACKAGE'])
+      expect(row.split(/\s+/)).toEqual(['test-plugin', 'test-lib-marketplace', 'not-installed', '1.0.0', 'test-lib'])
+    })
+  })
+
+  describe('error handling', () => {
+    it('should reject when the project package.json is malformed', async () => {
+      // Create invalid package.json to trigger error
+      await fs.writeFile(path.join(tempDir, 'package.json'), '{invalid json}', 'utf8')
+
+      const config = ClaudePluginConfig.createForTest(tempDir)
+      await expect(
+        pluginsViewCommand({ path : tempDir, config, reporter : createReporter('silent') })
+      ).rejects.toThrow()
     })
   })
 })
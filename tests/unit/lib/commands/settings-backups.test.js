@@ -0,0 +1,71 @@
+import fs from 'fs/promises'
+import os from 'os'
+import path from 'path'
+
+import { settingsBackupsCommand, settingsRestoreCommand } from '_lib/commands/settings-backups'
+import { NotFoundError, UsageError } from '_lib/errors'
+import { createBackup } from '_lib/storage/backup'
+import { ClaudePluginConfig } from '_lib/storage/claude-config'
+
+describe('settings backups commands', () => {
+  let tempDir
+  let config
+  let logs
+
+  const writeSettings = async (enabled) => {
+    await createBackup(config.settingsPath)
+    await fs.writeFile(
+      config.settingsPath,
+      JSON.stringify({ plugins : { enabled, disabled : [], marketplaces : {} } }),
+      'utf8'
+    )
+  }
+
+  beforeEach(async () => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'air-settings-backups-test-'))
+    config = ClaudePluginConfig.createForTest(tempDir)
+    await fs.mkdir(path.dirname(config.settingsPath), { recursive : true })
+    await writeSettings(['a@m'])
+    await writeSettings(['a@m', 'b@m'])
+
+    logs = []
+    jest.spyOn(console, 'log').mockImplementation((...args) => logs.push(args.join(' ')))
+  })
+
+  afterEach(async () => {
+    jest.restoreAllMocks()
+    await fs.rm(tempDir, { recursive : true, force : true })
+  })
+
+  it('should list backups with plugin summaries', async () => {
+    const { backups } = await settingsBackupsCommand({ config })
+
+    expect(backups).toHaveLength(1)
+    expect(backups[0].plugins.enabled).toEqual(['a@m'])
+    const output = logs.join('\n')
+    expect(output).toMatch(/\[0\] \S+ {2}0 marketplaces, 1 enabled, 0 disabled/)
+    expect(output).not.toContain('[1]')
+  })
+
+  it('should preview and restore a backup with the yes option', async () => {
+    expect(await settingsRestoreCommand(0, { config, yes : true })).toMatchObject({ index : 0, restored : true })
+
+    const output = logs.join('\n')
+    expect(output).toContain('Enabled:\n    - b@m')
+    expect(JSON.parse(await fs.readFile(config.settingsPath, 'utf8')).plugins.enabled).toEqual(['a@m'])
+    // the replaced settings are kept as the most recent backup
+    expect(JSON.parse(await fs.readFile(`${config.settingsPath}.bak`, 'utf8')).plugins.enabled).toEqual(['a@m', 'b@m'])
+  })
+
+  it('should not restore without confirmation when not interactive', async () => {
+    await expect(settingsRestoreCommand(0, { config })).rejects.toThrow(UsageError)
+    expect(JSON.parse(await fs.readFile(config.settingsPath, 'utf8')).plugins.enabled).toEqual(['a@m', 'b@m'])
+  })
+
+  it('should report missing backups', async () => {
+    const promise = settingsRestoreCommand(3, { config, yes : true })
+
+    await expect(promise).rejects.toThrow(NotFoundError)
+    await expect(promise).rejects.toThrow('No backup 3')
+  })
+})
@@ -0,0 +1,100 @@
+import fs from 'fs/promises'
+import os from 'os'
+import path from 'path'
+
+import { validateCommand, validatePackage } from '_lib/commands/validate'
+
+describe('validate command', () => {
+  let packageDir
+
+  const writeJson = async (relativePath, data) => {
+    const filePath = path.join(packageDir, relativePath)
+    await fs.mkdir(path.dirname(filePath), { recursive : true })
+    await fs.writeFile(filePath, typeof data === 'string' ? data : JSON.stringify(data), 'utf8')
+  }
+  const marketplace = (plugins) => ({ name : 'my-marketplace', owner : { name : 'Me' }, plugins })
+
+  beforeEach(async () => {
+    packageDir = await fs.mkdtemp(path.join(os.tmpdir(), 'air-validate-test-'))
+  })
+
+  afterEach(async () => {
+    jest.restoreAllMocks()
+    await fs.rm(packageDir, { recursive : true, force : true })
+  })
+
+  describe('validatePackage', () => {
+    it('should accept a valid package', async () => {
+      await writeJson('.claude-plugin/marketplace.json', marketplace([{ name : 'helper', source : './helper' }]))
+      await writeJson('helper/.claude-plugin/plugin.json', { name : 'helper' })
+
+      const result = await validatePackage(packageDir)
+
+      expect(result.valid).toBe(true)
+      expect(result.plugins).toEqual([{ name : 'helper', checked : true, errors : [] }])
+    })
+
+    it('should report a missing or malformed marketplace.json', async () => {
+      expect((await validatePackage(packageDir)).errors).toEqual([{ field : '(root)', message : 'File not found' }])
+
+      await writeJson('.claude-plugin/marketplace.json', '{ nope')
+      expect((await validatePackage(packageDir)).errors[0].message).toMatch(/^Malformed JSON/)
+    })
+
+    it('should report marketplace schema errors by field', async () => {
+      await writeJson('.claude-plugin/marketplace.json', { name : 'Bad Name', plugins : [] })
+
+      const result = await validatePackage(packageDir)
+
+      expect(result.valid).toBe(false)
+      expect(result.errors.map(({ field }) => field)).toEqual(expect.arrayContaining(['owner', 'name']))
+    })
+
+    it('should report plugin manifest and path errors, and skip remote plugins', async () => {
+      await writeJson(
+        '.claude-plugin/marketplace.json',
+        marketplace([
+          { name : 'helper', source : './helper', commands : './commands/missing.md' },
+          { name : 'remote', source : { source : 'github', repo : 'me/remote' } },
+        ])
+      )
+
+      const result = await validatePackage(packageDir)
+
+      expect(result.valid).toBe(false)
+      expect(result.plugins[0].errors.map(({ field }) => field)).toEqual(['(root)', 'commands'])
+      expect(result.plugins[1]).toEqual({ name : 'remote', checked : false, errors : [] })
+    })
+  })
+
+  describe('validateCommand', () => {
+    let logs
+
+    beforeEach(() => {
+      logs = []
+      jest.spyOn(console, 'log').mockImplementation((...args) => logs.push(args.join(' ')))
+    })
+
+    it('should print field-level errors and return an invalid result on failure', async () => {
+      await writeJson('.claude-plugin/marketplace.json', marketplace([{ name : 'helper', source : './helper' }]))
+
+      const result = await validateCommand({ path : packageDir })
+
+      expect(result.valid).toBe(false)
+      const output = logs.join('\n')
+      expect(output).toContain('✗ Plugin helper')
+      expect(output).toMatch(/✗ \(root\): Missing \.claude-plugin[/\\]plugin\.json/)
+      expect(output).toContain('Validation failed with 1 error')
+    })
+
+    it('should return a valid result for a valid package', async () => {
+      await writeJson('.claude-plugin/marketplace.json', marketplace([{ name : 'helper', source : './helper' }]))
+      await writeJson('helper/.claude-plugin/plugin.json', { name : 'helper' })
+
+      const result = await validateCommand({ path : packageDir })
+
+      expect(result.valid).toBe(true)
+      expect(logs.join('\n')).toContain('✓ Package is valid')
+    })
+  })
+})
@@ -0,0 +1,53 @@
+import {
+  AirError,
+  LockfileMismatchError,
+  LockTimeoutError,
+  MarketplaceCollisionError,
+  NotFoundError,
+  PluginIntegrityError,
+  UsageError
+} from '_lib/errors'
+
+describe('errors', () => {
+  it('should name errors after their class and exit 1 by default', () => {
+    const error = new NotFoundError('missing')
+
+    expect(error).toBeInstanceOf(AirError)
+    expect(error).toBeInstanceOf(Error)
+    expect(error.name).toBe('NotFoundError')
+    expect(error.message).toBe('missing')
+    expect(error.exitCode).toBe(1)
+  })
+
+  it('should accept an exit code and a cause', () => {
+    const cause = new Error('EACCES')
+    const error = new AirError('failed', { exitCode : 2, cause })
+
+    expect(error.exitCode).toBe(2)
+    expect(error.cause).toBe(cause)
+  })
+
+  it('should derive the usage and lock errors from AirError', () => {
+    expect(new UsageError('bad')).toBeInstanceOf(AirError)
+    expect(new LockTimeoutError('slow').name).toBe('LockTimeoutError')
+  })
+
+  it('should carry the collisions of a MarketplaceCollisionError', () => {
+    const collisions = [{ name : 'tools', resolution : 'failed' }]
+
+    expect(new MarketplaceCollisionError('collision', collisions).collisions).toBe(collisions)
+  })
+
+  it('should carry the differences of a LockfileMismatchError', () => {
+    const error = new LockfileMismatchError('mismatch', ['tools: not in air-lock.json'])
+
+    expect(error).toBeInstanceOf(AirError)
+    expect(error.differences).toEqual(['tools: not in air-lock.json'])
+  })
+
+  it('should carry the modified plugins of a PluginIntegrityError', () => {
+    const plugins = [{ pluginKey : 'lint@tools', status : 'modified', directory : '/tools/lint' }]
+
+    expect(new PluginIntegrityError('modified', plugins).plugins).toBe(plugins)
+  })
+})
@@ -0,0 +1,70 @@
+import * as api from '_lib/index'
+
+describe('public API', () => {
+  it('should export the documented functions', () => {
+    const functions = [
+      'scanDependencies',
+      'loadProvidersWithCache',
+      'parseAirIntegrations',
+      'resolveMarketplaceCollisions',
+      'getPluginState',
+      'getPluginStates',
+      'readSettings',
+      'setPluginState',
+      'updateSettings',
+      'getLocalSettingsPath',
+      'readLocalSettings',
+      'updateLocalSettings',
+      'readKnownMarketplaces',
+      'updateKnownMarketplaces',
+      'readInstalledPlugins',
+      'updateInstalledPlugins',
+      'pruneSettings',
+      'buildLockfile',
+      'diffLockfiles',
+      'readLockfile',
+      'checkPluginIntegrity',
+      'acceptPluginIntegrity',
+      'parseMarketplaceJson',
+      'validateMarketplaceJson',
+      'validatePluginJson',
+      'getInvalidPlugins',
+      'validateProviderPlugins',
+      'validatePackage',
+      'isValidMarketplaceProvider',
+      'isValidPluginEntry',
+      'isValidPluginState',
+    ]
+
+    for (const name of functions) {
+      expect(typeof api[name]).toBe('function')
+    }
+  })
+
+  it('should export the config class and constants', () => {
+    expect(typeof api.ClaudePluginConfig.createDefault).toBe('function')
+    expect(api.CONFIG_FIELD).toBe('ai-ready')
+    expect(api.PLUGIN_STATUSES.ENABLED).toBe('enabled')
+    expect(api.INTEGRATION_TYPES.CLAUDE_SKILL).toBe('claudeSkill')
+    expect(api.COLLISION_POLICIES.FIRST).toBe('first')
+    expect(api.INTEGRITY_STATUSES.MODIFIED).toBe('modified')
+  })
+
+  it('should export the error classes', () => {
+    const errors = [
+      'LockfileMismatchError',
+      'LockTimeoutError',
+      'MarketplaceCollisionError',
+      'NotFoundError',
+      'PluginIntegrityError',
+      'UsageError',
+    ]
+    for (const name of errors) {
+      expect(new api[name]('message')).toBeInstanceOf(api.AirError)
+    }
+  })
+
+  it('should not expose the CLI commands', () => {
+    expect(Object.keys(api).filter((name) => name.endsWith('Command'))).toEqual([])
+  })
+})
@@ -0,0 +1,125 @@
+import fs from 'fs/promises'
+import os from 'os'
+import path from 'path'
+
+import { parseAirIntegrations, synthesizeMarketplace } from '_lib/parsers/air-integrations'
+
+import { createAirPackage } from '../test-lib'
+
+describe('air-integrations parser', () => {
+  let fixtureDir
+  let fixturePath
+
+  beforeAll(async () => {
+    fixtureDir = await fs.mkdtemp(path.join(os.tmpdir(), 'air-integrations-fixture-'))
+    fixturePath = await createAirPackage(fixtureDir)
+  })
+
+  afterAll(async () => {
+    await fs.rm(fixtureDir, { recursive : true, force : true })
+  })
+
+  let tempDir
+
+  beforeEach(async () => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'air-test-'))
+  })
+
+  afterEach(async () => {
+    await fs.rm(tempDir, { recursive : true, force : true })
+  })
+
+  describe('parseAirIntegrations', () => {
+    it('should classify generic, Claude Skill and dual-type integrations', async () => {
+      const integrations = await parseAirIntegrations(fixturePath, 'test-air-package')
+
+      expect(integrations).toEqual([
+        {
+          id      : 'test-air-package/DualTypeIntegration',
+          dirName : 'DualTypeIntegration',
+          name    : 'DualTypeIntegration',
+          summary : 'Generic integration component of dual-type test integration',
+          path    : path.join(fixturePath, 'ai-ready', 'integrations', 'DualTypeIntegration'),
+          types   : ['genericIntegration', 'claudeSkill'],
+        },
+        {
+          id      : 'test-air-package/GenericOnly',
+          dirName : 'GenericOnly',
+          name    : 'GenericOnly',
+          summary : 'Generic instructions without Claude Skill component',
+          path    : path.join(fixturePath, 'ai-ready', 'integrations', 'GenericOnly'),
+          types   : ['genericIntegration'],
+        },
+        {
+          id      : 'test-air-package/SkillOnly',
+          dirName : 'SkillOnly',
+          name    : 'SkillOnly',
+          summary : 'A Claude Skill without generic component',
+          path    : path.join(fixturePath, 'ai-ready', 'integrations', 'SkillOnly'),
+          types   : ['claudeSkill'],
+        },
+      ])
+    })
+
+    it('should return an empty list for packages without AIR integrations', async () => {
+      expect(await parseAirIntegrations(tempDir, 'plain')).toEqual([])
+    })
+
+    it('should ignore directories without integration files', async () => {
+      await fs.mkdir(path.join(tempDir, 'ai-ready', 'integrations', 'Empty'), { recursive : true })
+
+      expect(await parseAirIntegrations(tempDir, 'pkg')).toEqual([])
+    })
+
+    it('should fall back to the directory name when frontmatter is missing', async () => {
+      const integrationPath = path.join(tempDir, 'ai-ready', 'integrations', 'NoFrontmatter')
+      await fs.mkdir(integrationPath, { recursive : true })
+      await fs.writeFile(path.join(integrationPath, 'AI_INTEGRATION.md'), '# Just instructions\n', 'utf8')
+
+      const [integration] = await parseAirIntegrations(tempDir, 'pkg')
+
+      expect(integration).toMatchObject({ name : 'NoFrontmatter', summary : '', types : ['genericIntegration'] })
+    })
+  })
+
+  describe('synthesizeMarketplace', () => {
+    it('should turn Claude Skill integrations into non-strict plugins', async () => {
+      const integrations = await parseAirIntegrations(fixturePath, '@org/air-lib')
+
+      const declaration = synthesizeMarketplace(
+        { packageName : '@org/air-lib', version : '1.2.0', author : 'Jane Doe <jane@example.com>' },
+        integrations
+      )
+
+      expect(declaration).toEqual({
+        name     : 'org-air-lib',
+        owner    : { name : 'Jane Doe' },
+        metadata : { description : 'AIR integrations from @org/air-lib', version : '1.2.0' },
+        plugins  : [
+          {
+            name        : 'dual-type-integration',
+            source      : './ai-ready/integrations/DualTypeIntegration',
+            description : 'Generic integration component of dual-type test integration',
+            version     : '1.2.0',
+            strict      : false,
+            skills      : ['./claude-skill'],
+          },
+          {
+            name        : 'skill-only',
+            source      : './ai-ready/integrations/SkillOnly',
+            description : 'A Claude Skill without generic component',
+            version     : '1.2.0',
+            strict      : false,
+            skills      : ['./claude-skill'],
+          },
+        ],
+      })
+    })
+
+    it('should use the author object name or fall back to the package name', () => {
+      expect(synthesizeMarketplace({ packageName : 'lib', version : '1.0.0', author : { name : 'Org' } }, []).owner)
+        .toEqual({ name : 'Org' })
+      expect(synthesizeMarketplace({ packageName : 'lib', version : '1.0.0' }, []).owner).toEqual({ name : 'lib' })
+    })
+  })
+})
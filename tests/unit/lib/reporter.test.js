@@ -0,0 +1,50 @@
+import { createReporter } from '_lib/reporter'
+
+describe('reporter', () => {
+  let stdout
+  let stderr
+
+  beforeEach(() => {
+    stdout = []
+    stderr = []
+    jest.spyOn(console, 'log').mockImplementation((...args) => stdout.push(args.join(' ')))
+    jest.spyOn(console, 'warn').mockImplementation((...args) => stderr.push(args.join(' ')))
+    jest.spyOn(console, 'error').mockImplementation((...args) => stderr.push(args.join(' ')))
+  })
+
+  afterEach(() => {
+    jest.restoreAllMocks()
+  })
+
+  const report = (reporter) => {
+    reporter.log('progress')
+    reporter.warn('careful')
+    reporter.error('failed')
+    reporter.result({ ok : true })
+  }
+
+  it('should print messages but not results with the text reporter', () => {
+    report(createReporter())
+
+    expect(stdout).toEqual(['progress'])
+    expect(stderr).toEqual(['careful', 'failed'])
+  })
+
+  it('should print only the result on stdout with the JSON reporter', () => {
+    report(createReporter('json'))
+
+    expect(JSON.parse(stdout.join('\n'))).toEqual({ ok : true })
+    expect(stderr).toEqual(['careful', 'failed'])
+  })
+
+  it('should print nothing with the silent reporter', () => {
+    report(createReporter('silent'))
+
+    expect(stdout).toEqual([])
+    expect(stderr).toEqual([])
+  })
+
+  it('should reject unknown reporters', () => {
+    expect(() => createReporter('xml')).toThrow("Unknown reporter 'xml'")
+  })
+})
@@ -4,7 +4,7 @@ import path from 'path'
 
 import { scanDependencies } from '_lib/scanner'
 
-import { createPackageJson, createTestPackage } from './test-lib'
+import { createAirPackage, createPackageJson, createTestPackage } from './test-lib'
 
 describe('scanner', () => {
   let tempDir
@@ -158,17 +158,10 @@ describe('scanner', () => {
       )
       await createPackageJson(tempDir, ['no-package-json'])
 
-      // Suppress console.warn for this test
-      // eslint-disable-next-line no-console
-      const originalWarn = console.warn
-      // eslint-disable-next-line no-console
-      console.warn = () => {}
-
-      const providers = await scanDependencies(tempDir)
-
-      // eslint-disable-next-line no-console
-      console.warn = originalWarn
+      const warnings = []
+      const providers = await scanDependencies(tempDir, { onWarning : (message) => warnings.push(message) })
 
+      expect(warnings).toEqual([`Could not read package.json for ${packagePath}`])
       expect(providers).toHaveLength(1)
       expect(providers[0].version).toBe('unknown')
       expect(providers[0].packageName).toBe('no-package-json')
@@ -287,4 +280,321 @@ describe('scanner', () => {
       expect(providers[0].marketplaceDeclaration.plugins[2].name).toBe('plugin-c')
     })
   })
+
+  describe('scanDependencies plugin manifest validation', () => {
+    const writeMarketplace = async (plugins, metadata) => {
+      const packagePath = path.join(tempDir, 'node_modules', 'manifest-lib')
+      await fs.mkdir(path.join(packagePath, '.claude-plugin'), { recursive : true })
+      await fs.writeFile(path.join(packagePath, 'package.json'), JSON.stringify({ name : 'manifest-lib' }), 'utf8')
+      await fs.writeFile(
+        path.join(packagePath, '.claude-plugin', 'marketplace.json'),
+        JSON.stringify({ name : 'manifest-marketplace', owner : { name : 'Test' }, plugins, metadata }),
+        'utf8'
+      )
+      await createPackageJson(tempDir, ['manifest-lib'])
+
+      return packagePath
+    }
+    const writeManifest = async (pluginPath, content) => {
+      await fs.mkdir(path.join(pluginPath, '.claude-plugin'), { recursive : true })
+      await fs.writeFile(path.join(pluginPath, '.claude-plugin', 'plugin.json'), content, 'utf8')
+    }
+
+    it('should record valid, missing and invalid manifests of strict plugins', async () => {
+      const packagePath = await writeMarketplace([
+        { name : 'good', source : './good' },
+        { name : 'missing', source : './missing' },
+        { name : 'bad', source : './bad' },
+        { name : 'broken', source : './broken' },
+      ])
+      await writeManifest(path.join(packagePath, 'good'), JSON.stringify({ name : 'good' }))
+      await writeManifest(path.join(packagePath, 'bad'), JSON.stringify({ name : 'Not Kebab' }))
+      await writeManifest(path.join(packagePath, 'broken'), '{ nope')
+
+      const [provider] = await scanDependencies(tempDir)
+
+      expect(provider.pluginValidation.good).toEqual({ valid : true, errors : [] })
+      expect(provider.pluginValidation.missing.errors[0].message).toMatch(/Missing \.claude-plugin[/\\]plugin\.json/)
+      expect(provider.pluginValidation.bad.valid).toBe(false)
+      expect(provider.pluginValidation.bad.errors[0].field).toBe('name')
+      expect(provider.pluginValidation.broken.errors[0].message).toMatch(/Malformed JSON/)
+    })
+
+    it('should resolve plugin sources against metadata.pluginRoot', async () => {
+      const packagePath = await writeMarketplace([{ name : 'rooted', source : './rooted' }], { pluginRoot : './plugins' })
+      await writeManifest(path.join(packagePath, 'plugins', 'rooted'), JSON.stringify({ name : 'rooted' }))
+
+      const [provider] = await scanDependencies(tempDir)
+
+      expect(provider.pluginValidation.rooted.valid).toBe(true)
+    })
+
+    it('should not validate non-strict or remote plugins', async () => {
+      await writeMarketplace([
+        { name : 'loose', source : './loose', strict : false },
+        { name : 'remote', source : { source : 'github', repo : 'owner/repo' } },
+      ])
+
+      const [provider] = await scanDependencies(tempDir)
+
+      expect(provider.pluginValidation).toBeUndefined()
+    })
+
+    it('should record broken command, agent, hook and MCP server references', async () => {
+      const packagePath = await writeMarketplace([
+        { name : 'loose', source : './loose', strict : false, agents : './agents/missing.md' },
+        { name : 'strict', source : './strict' },
+      ])
+      await writeManifest(path.join(packagePath, 'strict'), JSON.stringify({ name : 'strict', hooks : './hooks.json' }))
+
+      const [provider] = await scanDependencies(tempDir)
+
+      expect(provider.pluginValidation.loose).toEqual({
+        valid  : false,
+        errors : [{ field : 'agents', message : 'Agent path ./agents/missing.md does not exist' }],
+      })
+      expect(provider.pluginValidation.strict.errors).toEqual([
+        { field : 'hooks', message : 'Hooks path ./hooks.json does not exist' },
+      ])
+    })
+  })
+
+  describe('scanDependencies with AIR integrations', () => {
+    let fixtureDir
+    let airFixturePath
+
+    beforeAll(async () => {
+      fixtureDir = await fs.mkdtemp(path.join(os.tmpdir(), 'air-scanner-fixture-'))
+      airFixturePath = await createAirPackage(fixtureDir)
+    })
+
+    afterAll(async () => {
+      await fs.rm(fixtureDir, { recursive : true, force : true })
+    })
+
+    it('should synthesize a marketplace for packages that only ship AIR integrations', async () => {
+      await fs.cp(airFixturePath, path.join(tempDir, 'node_modules', 'test-air-package'), { recursive : true })
+      await createPackageJson(tempDir, ['test-air-package'])
+
+      const [provider] = await scanDependencies(tempDir)
+
+      expect(provider.synthesizedMarketplace).toBe(true)
+      expect(provider.marketplaceDeclaration.name).toBe('test-air-package')
+      expect(provider.marketplaceDeclaration.owner).toEqual({ name : 'ai-ready team' })
+      expect(provider.marketplaceDeclaration.plugins.map((plugin) => plugin.name)).toEqual([
+        'dual-type-integration',
+        'skill-only',
+      ])
+      expect(provider.integrations.map(({ id, types }) => ({ id, types }))).toEqual([
+        { id : 'test-air-package/DualTypeIntegration', types : ['genericIntegration', 'claudeSkill'] },
+        { id : 'test-air-package/GenericOnly', types : ['genericIntegration'] },
+        { id : 'test-air-package/SkillOnly', types : ['claudeSkill'] },
+      ])
+      expect(provider.pluginValidation).toBeUndefined()
+    })
+
+    it('should keep the declared marketplace of packages that also ship AIR integrations', async () => {
+      const packagePath = await createTestPackage(tempDir, 'dual-lib', { name : 'declared-plugin', version : '1.0.0' })
+      await fs.cp(
+        path.join(airFixturePath, 'ai-ready'),
+        path.join(packagePath, 'ai-ready'),
+        { recursive : true }
+      )
+      await createPackageJson(tempDir, ['dual-lib'])
+
+      const [provider] = await scanDependencies(tempDir)
+
+      expect(provider.synthesizedMarketplace).toBeUndefined()
+      expect(provider.marketplaceDeclaration.plugins.map((plugin) => plugin.name)).toEqual(['declared-plugin'])
+      expect(provider.integrations).toHaveLength(3)
+    })
+
+    it('should not record integrations for packages without them', async () => {
+      await createTestPackage(tempDir, 'test-lib', { name : 'test-plugin', version : '1.0.0' })
+      await createPackageJson(tempDir, ['test-lib'])
+
+      const [provider] = await scanDependencies(tempDir)
+
+      expect(provider.integrations).toBeUndefined()
+      expect(provider.synthesizedMarketplace).toBeUndefined()
+    })
+  })
+
+  describe('scanDependencies with non-flat layouts', () => {
+    it("should discover packages in pnpm's isolated node_modules layout", async () => {
+      const storeDir = path.join(tempDir, 'node_modules', '.pnpm', 'pnpm-lib@1.0.0')
+      const packagePath = await createTestPackage(storeDir, 'pnpm-lib', { name : 'pnpm-plugin', version : '1.0.0' })
+      await fs.symlink(packagePath, path.join(tempDir, 'node_modules', 'pnpm-lib'), 'dir')
+      await createPackageJson(tempDir, ['pnpm-lib'])
+
+      const providers = await scanDependencies(tempDir)
+
+      expect(providers).toHaveLength(1)
+      expect(providers[0].path).toBe(packagePath)
+      expect(providers[0].marketplaceDeclaration.plugins[0].name).toBe('pnpm-plugin')
+    })
+  })
+
+  describe('scanDependencies with workspaces', () => {
+    const writeJson = async (filePath, data) => {
+      await fs.mkdir(path.dirname(filePath), { recursive : true })
+      await fs.writeFile(filePath, JSON.stringify(data, null, 2), 'utf8')
+    }
+
+    const createWorkspace = async (relativeDir, name, dependencies) => {
+      const dir = path.join(tempDir, relativeDir)
+      await writeJson(path.join(dir, 'package.json'), { name, version : '1.0.0' })
+      await createPackageJson(dir, dependencies)
+
+      return dir
+    }
+
+    it.each([
+      ['an npm/yarn workspaces array', { workspaces : ['packages/*'] }],
+      ['a yarn workspaces object', { workspaces : { packages : ['packages/*'] } }],
+    ])('should scan dependencies of workspace packages declared with %s', async (description, workspaceFields) => {
+      await writeJson(path.join(tempDir, 'package.json'), { name : 'monorepo', private : true, ...workspaceFields })
+      await createWorkspace('packages/app', 'app', ['plugin-lib'])
+      await createTestPackage(tempDir, 'plugin-lib', { name : 'hoisted-plugin', version : '1.0.0' })
+
+      const providers = await scanDependencies(tempDir)
+
+      expect(providers).toHaveLength(1)
+      expect(providers[0].path).toBe(path.join(tempDir, 'node_modules', 'plugin-lib'))
+      expect(providers[0].workspaces).toEqual(['app'])
+    })
+
+    it('should read workspaces from pnpm-workspace.yaml', async () => {
+      await writeJson(path.join(tempDir, 'package.json'), { name : 'monorepo', private : true })
+      await fs.writeFile(path.join(tempDir, 'pnpm-workspace.yaml'), "packages:\n  - 'apps/**'\n", 'utf8')
+      const appDir = await createWorkspace('apps/web/client', 'client', ['plugin-lib'])
+      await createTestPackage(appDir, 'plugin-lib', { name : 'nested-plugin', version : '1.0.0' })
+
+      const providers = await scanDependencies(tempDir)
+
+      expect(providers).toHaveLength(1)
+      expect(providers[0].marketplaceDeclaration.plugins[0].name).toBe('nested-plugin')
+      expect(providers[0].workspaces).toEqual(['client'])
+    })
+
+    it('should prefer a workspace-local install over the hoisted one', async () => {
+      await writeJson(path.join(tempDir, 'package.json'), { name : 'monorepo', workspaces : ['packages/*'] })
+      await createPackageJson(tempDir, ['plugin-lib'])
+      await createTestPackage(tempDir, 'plugin-lib', { name : 'plugin-v1', version : '1.0.0' })
+      const appDir = await createWorkspace('packages/app', 'app', ['plugin-lib'])
+      await createTestPackage(appDir, 'plugin-lib', { name : 'plugin-v2', version : '2.0.0' })
+
+      const providers = await scanDependencies(tempDir)
+
+      expect(providers).toHaveLength(2)
+      const hoisted = providers.find((p) => p.version === '1.0.0')
+      const nested = providers.find((p) => p.version === '2.0.0')
+      expect(hoisted.workspaces).toEqual(['monorepo'])
+      expect(nested.path).toBe(path.join(appDir, 'node_modules', 'plugin-lib'))
+      expect(nested.workspaces).toEqual(['app'])
+    })
+
+    it('should report every workspace that pulls in a shared dependency once', async () => {
+      await writeJson(path.join(tempDir, 'package.json'), { name : 'monorepo', workspaces : ['packages/*'] })
+      await createWorkspace('packages/app-a', 'app-a', ['plugin-lib'])
+      await createWorkspace('packages/app-b', 'app-b', ['plugin-lib'])
+      await createTestPackage(tempDir, 'plugin-lib', { name : 'shared-plugin', version : '1.0.0' })
+
+      const providers = await scanDependencies(tempDir)
+
+      expect(providers).toHaveLength(1)
+      expect(providers[0].workspaces).toEqual(['app-a', 'app-b'])
+    })
+
+    it('should honor negated workspace patterns', async () => {
+      await writeJson(path.join(tempDir, 'package.json'), {
+        name       : 'monorepo',
+        workspaces : ['packages/*', '!packages/ignored'],
+      })
+      await createWorkspace('packages/ignored', 'ignored', ['plugin-lib'])
+      await createTestPackage(tempDir, 'plugin-lib', { name : 'shared-plugin', version : '1.0.0' })
+
+      const providers = await scanDependencies(tempDir)
+
+      expect(providers).toEqual([])
+    })
+
+    it('should not report workspaces for single-package projects', async () => {
+      await createTestPackage(tempDir, 'test-lib', { name : 'test-plugin', version : '1.0.0' })
+      await createPackageJson(tempDir, ['test-lib'])
+
+      const providers = await scanDependencies(tempDir)
+
+      expect(providers[0].workspaces).toBeUndefined()
+    })
+  })
+
+  describe('scanDependencies with transitive discovery', () => {
+    // Creates a plain (non-plugin) package under node_modules
+    const createDependency = async (name, dependencies = []) => {
+      const dir = path.join(tempDir, 'node_modules', name)
+      await fs.mkdir(dir, { recursive : true })
+      await fs.writeFile(path.join(dir, 'package.json'), JSON.stringify({ name, version : '1.0.0' }), 'utf8')
+      await createPackageJson(dir, dependencies)
+
+      return dir
+    }
+
+    beforeEach(async () => {
+      // test-project -> framework -> @org/plugin-lib -> @org/deep-lib
+      //                          \-> other-lib
+      await createPackageJson(tempDir, ['framework'])
+      await createDependency('framework', ['@org/plugin-lib', 'other-lib'])
+      const pluginLibPath = await createTestPackage(tempDir, '@org/plugin-lib', { name : 'org-plugin', version : '1.0.0' })
+      await createPackageJson(pluginLibPath, ['@org/deep-lib'])
+      await createTestPackage(tempDir, '@org/deep-lib', { name : 'deep-plugin', version : '1.0.0' })
+      await createTestPackage(tempDir, 'other-lib', { name : 'other-plugin', version : '1.0.0' })
+    })
+
+    const names = (providers) => providers.map((provider) => provider.packageName).sort()
+
+    it('should only scan direct dependencies by default', async () => {
+      expect(await scanDependencies(tempDir)).toEqual([])
+    })
+
+    it('should scan dependencies up to the requested depth', async () => {
+      const providers = await scanDependencies(tempDir, { transitive : { depth : 2 } })
+
+      expect(names(providers)).toEqual(['@org/plugin-lib', 'other-lib'])
+      expect(providers.find((p) => p.packageName === '@org/plugin-lib').requiredBy).toEqual(['framework'])
+    })
+
+    it('should follow only allowed packages, to any depth, when no depth is given', async () => {
+      const providers = await scanDependencies(tempDir, { transitive : { allow : ['@org/*'] } })
+
+      expect(names(providers)).toEqual(['@org/deep-lib', '@org/plugin-lib'])
+      expect(providers.find((p) => p.packageName === '@org/deep-lib').requiredBy).toEqual(['@org/plugin-lib'])
+    })
+
+    it('should match allow patterns literally apart from the * wildcard', async () => {
+      expect(await scanDependencies(tempDir, { transitive : { allow : ['other-libb?', 'other-lib+'] } })).toEqual([])
+      expect(names(await scanDependencies(tempDir, { transitive : { allow : ['other-*'] } }))).toEqual(['other-lib'])
+    })
+
+    it('should read transitive settings from the package.json "ai-ready" field', async () => {
+      const packageJsonPath = path.join(tempDir, 'package.json')
+      const packageJson = JSON.parse(await fs.readFile(packageJsonPath, 'utf8'))
+      packageJson['ai-ready'] = { transitive : { depth : 3, allow : ['@org/*'] } }
+      await fs.writeFile(packageJsonPath, JSON.stringify(packageJson), 'utf8')
+
+      expect(names(await scanDependencies(tempDir))).toEqual(['@org/deep-lib', '@org/plugin-lib'])
+      // Explicit options take precedence
+      expect(names(await scanDependencies(tempDir, { transitive : { depth : 2 } }))).toEqual(['@org/plugin-lib'])
+    })
+
+    it('should not report direct dependencies as transitive, and should survive cycles', async () => {
+      await createPackageJson(tempDir, ['other-lib'])
+      await createPackageJson(path.join(tempDir, 'node_modules', 'other-lib'), ['framework'])
+
+      const providers = await scanDependencies(tempDir, { transitive : { depth : 10 } })
+
+      expect(names(providers)).toEqual(['@org/deep-lib', '@org/plugin-lib', 'other-lib'])
+      expect(providers.find((p) => p.packageName === 'other-lib').requiredBy).toBeUndefined()
+    })
+  })
 })
@@ -0,0 +1,54 @@
+import fs from 'fs/promises'
+import os from 'os'
+import path from 'path'
+
+import { MAX_BACKUPS, createBackup, getBackupPath, listBackups, restoreBackup } from '_lib/storage/backup'
+
+describe('backup', () => {
+  let tempDir
+  let filePath
+
+  beforeEach(async () => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'air-backup-test-'))
+    filePath = path.join(tempDir, 'settings.json')
+  })
+
+  afterEach(async () => {
+    await fs.rm(tempDir, { recursive : true, force : true })
+  })
+
+  // Writes each version in turn, backing up the previous one, like repeated settings writes
+  const writeVersions = async (count) => {
+    for (let version = 1; version <= count; version++) {
+      // eslint-disable-next-line no-await-in-loop
+      await createBackup(filePath)
+      // eslint-disable-next-line no-await-in-loop
+      await fs.writeFile(filePath, `{"version":${version}}`, 'utf8')
+    }
+  }
+
+  it.each([
+    [0, '.bak'],
+    [3, '.bak.3'],
+  ])('should name backup %i with %s', (index, suffix) => {
+    expect(getBackupPath(filePath, index)).toBe(`${filePath}${suffix}`)
+  })
+
+  it('should keep at most MAX_BACKUPS backups, most recent first', async () => {
+    await writeVersions(MAX_BACKUPS + 3)
+
+    const backups = await listBackups(filePath)
+
+    expect(backups.map((backup) => backup.index)).toEqual(Array.from({ length : MAX_BACKUPS }, (_, i) => i))
+    expect(await fs.readFile(backups[0].path, 'utf8')).toBe(`{"version":${MAX_BACKUPS + 2}}`)
+  })
+
+  it('should restore a backup after backing up the current file', async () => {
+    await writeVersions(3)
+
+    await restoreBackup(filePath, 1) // version 1
+
+    expect(await fs.readFile(filePath, 'utf8')).toBe('{"version":1}')
+    expect(await fs.readFile(getBackupPath(filePath, 0), 'utf8')).toBe('{"version":3}')
+  })
+})
@@ -0,0 +1,136 @@
+import fs from 'fs/promises'
+import os from 'os'
+import path from 'path'
+
+import { scanDependencies } from '_lib/scanner'
+import { getCachePath, invalidateCache, loadProvidersWithCache, readCache } from '_lib/storage/cache'
+
+import { createPackageJson, createTestPackage } from '../test-lib'
+
+// Pushes a file's mtime into the future so mtime comparisons see a change regardless of timestamp resolution
+const touch = async (filePath) => {
+  const future = new Date(Date.now() + 60000)
+  await fs.utimes(filePath, future, future)
+}
+
+describe('cache', () => {
+  let tempDir
+  let scanFn
+
+  beforeEach(async () => {
+    tempDir = await fs.realpath(await fs.mkdtemp(path.join(os.tmpdir(), 'air-cache-test-')))
+    scanFn = jest.fn(scanDependencies)
+
+    await createTestPackage(tempDir, 'test-lib', {
+      name        : 'test-plugin',
+      version     : '1.0.0',
+      description : 'Test plugin',
+    })
+    await createPackageJson(tempDir, ['test-lib'])
+  })
+
+  afterEach(async () => {
+    await fs.rm(tempDir, { recursive : true, force : true })
+  })
+
+  describe('loadProvidersWithCache', () => {
+    it('should scan and write the cache on first load', async () => {
+      const providers = await loadProvidersWithCache(scanFn, tempDir)
+
+      expect(scanFn).toHaveBeenCalledTimes(1)
+      expect(providers).toHaveLength(1)
+
+      const cache = await readCache(tempDir)
+      expect(cache.providers).toEqual(providers)
+      expect(cache.packageVersions[providers[0].path]).toBe('1.0.0')
+    })
+
+    it('should not write the cache on a dry run', async () => {
+      const providers = await loadProvidersWithCache(scanFn, tempDir, { dryRun : true })
+
+      expect(providers).toHaveLength(1)
+      expect(await readCache(tempDir)).toBeNull()
+    })
+
+    it('should use the cache when nothing changed', async () => {
+      const first = await loadProvidersWithCache(scanFn, tempDir)
+      const second = await loadProvidersWithCache(scanFn, tempDir)
+
+      expect(scanFn).toHaveBeenCalledTimes(1)
+      expect(second).toEqual(first)
+    })
+
+    it('should rescan when noCache is set', async () => {
+      await loadProvidersWithCache(scanFn, tempDir)
+      await loadProvidersWithCache(scanFn, tempDir, { noCache : true })
+
+      expect(scanFn).toHaveBeenCalledTimes(2)
+    })
+
+    it.each(['package.json', 'package-lock.json'])('should rescan when %s changes', async (fileName) => {
+      const filePath = path.join(tempDir, fileName)
+      await fs.writeFile(filePath, await fs.readFile(path.join(tempDir, 'package.json'), 'utf8'), 'utf8')
+
+      await loadProvidersWithCache(scanFn, tempDir)
+      await touch(filePath)
+      await loadProvidersWithCache(scanFn, tempDir)
+
+      expect(scanFn).toHaveBeenCalledTimes(2)
+    })
+
+    it('should rescan when a provider package version changes', async () => {
+      await loadProvidersWithCache(scanFn, tempDir)
+
+      const packageJsonPath = path.join(tempDir, 'node_modules', 'test-lib', 'package.json')
+      const packageJson = JSON.parse(await fs.readFile(packageJsonPath, 'utf8'))
+      await fs.writeFile(packageJsonPath, JSON.stringify({ ...packageJson, version : '2.0.0' }), 'utf8')
+
+      const providers = await loadProvidersWithCache(scanFn, tempDir)
+
+      expect(scanFn).toHaveBeenCalledTimes(2)
+      expect(providers[0].version).toBe('2.0.0')
+    })
+
+    it('should rescan when the scan options change', async () => {
+      await loadProvidersWithCache(scanFn, tempDir)
+      await loadProvidersWithCache(scanFn, tempDir, { scanOptions : { transitive : { depth : 2 } } })
+      await loadProvidersWithCache(scanFn, tempDir, { scanOptions : { transitive : { depth : 2 } } })
+
+      expect(scanFn).toHaveBeenCalledTimes(2)
+      expect(scanFn).toHaveBeenLastCalledWith(tempDir, { transitive : { depth : 2 } })
+    })
+
+    it('should rescan when the cache is malformed', async () => {
+      await fs.writeFile(getCachePath(tempDir), '{invalid json}', 'utf8')
+
+      const providers = await loadProvidersWithCache(scanFn, tempDir)
+
+      expect(scanFn).toHaveBeenCalledTimes(1)
+      expect(providers).toHaveLength(1)
+    })
+
+    it('should not write a cache outside of a package directory', async () => {
+      const emptyDir = path.join(tempDir, 'not-a-package')
+      await fs.mkdir(emptyDir)
+
+      const providers = await loadProvidersWithCache(scanFn, emptyDir)
+
+      expect(providers).toEqual([])
+      expect(await readCache(emptyDir)).toBeNull()
+    })
+  })
+
+  describe('invalidateCache', () => {
+    it('should force the next load to rescan', async () => {
+      await loadProvidersWithCache(scanFn, tempDir)
+      await invalidateCache(tempDir)
+      await loadProvidersWithCache(scanFn, tempDir)
+
+      expect(scanFn).toHaveBeenCalledTimes(2)
+    })
+
+    it('should not fail when there is no cache', async () => {
+      await expect(invalidateCache(tempDir)).resolves.toBeUndefined()
+    })
+  })
+})
@@ -2,7 +2,19 @@ import fs from 'fs/promises'
 import os from 'os'
 import path from 'path'
 
-import { getPluginState, getPluginStates, readSettings, updateSettings } from '_lib/storage/claude-settings'
+import { NotFoundError } from '_lib/errors'
+import {
+  getKnownPluginKeys,
+  getPluginState,
+  getPluginStates,
+  hasSettingsChanges,
+  readSettings,
+  removeMarketplaceReferences,
+  removeMarketplaces,
+  resolvePluginKey,
+  setPluginState,
+  updateSettings
+} from '_lib/storage/claude-settings'
 import { PLUGIN_STATUSES } from '_lib/types'
 
 // Helper to create a provider object with sensible defaults
@@ -125,9 +137,30 @@ describe('claude-settings', () => {
       expect(settings.plugins.disabled).toEqual([])
       expect(settings.plugins.marketplaces).toEqual({})
     })
+
+    it('should accept comments and trailing commas', async () => {
+      await fs.writeFile(settingsPath, '{\n  // model choice\n  "model": "opus",\n  "plugins": { "enabled": ["a@m",], },\n}\n')
+
+      const settings = await readSettings(settingsPath)
+
+      expect(settings.model).toBe('opus')
+      expect(settings.plugins.enabled).toEqual(['a@m'])
+    })
   })
 
   describe('updateSettings', () => {
+    it('should only rewrite the plugins section of an existing file', async () => {
+      const before = '{\n    // keep me\n    "model":   "opus",\n    "plugins": {}\n}\n'
+      await fs.writeFile(settingsPath, before, 'utf8')
+
+      await updateSettings(settingsPath, [createProvider('test', { marketplaceName : 'test-marketplace' })])
+
+      const after = await fs.readFile(settingsPath, 'utf8')
+      expect(after.startsWith('{\n    // keep me\n    "model":   "opus",\n    "plugins": {\n        "enabled": [')).toBe(true)
+      expect(after.endsWith('\n    }\n}\n')).toBe(true)
+      expect((await readSettings(settingsPath)).plugins.enabled).toEqual(['test@test-marketplace'])
+    })
+
     it('should add new plugin to enabled list', async () => {
       const providers = [
         createProvider('test', {
@@ -146,6 +179,18 @@ describe('claude-settings', () => {
       expect(settings.plugins.marketplaces['test-marketplace']).toBeDefined()
     })
 
+    it('should register but not enable plugins whose manifest failed validation', async () => {
+      const provider = createProvider('test', { marketplaceName : 'test-marketplace' })
+      provider.pluginValidation = { test : { valid : false, errors : [{ field : '(root)', message : 'Missing' }] } }
+
+      const changes = await updateSettings(settingsPath, [provider])
+
+      expect(changes.added).toEqual([])
+      const settings = await readSettings(settingsPath)
+      expect(settings.plugins.enabled).toEqual([])
+      expect(settings.plugins.marketplaces['test-marketplace'].plugins.test).toBeDefined()
+    })
+
     it('should not add disabled plugin to enabled list', async () => {
       const existingSettings = {
         plugins : { enabled : [], disabled : ['test-plugin@test-marketplace'], marketplaces : {} },
@@ -325,6 +370,119 @@ describe('claude-settings', () => {
     })
   })
 
+  describe('updateSettings shared marketplaces', () => {
+    /**
+     * Create a provider for 'shared-package' installed into a project
+     * @param {string} project - Project directory name
+     * @param {string} version - Package version
+     * @returns {Promise<object>} Provider
+     */
+    const installShared = async (project, version) => {
+      const packagePath = path.join(tempDir, project, 'node_modules', 'shared-package')
+      await fs.mkdir(packagePath, { recursive : true })
+
+      return createProvider('shared', { path : packagePath, version, pluginVersion : version })
+    }
+
+    it('should record each project and keep the install of the first at the same version', async () => {
+      const first = await installShared('app-a', '1.0.0')
+      const second = await installShared('app-b', '1.0.0')
+      await updateSettings(settingsPath, [first], { projectDir : path.join(tempDir, 'app-a') })
+
+      const changes = await updateSettings(settingsPath, [second], { projectDir : path.join(tempDir, 'app-b') })
+
+      expect(changes.shared).toEqual(['shared-marketplace'])
+      expect(changes.diff.marketplaces.moved).toEqual([])
+      const entry = (await readSettings(settingsPath)).plugins.marketplaces['shared-marketplace']
+      expect(entry.source.path).toBe(first.path)
+      expect(entry.projects).toEqual({
+        [path.join(tempDir, 'app-a')] : { path : first.path, version : '1.0.0' },
+        [path.join(tempDir, 'app-b')] : { path : second.path, version : '1.0.0' },
+      })
+    })
+
+    it('should move to a newer install or when the current one is gone', async () => {
+      const first = await installShared('app-a', '1.0.0')
+      const second = await installShared('app-b', '2.0.0')
+      await updateSettings(settingsPath, [first])
+
+      const changes = await updateSettings(settingsPath, [second])
+
+      expect(changes.shared).toEqual([])
+      expect(changes.diff.marketplaces.moved).toEqual([{ name : 'shared-marketplace', from : first.path, to : second.path }])
+
+      await fs.rm(second.path, { recursive : true })
+      await updateSettings(settingsPath, [first])
+      expect((await readSettings(settingsPath)).plugins.marketplaces['shared-marketplace'].source.path).toBe(first.path)
+    })
+  })
+
+  describe('updateSettings dry run', () => {
+    it('should report the diff without writing settings', async () => {
+      const providers = [createProvider('fresh'), createProvider('moved', { path : '/new/path' })]
+      await fs.writeFile(
+        settingsPath,
+        JSON.stringify({
+          plugins : {
+            enabled      : ['moved@moved-marketplace'],
+            disabled     : [],
+            marketplaces : {
+              'moved-marketplace' : {
+                source  : { type : 'directory', path : '/old/path' },
+                plugins : { moved : { version : '1.0.0', source : './plugin' } },
+              },
+            },
+          },
+        }),
+        'utf8'
+      )
+      const before = await fs.readFile(settingsPath, 'utf8')
+
+      const changes = await updateSettings(settingsPath, providers, { dryRun : true })
+
+      expect(changes.diff).toEqual({
+        marketplaces : {
+          added   : [{ name : 'fresh-marketplace', path : '/path/to/fresh' }],
+          changed : [],
+          moved             : [{ name : 'moved-marketplace', from : '/old/path', to : '/new/path' }],
+          referencesUpdated : [],
+        },
+        enabled : ['fresh@fresh-marketplace'],
+      })
+      expect(await fs.readFile(settingsPath, 'utf8')).toBe(before)
+    })
+
+    it('should report a project added to a marketplace another project registered', async () => {
+      const packagePath = path.join(tempDir, 'app-b', 'node_modules', 'shared-package')
+      await fs.mkdir(packagePath, { recursive : true })
+      const provider = createProvider('shared', { path : packagePath })
+      await updateSettings(settingsPath, [provider], { projectDir : path.join(tempDir, 'app-a') })
+      const before = await fs.readFile(settingsPath, 'utf8')
+
+      const changes = await updateSettings(settingsPath, [provider], {
+        dryRun     : true,
+        projectDir : path.join(tempDir, 'app-b'),
+      })
+
+      expect(changes.diff.marketplaces.referencesUpdated).toEqual([
+        { name : 'shared-marketplace', project : path.join(tempDir, 'app-b') },
+      ])
+      expect(hasSettingsChanges(changes.diff)).toBe(true)
+      expect(await fs.readFile(settingsPath, 'utf8')).toBe(before)
+    })
+
+    it('should report marketplaces whose plugins changed', async () => {
+      await updateSettings(settingsPath, [createProvider('test')])
+
+      const changes = await updateSettings(settingsPath, [createProvider('test', { pluginVersion : '2.0.0' })], {
+        dryRun : true,
+      })
+
+      expect(changes.diff.marketplaces.changed).toEqual([{ name : 'test-marketplace', path : '/path/to/test' }])
+      expect(changes.diff.enabled).toEqual([])
+    })
+  })
+
   describe('getPluginState', () => {
     it.each([
       {
@@ -429,4 +587,136 @@ describe('claude-settings', () => {
       expect(states[1].status).toBe(PLUGIN_STATUSES.NOT_INSTALLED)
     })
   })
+
+  describe('getKnownPluginKeys', () => {
+    it('should list marketplace plugins and enabled/disabled keys once each', () => {
+      const settings = {
+        plugins : {
+          enabled      : ['plugin-a@market'],
+          disabled     : ['orphan@gone-market'],
+          marketplaces : { market : { plugins : { 'plugin-a' : {}, 'plugin-b' : {} } } },
+        },
+      }
+
+      expect(getKnownPluginKeys(settings).sort()).toEqual(['orphan@gone-market', 'plugin-a@market', 'plugin-b@market'])
+    })
+  })
+
+  describe('resolvePluginKey', () => {
+    const knownKeys = ['plugin-a@market-1', 'shared@market-1', 'shared@market-2']
+
+    it('should use a known plugin@marketplace spec as is', () => {
+      expect(resolvePluginKey('shared@market-2', knownKeys)).toBe('shared@market-2')
+    })
+
+    it('should reject an unknown plugin@marketplace spec', () => {
+      expect(() => resolvePluginKey('plugin-a@mispelled', knownKeys)).toThrow(NotFoundError)
+      expect(() => resolvePluginKey('plugin-a@mispelled', knownKeys)).toThrow("Unknown plugin 'plugin-a@mispelled'")
+    })
+
+    it('should resolve a bare name matching a single plugin', () => {
+      expect(resolvePluginKey('plugin-a', knownKeys)).toBe('plugin-a@market-1')
+    })
+
+    it.each([
+      ['unknown', /Unknown plugin 'unknown'/],
+      ['shared', /ambiguous.*shared@market-1, shared@market-2/],
+    ])('should reject bare name %s', (spec, message) => {
+      expect(() => resolvePluginKey(spec, knownKeys)).toThrow(message)
+    })
+  })
+
+  describe('setPluginState', () => {
+    const writeSettings = async (enabled, disabled) => {
+      await fs.writeFile(settingsPath, JSON.stringify({ plugins : { enabled, disabled, marketplaces : {} } }), 'utf8')
+    }
+
+    it('should move a disabled plugin to the enabled list', async () => {
+      await writeSettings([], ['test@market'])
+
+      expect(await setPluginState(settingsPath, 'test@market', true)).toBe(true)
+
+      const settings = await readSettings(settingsPath)
+      expect(settings.plugins.enabled).toEqual(['test@market'])
+      expect(settings.plugins.disabled).toEqual([])
+    })
+
+    it('should move an enabled plugin to the disabled list', async () => {
+      await writeSettings(['test@market', 'other@market'], [])
+
+      expect(await setPluginState(settingsPath, 'test@market', false)).toBe(true)
+
+      const settings = await readSettings(settingsPath)
+      expect(settings.plugins.enabled).toEqual(['other@market'])
+      expect(settings.plugins.disabled).toEqual(['test@market'])
+    })
+
+    it('should not write settings when the plugin is already in the requested state', async () => {
+      await writeSettings(['test@market'], [])
+
+      expect(await setPluginState(settingsPath, 'test@market', true)).toBe(false)
+      await expect(fs.access(`${settingsPath}.bak`)).rejects.toThrow()
+    })
+  })
+
+  describe('removeMarketplaces', () => {
+    it('should remove marketplaces and their enabled keys but keep disabled keys', async () => {
+      await fs.writeFile(
+        settingsPath,
+        JSON.stringify({
+          plugins : {
+            enabled      : ['a@gone', 'b@kept'],
+            disabled     : ['c@gone'],
+            marketplaces : { gone : { plugins : {} }, kept : { plugins : {} } },
+          },
+        }),
+        'utf8'
+      )
+
+      const removed = await removeMarketplaces(settingsPath, ['gone'])
+
+      expect(removed).toEqual({ marketplaces : ['gone'], plugins : ['a@gone'] })
+      const settings = await readSettings(settingsPath)
+      expect(Object.keys(settings.plugins.marketplaces)).toEqual(['kept'])
+      expect(settings.plugins.enabled).toEqual(['b@kept'])
+      expect(settings.plugins.disabled).toEqual(['c@gone'])
+    })
+
+    it('should not write settings when nothing is removed', async () => {
+      const removed = await removeMarketplaces(settingsPath, ['unknown'])
+
+      expect(removed).toEqual({ marketplaces : [], plugins : [] })
+      await expect(fs.access(settingsPath)).rejects.toThrow()
+    })
+  })
+
+  describe('removeMarketplaceReferences', () => {
+    it('should drop references and re-point marketplaces to the newest remaining install', async () => {
+      const reference = (project, version) => ({ path : `/${project}/node_modules/lib`, version })
+      await fs.writeFile(
+        settingsPath,
+        JSON.stringify({
+          plugins : {
+            enabled      : [],
+            disabled     : [],
+            marketplaces : {
+              lib : {
+                source   : { type : 'directory', path : '/a/node_modules/lib' },
+                plugins  : {},
+                projects : { '/a' : reference('a', '2.0.0'), '/b' : reference('b', '1.0.0'), '/c' : reference('c', '1.2.0') },
+              },
+            },
+          },
+        }),
+        'utf8'
+      )
+
+      const moved = await removeMarketplaceReferences(settingsPath, [{ name : 'lib', project : '/a' }])
+
+      expect(moved).toEqual([{ name : 'lib', from : '/a/node_modules/lib', to : '/c/node_modules/lib' }])
+      const entry = (await readSettings(settingsPath)).plugins.marketplaces.lib
+      expect(entry.source.path).toBe('/c/node_modules/lib')
+      expect(Object.keys(entry.projects)).toEqual(['/b', '/c'])
+    })
+  })
 })
@@ -0,0 +1,180 @@
+import fs from 'fs/promises'
+import os from 'os'
+import path from 'path'
+
+import { LockTimeoutError } from '_lib/errors'
+import { getLockPath, withFileLock, writeFileAtomic } from '_lib/storage/file-lock'
+
+describe('file-lock', () => {
+  let tempDir
+  let filePath
+
+  beforeEach(async () => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'air-lock-test-'))
+    filePath = path.join(tempDir, 'settings.json')
+  })
+
+  afterEach(async () => {
+    await fs.rm(tempDir, { recursive : true, force : true })
+  })
+
+  describe('withFileLock', () => {
+    it('should hold the lock while running and release it afterwards', async () => {
+      const result = await withFileLock(filePath, async () => {
+        await expect(fs.access(getLockPath(filePath))).resolves.toBeUndefined()
+
+        return 'done'
+      })
+
+      expect(result).toBe('done')
+      await expect(fs.access(getLockPath(filePath))).rejects.toThrow()
+    })
+
+    it('should release the lock when the function throws', async () => {
+      await expect(withFileLock(filePath, async () => Promise.reject(new Error('boom')))).rejects.toThrow('boom')
+
+      await expect(fs.access(getLockPath(filePath))).rejects.toThrow()
+    })
+
+    it('should serialize concurrent read-modify-write cycles', async () => {
+      await fs.writeFile(filePath, '0', 'utf8')
+      const increment = () =>
+        withFileLock(
+          filePath,
+          async () => {
+            const value = Number(await fs.readFile(filePath, 'utf8'))
+            await new Promise((resolve) => setTimeout(resolve, 5))
+            await fs.writeFile(filePath, String(value + 1), 'utf8')
+          },
+          { retryMs : 1 }
+        )
+
+      await Promise.all(Array.from({ length : 10 }, increment))
+
+      expect(await fs.readFile(filePath, 'utf8')).toBe('10')
+    })
+
+    it('should break a lock left by a process that is no longer running', async () => {
+      await fs.writeFile(getLockPath(filePath), JSON.stringify({ pid : 2 ** 22 + 1 }), 'utf8')
+
+      await expect(withFileLock(filePath, async () => 'ok', { timeoutMs : 100 })).resolves.toBe('ok')
+    })
+
+    it('should break a lock older than staleMs', async () => {
+      const lockPath = getLockPath(filePath)
+      await fs.writeFile(lockPath, JSON.stringify({ pid : process.pid }), 'utf8')
+      const past = new Date(Date.now() - 60000)
+      await fs.utimes(lockPath, past, past)
+
+      await expect(withFileLock(filePath, async () => 'ok', { staleMs : 1000, timeoutMs : 100 })).resolves.toBe('ok')
+    })
+
+    it('should let only one of two concurrent waiters break the same stale lock', async () => {
+      const lockPath = getLockPath(filePath)
+      await fs.writeFile(lockPath, JSON.stringify({ pid : 2 ** 22 + 1, token : 'abandoned' }), 'utf8')
+      // The second waiter reads the abandoned lock but only finishes checking it after the first has broken it and
+      // taken the lock
+      const { stat } = fs
+      let statCalls = 0
+      const statSpy = jest.spyOn(fs, 'stat').mockImplementation(async (statPath, ...args) => {
+        if (statPath === lockPath && ++statCalls === 2) {
+          await new Promise((resolve) => setTimeout(resolve, 30))
+        }
+
+        return stat(statPath, ...args)
+      })
+      let holders = 0
+      let maxHolders = 0
+      const hold = () =>
+        withFileLock(
+          filePath,
+          async () => {
+            holders += 1
+            maxHolders = Math.max(maxHolders, holders)
+            await new Promise((resolve) => setTimeout(resolve, 60))
+            holders -= 1
+          },
+          { retryMs : 1, timeoutMs : 1000 }
+        )
+
+      await Promise.all([hold(), hold()])
+      statSpy.mockRestore()
+
+      expect(maxHolders).toBe(1)
+      expect(await fs.readdir(tempDir)).toEqual([])
+    })
+
+    it('should not release a lock another process acquired after breaking this one as stale', async () => {
+      const lockPath = getLockPath(filePath)
+      let releaseFirst
+      const first = withFileLock(filePath, () => new Promise((resolve) => (releaseFirst = resolve)))
+      await new Promise((resolve) => setTimeout(resolve, 10))
+
+      await withFileLock(
+        filePath,
+        async () => {
+          releaseFirst()
+          await first
+
+          await expect(fs.access(lockPath)).resolves.toBeUndefined()
+        },
+        { staleMs : 0, retryMs : 1 }
+      )
+
+      await expect(fs.access(lockPath)).rejects.toThrow()
+    })
+
+    it('should time out waiting for a live lock', async () => {
+      await fs.writeFile(getLockPath(filePath), JSON.stringify({ pid : process.pid }), 'utf8')
+
+      const promise = withFileLock(filePath, async () => 'ok', { retryMs : 5, timeoutMs : 30 })
+
+      await expect(promise).rejects.toThrow(LockTimeoutError)
+      await expect(promise).rejects.toThrow(/Timed out waiting for lock/)
+    })
+  })
+
+  describe('writeFileAtomic', () => {
+    it('should replace the file without leaving temporary files', async () => {
+      await fs.writeFile(filePath, 'old', 'utf8')
+
+      await writeFileAtomic(filePath, 'new')
+
+      expect(await fs.readFile(filePath, 'utf8')).toBe('new')
+      expect(await fs.readdir(tempDir)).toEqual(['settings.json'])
+    })
+
+    it('should write through a symlink instead of replacing it', async () => {
+      const targetPath = path.join(tempDir, 'dotfiles-settings.json')
+      await fs.writeFile(targetPath, 'old', 'utf8')
+      await fs.symlink(targetPath, filePath)
+
+      await writeFileAtomic(filePath, 'new')
+
+      expect((await fs.lstat(filePath)).isSymbolicLink()).toBe(true)
+      expect(await fs.readFile(targetPath, 'utf8')).toBe('new')
+    })
+
+    it('should keep the permissions of the replaced file', async () => {
+      await fs.writeFile(filePath, 'old', { encoding : 'utf8', mode : 0o600 })
+      await fs.chmod(filePath, 0o600)
+
+      await writeFileAtomic(filePath, 'new')
+
+      expect((await fs.stat(filePath)).mode & 0o777).toBe(0o600)
+    })
+
+    // root may write any file, so the check only applies to other users
+    const itUnlessRoot = process.getuid?.() === 0 ? it.skip : it
+
+    itUnlessRoot('should fail instead of replacing a read-only file', async () => {
+      await fs.writeFile(filePath, 'old', 'utf8')
+      await fs.chmod(filePath, 0o444)
+
+      await expect(writeFileAtomic(filePath, 'new')).rejects.toMatchObject({ code : 'EACCES' })
+
+      expect(await fs.readFile(filePath, 'utf8')).toBe('old')
+      expect(await fs.readdir(tempDir)).toEqual(['settings.json'])
+    })
+  })
+})
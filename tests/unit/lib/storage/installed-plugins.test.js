@@ -0,0 +1,104 @@
+import fs from 'fs/promises'
+import os from 'os'
+import path from 'path'
+
+import { readInstalledPlugins, removeInstalledPlugins, updateInstalledPlugins } from '_lib/storage/installed-plugins'
+
+// Helper to create a provider object with sensible defaults
+const createProvider = (name, overrides = {}) => ({
+  packageName            : `${name}-package`,
+  path                   : `/path/to/${name}`,
+  version                : '1.0.0',
+  marketplaceDeclaration : {
+    name     : `${name}-marketplace`,
+    owner    : { name : 'Test Owner' },
+    metadata : overrides.metadata,
+    plugins  : overrides.plugins || [{ name, source : './plugin', version : overrides.pluginVersion || '1.0.0' }],
+  },
+})
+
+describe('installed-plugins', () => {
+  let tempDir
+  let registryPath
+
+  beforeEach(async () => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'air-installed-test-'))
+    registryPath = path.join(tempDir, 'plugins', 'installed_plugins.json')
+  })
+
+  afterEach(async () => {
+    await fs.rm(tempDir, { recursive : true, force : true })
+  })
+
+  describe('readInstalledPlugins', () => {
+    it('should return an empty registry if the file is missing', async () => {
+      expect(await readInstalledPlugins(registryPath)).toEqual({ version : 1, plugins : {} })
+    })
+  })
+
+  describe('updateInstalledPlugins', () => {
+    it('should register local plugins with their install path', async () => {
+      const changes = await updateInstalledPlugins(registryPath, [createProvider('test')])
+
+      expect(changes).toEqual({ added : ['test@test-marketplace'], updated : [] })
+
+      const { plugins } = await readInstalledPlugins(registryPath)
+      expect(plugins['test@test-marketplace']).toMatchObject({
+        version     : '1.0.0',
+        installPath : '/path/to/test/plugin',
+        isLocal     : true,
+      })
+    })
+
+    it('should resolve sources against the marketplace pluginRoot', async () => {
+      await updateInstalledPlugins(registryPath, [createProvider('test', { metadata : { pluginRoot : './plugins' } })])
+
+      const { plugins } = await readInstalledPlugins(registryPath)
+      expect(plugins['test@test-marketplace'].installPath).toBe('/path/to/test/plugins/plugin')
+    })
+
+    it('should skip plugins from remote sources', async () => {
+      const provider = createProvider('test', {
+        plugins : [{ name : 'remote', source : { source : 'github', repo : 'acme/remote' } }],
+      })
+      const changes = await updateInstalledPlugins(registryPath, [provider])
+
+      expect(changes.added).toEqual([])
+      await expect(fs.access(registryPath)).rejects.toThrow()
+    })
+
+    it('should keep other plugins and the original install time when updating', async () => {
+      const other = { version : '2.0.0', installedAt : 'then', installPath : '/cache/other', gitCommitSha : 'abc' }
+      await fs.mkdir(path.dirname(registryPath), { recursive : true })
+      await fs.writeFile(registryPath, JSON.stringify({ version : 1, plugins : { 'other@acme' : other } }), 'utf8')
+
+      await updateInstalledPlugins(registryPath, [createProvider('test')])
+      const { installedAt } = (await readInstalledPlugins(registryPath)).plugins['test@test-marketplace']
+      const changes = await updateInstalledPlugins(registryPath, [createProvider('test', { pluginVersion : '1.1.0' })])
+
+      expect(changes.updated).toEqual(['test@test-marketplace'])
+      const { plugins } = await readInstalledPlugins(registryPath)
+      expect(plugins['other@acme']).toEqual(other)
+      expect(plugins['test@test-marketplace']).toMatchObject({ version : '1.1.0', installedAt })
+    })
+  })
+
+  describe('removeInstalledPlugins', () => {
+    it('should remove the plugins of the given marketplaces only', async () => {
+      const other = { version : '2.0.0', installedAt : 'then', installPath : '/cache/other' }
+      await fs.mkdir(path.dirname(registryPath), { recursive : true })
+      await fs.writeFile(registryPath, JSON.stringify({ version : 1, plugins : { 'other@acme' : other } }), 'utf8')
+      await updateInstalledPlugins(registryPath, [createProvider('test')])
+
+      const removed = await removeInstalledPlugins(registryPath, ['test-marketplace', 'missing-marketplace'])
+
+      expect(removed).toEqual(['test@test-marketplace'])
+      expect((await readInstalledPlugins(registryPath)).plugins).toEqual({ 'other@acme' : other })
+    })
+
+    it('should not create the registry when there is nothing to remove', async () => {
+      expect(await removeInstalledPlugins(registryPath, ['test-marketplace'])).toEqual([])
+      await expect(fs.access(registryPath)).rejects.toThrow()
+    })
+  })
+})
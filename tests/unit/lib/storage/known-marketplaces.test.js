@@ -0,0 +1,144 @@
+import fs from 'fs/promises'
+import os from 'os'
+import path from 'path'
+
+import {
+  readKnownMarketplaces,
+  removeKnownMarketplaces,
+  updateKnownMarketplaces
+} from '_lib/storage/known-marketplaces'
+
+// Helper to create a provider object with sensible defaults
+const createProvider = (name, overrides = {}) => ({
+  packageName            : `${name}-package`,
+  path                   : overrides.path || `/path/to/${name}`,
+  version                : '1.0.0',
+  marketplaceDeclaration : {
+    name    : `${name}-marketplace`,
+    owner   : { name : 'Test Owner' },
+    plugins : [{ name, source : './plugin', version : '1.0.0' }],
+  },
+})
+
+describe('known-marketplaces', () => {
+  let tempDir
+  let registryPath
+
+  beforeEach(async () => {
+    tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'air-known-test-'))
+    registryPath = path.join(tempDir, 'plugins', 'known_marketplaces.json')
+  })
+
+  afterEach(async () => {
+    await fs.rm(tempDir, { recursive : true, force : true })
+  })
+
+  describe('readKnownMarketplaces', () => {
+    it('should return an empty registry if the file is missing', async () => {
+      expect(await readKnownMarketplaces(registryPath)).toEqual({})
+    })
+
+    it('should back up a malformed registry and use defaults', async () => {
+      await fs.mkdir(path.dirname(registryPath), { recursive : true })
+      await fs.writeFile(registryPath, '{ invalid', 'utf8')
+
+      expect(await readKnownMarketplaces(registryPath)).toEqual({})
+      await expect(fs.access(`${registryPath}.bak`)).resolves.toBeUndefined()
+    })
+  })
+
+  describe('updateKnownMarketplaces', () => {
+    it('should register directory marketplaces', async () => {
+      const changes = await updateKnownMarketplaces(registryPath, [createProvider('test')])
+
+      expect(changes).toEqual({ added : ['test-marketplace'], updated : [], skipped : [] })
+
+      const registry = await readKnownMarketplaces(registryPath)
+      expect(registry['test-marketplace']).toMatchObject({
+        source          : { source : 'directory', path : '/path/to/test' },
+        installLocation : '/path/to/test',
+      })
+      expect(typeof registry['test-marketplace'].lastUpdated).toBe('string')
+    })
+
+    it('should keep other marketplaces and unchanged entries', async () => {
+      const other = { source : { source : 'github', repo : 'acme/plugins' }, installLocation : '/x', lastUpdated : 'then' }
+      await fs.mkdir(path.dirname(registryPath), { recursive : true })
+      await fs.writeFile(registryPath, JSON.stringify({ 'acme-marketplace' : other }), 'utf8')
+
+      await updateKnownMarketplaces(registryPath, [createProvider('test')])
+      const { lastUpdated } = (await readKnownMarketplaces(registryPath))['test-marketplace']
+      const changes = await updateKnownMarketplaces(registryPath, [createProvider('test')])
+
+      expect(changes).toEqual({ added : [], updated : [], skipped : [] })
+      const registry = await readKnownMarketplaces(registryPath)
+      expect(registry['acme-marketplace']).toEqual(other)
+      expect(registry['test-marketplace'].lastUpdated).toBe(lastUpdated)
+    })
+
+    it('should leave entries of the same name with another source type alone and report them', async () => {
+      const userEntry = {
+        source          : { source : 'github', repo : 'acme/plugins' },
+        installLocation : '/x',
+        lastUpdated     : 'then',
+      }
+      await fs.mkdir(path.dirname(registryPath), { recursive : true })
+      await fs.writeFile(registryPath, JSON.stringify({ 'test-marketplace' : userEntry }), 'utf8')
+      const warnings = []
+
+      const changes = await updateKnownMarketplaces(registryPath, [createProvider('test')], {
+        onWarning : (message) => warnings.push(message),
+      })
+
+      expect(changes).toEqual({ added : [], updated : [], skipped : ['test-marketplace'] })
+      expect((await readKnownMarketplaces(registryPath))['test-marketplace']).toEqual(userEntry)
+      expect(warnings).toEqual([
+        'Marketplace test-marketplace is already registered from a github source, leaving it alone',
+      ])
+    })
+
+    it('should update moved marketplaces', async () => {
+      await updateKnownMarketplaces(registryPath, [createProvider('test', { path : '/old' })])
+      const changes = await updateKnownMarketplaces(registryPath, [createProvider('test', { path : '/new' })])
+
+      expect(changes.updated).toEqual(['test-marketplace'])
+      expect((await readKnownMarketplaces(registryPath))['test-marketplace'].installLocation).toBe('/new')
+    })
+
+    it('should not write anything on a dry run', async () => {
+      const changes = await updateKnownMarketplaces(registryPath, [createProvider('test')], { dryRun : true })
+
+      expect(changes.added).toEqual(['test-marketplace'])
+      await expect(fs.access(registryPath)).rejects.toThrow()
+    })
+  })
+
+  describe('removeKnownMarketplaces', () => {
+    it('should remove the given marketplaces only', async () => {
+      await updateKnownMarketplaces(registryPath, [createProvider('test'), createProvider('other')])
+
+      const removed = await removeKnownMarketplaces(registryPath, ['test-marketplace', 'missing-marketplace'])
+
+      expect(removed).toEqual(['test-marketplace'])
+      expect(Object.keys(await readKnownMarketplaces(registryPath))).toEqual(['other-marketplace'])
+    })
+
+    it('should not remove entries with another source type', async () => {
+      const userEntry = {
+        source          : { source : 'github', repo : 'acme/plugins' },
+        installLocation : '/x',
+        lastUpdated     : 'then',
+      }
+      await fs.mkdir(path.dirname(registryPath), { recursive : true })
+      await fs.writeFile(registryPath, JSON.stringify({ 'test-marketplace' : userEntry }), 'utf8')
+
+      expect(await removeKnownMarketplaces(registryPath, ['test-marketplace'])).toEqual([])
+      expect((await readKnownMarketplaces(registryPath))['test-marketplace']).toEqual(userEntry)
+    })
+
+    it('should not create the registry when there is nothing to remove', async () => {
+      expect(await removeKnownMarketplaces(registryPath, ['test-marketplace'])).toEqual([])
+      await expect(fs.access(registryPath)).rejects.toThrow()
+    })
+  })
+})
@@ -0,0 +1,279 @@
+import fs from 'fs/promises'
+import os from 'os'
+import path from 'path'
+
+import {
+  getLocalSettingsPath,
+  readLocalMarketplaces,
+  readLocalSettings,
+  removeLocalMarketplaces,
+  setProjectPluginState,
+  updateLocalSettings
+} from '_lib/storage/local-settings'
+
+// Helper to create a provider object with sensible defaults
+const createProvider = (name, overrides = {}) => ({
+  packageName            : overrides.packageName || `${name}-package`,
+  path                   : overrides.path || `/path/to/${name}`,
+  version                : overrides.version || '1.0.0',
+  marketplaceDeclaration : {
+    name    : overrides.marketplaceName || `${name}-marketplace`,
+    owner   : { name : 'Test Owner' },
+    plugins : overrides.plugins || [
+      {
+        name    : overrides.pluginName || name,
+        source  : './plugin',
+        version : '1.0.0',
+      },
+    ],
+  },
+})
+
+describe('local-settings', () => {
+  let tempDir
+  let localSettingsPath
+
+  beforeEach(async () => {
+    tempDir = await fs.realpath(await fs.mkdtemp(path.join(os.tmpdir(), 'air-local-test-')))
+    localSettingsPath = getLocalSettingsPath(tempDir)
+  })
+
+  afterEach(async () => {
+    await fs.rm(tempDir, { recursive : true, force : true })
+  })
+
+  describe('getLocalSettingsPath', () => {
+    it('should point at .claude/settings.json in the project root', () => {
+      expect(getLocalSettingsPath(tempDir)).toBe(path.join(tempDir, '.claude', 'settings.json'))
+    })
+  })
+
+  describe('readLocalSettings', () => {
+    it('should return default settings if file missing', async () => {
+      const settings = await readLocalSettings(localSettingsPath)
+
+      expect(settings).toEqual({ extraKnownMarketplaces : {}, enabledPlugins : {} })
+    })
+
+    it('should preserve unrelated keys', async () => {
+      await fs.mkdir(path.dirname(localSettingsPath), { recursive : true })
+      await fs.writeFile(localSettingsPath, JSON.stringify({ permissions : { allow : ['Bash'] } }), 'utf8')
+
+      const settings = await readLocalSettings(localSettingsPath)
+
+      expect(settings.permissions).toEqual({ allow : ['Bash'] })
+      expect(settings.extraKnownMarketplaces).toEqual({})
+      expect(settings.enabledPlugins).toEqual({})
+    })
+  })
+
+  describe('readLocalMarketplaces', () => {
+    it('should resolve directory paths against the project root and keep other sources', async () => {
+      const teamEntry = { source : { source : 'github', repo : 'acme/claude-plugins' } }
+      await fs.mkdir(path.dirname(localSettingsPath), { recursive : true })
+      await fs.writeFile(
+        localSettingsPath,
+        JSON.stringify({
+          extraKnownMarketplaces : {
+            'lib-marketplace'  : { source : { source : 'directory', path : './node_modules/lib' } },
+            'team-marketplace' : teamEntry,
+          },
+        }),
+        'utf8'
+      )
+
+      expect(await readLocalMarketplaces(localSettingsPath)).toEqual({
+        'lib-marketplace'  : { source : { source : 'directory', path : path.join(tempDir, 'node_modules', 'lib') } },
+        'team-marketplace' : teamEntry,
+      })
+    })
+  })
+
+  describe('updateLocalSettings', () => {
+    it('should preserve comments and unrelated keys in an existing file', async () => {
+      const before = '{\n  // team permissions\n  "permissions": { "allow": ["Bash"] },\n  "enabledPlugins": {}\n}\n'
+      await fs.mkdir(path.dirname(localSettingsPath), { recursive : true })
+      await fs.writeFile(localSettingsPath, before, 'utf8')
+
+      await updateLocalSettings(localSettingsPath, [createProvider('test')])
+
+      const after = await fs.readFile(localSettingsPath, 'utf8')
+      expect(after.startsWith('{\n  // team permissions\n  "permissions": { "allow": ["Bash"] },\n')).toBe(true)
+      expect(after.endsWith('}\n')).toBe(true)
+
+      const settings = await readLocalSettings(localSettingsPath)
+      expect(settings.enabledPlugins).toEqual({ 'test@test-marketplace' : true })
+      expect(settings.extraKnownMarketplaces['test-marketplace']).toBeDefined()
+    })
+
+    it('should register marketplaces relative to the project root and enable plugins', async () => {
+      const packagePath = path.join(tempDir, 'node_modules', 'test-package')
+      const changes = await updateLocalSettings(localSettingsPath, [
+        createProvider('test', { path : packagePath, pluginName : 'test-plugin' }),
+      ])
+
+      expect(changes.added).toEqual(['test-plugin'])
+
+      const settings = await readLocalSettings(localSettingsPath)
+      expect(settings.extraKnownMarketplaces['test-marketplace']).toEqual({
+        source : { source : 'directory', path : './node_modules/test-package' },
+      })
+      expect(settings.enabledPlugins['test-plugin@test-marketplace']).toBe(true)
+    })
+
+    it('should respect explicit project-level disables', async () => {
+      await fs.mkdir(path.dirname(localSettingsPath), { recursive : true })
+      await fs.writeFile(
+        localSettingsPath,
+        JSON.stringify({ enabledPlugins : { 'test-plugin@test-marketplace' : false } }),
+        'utf8'
+      )
+
+      const changes = await updateLocalSettings(localSettingsPath, [
+        createProvider('test', { pluginName : 'test-plugin' }),
+      ])
+
+      expect(changes.added).toEqual([])
+
+      const settings = await readLocalSettings(localSettingsPath)
+      expect(settings.enabledPlugins['test-plugin@test-marketplace']).toBe(false)
+    })
+
+    it('should not replace marketplaces configured with other source types', async () => {
+      const teamEntry = { source : { source : 'github', repo : 'acme/claude-plugins' } }
+      await fs.mkdir(path.dirname(localSettingsPath), { recursive : true })
+      await fs.writeFile(
+        localSettingsPath,
+        JSON.stringify({ extraKnownMarketplaces : { 'test-marketplace' : teamEntry } }),
+        'utf8'
+      )
+
+      await updateLocalSettings(localSettingsPath, [createProvider('test')])
+
+      const settings = await readLocalSettings(localSettingsPath)
+      expect(settings.extraKnownMarketplaces['test-marketplace']).toEqual(teamEntry)
+    })
+
+    it('should update the path of directory marketplaces', async () => {
+      const oldPath = path.join(tempDir, 'node_modules', 'test-package')
+      await updateLocalSettings(localSettingsPath, [createProvider('test', { path : oldPath })])
+      const newPath = path.join(tempDir, 'packages', 'app', 'node_modules', 'test-package')
+      const changes = await updateLocalSettings(localSettingsPath, [createProvider('test', { path : newPath })])
+
+      expect(changes.added).toEqual([])
+      expect(changes.updated).toEqual(['test'])
+      expect(changes.diff.marketplaces.moved).toEqual([
+        {
+          name : 'test-marketplace',
+          from : './node_modules/test-package',
+          to   : './packages/app/node_modules/test-package',
+        },
+      ])
+
+      const settings = await readLocalSettings(localSettingsPath)
+      expect(settings.extraKnownMarketplaces['test-marketplace'].source.path).toBe(
+        './packages/app/node_modules/test-package'
+      )
+    })
+
+    it('should rewrite absolute marketplace paths relative to the project root', async () => {
+      const packagePath = path.join(tempDir, 'node_modules', 'test-package')
+      await fs.mkdir(path.dirname(localSettingsPath), { recursive : true })
+      await fs.writeFile(
+        localSettingsPath,
+        JSON.stringify({
+          extraKnownMarketplaces : { 'test-marketplace' : { source : { source : 'directory', path : packagePath } } },
+        }),
+        'utf8'
+      )
+
+      await updateLocalSettings(localSettingsPath, [createProvider('test', { path : packagePath })])
+
+      const settings = await readLocalSettings(localSettingsPath)
+      expect(settings.extraKnownMarketplaces['test-marketplace'].source.path).toBe('./node_modules/test-package')
+    })
+
+    it('should write the path of a package hoisted above the project relative to the project root', async () => {
+      const projectSettingsPath = getLocalSettingsPath(path.join(tempDir, 'packages', 'app'))
+      await fs.mkdir(path.dirname(projectSettingsPath), { recursive : true })
+
+      await updateLocalSettings(projectSettingsPath, [
+        createProvider('test', { path : path.join(tempDir, 'node_modules', 'test-package') }),
+      ])
+
+      const settings = await readLocalSettings(projectSettingsPath)
+      expect(settings.extraKnownMarketplaces['test-marketplace'].source.path).toBe('../../node_modules/test-package')
+    })
+
+    it('should not enable plugins whose manifest failed validation', async () => {
+      const provider = createProvider('test')
+      provider.pluginValidation = { test : { valid : false, errors : [{ field : 'name', message : 'Bad name' }] } }
+
+      const changes = await updateLocalSettings(localSettingsPath, [provider])
+
+      expect(changes.added).toEqual([])
+      expect((await readLocalSettings(localSettingsPath)).enabledPlugins).toEqual({})
+    })
+
+    it('should not create the settings file when there is nothing to register', async () => {
+      await updateLocalSettings(localSettingsPath, [])
+
+      await expect(fs.access(localSettingsPath)).rejects.toThrow()
+    })
+  })
+
+  describe('updateLocalSettings dry run', () => {
+    it('should report the diff without creating the settings file', async () => {
+      const provider = createProvider('test', { path : path.join(tempDir, 'node_modules', 'test-package') })
+      const changes = await updateLocalSettings(localSettingsPath, [provider], { dryRun : true })
+
+      expect(changes.diff).toEqual({
+        marketplaces : {
+          added             : [{ name : 'test-marketplace', path : './node_modules/test-package' }],
+          changed           : [],
+          moved             : [],
+          referencesUpdated : [],
+        },
+        enabled      : ['test@test-marketplace'],
+      })
+      await expect(fs.access(localSettingsPath)).rejects.toThrow()
+    })
+  })
+
+  describe('setProjectPluginState', () => {
+    it('should set enabledPlugins overrides', async () => {
+      expect(await setProjectPluginState(localSettingsPath, 'test@market', false)).toBe(true)
+      expect((await readLocalSettings(localSettingsPath)).enabledPlugins).toEqual({ 'test@market' : false })
+
+      expect(await setProjectPluginState(localSettingsPath, 'test@market', true)).toBe(true)
+      expect((await readLocalSettings(localSettingsPath)).enabledPlugins).toEqual({ 'test@market' : true })
+    })
+
+    it('should report no change when the override is already set', async () => {
+      await setProjectPluginState(localSettingsPath, 'test@market', true)
+
+      expect(await setProjectPluginState(localSettingsPath, 'test@market', true)).toBe(false)
+    })
+  })
+
+  describe('removeLocalMarketplaces', () => {
+    it('should remove marketplaces and their enabled plugins but keep explicit disables', async () => {
+      await fs.mkdir(path.dirname(localSettingsPath), { recursive : true })
+      await fs.writeFile(
+        localSettingsPath,
+        JSON.stringify({
+          extraKnownMarketplaces : { gone : { source : { source : 'directory', path : '/gone' } } },
+          enabledPlugins         : { 'a@gone' : true, 'b@gone' : false, 'c@kept' : true },
+        }),
+        'utf8'
+      )
+
+      const removed = await removeLocalMarketplaces(localSettingsPath, ['gone'])
+
+      expect(removed).toEqual({ marketplaces : ['gone'], plugins : ['a@gone'] })
+      const settings = await readLocalSettings(localSettingsPath)
+      expect(settings.extraKnownMarketplaces).toEqual({})
+      expect(settings.enabledPlugins).toEqual({ 'b@gone' : false, 'c@kept' : true })
+    })
+  })
+})
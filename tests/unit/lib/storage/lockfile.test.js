@@ -0,0 +1,134 @@
+import fs from 'fs/promises'
+import os from 'os'
+import path from 'path'
+
+import { AirError } from '_lib/errors'
+import { buildLockfile, diffLockfiles, getLockfilePath, readLockfile, writeLockfile } from '_lib/storage/lockfile'
+
+import { createTestPackage } from '../test-lib'
+
+describe('lockfile', () => {
+  let tempDir
+
+  beforeEach(async () => {
+    tempDir = await fs.realpath(await fs.mkdtemp(path.join(os.tmpdir(), 'air-lockfile-test-')))
+  })
+
+  afterEach(async () => {
+    await fs.rm(tempDir, { recursive : true, force : true })
+  })
+
+  /**
+   * Install a test package and build its provider
+   * @param {string} packageName - Package name
+   * @param {string} [version] - Plugin and package version
+   * @returns {Promise<object>} Provider
+   */
+  const installProvider = async (packageName, version = '1.0.0') => {
+    const packagePath = await createTestPackage(tempDir, packageName, { name : `${packageName}-plugin`, version })
+    const marketplaceJson = path.join(packagePath, '.claude-plugin', 'marketplace.json')
+
+    return {
+      packageName,
+      version,
+      path                   : packagePath,
+      marketplaceDeclaration : JSON.parse(await fs.readFile(marketplaceJson, 'utf8')),
+    }
+  }
+
+  describe('buildLockfile', () => {
+    it('should record each marketplace sorted by name with its package, plugins and integrity', async () => {
+      const providers = [await installProvider('zeta-lib'), await installProvider('alpha-lib', '2.0.0')]
+
+      const lockfile = await buildLockfile(providers)
+
+      expect(lockfile.lockfileVersion).toBe(1)
+      expect(Object.keys(lockfile.marketplaces)).toEqual([
+        providers[1].marketplaceDeclaration.name,
+        providers[0].marketplaceDeclaration.name,
+      ])
+      const locked = lockfile.marketplaces[providers[1].marketplaceDeclaration.name]
+      expect(locked.package).toBe('alpha-lib')
+      expect(locked.version).toBe('2.0.0')
+      expect(locked.plugins).toEqual({ 'alpha-lib-plugin' : { version : '2.0.0' } })
+      expect(locked.integrity).toMatch(/^sha256-[A-Za-z0-9+/]{43}=$/)
+    })
+
+    it('should change the integrity when plugin content changes', async () => {
+      const provider = await installProvider('test-lib')
+      const before = await buildLockfile([provider])
+
+      await fs.writeFile(path.join(provider.path, 'plugin', 'SKILL.md'), '# changed', 'utf8')
+      const after = await buildLockfile([provider])
+
+      expect(diffLockfiles(before, after)).toEqual([
+        `${provider.marketplaceDeclaration.name}: content of test-lib@1.0.0 doesn't match the locked integrity`,
+      ])
+    })
+  })
+
+  describe('readLockfile and writeLockfile', () => {
+    it('should return null when the project has no lockfile', async () => {
+      expect(await readLockfile(tempDir)).toBeNull()
+    })
+
+    it('should write the lockfile only when its content changes', async () => {
+      const lockfile = await buildLockfile([await installProvider('test-lib')])
+
+      expect(await writeLockfile(tempDir, lockfile, { dryRun : true })).toBe(true)
+      expect(await readLockfile(tempDir)).toBeNull()
+
+      expect(await writeLockfile(tempDir, lockfile)).toBe(true)
+      expect(await readLockfile(tempDir)).toEqual(lockfile)
+      expect(await fs.readFile(getLockfilePath(tempDir), 'utf8')).toMatch(/\n$/)
+
+      expect(await writeLockfile(tempDir, lockfile)).toBe(false)
+    })
+
+    it('should throw an AirError for a malformed lockfile', async () => {
+      await fs.writeFile(getLockfilePath(tempDir), '{ not json', 'utf8')
+
+      await expect(readLockfile(tempDir)).rejects.toThrow(AirError)
+      await expect(readLockfile(tempDir)).rejects.toThrow(/Malformed .*air-lock\.json/)
+    })
+  })
+
+  describe('diffLockfiles', () => {
+    const locked = {
+      lockfileVersion : 1,
+      marketplaces    : {
+        tools : { package : 'tools-lib', version : '1.0.0', integrity : 'sha256-a', plugins : { lint : { version : '1.0.0' } } },
+        extra : { package : 'extra-lib', version : '1.0.0', integrity : 'sha256-b', plugins : {} },
+      },
+    }
+
+    it('should report nothing for matching lockfiles', () => {
+      expect(diffLockfiles(locked, structuredClone(locked))).toEqual([])
+    })
+
+    it('should report added, removed and changed marketplaces', () => {
+      const found = {
+        lockfileVersion : 1,
+        marketplaces    : {
+          tools : { ...locked.marketplaces.tools, version : '1.1.0' },
+          added : { package : 'added-lib', version : '1.0.0', integrity : 'sha256-c', plugins : {} },
+        },
+      }
+
+      expect(diffLockfiles(locked, found)).toEqual([
+        'added: not in air-lock.json',
+        'extra: in air-lock.json but not discovered',
+        'tools: locked tools-lib@1.0.0, found tools-lib@1.1.0',
+      ])
+    })
+
+    it('should report changed plugins', () => {
+      const found = structuredClone(locked)
+      found.marketplaces.tools.plugins = { lint : { version : '1.0.0' }, format : { version : '1.0.0' } }
+
+      expect(diffLockfiles(locked, found)).toEqual([
+        'tools: locked plugins lint@1.0.0, found format@1.0.0, lint@1.0.0',
+      ])
+    })
+  })
+})
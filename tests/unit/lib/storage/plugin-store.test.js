@@ -0,0 +1,154 @@
+import fs from 'fs/promises'
+import os from 'os'
+import path from 'path'
+
+import { ClaudePluginConfig } from '_lib/storage/claude-config'
+import { collectStoreGarbage, materializeProvider } from '_lib/storage/plugin-store'
+
+import { createTestPackage } from '../test-lib'
+
+describe('plugin-store', () => {
+  let tempDir
+  let config
+
+  beforeEach(async () => {
+    tempDir = await fs.realpath(await fs.mkdtemp(path.join(os.tmpdir(), 'air-store-test-')))
+    config = ClaudePluginConfig.createForTest(tempDir)
+  })
+
+  afterEach(async () => {
+    await fs.rm(tempDir, { recursive : true, force : true })
+  })
+
+  /**
+   * Install a test package and build its provider
+   * @param {string} packageName - Package name
+   * @returns {Promise<object>} Provider
+   */
+  const installProvider = async (packageName) => {
+    const packagePath = await createTestPackage(tempDir, packageName, { name : 'test-plugin', version : '1.0.0' })
+    const marketplaceJson = path.join(packagePath, '.claude-plugin', 'marketplace.json')
+
+    return {
+      packageName,
+      version                : '1.0.0',
+      path                   : packagePath,
+      marketplaceDeclaration : JSON.parse(await fs.readFile(marketplaceJson, 'utf8')),
+    }
+  }
+
+  describe('materializeProvider', () => {
+    it('should copy the marketplace and plugin files into a versioned store entry', async () => {
+      const provider = await installProvider('@scope/test-lib')
+      await fs.mkdir(path.join(provider.path, 'plugin', 'node_modules', 'dep'), { recursive : true })
+      await fs.writeFile(path.join(provider.path, 'index.js'), 'module.exports = {}', 'utf8')
+
+      const storePath = await materializeProvider(config.storeDir, provider)
+
+      expect(path.dirname(storePath)).toBe(config.storeDir)
+      expect(path.basename(storePath)).toMatch(/^scope-test-lib@1\.0\.0-[0-9a-f]{12}$/)
+      expect(await fs.readFile(path.join(storePath, 'plugin', 'SKILL.md'), 'utf8')).toContain('test-plugin')
+      await expect(fs.access(path.join(storePath, '.claude-plugin', 'marketplace.json'))).resolves.toBeUndefined()
+      await expect(fs.access(path.join(storePath, 'package.json'))).resolves.toBeUndefined()
+      await expect(fs.access(path.join(storePath, 'index.js'))).rejects.toThrow()
+      await expect(fs.access(path.join(storePath, 'plugin', 'node_modules'))).rejects.toThrow()
+    })
+
+    it('should reuse the entry for unchanged content and add one when the content changes', async () => {
+      const provider = await installProvider('test-lib')
+
+      const first = await materializeProvider(config.storeDir, provider)
+      expect(await materializeProvider(config.storeDir, provider)).toBe(first)
+
+      await fs.writeFile(path.join(provider.path, 'plugin', 'SKILL.md'), '# changed', 'utf8')
+      const second = await materializeProvider(config.storeDir, provider)
+
+      expect(second).not.toBe(first)
+      expect(await fs.readFile(path.join(first, 'plugin', 'SKILL.md'), 'utf8')).not.toBe('# changed')
+      expect(await fs.readdir(config.storeDir)).toHaveLength(2)
+    })
+
+    it('should only compute the store path on a dry run', async () => {
+      const provider = await installProvider('test-lib')
+
+      const storePath = await materializeProvider(config.storeDir, provider, { dryRun : true })
+
+      expect(path.dirname(storePath)).toBe(config.storeDir)
+      await expect(fs.access(config.storeDir)).rejects.toThrow()
+    })
+  })
+
+  describe('collectStoreGarbage', () => {
+    it('should remove store entries that settings and registries no longer reference', async () => {
+      const referenced = path.join(config.storeDir, 'kept@1.0.0-aaaaaaaaaaaa')
+      const installed = path.join(config.storeDir, 'installed@1.0.0-bbbbbbbbbbbb')
+      const unreferenced = path.join(config.storeDir, 'old@1.0.0-cccccccccccc')
+      await Promise.all([referenced, installed, unreferenced].map((dir) => fs.mkdir(dir, { recursive : true })))
+      await fs.writeFile(
+        config.settingsPath,
+        JSON.stringify({
+          plugins : {
+            enabled      : [],
+            disabled     : [],
+            marketplaces : { kept : { source : { type : 'directory', path : referenced }, plugins : {} } },
+          },
+        }),
+        'utf8'
+      )
+      await fs.writeFile(
+        config.installedPluginsPath,
+        JSON.stringify({ version : 1, plugins : { 'p@installed' : { installPath : path.join(installed, 'plugin') } } }),
+        'utf8'
+      )
+
+      expect(await collectStoreGarbage(config)).toEqual([])
+      expect(await collectStoreGarbage(config, { minAge : 0 })).toEqual(['old@1.0.0-cccccccccccc'])
+      expect((await fs.readdir(config.storeDir)).sort()).toEqual([
+        'installed@1.0.0-bbbbbbbbbbbb',
+        'kept@1.0.0-aaaaaaaaaaaa',
+      ])
+    })
+
+    it('should ignore registry entries of marketplaces that settings point elsewhere', async () => {
+      const current = path.join(config.storeDir, 'kept@1.1.0-dddddddddddd')
+      const previous = path.join(config.storeDir, 'kept@1.0.0-aaaaaaaaaaaa')
+      await Promise.all([current, previous].map((dir) => fs.mkdir(dir, { recursive : true })))
+      await fs.writeFile(
+        config.settingsPath,
+        JSON.stringify({
+          plugins : {
+            enabled      : [],
+            disabled     : [],
+            marketplaces : { kept : { source : { type : 'directory', path : current }, plugins : {} } },
+          },
+        }),
+        'utf8'
+      )
+      await fs.writeFile(
+        config.knownMarketplacesPath,
+        JSON.stringify({ kept : { source : { source : 'directory', path : previous }, installLocation : previous } }),
+        'utf8'
+      )
+      await fs.writeFile(
+        config.installedPluginsPath,
+        JSON.stringify({ version : 1, plugins : { 'p@kept' : { installPath : path.join(previous, 'plugin') } } }),
+        'utf8'
+      )
+
+      expect(await collectStoreGarbage(config, { minAge : 0 })).toEqual(['kept@1.0.0-aaaaaaaaaaaa'])
+    })
+
+    it('should remove leftover temporary copies once they are old enough', async () => {
+      const tempCopy = path.join(config.storeDir, '.tmp-old@1.0.0-cccccccccccc-123-456')
+      await fs.mkdir(tempCopy, { recursive : true })
+
+      expect(await collectStoreGarbage(config)).toEqual([])
+      expect(await collectStoreGarbage(config, { minAge : 0 })).toEqual(['.tmp-old@1.0.0-cccccccccccc-123-456'])
+      expect(await fs.readdir(config.storeDir)).toEqual([])
+    })
+
+    it('should do nothing without a store', async () => {
+      expect(await collectStoreGarbage(config, { minAge : 0 })).toEqual([])
+    })
+  })
+})
@@ -30,7 +30,7 @@ export async function createPackageJson(baseDir, dependencies) {
 }
 
 /**
- * Helper to create a test package with .claude-plugin/marketplace.json
+ * Helper to create a test package with .claude-plugin/marketplace.json and a .claude-plugin/plugin.json for each plugin
  * @param {string} baseDir - Base directory (should contain or will create node_modules)
  * @param {string} packageName - Package name (supports scoped: @org/pkg)
  * @param {object} marketplaceDeclaration - marketplace.json content (can be full marketplace or legacy plugin format)
@@ -88,7 +88,12 @@ export async function createTestPackage(baseDir, packageName, marketplaceDeclara
     marketplace.plugins.map(async (plugin) => {
       const pluginSourcePath = typeof plugin.source === 'string' ? plugin.source : './plugin'
       const pluginPath = path.join(packagePath, pluginSourcePath)
-      await fs.mkdir(pluginPath, { recursive : true })
+      await fs.mkdir(path.join(pluginPath, '.claude-plugin'), { recursive : true })
+      await fs.writeFile(
+        path.join(pluginPath, '.claude-plugin', 'plugin.json'),
+        JSON.stringify({ name : plugin.name, version : plugin.version || '1.0.0' }, null, 2),
+        'utf8'
+      )
       await fs.writeFile(
         path.join(pluginPath, 'SKILL.md'),
         `# ${plugin.name}\n\n${plugin.description || 'Test plugin'}`,
@@ -99,3 +104,47 @@ export async function createTestPackage(baseDir, packageName, marketplaceDeclara
 
   return packagePath
 }
+
+const AIR_INTEGRATION_FILES = {
+  'DualTypeIntegration/AI_INTEGRATION.md' : {
+    name    : 'DualTypeIntegration',
+    summary : 'Generic integration component of dual-type test integration',
+  },
+  'DualTypeIntegration/claude-skill/SKILL.md' : {
+    name    : 'DualTypeIntegration',
+    summary : 'Claude Skill component of dual-type test integration',
+  },
+  'GenericOnly/AI_INTEGRATION.md' : {
+    name    : 'GenericOnly',
+    summary : 'Generic instructions without Claude Skill component',
+  },
+  'SkillOnly/claude-skill/SKILL.md' : {
+    name    : 'SkillOnly',
+    summary : 'A Claude Skill without generic component',
+  },
+}
+
+/**
+ * Helper to create a package that only ships AIR integrations: a dual-type integration (DualTypeIntegration), a
+ * generic-only integration (GenericOnly) and a Claude Skill-only integration (SkillOnly)
+ * @param {string} baseDir - Base directory (should contain or will create node_modules)
+ * @param {string} [packageName] - Package name (supports scoped: @org/pkg)
+ * @returns {Promise<string>} Absolute path to created package
+ */
+export async function createAirPackage(baseDir, packageName = 'test-air-package') {
+  const packagePath = path.join(baseDir, 'node_modules', packageName)
+  await fs.mkdir(packagePath, { recursive : true })
+
+  const packageJson = { name : packageName, version : '1.0.0', author : 'ai-ready team', license : 'MIT' }
+  await fs.writeFile(path.join(packagePath, 'package.json'), JSON.stringify(packageJson, null, 2), 'utf8')
+
+  await Promise.all(
+    Object.entries(AIR_INTEGRATION_FILES).map(async ([file, { name, summary }]) => {
+      const filePath = path.join(packagePath, 'ai-ready', 'integrations', file)
+      await fs.mkdir(path.dirname(filePath), { recursive : true })
+      await fs.writeFile(filePath, `---\nname: ${name}\nsummary: ${summary}\n---\n\n# ${name}\n\n${summary}.\n`, 'utf8')
+    })
+  )
+
+  return packagePath
+}
@@ -1,4 +1,11 @@
-import { PLUGIN_STATUSES, isValidMarketplaceProvider, isValidPluginEntry, isValidPluginState } from '_lib/types'
+import {
+  COLLISION_POLICIES,
+  INTEGRATION_TYPES,
+  PLUGIN_STATUSES,
+  isValidMarketplaceProvider,
+  isValidPluginEntry,
+  isValidPluginState
+} from '_lib/types'
 
 describe('types', () => {
   describe('PLUGIN_STATUSES', () => {
@@ -9,6 +16,19 @@ describe('types', () => {
     })
   })
 
+  describe('INTEGRATION_TYPES', () => {
+    it('should define AIR integration type constants', () => {
+      expect(INTEGRATION_TYPES.GENERIC).toBe('genericIntegration')
+      expect(INTEGRATION_TYPES.CLAUDE_SKILL).toBe('claudeSkill')
+    })
+  })
+
+  describe('COLLISION_POLICIES', () => {
+    it('should define marketplace name collision policies', () => {
+      expect(Object.values(COLLISION_POLICIES)).toEqual(['namespace', 'first', 'newest', 'fail'])
+    })
+  })
+
   describe('isValidMarketplaceProvider', () => {
     it('should validate a valid MarketplaceProvider', () => {
       const provider = {
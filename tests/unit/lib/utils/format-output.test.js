@@ -0,0 +1,27 @@
+import { formatOutput } from '_lib/utils/format-output'
+
+describe('format-output', () => {
+  const data = { items : [{ name : 'a', count : 1 }, { name : 'longer-name', count : 22 }] }
+  const table = { rows : data.items, columns : [{ header : 'NAME', key : 'name' }, { header : 'COUNT', key : 'count' }] }
+
+  it('should format JSON', () => {
+    expect(JSON.parse(formatOutput(data, 'json', table))).toEqual(data)
+  })
+
+  it('should format YAML', () => {
+    expect(formatOutput(data, 'yaml', table)).toBe('items:\n  - name: a\n    count: 1\n  - name: longer-name\n    count: 22')
+  })
+
+  it('should format a table with padded columns', () => {
+    expect(formatOutput(data, 'table', table).split('\n')).toEqual([
+      'NAME         COUNT',
+      '-----------  -----',
+      'a            1',
+      'longer-name  22',
+    ])
+  })
+
+  it('should reject unknown formats', () => {
+    expect(() => formatOutput(data, 'xml', table)).toThrow(/Unknown output format 'xml'/)
+  })
+})
@@ -0,0 +1,19 @@
+import { parseFrontmatter } from '_lib/utils/frontmatter'
+
+describe('frontmatter', () => {
+  it('should parse a leading YAML block', () => {
+    expect(parseFrontmatter('---\nname: helper\ndescription: Helps\n---\n# Body\n')).toEqual({
+      name        : 'helper',
+      description : 'Helps',
+    })
+  })
+
+  it('should return null without a frontmatter block', () => {
+    expect(parseFrontmatter('# Just markdown\n---\nname: x\n---\n')).toBeNull()
+  })
+
+  it('should return null for malformed or non-mapping YAML', () => {
+    expect(parseFrontmatter('---\nname: [unclosed\n---\n')).toBeNull()
+    expect(parseFrontmatter('---\n- a list\n---\n')).toBeNull()
+  })
+})
@@ -0,0 +1,74 @@
+import { parseJsonc, serializeJsonc, setTopLevelProperties } from '_lib/utils/jsonc'
+
+describe('jsonc', () => {
+  describe('parseJsonc', () => {
+    it('should parse plain JSON', () => {
+      expect(parseJsonc('{ "a": [1, 2], "b": { "c": null } }')).toEqual({ a : [1, 2], b : { c : null } })
+    })
+
+    it('should ignore comments and trailing commas', () => {
+      const text = '{\n  // line comment\n  "a": 1, /* block */\n  "b": [1, 2,],\n}\n'
+
+      expect(parseJsonc(text)).toEqual({ a : 1, b : [1, 2] })
+    })
+
+    it('should leave comment markers and commas inside strings alone', () => {
+      expect(parseJsonc('{ "url": "http://example.com/*x*/", "s": ",]" }')).toEqual({
+        url : 'http://example.com/*x*/',
+        s   : ',]',
+      })
+    })
+
+    it('should throw SyntaxError on malformed input', () => {
+      expect(() => parseJsonc('{ "a": ')).toThrow(SyntaxError)
+      expect(() => parseJsonc('{ /* unterminated ')).toThrow(SyntaxError)
+    })
+  })
+
+  describe('setTopLevelProperties', () => {
+    it('should replace only the changed property and keep everything else byte-for-byte', () => {
+      const text = '{\n  // my model\n  "model": "opus",   \n  "plugins": { "enabled": [] },\n  "z": true\n}\n'
+      const result = setTopLevelProperties(text, { plugins : { enabled : ['x@m'] } })
+
+      expect(result).toBe(
+        '{\n  // my model\n  "model": "opus",   \n  "plugins": {\n    "enabled": [\n      "x@m"\n    ]\n  },\n  "z": true\n}\n'
+      )
+    })
+
+    it('should return the text unchanged when values are equal', () => {
+      const text = '{"plugins":{"enabled":["x@m"]}}'
+
+      expect(setTopLevelProperties(text, { plugins : { enabled : ['x@m'] } })).toBe(text)
+    })
+
+    it('should use the file indentation and line endings', () => {
+      const text = '{\r\n\t"a": 1\r\n}\r\n'
+
+      expect(setTopLevelProperties(text, { a : { b : 2 } })).toBe('{\r\n\t"a": {\r\n\t\t"b": 2\r\n\t}\r\n}\r\n')
+    })
+
+    it('should append missing properties after the last one', () => {
+      const text = '{\n    "a": 1 // keep\n}'
+
+      expect(setTopLevelProperties(text, { b : [] })).toBe('{\n    "a": 1,\n    "b": [] // keep\n}')
+    })
+
+    it('should add properties to an empty object', () => {
+      expect(setTopLevelProperties('{}\n', { a : 1 })).toBe('{\n  "a": 1\n}\n')
+    })
+  })
+
+  describe('serializeJsonc', () => {
+    it('should write the full object when there is no previous content', () => {
+      expect(serializeJsonc(null, { a : 1 }, ['a'])).toBe('{\n  "a": 1\n}')
+    })
+
+    it('should write the full object when the previous content is malformed', () => {
+      expect(serializeJsonc('{ oops', { a : 1 }, ['a'])).toBe('{\n  "a": 1\n}')
+    })
+
+    it('should patch only the managed keys', () => {
+      expect(serializeJsonc('{ "a": 1, "b": 2 }', { a : 3, b : 4 }, ['a'])).toBe('{ "a": 3, "b": 2 }')
+    })
+  })
+})
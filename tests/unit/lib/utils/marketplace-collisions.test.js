@@ -0,0 +1,155 @@
+import fs from 'fs/promises'
+import os from 'os'
+import path from 'path'
+
+import { MarketplaceCollisionError, UsageError } from '_lib/errors'
+import {
+  compareVersions,
+  getCollisionPolicy,
+  resolveMarketplaceCollisions
+} from '_lib/utils/marketplace-collisions'
+
+describe('marketplace-collisions', () => {
+  let tempDir
+
+  beforeEach(async () => {
+    tempDir = await fs.realpath(await fs.mkdtemp(path.join(os.tmpdir(), 'air-collisions-test-')))
+  })
+
+  afterEach(async () => {
+    await fs.rm(tempDir, { recursive : true, force : true })
+  })
+
+  /**
+   * Install a package declaring the 'tools' marketplace into a project
+   * @param {string} project - Project directory name
+   * @param {string} packageName - Package name
+   * @param {string} version - Package version
+   * @returns {Promise<object>} Provider for the package
+   */
+  const installProvider = async (project, packageName, version) => {
+    const packagePath = path.join(tempDir, project, 'node_modules', packageName)
+    await fs.mkdir(packagePath, { recursive : true })
+    await fs.writeFile(path.join(packagePath, 'package.json'), JSON.stringify({ name : packageName, version }), 'utf8')
+
+    return {
+      packageName,
+      version,
+      path                   : packagePath,
+      marketplaceDeclaration : { name : 'tools', owner : { name : 'Test' }, plugins : [] },
+    }
+  }
+
+  const registered = (provider) => ({
+    tools : { source : { type : 'directory', path : provider.path }, plugins : {} },
+  })
+
+  describe('compareVersions', () => {
+    it.each([
+      ['2.0.0', '1.9.9', 1],
+      ['1.10.0', '1.9.0', 1],
+      ['1.0.0', '1.0.0-beta.2', 1],
+      ['1.0.0-beta.10', '1.0.0-beta.2', 1],
+      ['1.0', '1.0.0', 0],
+      ['unknown', '0.0.1', -1],
+    ])('should compare %s with %s', (a, b, sign) => {
+      expect(Math.sign(compareVersions(a, b))).toBe(sign)
+      expect(Math.sign(compareVersions(b, a))).toBe(-sign || 0)
+    })
+  })
+
+  describe('getCollisionPolicy', () => {
+    it('should prefer the explicit policy, then package.json, then newest', async () => {
+      expect(await getCollisionPolicy(tempDir)).toBe('newest')
+
+      await fs.writeFile(
+        path.join(tempDir, 'package.json'),
+        JSON.stringify({ name : 'app', 'ai-ready' : { collisions : 'first' } }),
+        'utf8'
+      )
+      expect(await getCollisionPolicy(tempDir)).toBe('first')
+      expect(await getCollisionPolicy(tempDir, 'fail')).toBe('fail')
+    })
+
+    it('should reject unknown policies', async () => {
+      await expect(getCollisionPolicy(tempDir, 'last')).rejects.toThrow(UsageError)
+    })
+  })
+
+  describe('resolveMarketplaceCollisions', () => {
+    it('should keep the first package declaring a name with the first policy', async () => {
+      const first = await installProvider('app', 'lib-a', '1.0.0')
+      const second = await installProvider('app', 'lib-b', '2.0.0')
+
+      const { providers, collisions } = await resolveMarketplaceCollisions([first, second], {}, 'first')
+
+      expect(providers).toEqual([first])
+      expect(collisions).toEqual([
+        {
+          name       : 'tools',
+          existing   : { packageName : 'lib-a', version : '1.0.0', path : first.path },
+          incoming   : { packageName : 'lib-b', version : '2.0.0', path : second.path },
+          resolution : 'kept-existing',
+        },
+      ])
+    })
+
+    it('should not treat registrations of the same package or uninstalled packages as collisions', async () => {
+      const other = await installProvider('other-app', 'lib-a', '2.0.0')
+      const provider = await installProvider('app', 'lib-a', '1.0.0')
+      const removed = await installProvider('gone', 'lib-b', '1.0.0')
+      await fs.rm(removed.path, { recursive : true })
+
+      expect(await resolveMarketplaceCollisions([provider], registered(other))).toEqual({
+        providers  : [provider],
+        collisions : [],
+      })
+      expect((await resolveMarketplaceCollisions([provider], registered(removed))).collisions).toEqual([])
+    })
+
+    it('should keep a registration of another package unless the incoming one is newer', async () => {
+      const other = await installProvider('other-app', 'lib-b', '1.0.0')
+      const provider = await installProvider('app', 'lib-a', '1.0.0')
+
+      const { providers, collisions } = await resolveMarketplaceCollisions([provider], registered(other))
+
+      expect(providers).toEqual([])
+      expect(collisions[0]).toMatchObject({ existing : { path : other.path }, resolution : 'kept-existing' })
+
+      const upgraded = await installProvider('new-app', 'lib-a', '1.1.0')
+      expect((await resolveMarketplaceCollisions([upgraded], registered(other))).providers).toEqual([upgraded])
+    })
+
+    it('should replace the holder with a newer version by default', async () => {
+      const older = await installProvider('app', 'lib-a', '1.0.0')
+      const newer = await installProvider('app', 'lib-b', '1.2.0')
+      const oldest = await installProvider('app', 'lib-c', '0.9.0')
+
+      const { providers, collisions } = await resolveMarketplaceCollisions([older, newer, oldest], {})
+
+      expect(providers).toEqual([newer])
+      expect(collisions.map(({ resolution }) => resolution)).toEqual(['replaced', 'kept-existing'])
+    })
+
+    it('should register other packages under a namespaced name with the namespace policy', async () => {
+      const first = await installProvider('app', 'lib-a', '1.0.0')
+      const second = await installProvider('app', '@org/lib-b', '1.0.0')
+
+      const { providers, collisions } = await resolveMarketplaceCollisions([first, second], {}, 'namespace')
+
+      expect(providers.map((provider) => provider.marketplaceDeclaration.name)).toEqual(['tools', 'org-lib-b--tools'])
+      expect(second.marketplaceDeclaration.name).toBe('tools')
+      expect(collisions[0]).toMatchObject({ resolution : 'namespaced', registeredAs : 'org-lib-b--tools' })
+    })
+
+    it('should throw with every collision with the fail policy', async () => {
+      const first = await installProvider('app', 'lib-a', '1.0.0')
+      const second = await installProvider('app', 'lib-b', '1.0.0')
+
+      const promise = resolveMarketplaceCollisions([first, second], {}, 'fail')
+
+      await expect(promise).rejects.toThrow(MarketplaceCollisionError)
+      await expect(promise).rejects.toMatchObject({ collisions : [{ name : 'tools', resolution : 'failed' }] })
+    })
+  })
+})
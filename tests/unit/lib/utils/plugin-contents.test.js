@@ -0,0 +1,89 @@
+import fs from 'fs/promises'
+import os from 'os'
+import path from 'path'
+
+import { validatePluginContents } from '_lib/utils/plugin-contents'
+
+describe('plugin-contents', () => {
+  let packageDir
+  let pluginDir
+
+  const writeFile = async (relativePath, content) => {
+    const filePath = path.join(pluginDir, relativePath)
+    await fs.mkdir(path.dirname(filePath), { recursive : true })
+    await fs.writeFile(filePath, content, 'utf8')
+  }
+  const validate = async (declaration) =>
+    (await validatePluginContents(pluginDir, packageDir, [declaration])).map(({ message }) => message)
+
+  beforeEach(async () => {
+    packageDir = await fs.mkdtemp(path.join(os.tmpdir(), 'air-contents-test-'))
+    pluginDir = path.join(packageDir, 'plugin')
+    await fs.mkdir(pluginDir, { recursive : true })
+  })
+
+  afterEach(async () => {
+    await fs.rm(packageDir, { recursive : true, force : true })
+  })
+
+  it('should accept well-formed commands, agents, hooks and MCP servers', async () => {
+    await writeFile('commands/build.md', '---\ndescription: Build it\n---\nRun the build')
+    await writeFile('commands/nested/test.md', '---\ndescription: Test it\n---\nRun the tests')
+    await writeFile('agents/reviewer.md', '---\nname: reviewer\ndescription: Reviews code\n---\nYou review code')
+    await writeFile('hooks/hooks.json', JSON.stringify({ hooks : { PostToolUse : [] } }))
+    await writeFile('.mcp.json', JSON.stringify({ mcpServers : { db : { command : 'db-server' } } }))
+
+    expect(
+      await validate({
+        commands   : './commands/',
+        agents     : ['./agents/reviewer.md'],
+        hooks      : './hooks/hooks.json',
+        mcpServers : './.mcp.json',
+      })
+    ).toEqual([])
+  })
+
+  it('should ignore inline hooks and MCP server configuration', async () => {
+    expect(await validate({ hooks : { PostToolUse : [] }, mcpServers : { db : { command : 'x' } } })).toEqual([])
+  })
+
+  it('should report missing paths and paths outside the package', async () => {
+    expect(await validate({ commands : './missing.md', agents : '../../elsewhere.md' })).toEqual([
+      'Command path ./missing.md does not exist',
+      'Agent path ../../elsewhere.md points outside the package',
+    ])
+  })
+
+  it('should report markdown files without frontmatter or required fields', async () => {
+    await writeFile('commands/plain.md', '# No frontmatter')
+    await writeFile('agents/partial.md', '---\nname: partial\n---\n')
+    await writeFile('commands/empty/README.txt', 'not markdown')
+
+    expect(await validate({ commands : ['./commands/plain.md', './commands/empty'], agents : './agents/partial.md' }))
+      .toEqual([
+        'Command file ./commands/plain.md has no frontmatter',
+        'Command directory ./commands/empty contains no markdown files',
+        "Agent file ./agents/partial.md frontmatter is missing 'description'",
+      ])
+  })
+
+  it('should report unparseable or misshapen hooks and MCP server files', async () => {
+    await writeFile('hooks.json', '{ nope')
+    await writeFile('mcp.json', '[]')
+    await writeFile('other-hooks.json', '{}')
+
+    const errors = await validate({ hooks : ['./hooks.json', './other-hooks.json'], mcpServers : './mcp.json' })
+
+    expect(errors[0]).toMatch(/^Hooks file \.\/hooks\.json is not valid JSON/)
+    expect(errors.slice(1)).toEqual([
+      "Hooks file ./other-hooks.json is missing 'hooks'",
+      'MCP servers file ./mcp.json must contain a JSON object',
+    ])
+  })
+
+  it('should check a path declared by both the entry and the manifest once', async () => {
+    const errors = await validatePluginContents(pluginDir, packageDir, [{ commands : './x.md' }, { commands : './x.md' }])
+
+    expect(errors).toEqual([{ field : 'commands', message : 'Command path ./x.md does not exist' }])
+  })
+})
@@ -0,0 +1,145 @@
+import fs from 'fs/promises'
+import os from 'os'
+import path from 'path'
+
+import { INTEGRITY_STATUSES } from '_lib/types'
+import { checkPluginIntegrity, getPluginIntegrity } from '_lib/utils/plugin-integrity'
+
+import { createTestPackage } from '../test-lib'
+
+describe('plugin-integrity', () => {
+  let tempDir
+  let provider
+
+  beforeEach(async () => {
+    tempDir = await fs.realpath(await fs.mkdtemp(path.join(os.tmpdir(), 'air-integrity-test-')))
+    const packagePath = await createTestPackage(tempDir, 'test-lib', { name : 'test-plugin', version : '1.0.0' })
+    const marketplaceJson = path.join(packagePath, '.claude-plugin', 'marketplace.json')
+    provider = {
+      packageName            : 'test-lib',
+      version                : '1.0.0',
+      path                   : packagePath,
+      marketplaceDeclaration : JSON.parse(await fs.readFile(marketplaceJson, 'utf8')),
+    }
+  })
+
+  afterEach(async () => {
+    await fs.rm(tempDir, { recursive : true, force : true })
+  })
+
+  /**
+   * Build settings with the provider's marketplace registered and its plugin enabled
+   * @param {object} metadata - Plugin metadata to merge into the settings entry
+   * @returns {object} Settings
+   */
+  const buildSettings = (metadata) => ({
+    plugins : {
+      enabled      : ['test-plugin@test-lib-marketplace'],
+      disabled     : [],
+      marketplaces : {
+        'test-lib-marketplace' : {
+          source  : { type : 'directory', path : provider.path },
+          plugins : { 'test-plugin' : { version : '1.0.0', source : './plugin', ...metadata } },
+        },
+      },
+    },
+  })
+
+  const writeSkill = (content) => fs.writeFile(path.join(provider.path, 'plugin', 'SKILL.md'), content, 'utf8')
+
+  describe('getPluginIntegrity', () => {
+    it('should hash the files of each local plugin', async () => {
+      const records = await getPluginIntegrity(provider)
+
+      expect(records['test-plugin']).toEqual({
+        integrity      : expect.stringMatching(/^sha256-[A-Za-z0-9+/]{43}=$/),
+        packageVersion : '1.0.0',
+      })
+    })
+
+    it('should keep the recorded integrity until the package version changes', async () => {
+      const { 'test-plugin' : recorded } = await getPluginIntegrity(provider)
+      const existingEntry = buildSettings(recorded).plugins.marketplaces['test-lib-marketplace']
+      await writeSkill('# changed')
+
+      expect((await getPluginIntegrity(provider, existingEntry))['test-plugin']).toEqual(recorded)
+
+      const updated = await getPluginIntegrity({ ...provider, version : '1.1.0' }, existingEntry)
+      expect(updated['test-plugin'].packageVersion).toBe('1.1.0')
+      expect(updated['test-plugin'].integrity).not.toBe(recorded.integrity)
+    })
+
+    it('should hash the install of a materialized provider', async () => {
+      const materialized = { ...provider, materializedPath : path.join(tempDir, 'not-copied-yet') }
+
+      expect(await getPluginIntegrity(materialized)).toEqual(await getPluginIntegrity(provider))
+    })
+
+    it('should skip remote plugins', async () => {
+      provider.marketplaceDeclaration.plugins[0].source = { source : 'github', repo : 'owner/repo' }
+
+      expect(await getPluginIntegrity(provider)).toEqual({})
+    })
+  })
+
+  describe('checkPluginIntegrity', () => {
+    it('should report unchanged plugins as ok', async () => {
+      const settings = buildSettings((await getPluginIntegrity(provider))['test-plugin'])
+
+      expect(await checkPluginIntegrity(settings)).toEqual([
+        expect.objectContaining({
+          pluginKey : 'test-plugin@test-lib-marketplace',
+          status    : INTEGRITY_STATUSES.OK,
+          directory : path.join(provider.path, 'plugin'),
+        }),
+      ])
+    })
+
+    it('should report files changed without a package version change as modified', async () => {
+      const settings = buildSettings((await getPluginIntegrity(provider))['test-plugin'])
+      await writeSkill('# injected')
+
+      const [check] = await checkPluginIntegrity(settings)
+
+      expect(check.status).toBe(INTEGRITY_STATUSES.MODIFIED)
+      expect(check.actual).not.toBe(check.recorded)
+    })
+
+    it('should report files changed along with the package version as updated', async () => {
+      const settings = buildSettings((await getPluginIntegrity(provider))['test-plugin'])
+      await writeSkill('# new release')
+      await fs.writeFile(path.join(provider.path, 'package.json'), JSON.stringify({ version : '1.1.0' }), 'utf8')
+
+      expect((await checkPluginIntegrity(settings))[0].status).toBe(INTEGRITY_STATUSES.UPDATED)
+    })
+
+    it('should report missing directories and plugins without a recorded hash', async () => {
+      const settings = buildSettings((await getPluginIntegrity(provider))['test-plugin'])
+      settings.plugins.enabled.push('other-plugin@test-lib-marketplace')
+      settings.plugins.marketplaces['test-lib-marketplace'].plugins['other-plugin'] = {
+        version : '1.0.0',
+        source  : './other',
+      }
+      await fs.rm(path.join(provider.path, 'plugin'), { recursive : true })
+
+      const statuses = (await checkPluginIntegrity(settings)).map(({ pluginKey, status }) => [pluginKey, status])
+
+      expect(statuses).toEqual([
+        ['other-plugin@test-lib-marketplace', INTEGRITY_STATUSES.UNRECORDED],
+        ['test-plugin@test-lib-marketplace', INTEGRITY_STATUSES.MISSING],
+      ])
+    })
+
+    it('should only check enabled local plugins', async () => {
+      const settings = buildSettings({ integrity : 'sha256-stale' })
+      settings.plugins.enabled = []
+      settings.plugins.marketplaces.remote = {
+        source  : { type : 'directory', path : provider.path },
+        plugins : { 'remote-plugin' : { version : '1.0.0', source : 'github:owner/repo' } },
+      }
+      settings.plugins.enabled.push('remote-plugin@remote')
+
+      expect(await checkPluginIntegrity(settings)).toEqual([])
+    })
+  })
+})
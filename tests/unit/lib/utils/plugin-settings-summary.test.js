@@ -0,0 +1,37 @@
+import { diffPluginSettings, summarizePluginSettings } from '_lib/utils/plugin-settings-summary'
+
+describe('plugin-settings-summary', () => {
+  describe('summarizePluginSettings', () => {
+    it('should summarize global settings', () => {
+      const settings = { plugins : { enabled : ['a@m'], disabled : ['b@m'], marketplaces : { m : {} } } }
+
+      expect(summarizePluginSettings(settings)).toEqual({ marketplaces : ['m'], enabled : ['a@m'], disabled : ['b@m'] })
+    })
+
+    it('should summarize project settings', () => {
+      const settings = {
+        extraKnownMarketplaces : { m : {} },
+        enabledPlugins         : { 'a@m' : true, 'b@m' : false },
+      }
+
+      expect(summarizePluginSettings(settings)).toEqual({ marketplaces : ['m'], enabled : ['a@m'], disabled : ['b@m'] })
+    })
+
+    it('should treat settings without plugin sections as empty', () => {
+      expect(summarizePluginSettings({ theme : 'dark' })).toEqual({ marketplaces : [], enabled : [], disabled : [] })
+    })
+  })
+
+  describe('diffPluginSettings', () => {
+    it('should list entries added and removed in each section', () => {
+      const from = { plugins : { enabled : ['a@m', 'b@m'], disabled : [], marketplaces : { m : {} } } }
+      const to = { plugins : { enabled : ['a@m'], disabled : ['b@m'], marketplaces : { m : {}, n : {} } } }
+
+      expect(diffPluginSettings(from, to)).toEqual({
+        marketplaces : { added : ['n'], removed : [] },
+        enabled      : { added : [], removed : ['b@m'] },
+        disabled     : { added : ['b@m'], removed : [] },
+      })
+    })
+  })
+})
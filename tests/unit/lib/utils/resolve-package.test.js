@@ -0,0 +1,99 @@
+import fs from 'fs/promises'
+import os from 'os'
+import path from 'path'
+
+import { RESOLUTION_STRATEGIES, resolvePackagePath } from '_lib/utils/resolve-package'
+
+describe('resolve-package', () => {
+  let tempDir
+
+  beforeEach(async () => {
+    tempDir = await fs.realpath(await fs.mkdtemp(path.join(os.tmpdir(), 'air-resolve-test-')))
+  })
+
+  afterEach(async () => {
+    await fs.rm(tempDir, { recursive : true, force : true })
+  })
+
+  const writePackage = async (dir, packageJson) => {
+    await fs.mkdir(dir, { recursive : true })
+    await fs.writeFile(path.join(dir, 'package.json'), JSON.stringify(packageJson), 'utf8')
+
+    return dir
+  }
+
+  it('should try strategies in pnp, node, direct order', () => {
+    expect(RESOLUTION_STRATEGIES.map((strategy) => strategy.name)).toEqual(['pnp', 'node', 'direct'])
+  })
+
+  it('should resolve a package in a flat node_modules', async () => {
+    const packageDir = await writePackage(path.join(tempDir, 'node_modules', 'flat-lib'), { name : 'flat-lib' })
+
+    const resolved = await resolvePackagePath('flat-lib', { fromDir : tempDir, rootDir : tempDir })
+
+    expect(resolved).toBe(packageDir)
+  })
+
+  it("should follow pnpm's isolated layout to the real package location", async () => {
+    const storeDir = await writePackage(
+      path.join(tempDir, 'node_modules', '.pnpm', '@org+lib@1.0.0', 'node_modules', '@org', 'lib'),
+      { name : '@org/lib' }
+    )
+    await fs.mkdir(path.join(tempDir, 'node_modules', '@org'), { recursive : true })
+    await fs.symlink(storeDir, path.join(tempDir, 'node_modules', '@org', 'lib'), 'dir')
+
+    const resolved = await resolvePackagePath('@org/lib', { fromDir : tempDir, rootDir : tempDir })
+
+    expect(resolved).toBe(storeDir)
+  })
+
+  it('should fall back to direct lookup when package.json is not exported', async () => {
+    const packageDir = await writePackage(path.join(tempDir, 'node_modules', 'exports-lib'), {
+      name    : 'exports-lib',
+      exports : { '.' : './index.js' },
+    })
+
+    const resolved = await resolvePackagePath('exports-lib', { fromDir : tempDir, rootDir : tempDir })
+
+    expect(resolved).toBe(packageDir)
+  })
+
+  it('should resolve through the Yarn PnP API when .pnp.cjs is present', async () => {
+    const unpluggedDir = await writePackage(path.join(tempDir, '.yarn', 'unplugged', 'pnp-lib', 'node_modules', 'pnp-lib'), {
+      name : 'pnp-lib',
+    })
+    await fs.writeFile(
+      path.join(tempDir, '.pnp.cjs'),
+      `module.exports = {
+        resolveToUnqualified(request) {
+          if (request === 'pnp-lib') return ${JSON.stringify(unpluggedDir)}
+          throw new Error('not found')
+        },
+      }`,
+      'utf8'
+    )
+
+    const resolved = await resolvePackagePath('pnp-lib', { fromDir : tempDir, rootDir : tempDir })
+
+    expect(resolved).toBe(unpluggedDir)
+  })
+
+  it('should return null when no strategy can locate the package', async () => {
+    const resolved = await resolvePackagePath('missing-lib', { fromDir : tempDir, rootDir : tempDir })
+
+    expect(resolved).toBeNull()
+  })
+
+  it('should use the first strategy that finds an existing path', async () => {
+    const packageDir = await writePackage(path.join(tempDir, 'somewhere'), { name : 'x' })
+    const strategies = [
+      { name : 'none', resolve : () => null },
+      { name : 'stale', resolve : () => path.join(tempDir, 'gone') },
+      { name : 'found', resolve : () => packageDir },
+    ]
+
+    const resolved = await resolvePackagePath('x', { fromDir : tempDir, rootDir : tempDir }, strategies)
+
+    expect(resolved).toBe(packageDir)
+  })
+})
@@ -0,0 +1,129 @@
+import fs from 'fs/promises'
+import os from 'os'
+import path from 'path'
+
+import { findStaleMarketplaces, getMarketplaceDirectory, getOwningProject } from '_lib/utils/stale-marketplaces'
+
+import { createPackageJson, createTestPackage } from '../test-lib'
+
+describe('stale-marketplaces', () => {
+  let tempDir
+
+  beforeEach(async () => {
+    tempDir = await fs.realpath(await fs.mkdtemp(path.join(os.tmpdir(), 'air-stale-test-')))
+  })
+
+  afterEach(async () => {
+    await fs.rm(tempDir, { recursive : true, force : true })
+  })
+
+  const directoryEntry = (entryPath) => ({ source : { type : 'directory', path : entryPath }, plugins : {} })
+
+  describe('getMarketplaceDirectory', () => {
+    it.each([
+      ['a global settings entry', { source : { type : 'directory', path : '/a' } }, '/a'],
+      ['a project settings entry', { source : { source : 'directory', path : '/b' } }, '/b'],
+      ['a github entry', { source : { source : 'github', repo : 'org/repo' } }, null],
+    ])('should handle %s', (description, entry, expected) => {
+      expect(getMarketplaceDirectory(entry)).toBe(expected)
+    })
+  })
+
+  describe('getOwningProject', () => {
+    it.each([
+      [path.join('/work', 'app', 'node_modules', 'lib'), path.join('/work', 'app')],
+      [path.join('/work', 'app', 'node_modules', '.pnpm', 'lib@1.0.0', 'node_modules', 'lib'), path.join('/work', 'app')],
+      [path.join('/work', 'checkout'), null],
+    ])('should map %s to %s', (packagePath, expected) => {
+      expect(getOwningProject(packagePath)).toBe(expected)
+    })
+  })
+
+  describe('findStaleMarketplaces', () => {
+    it('should report marketplaces whose directory is gone', async () => {
+      const missingPath = path.join(tempDir, 'node_modules', 'gone-lib')
+
+      const stale = await findStaleMarketplaces({ gone : directoryEntry(missingPath) })
+
+      expect(stale).toEqual([{ name : 'gone', path : missingPath, reason : 'directory no longer exists' }])
+    })
+
+    it('should report installed packages the project no longer depends on', async () => {
+      const keptPath = await createTestPackage(tempDir, 'kept-lib', { name : 'kept-plugin' })
+      const removedPath = await createTestPackage(tempDir, 'removed-lib', { name : 'removed-plugin' })
+      await createPackageJson(tempDir, ['kept-lib'])
+
+      const stale = await findStaleMarketplaces({
+        kept    : directoryEntry(keptPath),
+        removed : directoryEntry(removedPath),
+      })
+
+      expect(stale).toEqual([{ name : 'removed', path : removedPath, reason : `no longer a dependency of ${tempDir}` }])
+    })
+
+    it('should scan each project only once', async () => {
+      const aPath = await createTestPackage(tempDir, 'a-lib', { name : 'a-plugin' })
+      const bPath = await createTestPackage(tempDir, 'b-lib', { name : 'b-plugin' })
+      await createPackageJson(tempDir, ['a-lib', 'b-lib'])
+      const scanFn = jest.fn(async () => [{ path : aPath }, { path : bPath }])
+
+      const stale = await findStaleMarketplaces({ a : directoryEntry(aPath), b : directoryEntry(bPath) }, scanFn)
+
+      expect(stale).toEqual([])
+      expect(scanFn).toHaveBeenCalledTimes(1)
+    })
+
+    it('should report stale project references until none are left', async () => {
+      const appDir = path.join(tempDir, 'app')
+      const otherDir = path.join(tempDir, 'other')
+      const appPath = await createTestPackage(appDir, 'shared-lib', { name : 'shared-plugin' })
+      const otherPath = await createTestPackage(otherDir, 'shared-lib', { name : 'shared-plugin' })
+      await createPackageJson(appDir, [])
+      await createPackageJson(otherDir, ['shared-lib'])
+      const entry = {
+        ...directoryEntry(appPath),
+        projects : { [appDir] : { path : appPath, version : '1.0.0' }, [otherDir] : { path : otherPath, version : '1.0.0' } },
+      }
+
+      expect(await findStaleMarketplaces({ shared : entry })).toEqual([
+        { name : 'shared', path : appPath, reason : `no longer a dependency of ${appDir}`, project : appDir },
+      ])
+
+      await fs.writeFile(path.join(otherDir, 'package.json'), JSON.stringify({ name : 'other' }), 'utf8')
+      expect(await findStaleMarketplaces({ shared : entry })).toEqual([
+        { name : 'shared', path : appPath, reason : `no longer a dependency of ${appDir}` },
+      ])
+    })
+
+    it('should check materialized references against the declared dependencies', async () => {
+      const installPath = await createTestPackage(tempDir, 'test-lib', { name : 'test-plugin' })
+      const materializedPath = path.join(tempDir, 'store', 'test-lib@1.0.0-aaaaaaaaaaaa')
+      await fs.mkdir(materializedPath, { recursive : true })
+      await createPackageJson(tempDir, ['test-lib'])
+      const entry = {
+        ...directoryEntry(materializedPath),
+        projects : { [tempDir] : { path : installPath, version : '1.0.0', materializedPath } },
+      }
+      await fs.rm(path.join(tempDir, 'node_modules'), { recursive : true })
+
+      expect(await findStaleMarketplaces({ test : entry })).toEqual([])
+
+      await fs.writeFile(path.join(tempDir, 'package.json'), JSON.stringify({ name : 'app' }), 'utf8')
+      expect(await findStaleMarketplaces({ test : entry })).toEqual([
+        { name : 'test', path : materializedPath, reason : `no longer a dependency of ${tempDir}` },
+      ])
+    })
+
+    it('should leave non-directory marketplaces and local checkouts alone', async () => {
+      const checkoutDir = path.join(tempDir, 'checkout')
+      await fs.mkdir(checkoutDir)
+
+      const stale = await findStaleMarketplaces({
+        remote   : { source : { source : 'github', repo : 'org/repo' } },
+        checkout : directoryEntry(checkoutDir),
+      })
+
+      expect(stale).toEqual([])
+    })
+  })
+})
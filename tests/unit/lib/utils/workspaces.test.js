@@ -0,0 +1,76 @@
+import fs from 'fs/promises'
+import os from 'os'
+import path from 'path'
+
+import { findWorkspaces, getWorkspacePatterns } from '_lib/utils/workspaces'
+
+describe('workspaces', () => {
+  let tempDir
+
+  beforeEach(async () => {
+    tempDir = await fs.realpath(await fs.mkdtemp(path.join(os.tmpdir(), 'air-workspaces-test-')))
+  })
+
+  afterEach(async () => {
+    await fs.rm(tempDir, { recursive : true, force : true })
+  })
+
+  const createPackage = async (relativeDir, packageJson) => {
+    const dir = path.join(tempDir, relativeDir)
+    await fs.mkdir(dir, { recursive : true })
+    await fs.writeFile(path.join(dir, 'package.json'), JSON.stringify(packageJson), 'utf8')
+
+    return dir
+  }
+
+  describe('getWorkspacePatterns', () => {
+    it.each([
+      ['array form', { workspaces : ['packages/*'] }, ['packages/*']],
+      ['object form', { workspaces : { packages : ['apps/*'], nohoist : ['**/x'] } }, ['apps/*']],
+      ['no workspaces', {}, []],
+    ])('should read %s from package.json', async (description, packageJson, expected) => {
+      expect(await getWorkspacePatterns(tempDir, packageJson)).toEqual(expected)
+    })
+
+    it('should read pnpm-workspace.yaml', async () => {
+      await fs.writeFile(path.join(tempDir, 'pnpm-workspace.yaml'), 'packages:\n  - packages/*\n  - tools/cli\n', 'utf8')
+
+      expect(await getWorkspacePatterns(tempDir, {})).toEqual(['packages/*', 'tools/cli'])
+    })
+
+    it('should report a malformed pnpm-workspace.yaml', async () => {
+      await fs.writeFile(path.join(tempDir, 'pnpm-workspace.yaml'), 'packages: [unclosed', 'utf8')
+
+      await expect(getWorkspacePatterns(tempDir, {})).rejects.toThrow()
+    })
+  })
+
+  describe('findWorkspaces', () => {
+    it('should expand globs to directories containing a package.json', async () => {
+      const aDir = await createPackage('packages/a', { name : '@org/a' })
+      const bDir = await createPackage('packages/b', {})
+      await fs.mkdir(path.join(tempDir, 'packages', 'not-a-package'), { recursive : true })
+
+      const workspaces = await findWorkspaces(tempDir, { workspaces : ['packages/*'] })
+
+      expect(workspaces.map(({ name, dir }) => ({ name, dir }))).toEqual([
+        { name : '@org/a', dir : aDir },
+        { name : path.join('packages', 'b'), dir : bDir },
+      ])
+    })
+
+    it('should support literal paths and recursive globs', async () => {
+      await createPackage('tools/cli', { name : 'cli' })
+      await createPackage('apps/web/client', { name : 'client' })
+      await createPackage('apps/node_modules/dep', { name : 'dep' })
+
+      const workspaces = await findWorkspaces(tempDir, { workspaces : ['./tools/cli', 'apps/**'] })
+
+      expect(workspaces.map((workspace) => workspace.name).sort()).toEqual(['cli', 'client'])
+    })
+
+    it('should return an empty list for projects without workspaces', async () => {
+      expect(await findWorkspaces(tempDir, { name : 'single' })).toEqual([])
+    })
+  })
+})